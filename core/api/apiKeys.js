@@ -0,0 +1,95 @@
+/**
+ * Per-organization API keys of the read API
+ *
+ * A key is "wak_" followed by 32 random bytes (base64url). Only its SHA-256
+ * is stored (api_keys.key_hash), so a key is shown once, when created;
+ * key_prefix tells keys apart in listings. Requests send it as
+ * "Authorization: Bearer <key>" or "X-API-Key: <key>" and are answered with
+ * the data of the key's organization only.
+ */
+
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const { logger } = require("../utils/logger");
+
+const KEY_PREFIX = "wak_";
+
+/**
+ * Generate a new random key
+ */
+function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * Hash a key for storage and lookup
+ */
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Create a key for an organization
+ * Returns { apiKey, key }: key is the only copy of the secret
+ */
+async function createApiKey(organizationId, name, expiresAt = null) {
+  const key = generateApiKey();
+  const apiKey = await ApiKey.create({
+    organizationId,
+    name,
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key),
+    expiresAt,
+  });
+  return { apiKey, key };
+}
+
+/**
+ * Get the key sent with a request (Authorization: Bearer or X-API-Key)
+ */
+function getRequestApiKey(headers) {
+  if (!headers) return null;
+
+  for (const [name, value] of Object.entries(headers)) {
+    const header = name.toLowerCase();
+    if (header === "x-api-key" && value) {
+      return value.trim();
+    }
+    if (header === "authorization" && /^Bearer\s+/i.test(value || "")) {
+      return value.replace(/^Bearer\s+/i, "").trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Authenticate a read API request
+ * Returns the ApiKey (with its organizationId) or null when the request has
+ * no usable key
+ */
+async function authenticateApiRequest(event) {
+  const key = getRequestApiKey(event.headers);
+  if (!key || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findActiveByHash(hashApiKey(key));
+  if (!apiKey) {
+    logger.warn("API request with an unknown, revoked or expired key", {
+      keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+    });
+    return null;
+  }
+
+  // Bookkeeping only: a failed update does not fail the request
+  await ApiKey.touch(apiKey.id).catch(() => {});
+  return apiKey;
+}
+
+module.exports = {
+  generateApiKey,
+  hashApiKey,
+  createApiKey,
+  getRequestApiKey,
+  authenticateApiRequest,
+};
@@ -0,0 +1,39 @@
+/**
+ * Conversation route
+ *
+ *   GET /api/conversations     timeline of the organization and a customer
+ *       ?customer&phoneNumberId&limit&before&after
+ *
+ * customer is the customer's phone number (any format); before / after take
+ * the olderCursor / newerCursor of a previous page. Answers the page from
+ * utils/conversations.getConversation.
+ */
+
+const { jsonResponse } = require("../webhook/http");
+const { getConversation } = require("../utils/conversations");
+const { badRequest } = require("./params");
+
+/**
+ * Get a page of the conversation with a customer
+ */
+async function getConversationTimeline({ organizationId, params }) {
+  if (!params.customer) {
+    throw badRequest("customer is required");
+  }
+
+  const conversation = await getConversation(
+    organizationId,
+    params.customer,
+    {
+      before: params.before,
+      after: params.after,
+      limit: params.limit,
+      whatsappPhoneNumberId: params.phoneNumberId,
+    }
+  );
+  return jsonResponse(200, conversation);
+}
+
+module.exports = {
+  getConversationTimeline,
+};
@@ -0,0 +1,82 @@
+/**
+ * Incoming message routes
+ *
+ *   GET /api/incoming-messages               the organization's incoming
+ *       ?type&phoneNumberId&from&to          messages, newest first
+ *   GET /api/campaigns/{campaignId}/replies  replies to a campaign's messages
+ *   GET /api/interactive-stats               button / list replies by type
+ *       ?campaignId&from&to
+ */
+
+const IncomingMessage = require("../models/IncomingMessage");
+const { jsonResponse } = require("../webhook/http");
+const { parseDate, parseUuid, getPageParams, toPage } = require("./params");
+
+// Incoming messages are paged by (timestamp, id)
+const byTimestamp = (message) => ({
+  timestamp: message.timestamp,
+  id: message.id,
+});
+
+/**
+ * List the organization's incoming messages
+ */
+async function listIncomingMessages({ organizationId, params }) {
+  const page = getPageParams(params);
+  const messages = await IncomingMessage.findPage(
+    organizationId,
+    {
+      messageType: params.type,
+      whatsappPhoneNumberId: params.phoneNumberId,
+      from: parseDate(params.from, "from"),
+      to: parseDate(params.to, "to"),
+    },
+    page.before,
+    page.limit
+  );
+  return jsonResponse(200, toPage(messages, page, byTimestamp));
+}
+
+/**
+ * List the replies to one of the organization's campaigns
+ */
+async function listCampaignReplies({ organizationId, params, pathParams }) {
+  const campaignId = parseUuid(pathParams.campaignId, "campaign id");
+  const page = getPageParams(params);
+  const replies = await IncomingMessage.findRepliesByCampaign(
+    campaignId,
+    organizationId,
+    { before: page.before, limit: page.limit }
+  );
+  return jsonResponse(200, toPage(replies, page, byTimestamp));
+}
+
+/**
+ * Get the organization's interactive reply counts by interactive type
+ */
+async function getInteractiveStats({ organizationId, params }) {
+  const campaignId = params.campaignId
+    ? parseUuid(params.campaignId, "campaignId")
+    : null;
+  const rows = await IncomingMessage.getInteractiveStats(
+    organizationId,
+    campaignId,
+    parseDate(params.from, "from"),
+    parseDate(params.to, "to")
+  );
+
+  // COUNT() comes back from pg as a string
+  return jsonResponse(200, {
+    data: rows.map((row) => ({
+      interactiveType: row.interactive_type,
+      count: Number(row.count),
+      uniqueUsers: Number(row.unique_users),
+    })),
+  });
+}
+
+module.exports = {
+  listIncomingMessages,
+  listCampaignReplies,
+  getInteractiveStats,
+};
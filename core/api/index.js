@@ -0,0 +1,18 @@
+const { isApiRequest, handleApiRequest } = require("./router");
+const { createApiKey, hashApiKey } = require("./apiKeys");
+
+/**
+ * Read API over the stored data, served by the same handlers as /webhook
+ * (API Gateway events in, Lambda proxy results out)
+ *
+ *   router   - GET /api/... routing, API key authentication, errors
+ *   apiKeys  - per-organization keys (only their hash is stored)
+ *   params   - query parameters and cursor pages
+ *   incomingMessages, messages, webhookEvents, conversations - the routes
+ */
+module.exports = {
+  isApiRequest,
+  handleApiRequest,
+  createApiKey,
+  hashApiKey,
+};
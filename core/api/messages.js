@@ -0,0 +1,65 @@
+/**
+ * Message status route
+ *
+ *   GET /api/messages/{whatsappMessageId}/status
+ *
+ * The current status of an outbound message (messages row) and the status
+ * webhooks received for it, newest first. Statuses still parked for a
+ * message row that does not exist yet are answered from the webhooks alone.
+ */
+
+const Message = require("../models/Message");
+const WebhookEvent = require("../models/WebhookEvent");
+const { jsonResponse } = require("../webhook/http");
+
+// Status webhooks listed with a message (more are very unusual)
+const MAX_STATUS_EVENTS = 100;
+
+/**
+ * Get the delivery status of one of the organization's messages
+ */
+async function getMessageStatus({ organizationId, pathParams }) {
+  const { whatsappMessageId } = pathParams;
+
+  const found = await Message.findByWhatsAppId(whatsappMessageId);
+  const message =
+    found && found.organizationId === organizationId ? found : null;
+  const events = await WebhookEvent.findPage(
+    organizationId,
+    { eventType: "message_status", whatsappMessageId },
+    null,
+    MAX_STATUS_EVENTS
+  );
+
+  if (!message && events.length === 0) {
+    return jsonResponse(404, { error: "Message not found" });
+  }
+
+  return jsonResponse(200, {
+    whatsappMessageId,
+    status: message ? message.messageStatus : events[0].status,
+    sentAt: message ? message.sentAt : null,
+    deliveredAt: message ? message.deliveredAt : null,
+    readAt: message ? message.readAt : null,
+    failedAt: message ? message.failedAt : null,
+    failureReason: message ? message.failureReason : null,
+    campaignId: message ? message.campaignId : null,
+    whatsappPhoneNumberId: message ? message.whatsappPhoneNumberId : null,
+    reaction:
+      message && message.reactionEmoji
+        ? { emoji: message.reactionEmoji, reactedAt: message.reactedAt }
+        : null,
+    // statusTransition is set when a webhook was not applied (out of order
+    // or a regression)
+    events: events.map((event) => ({
+      status: event.status,
+      timestamp: event.timestamp,
+      statusTransition: event.statusTransition,
+      errorMessage: event.errorMessage,
+    })),
+  });
+}
+
+module.exports = {
+  getMessageStatus,
+};
@@ -0,0 +1,89 @@
+/**
+ * Query parameter parsing and cursor pages of the read API
+ *
+ * List routes take `limit` (default 50, at most 200) and `cursor` (the
+ * nextCursor of the previous page) and answer { data, nextCursor };
+ * nextCursor is null on the last page.
+ */
+
+const {
+  UUID_PATTERN,
+  encodeCursor,
+  decodeCursor,
+} = require("../utils/cursors");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Create an error answered with 400
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parse an optional date parameter (ISO 8601 or epoch milliseconds)
+ */
+function parseDate(value, name) {
+  if (!value) return null;
+
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw badRequest(`Invalid ${name}: expected a date`);
+  }
+  return date;
+}
+
+/**
+ * Check that a parameter is a UUID
+ */
+function parseUuid(value, name) {
+  if (!UUID_PATTERN.test(value || "")) {
+    throw badRequest(`Invalid ${name}: expected a UUID`);
+  }
+  return value;
+}
+
+/**
+ * Get { before, limit } from the cursor and limit parameters
+ * (limit is one more than the page size: the extra row tells whether there
+ * is a next page)
+ */
+function getPageParams(params) {
+  const size = parseInt(params.limit) || DEFAULT_PAGE_SIZE;
+  const pageSize = Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+
+  return {
+    before: params.cursor ? decodeCursor(params.cursor) : null,
+    limit: pageSize + 1,
+    pageSize,
+  };
+}
+
+/**
+ * Build { data, nextCursor } from the rows read with getPageParams
+ * cursorOf gives the { timestamp, id } a row is sorted by
+ */
+function toPage(rows, page, cursorOf) {
+  const data = rows.slice(0, page.pageSize);
+  const last = data[data.length - 1];
+  const position = rows.length > page.pageSize ? cursorOf(last) : null;
+
+  return {
+    data,
+    nextCursor: position ? encodeCursor(position.timestamp, position.id) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  badRequest,
+  parseDate,
+  parseUuid,
+  getPageParams,
+  toPage,
+};
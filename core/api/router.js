@@ -0,0 +1,127 @@
+/**
+ * Router of the read API
+ *
+ * Every route is a GET under /api/ answering the data of the organization
+ * the request's API key belongs to (./apiKeys). Handlers get
+ * { organizationId, params, pathParams } and return a Lambda proxy result;
+ * errors with statusCode 400 are answered as bad requests.
+ */
+
+const { jsonResponse } = require("../webhook/http");
+const { logger } = require("../utils/logger");
+const { authenticateApiRequest } = require("./apiKeys");
+const {
+  listIncomingMessages,
+  listCampaignReplies,
+  getInteractiveStats,
+} = require("./incomingMessages");
+const { getMessageStatus } = require("./messages");
+const { listWebhookEvents } = require("./webhookEvents");
+const { getConversationTimeline } = require("./conversations");
+
+// pattern groups are passed to the handler as pathParams[name]
+const ROUTES = [
+  {
+    pattern: /^\/api\/incoming-messages$/,
+    handler: listIncomingMessages,
+  },
+  {
+    pattern: /^\/api\/campaigns\/([^/]+)\/replies$/,
+    names: ["campaignId"],
+    handler: listCampaignReplies,
+  },
+  {
+    pattern: /^\/api\/messages\/([^/]+)\/status$/,
+    names: ["whatsappMessageId"],
+    handler: getMessageStatus,
+  },
+  {
+    pattern: /^\/api\/webhook-events$/,
+    handler: listWebhookEvents,
+  },
+  {
+    pattern: /^\/api\/interactive-stats$/,
+    handler: getInteractiveStats,
+  },
+  {
+    pattern: /^\/api\/conversations$/,
+    handler: getConversationTimeline,
+  },
+];
+
+/**
+ * Get the path of an API Gateway event (REST or HTTP API)
+ */
+function getRequestPath(event) {
+  return event.path || event.rawPath || "";
+}
+
+/**
+ * Check if a request is for the read API rather than the webhook
+ */
+function isApiRequest(event) {
+  return getRequestPath(event).startsWith("/api/");
+}
+
+/**
+ * Find the route of a path with its path parameters
+ */
+function matchRoute(path) {
+  for (const route of ROUTES) {
+    const match = route.pattern.exec(path);
+    if (match) {
+      const pathParams = {};
+      (route.names || []).forEach((name, index) => {
+        pathParams[name] = decodeURIComponent(match[index + 1]);
+      });
+      return { route, pathParams };
+    }
+  }
+  return null;
+}
+
+/**
+ * Handle a read API request (API Gateway event)
+ */
+async function handleApiRequest(event) {
+  const httpMethod = event.httpMethod || event.requestContext?.http?.method;
+  const path = getRequestPath(event);
+  logger.info("Received API request", { httpMethod, path });
+
+  try {
+    const apiKey = await authenticateApiRequest(event);
+    if (!apiKey) {
+      return jsonResponse(401, { error: "Missing or invalid API key" });
+    }
+
+    const matched = matchRoute(path);
+    if (!matched) {
+      return jsonResponse(404, { error: "Not found" });
+    }
+    if (httpMethod !== "GET") {
+      return jsonResponse(405, { error: "Method not allowed" });
+    }
+
+    return await logger.withContext(
+      { organizationId: apiKey.organizationId },
+      () =>
+        matched.route.handler({
+          organizationId: apiKey.organizationId,
+          params: event.queryStringParameters || {},
+          pathParams: matched.pathParams,
+        })
+    );
+  } catch (error) {
+    // Invalid parameters, cursors or path encoding
+    if (error.statusCode === 400 || error instanceof URIError) {
+      return jsonResponse(400, { error: error.message });
+    }
+    logger.error("Error handling API request", error);
+    return jsonResponse(500, { error: "Internal server error" });
+  }
+}
+
+module.exports = {
+  isApiRequest,
+  handleApiRequest,
+};
@@ -0,0 +1,139 @@
+jest.mock("../db/connection", () => ({ query: jest.fn() }));
+
+const pool = require("../db/connection");
+const { hashApiKey } = require("./apiKeys");
+const { handleApiRequest } = require("./router");
+
+const ORGANIZATION_ID = "0b9c6f1e-2d3a-4b5c-8d7e-6f5a4b3c2d1e";
+const KEY = "wak_test-key";
+
+/**
+ * Build a GET API Gateway event with the test key
+ */
+const get = (path, queryStringParameters = null) => ({
+  httpMethod: "GET",
+  path,
+  headers: { Authorization: `Bearer ${KEY}` },
+  queryStringParameters,
+});
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  pool.query.mockReset();
+  pool.query.mockImplementation(async (query, params) => {
+    if (/FROM api_keys k/.test(query)) {
+      return {
+        rows:
+          params[0] === hashApiKey(KEY)
+            ? [{ id: "k-1", organization_id: ORGANIZATION_ID }]
+            : [],
+      };
+    }
+    return { rows: [], rowCount: 0 };
+  });
+});
+
+/**
+ * The queries run against a table other than api_keys
+ */
+const dataQueries = () =>
+  pool.query.mock.calls.filter(([query]) => !/api_keys/.test(query));
+
+describe("read API router", () => {
+  test("requests without a known key are refused", async () => {
+    const event = get("/api/webhook-events");
+    event.headers = { "X-API-Key": "wak_unknown" };
+
+    const response = await handleApiRequest(event);
+    expect(response.statusCode).toBe(401);
+    expect(dataQueries()).toHaveLength(0);
+  });
+
+  test("lists are scoped to the key's organization", async () => {
+    const response = await handleApiRequest(get("/api/webhook-events"));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({ data: [], nextCursor: null });
+    expect(dataQueries()[0][1][0]).toBe(ORGANIZATION_ID);
+  });
+
+  test.each([
+    "/api/webhook-events",
+    "/api/incoming-messages",
+    `/api/campaigns/${ORGANIZATION_ID}/replies`,
+  ])("a cursor with a non-UUID id is a bad request on %s", async (path) => {
+    const cursor = Buffer.from(
+      JSON.stringify({ t: "2024-01-01", id: "x" })
+    ).toString("base64url");
+
+    const response = await handleApiRequest(get(path, { cursor }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error).toBe("Invalid cursor");
+    expect(dataQueries()).toHaveLength(0);
+  });
+
+  test("conversation cursors are validated too", async () => {
+    const before = Buffer.from(
+      JSON.stringify({ t: "2024-01-01", id: "1; DROP TABLE x" })
+    ).toString("base64url");
+
+    const response = await handleApiRequest(
+      get("/api/conversations", { customer: "15551234567", before })
+    );
+    expect(response.statusCode).toBe(400);
+  });
+
+  test("unknown routes and other methods", async () => {
+    expect((await handleApiRequest(get("/api/nope"))).statusCode).toBe(404);
+
+    const post = { ...get("/api/webhook-events"), httpMethod: "POST" };
+    expect((await handleApiRequest(post)).statusCode).toBe(405);
+  });
+});
+
+describe("cursor pages", () => {
+  const ROW_ID = "3f2b8c1e-8d4a-4f5e-9b6c-0a1b2c3d4e5f";
+
+  /**
+   * Answer data queries with limit rows, so every page has a next one
+   */
+  function fullPages(column) {
+    pool.query.mockImplementation(async (query, params) => {
+      if (/FROM api_keys k/.test(query)) {
+        return { rows: [{ id: "k-1", organization_id: ORGANIZATION_ID }] };
+      }
+      const row = { id: ROW_ID, [column]: new Date("2024-05-01T10:20:30Z") };
+      return { rows: Array(params[params.length - 1]).fill(row) };
+    });
+  }
+
+  test.each([
+    ["/api/webhook-events", "created_at"],
+    ["/api/incoming-messages", "timestamp"],
+    [`/api/campaigns/${ORGANIZATION_ID}/replies`, "timestamp"],
+  ])("%s sorts and seeks by the millisecond", async (path, column) => {
+    fullPages(column);
+
+    const first = await handleApiRequest(get(path, { limit: "1" }));
+    const { nextCursor } = JSON.parse(first.body);
+    await handleApiRequest(get(path, { limit: "1", cursor: nextCursor }));
+
+    // Cursors keep milliseconds, Postgres microseconds: the predicate and
+    // the order compare the same truncated key
+    const key = `date_trunc('milliseconds', ${column} AT TIME ZONE 'UTC')`;
+    const [query, params] = dataQueries()[1];
+    const sql = query.replace(/\$\d+/g, "$n");
+    expect(sql).toContain(
+      `AND (${key}, id) < (date_trunc('milliseconds', ` +
+        "$n::timestamptz AT TIME ZONE 'UTC'), $n::uuid)"
+    );
+    expect(sql).toContain(`ORDER BY ${key} DESC, id DESC`);
+    expect(params).toEqual(
+      expect.arrayContaining([new Date("2024-05-01T10:20:30Z"), ROW_ID])
+    );
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Webhook event route
+ *
+ *   GET /api/webhook-events    the organization's webhook events, newest first
+ *       ?eventType&status&state&whatsappMessageId&phoneNumberId&from&to
+ *
+ * state: processed, unprocessed or failed
+ */
+
+const WebhookEvent = require("../models/WebhookEvent");
+const { jsonResponse } = require("../webhook/http");
+const { badRequest, parseDate, getPageParams, toPage } = require("./params");
+
+const STATES = ["processed", "unprocessed", "failed"];
+
+/**
+ * List the organization's webhook events
+ */
+async function listWebhookEvents({ organizationId, params }) {
+  if (params.state && !STATES.includes(params.state)) {
+    throw badRequest(`Invalid state: expected one of ${STATES.join(", ")}`);
+  }
+
+  const page = getPageParams(params);
+  const events = await WebhookEvent.findPage(
+    organizationId,
+    {
+      eventType: params.eventType,
+      status: params.status,
+      state: params.state,
+      whatsappMessageId: params.whatsappMessageId,
+      whatsappPhoneNumberId: params.phoneNumberId,
+      from: parseDate(params.from, "from"),
+      to: parseDate(params.to, "to"),
+    },
+    page.before,
+    page.limit
+  );
+
+  // Events are paged by (created_at, id): timestamp is NULL for some
+  return jsonResponse(
+    200,
+    toPage(events, page, (event) => ({
+      timestamp: event.createdAt,
+      id: event.id,
+    }))
+  );
+}
+
+module.exports = {
+  listWebhookEvents,
+};
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { logger } = require('../utils/logger');
 
 // Database connection pool
 const pool = new Pool({
@@ -7,19 +8,20 @@ const pool = new Pool({
   database: process.env.DB_NAME || 'whatsapp_db',
   user: process.env.DB_USER || 'postgres',
   password: process.env.DB_PASSWORD || '',
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 2000,
+  // The webhook receiver runs with a small pool and a fast timeout (DB_POOL_MAX=3)
+  max: parseInt(process.env.DB_POOL_MAX) || 20,
+  idleTimeoutMillis: parseInt(process.env.DB_POOL_IDLE) || 30000,
+  connectionTimeoutMillis: parseInt(process.env.DB_CONNECTION_TIMEOUT) || 2000,
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
 // Test connection
 pool.on('connect', () => {
-  console.log('Connected to PostgreSQL database');
+  logger.debug('Connected to PostgreSQL database');
 });
 
 pool.on('error', (err) => {
-  console.error('Unexpected error on idle client', err);
+  logger.error('Unexpected error on idle client', err);
   process.exit(-1);
 });
 
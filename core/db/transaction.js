@@ -0,0 +1,43 @@
+const pool = require('./connection');
+const { logger } = require('../utils/logger');
+
+/**
+ * Unit of work over the connection pool
+ *
+ * Checks out a client, runs work(client) between BEGIN and COMMIT and rolls
+ * back when it throws. Model methods take the client as their optional last
+ * argument (defaulting to the pool), so every query of the unit runs on the
+ * same connection:
+ *
+ *   await withTransaction(async (client) => {
+ *     const event = await WebhookEvent.create(eventData, client);
+ *     await Message.updateStatus(whatsappMessageId, status, timestamp, client);
+ *     await WebhookEvent.markAsProcessed(event.id, null, client);
+ *   });
+ */
+async function withTransaction(work) {
+  const client = await pool.connect();
+  let releaseError;
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      // The connection is broken - discard it instead of reusing it
+      logger.error('Error rolling back transaction', rollbackError);
+      releaseError = rollbackError;
+    }
+    throw error;
+  } finally {
+    client.release(releaseError);
+  }
+}
+
+module.exports = {
+  withTransaction
+};
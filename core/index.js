@@ -0,0 +1,94 @@
+/**
+ * whatsapp-webhook-core
+ *
+ * The models, utilities and webhook handling shared by the monolith
+ * (index.js), the webhook-receiver and the db-processor. Each Lambda
+ * depends on this package (file:../core) instead of keeping its own copy;
+ * the deployment scripts install it into the function bundle.
+ */
+
+const { config } = require("./config");
+const pool = require("./db/connection");
+const { withTransaction } = require("./db/transaction");
+
+const Organization = require("./models/Organization");
+const Message = require("./models/Message");
+const CampaignAudience = require("./models/CampaignAudience");
+const WebhookEvent = require("./models/WebhookEvent");
+const IncomingMessage = require("./models/IncomingMessage");
+const ConversationBilling = require("./models/ConversationBilling");
+const PendingMessageStatus = require("./models/PendingMessageStatus");
+const TemplateStatus = require("./models/TemplateStatus");
+const PhoneNumberQuality = require("./models/PhoneNumberQuality");
+const AccountEvent = require("./models/AccountEvent");
+const WebhookSubscription = require("./models/WebhookSubscription");
+const WebhookDelivery = require("./models/WebhookDelivery");
+const SignatureAudit = require("./models/SignatureAudit");
+const OrganizationPhoneNumber = require("./models/OrganizationPhoneNumber");
+const Consent = require("./models/Consent");
+const ServiceWindow = require("./models/ServiceWindow");
+const Contact = require("./models/Contact");
+const ConversationMessage = require("./models/ConversationMessage");
+const ApiKey = require("./models/ApiKey");
+
+const errors = require("./utils/errors");
+const helpers = require("./utils/helpers");
+const messageStatus = require("./utils/messageStatus");
+const accountUpdates = require("./utils/accountUpdates");
+const inboundMessages = require("./utils/inboundMessages");
+const outboundWebhooks = require("./utils/outboundWebhooks");
+const campaignStats = require("./utils/campaignStats");
+const consent = require("./utils/consent");
+const serviceWindows = require("./utils/serviceWindows");
+const contacts = require("./utils/contacts");
+const conversations = require("./utils/conversations");
+const { logger, errorHandler } = require("./utils/logger");
+
+const media = require("./media");
+const secrets = require("./secrets");
+const webhook = require("./webhook");
+const api = require("./api");
+
+module.exports = {
+  config,
+  pool,
+  withTransaction,
+  models: {
+    Organization,
+    Message,
+    CampaignAudience,
+    WebhookEvent,
+    IncomingMessage,
+    ConversationBilling,
+    PendingMessageStatus,
+    TemplateStatus,
+    PhoneNumberQuality,
+    AccountEvent,
+    WebhookSubscription,
+    WebhookDelivery,
+    SignatureAudit,
+    OrganizationPhoneNumber,
+    Consent,
+    ServiceWindow,
+    Contact,
+    ConversationMessage,
+    ApiKey,
+  },
+  errors,
+  helpers,
+  messageStatus,
+  accountUpdates,
+  inboundMessages,
+  outboundWebhooks,
+  campaignStats,
+  consent,
+  serviceWindows,
+  contacts,
+  conversations,
+  logger,
+  errorHandler,
+  media,
+  secrets,
+  webhook,
+  api,
+};
@@ -0,0 +1,213 @@
+const crypto = require("crypto");
+const IncomingMessage = require("../models/IncomingMessage");
+const Organization = require("../models/Organization");
+const GraphMediaClient = require("./graphClient");
+const { logger } = require("../utils/logger");
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "video/mp4": "mp4",
+  "video/3gpp": "3gp",
+  "audio/aac": "aac",
+  "audio/amr": "amr",
+  "audio/mpeg": "mp3",
+  "audio/mp4": "m4a",
+  "audio/ogg": "ogg",
+  "application/pdf": "pdf",
+  "text/plain": "txt",
+};
+
+/**
+ * Error raised while fetching media; retryable=false stops further attempts
+ */
+class MediaDownloadError extends Error {
+  constructor(message, retryable = true) {
+    super(message);
+    this.name = "MediaDownloadError";
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Check a checksum from WhatsApp (hex from the Graph API, base64 in
+ * webhook payloads) against the downloaded data
+ */
+function checksumMatches(expected, digest) {
+  return (
+    expected === digest.toString("hex") ||
+    expected === digest.toString("base64")
+  );
+}
+
+/**
+ * Build the storage key of a message's media
+ */
+function buildStorageKey(incomingMessage, mimeType) {
+  const date = new Date(incomingMessage.timestamp || Date.now());
+  const extension =
+    EXTENSIONS[(mimeType || "").split(";")[0].trim()] || "bin";
+  const name = String(incomingMessage.whatsappMessageId).replace(
+    /[^A-Za-z0-9._-]/g,
+    "_"
+  );
+
+  return [
+    incomingMessage.organizationId,
+    date.getUTCFullYear(),
+    String(date.getUTCMonth() + 1).padStart(2, "0"),
+    `${name}.${extension}`,
+  ].join("/");
+}
+
+/**
+ * Classify a failed Graph request: expired/unknown media and auth errors
+ * will not fix themselves, rate limits and server errors might
+ */
+function toMediaDownloadError(error) {
+  if (error instanceof MediaDownloadError) return error;
+
+  const status = error.response?.status;
+  if (status && status < 500 && status !== 429) {
+    return new MediaDownloadError(`Graph API returned HTTP ${status}`, false);
+  }
+  return new MediaDownloadError(error.message, true);
+}
+
+/**
+ * Asynchronous fetcher for inbound media
+ *
+ * Incoming media messages are stored with media_status = 'pending'; the
+ * fetcher claims them in batches, resolves the media id with the
+ * organization's access token, verifies the sha256, stores the file and
+ * replaces media_url with the durable URL.
+ */
+class MediaFetcher {
+  constructor(options = {}) {
+    if (!options.storage) {
+      throw new Error("MediaFetcher requires a storage adapter");
+    }
+    this.storage = options.storage;
+    this.graphClient = options.graphClient || new GraphMediaClient(options);
+    this.batchSize =
+      options.batchSize || parseInt(process.env.MEDIA_FETCH_BATCH_SIZE) || 10;
+    this.maxAttempts =
+      options.maxAttempts || parseInt(process.env.MEDIA_FETCH_MAX_ATTEMPTS) || 5;
+  }
+
+  /**
+   * Download and store the media of one incoming message
+   */
+  async fetchMessageMedia(incomingMessage, accessToken) {
+    const info = await this.graphClient.getMediaInfo(
+      incomingMessage.mediaId,
+      accessToken
+    );
+    if (!info || !info.url) {
+      throw new MediaDownloadError("Graph API returned no media URL", false);
+    }
+
+    const { data, contentType } = await this.graphClient.download(
+      info.url,
+      accessToken
+    );
+    const digest = crypto.createHash("sha256").update(data).digest();
+
+    const expected = incomingMessage.mediaSha256 || info.sha256;
+    if (expected && !checksumMatches(expected, digest)) {
+      // A corrupt download is worth another attempt
+      throw new MediaDownloadError(
+        `sha256 mismatch for media ${incomingMessage.mediaId}`,
+        true
+      );
+    }
+
+    const mimeType =
+      info.mime_type || contentType || incomingMessage.mediaType || null;
+    const sha256 = digest.toString("hex");
+    const stored = await this.storage.put(
+      buildStorageKey(incomingMessage, mimeType),
+      data,
+      { contentType: mimeType, sha256: sha256 }
+    );
+
+    return IncomingMessage.markMediaStored(incomingMessage.id, {
+      url: stored.url,
+      storageKey: stored.key,
+      mimeType: mimeType,
+      size: data.length,
+      sha256: sha256,
+    });
+  }
+
+  /**
+   * Fetch one batch of pending media
+   */
+  async processPending(limit = this.batchSize) {
+    const messages = await IncomingMessage.claimPendingMedia(
+      limit,
+      this.maxAttempts
+    );
+    const organizations = new Map();
+    const summary = {
+      claimed: messages.length,
+      stored: 0,
+      retrying: 0,
+      failed: 0,
+    };
+
+    for (const message of messages) {
+      try {
+        if (!organizations.has(message.organizationId)) {
+          organizations.set(
+            message.organizationId,
+            await Organization.findById(message.organizationId)
+          );
+        }
+        const organization = organizations.get(message.organizationId);
+        if (!organization || !organization.whatsappAccessToken) {
+          throw new MediaDownloadError(
+            "Organization has no WhatsApp access token",
+            false
+          );
+        }
+
+        await this.fetchMessageMedia(message, organization.whatsappAccessToken);
+        summary.stored++;
+        logger.info("Stored media for incoming message", {
+          organizationId: message.organizationId,
+          incomingMessageId: message.id,
+          mediaId: message.mediaId,
+        });
+      } catch (error) {
+        const mediaError = toMediaDownloadError(error);
+        const retry =
+          mediaError.retryable && message.mediaAttempts < this.maxAttempts;
+
+        logger.warn("Error fetching media for incoming message", {
+          organizationId: message.organizationId,
+          incomingMessageId: message.id,
+          mediaId: message.mediaId,
+          reason: mediaError.message,
+          retry,
+        });
+        await IncomingMessage.markMediaFailed(
+          message.id,
+          mediaError.message,
+          retry
+        );
+        summary[retry ? "retrying" : "failed"]++;
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = {
+  MediaFetcher,
+  MediaDownloadError,
+  buildStorageKey,
+  checksumMatches,
+};
@@ -0,0 +1,186 @@
+jest.mock("../models/IncomingMessage", () => ({
+  claimPendingMedia: jest.fn(),
+  markMediaStored: jest.fn(),
+  markMediaFailed: jest.fn(),
+}));
+jest.mock("../models/Organization", () => ({ findById: jest.fn() }));
+
+const crypto = require("crypto");
+const IncomingMessage = require("../models/IncomingMessage");
+const Organization = require("../models/Organization");
+const {
+  MediaFetcher,
+  MediaDownloadError,
+  buildStorageKey,
+  checksumMatches,
+} = require("./fetcher");
+
+const data = Buffer.from("fake image bytes");
+const digest = crypto.createHash("sha256").update(data).digest();
+
+/**
+ * A claimed incoming message with pending media
+ */
+const pendingMessage = (overrides = {}) => ({
+  id: "im-1",
+  organizationId: "org-1",
+  whatsappMessageId: "wamid.IN/1",
+  mediaId: "media-1",
+  mediaType: "image/jpeg",
+  mediaSha256: digest.toString("base64"),
+  mediaAttempts: 1,
+  timestamp: new Date("2024-03-05T12:00:00Z"),
+  ...overrides,
+});
+
+let graphClient;
+let storage;
+let fetcher;
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  graphClient = {
+    getMediaInfo: jest.fn().mockResolvedValue({
+      url: "https://lookaside.example.com/media-1",
+      mime_type: "image/jpeg",
+      sha256: digest.toString("hex"),
+    }),
+    download: jest.fn().mockResolvedValue({ data, contentType: "image/jpeg" }),
+  };
+  storage = {
+    put: jest.fn(async (key) => ({
+      key,
+      url: `https://cdn.example.com/${key}`,
+    })),
+  };
+  fetcher = new MediaFetcher({ storage, graphClient, maxAttempts: 3 });
+  IncomingMessage.markMediaStored.mockImplementation(async (id, media) => ({
+    id,
+    ...media,
+  }));
+  Organization.findById.mockResolvedValue({
+    id: "org-1",
+    whatsappAccessToken: "token",
+  });
+});
+
+describe("checksumMatches", () => {
+  test("accepts the hex and base64 forms of the digest", () => {
+    expect(checksumMatches(digest.toString("hex"), digest)).toBe(true);
+    expect(checksumMatches(digest.toString("base64"), digest)).toBe(true);
+    expect(checksumMatches("deadbeef", digest)).toBe(false);
+  });
+});
+
+describe("buildStorageKey", () => {
+  test("groups files by organization and month", () => {
+    expect(buildStorageKey(pendingMessage(), "image/jpeg; q=1")).toBe(
+      "org-1/2024/03/wamid.IN_1.jpg"
+    );
+    expect(buildStorageKey(pendingMessage(), "application/x-unknown")).toBe(
+      "org-1/2024/03/wamid.IN_1.bin"
+    );
+  });
+});
+
+describe("fetchMessageMedia", () => {
+  test("stores verified media and records its durable URL", async () => {
+    const stored = await fetcher.fetchMessageMedia(pendingMessage(), "token");
+
+    expect(graphClient.getMediaInfo).toHaveBeenCalledWith("media-1", "token");
+    expect(storage.put).toHaveBeenCalledWith(
+      "org-1/2024/03/wamid.IN_1.jpg",
+      data,
+      { contentType: "image/jpeg", sha256: digest.toString("hex") }
+    );
+    expect(stored).toEqual({
+      id: "im-1",
+      url: "https://cdn.example.com/org-1/2024/03/wamid.IN_1.jpg",
+      storageKey: "org-1/2024/03/wamid.IN_1.jpg",
+      mimeType: "image/jpeg",
+      size: data.length,
+      sha256: digest.toString("hex"),
+    });
+  });
+
+  test("a checksum mismatch is not stored and can be retried", async () => {
+    const error = await fetcher
+      .fetchMessageMedia(pendingMessage({ mediaSha256: "AAAA" }), "token")
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(MediaDownloadError);
+    expect(error.retryable).toBe(true);
+    expect(storage.put).not.toHaveBeenCalled();
+  });
+
+  test("falls back to the Graph API checksum", async () => {
+    graphClient.getMediaInfo.mockResolvedValue({
+      url: "https://lookaside.example.com/media-1",
+      sha256: "00",
+    });
+
+    await expect(
+      fetcher.fetchMessageMedia(pendingMessage({ mediaSha256: null }), "t")
+    ).rejects.toThrow("sha256 mismatch for media media-1");
+  });
+});
+
+describe("processPending", () => {
+  test("stores every claimed message", async () => {
+    IncomingMessage.claimPendingMedia.mockResolvedValue([pendingMessage()]);
+
+    const summary = await fetcher.processPending();
+
+    expect(summary).toEqual({ claimed: 1, stored: 1, retrying: 0, failed: 0 });
+    expect(IncomingMessage.claimPendingMedia).toHaveBeenCalledWith(10, 3);
+  });
+
+  test("server errors are retried until the last attempt", async () => {
+    graphClient.download.mockRejectedValue(
+      Object.assign(new Error("Bad gateway"), { response: { status: 502 } })
+    );
+    IncomingMessage.claimPendingMedia.mockResolvedValue([
+      pendingMessage(),
+      pendingMessage({ id: "im-2", mediaAttempts: 3 }),
+    ]);
+
+    const summary = await fetcher.processPending();
+
+    expect(summary).toMatchObject({ retrying: 1, failed: 1 });
+    expect(IncomingMessage.markMediaFailed.mock.calls).toEqual([
+      ["im-1", "Bad gateway", true],
+      ["im-2", "Bad gateway", false],
+    ]);
+  });
+
+  test("expired media fails right away", async () => {
+    graphClient.getMediaInfo.mockRejectedValue(
+      Object.assign(new Error("Not found"), { response: { status: 404 } })
+    );
+    IncomingMessage.claimPendingMedia.mockResolvedValue([pendingMessage()]);
+
+    expect((await fetcher.processPending()).failed).toBe(1);
+    expect(IncomingMessage.markMediaFailed).toHaveBeenCalledWith(
+      "im-1",
+      "Graph API returned HTTP 404",
+      false
+    );
+  });
+
+  test("an organization without an access token fails its media", async () => {
+    Organization.findById.mockResolvedValue({ id: "org-1" });
+    IncomingMessage.claimPendingMedia.mockResolvedValue([
+      pendingMessage(),
+      pendingMessage({ id: "im-2" }),
+    ]);
+
+    expect((await fetcher.processPending()).failed).toBe(2);
+    expect(Organization.findById).toHaveBeenCalledTimes(1);
+    expect(graphClient.getMediaInfo).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,64 @@
+const axios = require("axios");
+
+/**
+ * Minimal WhatsApp Cloud API (Graph) client for inbound media
+ *
+ * Media ids from webhooks resolve to a short-lived download URL, which must
+ * be fetched with the same bearer token:
+ *
+ *   GET {baseUrl}/{apiVersion}/{mediaId} -> { url, mime_type, sha256, file_size }
+ *   GET url                              -> binary
+ *
+ * baseUrl defaults to https://graph.facebook.com and can point to the mock in
+ * local/mockGraphApi.js.
+ */
+class GraphMediaClient {
+  constructor(options = {}) {
+    this.baseUrl = (
+      options.baseUrl ||
+      process.env.WHATSAPP_GRAPH_API_URL ||
+      "https://graph.facebook.com"
+    ).replace(/\/$/, "");
+    this.apiVersion =
+      options.apiVersion || process.env.WHATSAPP_API_VERSION || "v18.0";
+    this.timeout =
+      options.timeout || parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT) || 30000;
+    this.maxSize =
+      options.maxSize ||
+      parseInt(process.env.MEDIA_MAX_SIZE) ||
+      100 * 1024 * 1024; // WhatsApp documents are limited to 100MB
+  }
+
+  /**
+   * Resolve a media id to its download URL and metadata
+   */
+  async getMediaInfo(mediaId, accessToken) {
+    const response = await axios.get(
+      `${this.baseUrl}/${this.apiVersion}/${encodeURIComponent(mediaId)}`,
+      {
+        timeout: this.timeout,
+        headers: { Authorization: `Bearer ${accessToken}` },
+      }
+    );
+    return response.data;
+  }
+
+  /**
+   * Download the binary behind a media URL
+   */
+  async download(url, accessToken) {
+    const response = await axios.get(url, {
+      timeout: this.timeout,
+      responseType: "arraybuffer",
+      maxContentLength: this.maxSize,
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+
+    return {
+      data: Buffer.from(response.data),
+      contentType: response.headers["content-type"] || null,
+    };
+  }
+}
+
+module.exports = GraphMediaClient;
@@ -0,0 +1,53 @@
+const LocalMediaStorage = require("./localStorage");
+const S3MediaStorage = require("./s3Storage");
+const GraphMediaClient = require("./graphClient");
+const { MediaFetcher, MediaDownloadError } = require("./fetcher");
+
+/**
+ * Inbound media download pipeline
+ *
+ * Storage is selected with MEDIA_STORAGE:
+ *   local - files in MEDIA_STORAGE_DIR (default)
+ *   s3    - S3-compatible bucket MEDIA_S3_BUCKET (MEDIA_S3_ENDPOINT for MinIO etc.)
+ *
+ * Every storage adapter exposes put(key, data, { contentType, sha256 })
+ * -> { key, url } and get(key).
+ */
+const STORAGES = {
+  local: LocalMediaStorage,
+  s3: S3MediaStorage,
+};
+
+/**
+ * Create a storage adapter for the given (or configured) backend
+ */
+function createMediaStorage(options = {}) {
+  const backend = options.backend || process.env.MEDIA_STORAGE || "local";
+  const Storage = STORAGES[backend];
+
+  if (!Storage) {
+    throw new Error(`Unknown media storage: ${backend}`);
+  }
+
+  return new Storage(options);
+}
+
+/**
+ * Create a fetcher using the configured storage and Graph API
+ */
+function createMediaFetcher(options = {}) {
+  return new MediaFetcher({
+    ...options,
+    storage: options.storage || createMediaStorage(options),
+  });
+}
+
+module.exports = {
+  createMediaStorage,
+  createMediaFetcher,
+  MediaFetcher,
+  MediaDownloadError,
+  GraphMediaClient,
+  LocalMediaStorage,
+  S3MediaStorage,
+};
@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Local filesystem media storage
+ * Files live under MEDIA_STORAGE_DIR; MEDIA_PUBLIC_BASE_URL can map them to
+ * the URL of whatever serves that directory.
+ */
+class LocalMediaStorage {
+  constructor(options = {}) {
+    this.directory = path.resolve(
+      options.directory || process.env.MEDIA_STORAGE_DIR || "./media-store"
+    );
+    this.publicBaseUrl =
+      options.publicBaseUrl || process.env.MEDIA_PUBLIC_BASE_URL || null;
+    this.name = "local";
+  }
+
+  /**
+   * Store a file; returns its durable URL
+   */
+  async put(key, data) {
+    const filePath = this.resolvePath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Write then rename so readers never see a partial file
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, filePath);
+
+    return { key: key, url: this.getUrl(key) };
+  }
+
+  /**
+   * Read a stored file
+   */
+  async get(key) {
+    return fs.promises.readFile(this.resolvePath(key));
+  }
+
+  getUrl(key) {
+    if (this.publicBaseUrl) {
+      return `${this.publicBaseUrl.replace(/\/$/, "")}/${key}`;
+    }
+    return `file://${this.resolvePath(key)}`;
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid media storage key: ${key}`);
+    }
+    return filePath;
+  }
+}
+
+module.exports = LocalMediaStorage;
@@ -0,0 +1,50 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const LocalMediaStorage = require("./localStorage");
+
+describe("LocalMediaStorage", () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "media-store-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test("stores a file under its key without leaving temp files", async () => {
+    const storage = new LocalMediaStorage({ directory });
+
+    const stored = await storage.put("org-1/2024/03/a.jpg", Buffer.from("x"));
+
+    expect(stored).toEqual({
+      key: "org-1/2024/03/a.jpg",
+      url: `file://${path.join(directory, "org-1/2024/03/a.jpg")}`,
+    });
+    expect((await storage.get("org-1/2024/03/a.jpg")).toString()).toBe("x");
+    expect(await fs.readdir(path.join(directory, "org-1/2024/03"))).toEqual([
+      "a.jpg",
+    ]);
+  });
+
+  test("maps keys to the public base URL", () => {
+    const storage = new LocalMediaStorage({
+      directory,
+      publicBaseUrl: "https://media.example.com/",
+    });
+
+    expect(storage.getUrl("org-1/a.jpg")).toBe(
+      "https://media.example.com/org-1/a.jpg"
+    );
+  });
+
+  test("refuses keys outside the storage directory", async () => {
+    const storage = new LocalMediaStorage({ directory });
+
+    await expect(
+      storage.put("../escape.jpg", Buffer.from("x"))
+    ).rejects.toThrow("Invalid media storage key: ../escape.jpg");
+  });
+});
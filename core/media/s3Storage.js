@@ -0,0 +1,79 @@
+/**
+ * S3-compatible media storage (AWS S3, MinIO, Cloudflare R2, ...)
+ *
+ * MEDIA_S3_ENDPOINT switches to a non-AWS endpoint with path-style URLs.
+ */
+class S3MediaStorage {
+  constructor(options = {}) {
+    this.bucket = options.bucket || process.env.MEDIA_S3_BUCKET;
+    this.region =
+      options.region ||
+      process.env.MEDIA_S3_REGION ||
+      process.env.AWS_REGION ||
+      "us-east-1";
+    this.endpoint = options.endpoint || process.env.MEDIA_S3_ENDPOINT || null;
+    this.publicBaseUrl =
+      options.publicBaseUrl || process.env.MEDIA_PUBLIC_BASE_URL || null;
+    this.client = options.client || null;
+    this.name = "s3";
+  }
+
+  /**
+   * Get the S3 client (aws-sdk is only loaded when no client was given)
+   */
+  getClient() {
+    if (!this.client) {
+      const AWS = require("aws-sdk");
+      this.client = new AWS.S3({
+        region: this.region,
+        ...(this.endpoint
+          ? { endpoint: this.endpoint, s3ForcePathStyle: true }
+          : {}),
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Store a file; returns its durable URL
+   */
+  async put(key, data, options = {}) {
+    if (!this.bucket) {
+      throw new Error("MEDIA_S3_BUCKET environment variable not set");
+    }
+
+    await this.getClient()
+      .putObject({
+        Bucket: this.bucket,
+        Key: key,
+        Body: data,
+        ContentType: options.contentType || "application/octet-stream",
+        Metadata: options.sha256 ? { sha256: options.sha256 } : undefined,
+      })
+      .promise();
+
+    return { key: key, url: this.getUrl(key) };
+  }
+
+  /**
+   * Read a stored file
+   */
+  async get(key) {
+    const result = await this.getClient()
+      .getObject({ Bucket: this.bucket, Key: key })
+      .promise();
+    return result.Body;
+  }
+
+  getUrl(key) {
+    if (this.publicBaseUrl) {
+      return `${this.publicBaseUrl.replace(/\/$/, "")}/${key}`;
+    }
+    if (this.endpoint) {
+      return `${this.endpoint.replace(/\/$/, "")}/${this.bucket}/${key}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+}
+
+module.exports = S3MediaStorage;
@@ -0,0 +1,71 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+class AccountEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.phoneNumber = data.phone_number;
+    this.event = data.event;
+    this.details = data.details;
+    this.eventTimestamp = data.event_timestamp;
+    this.rawPayload = data.raw_payload;
+    this.createdAt = data.created_at;
+  }
+
+  // Extract an account_update change value
+  // (ban, violation and restriction info are kept as details)
+  static extractFromWebhook(value) {
+    const { phone_number, event, ...details } = value;
+
+    return {
+      phoneNumber: phone_number || null,
+      event: event || "UNKNOWN",
+      details: Object.keys(details).length > 0 ? details : null,
+    };
+  }
+
+  // Record an account update
+  static async create(organizationId, update, rawPayload, client = pool) {
+    try {
+      const query = `
+        INSERT INTO account_events (
+          organization_id, phone_number, event, details, event_timestamp,
+          raw_payload
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        organizationId,
+        update.phoneNumber,
+        update.event,
+        update.details ? JSON.stringify(update.details) : null,
+        update.timestamp || new Date(),
+        JSON.stringify(rawPayload),
+      ]);
+      return new AccountEvent(result.rows[0]);
+    } catch (error) {
+      logger.error("Error recording account event", error);
+      throw error;
+    }
+  }
+
+  // Get account events for an organization
+  static async findByOrganization(organizationId, limit = 50) {
+    try {
+      const query = `
+        SELECT * FROM account_events
+        WHERE organization_id = $1
+        ORDER BY event_timestamp DESC
+        LIMIT $2
+      `;
+      const result = await pool.query(query, [organizationId, limit]);
+      return result.rows.map((row) => new AccountEvent(row));
+    } catch (error) {
+      logger.error("Error finding account events", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AccountEvent;
@@ -0,0 +1,115 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+class ApiKey {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.name = data.name;
+    this.keyPrefix = data.key_prefix;
+    this.lastUsedAt = data.last_used_at;
+    this.expiresAt = data.expires_at;
+    this.revokedAt = data.revoked_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Store a new key (only its hash: the key itself is shown once, when
+  // created)
+  static async create(keyData) {
+    try {
+      const query = `
+        INSERT INTO api_keys (
+          organization_id, name, key_prefix, key_hash, expires_at
+        ) VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `;
+      const result = await pool.query(query, [
+        keyData.organizationId,
+        keyData.name,
+        keyData.keyPrefix,
+        keyData.keyHash,
+        keyData.expiresAt || null,
+      ]);
+      return new ApiKey(result.rows[0]);
+    } catch (error) {
+      logger.error("Error creating API key", error);
+      throw error;
+    }
+  }
+
+  // Find the usable key with the given hash: not revoked, not expired and
+  // of an active organization
+  static async findActiveByHash(keyHash) {
+    try {
+      const query = `
+        SELECT k.* FROM api_keys k
+        JOIN organizations o ON o.id = k.organization_id
+        WHERE k.key_hash = $1
+        AND k.revoked_at IS NULL
+        AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)
+        AND o.status = 'active'
+      `;
+      const result = await pool.query(query, [keyHash]);
+      return result.rows.length > 0 ? new ApiKey(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error finding API key", error);
+      throw error;
+    }
+  }
+
+  // Get an organization's keys, newest first
+  static async findByOrganization(organizationId) {
+    try {
+      const query = `
+        SELECT * FROM api_keys
+        WHERE organization_id = $1
+        ORDER BY created_at DESC
+      `;
+      const result = await pool.query(query, [organizationId]);
+      return result.rows.map((row) => new ApiKey(row));
+    } catch (error) {
+      logger.error("Error finding API keys by organization", error);
+      throw error;
+    }
+  }
+
+  // Revoke one of an organization's keys
+  // Returns null when the organization has no such active key
+  static async revoke(organizationId, id) {
+    try {
+      const query = `
+        UPDATE api_keys
+        SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND organization_id = $2 AND revoked_at IS NULL
+        RETURNING *
+      `;
+      const result = await pool.query(query, [id, organizationId]);
+      return result.rows.length > 0 ? new ApiKey(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error revoking API key", error);
+      throw error;
+    }
+  }
+
+  // Record that a key was used (at most once a minute per key)
+  static async touch(id) {
+    try {
+      const query = `
+        UPDATE api_keys
+        SET last_used_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        AND (
+          last_used_at IS NULL
+          OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute'
+        )
+      `;
+      await pool.query(query, [id]);
+    } catch (error) {
+      logger.error("Error recording API key use", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiKey;
@@ -0,0 +1,375 @@
+const pool = require('../db/connection');
+const { logger } = require('../utils/logger');
+const { buildStatusTransitionQuery, describeTransition } = require('../utils/messageStatus');
+const { withTransaction } = require('../db/transaction');
+const TemplateStatus = require('./TemplateStatus');
+
+// campaigns counter for each audience status (pending has none)
+const CAMPAIGN_STATS_COLUMNS = {
+  sent: 'total_sent',
+  delivered: 'total_delivered',
+  read: 'total_read',
+  failed: 'total_failed'
+};
+
+const STATS_FIELDS = [
+  'total_targeted_audience',
+  'total_sent',
+  'total_delivered',
+  'total_read',
+  'total_failed'
+];
+
+class CampaignAudience {
+  constructor(data) {
+    this.id = data.id;
+    this.campaignId = data.campaign_id;
+    this.organizationId = data.organization_id;
+    this.name = data.name;
+    this.msisdn = data.msisdn;
+    this.attributes = data.attributes;
+    this.messageStatus = data.message_status;
+    this.sentAt = data.sent_at;
+    this.deliveredAt = data.delivered_at;
+    this.readAt = data.read_at;
+    this.failedAt = data.failed_at;
+    this.failureReason = data.failure_reason;
+    this.whatsappMessageId = data.whatsapp_message_id;
+    this.optedOutAt = data.opted_out_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Find campaign audience by WhatsApp message ID
+  static async findByWhatsAppId(whatsappMessageId, client = pool) {
+    try {
+      const query = 'SELECT * FROM campaign_audience WHERE whatsapp_message_id = $1';
+      const result = await client.query(query, [whatsappMessageId]);
+      return result.rows.length > 0 ? new CampaignAudience(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding campaign audience by WhatsApp ID', error);
+      throw error;
+    }
+  }
+
+  // Find campaign audience by ID
+  static async findById(id) {
+    try {
+      const query = 'SELECT * FROM campaign_audience WHERE id = $1';
+      const result = await pool.query(query, [id]);
+      return result.rows.length > 0 ? new CampaignAudience(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding campaign audience by ID', error);
+      throw error;
+    }
+  }
+
+  // Update message status for campaign audience following the status lifecycle
+  static async updateStatus(whatsappMessageId, status, timestamp = null, client = pool) {
+    try {
+      const { query, params } = buildStatusTransitionQuery('campaign_audience', whatsappMessageId, status, timestamp);
+      const result = await client.query(query, params);
+      
+      if (result.rows.length === 0) return null;
+
+      // Move the row between the campaign counters
+      const audience = CampaignAudience.fromTransitionRow(result.rows[0], status);
+      await CampaignAudience.applyStatsDelta(audience.campaignId, audience.statusTransition, client);
+
+      return audience;
+    } catch (error) {
+      logger.error('Error updating campaign audience status', error);
+      throw error;
+    }
+  }
+
+  // Update campaign audience with failure reason
+  static async updateWithFailure(whatsappMessageId, failureReason, timestamp = null, client = pool) {
+    try {
+      const { query, params } = buildStatusTransitionQuery('campaign_audience', whatsappMessageId, 'failed', timestamp, failureReason);
+      const result = await client.query(query, params);
+      
+      if (result.rows.length === 0) return null;
+
+      // Move the row between the campaign counters
+      const audience = CampaignAudience.fromTransitionRow(result.rows[0], 'failed');
+      await CampaignAudience.applyStatsDelta(audience.campaignId, audience.statusTransition, client);
+
+      return audience;
+    } catch (error) {
+      logger.error('Error updating campaign audience with failure', error);
+      throw error;
+    }
+  }
+
+  // Build a campaign audience row from a status update, keeping the transition outcome
+  static fromTransitionRow(row, requestedStatus) {
+    const audience = new CampaignAudience(row);
+    audience.statusTransition = describeTransition(row, requestedStatus);
+    return audience;
+  }
+
+  // Apply a status transition to the campaign counters in place
+  // (decrement the bucket the row left, increment the one it entered)
+  static async applyStatsDelta(campaignId, statusTransition, client = pool) {
+    const { from, current, applied } = statusTransition;
+    const fromColumn = CAMPAIGN_STATS_COLUMNS[from];
+    const toColumn = CAMPAIGN_STATS_COLUMNS[current];
+
+    if (!campaignId || !applied || from === current) return false;
+    if (!fromColumn && !toColumn) return false;
+
+    try {
+      const assignments = [];
+      if (fromColumn) {
+        assignments.push(`${fromColumn} = GREATEST(COALESCE(${fromColumn}, 0) - 1, 0)`);
+      }
+      if (toColumn) {
+        assignments.push(`${toColumn} = COALESCE(${toColumn}, 0) + 1`);
+      }
+      assignments.push('updated_at = CURRENT_TIMESTAMP');
+
+      const query = `
+        UPDATE campaigns
+        SET ${assignments.join(', ')}
+        WHERE id = $1
+      `;
+      const result = await client.query(query, [campaignId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error applying campaign statistics delta', error);
+      throw error;
+    }
+  }
+
+  // Count the campaign's audience per status bucket
+  static async countCampaignStats(campaignId, client = pool) {
+    try {
+      const query = `
+        SELECT 
+          COUNT(*)::int as total_targeted_audience,
+          COUNT(CASE WHEN message_status = 'sent' THEN 1 END)::int as total_sent,
+          COUNT(CASE WHEN message_status = 'delivered' THEN 1 END)::int as total_delivered,
+          COUNT(CASE WHEN message_status = 'read' THEN 1 END)::int as total_read,
+          COUNT(CASE WHEN message_status = 'failed' THEN 1 END)::int as total_failed
+        FROM campaign_audience 
+        WHERE campaign_id = $1
+      `;
+      const result = await client.query(query, [campaignId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error counting campaign statistics', error);
+      throw error;
+    }
+  }
+
+  // Recompute the campaign counters from scratch and report drift
+  // The campaign row is locked first, so status updates in flight apply
+  // their delta on top of the recomputed totals instead of being lost
+  static async reconcileCampaignStats(campaignId) {
+    try {
+      return await withTransaction(async (client) => {
+        const campaignResult = await client.query(
+          `SELECT id, ${STATS_FIELDS.join(', ')} FROM campaigns WHERE id = $1 FOR UPDATE`,
+          [campaignId]
+        );
+        if (campaignResult.rows.length === 0) return null;
+
+        const recorded = campaignResult.rows[0];
+        const actual = await CampaignAudience.countCampaignStats(campaignId, client);
+
+        const drift = {};
+        for (const field of STATS_FIELDS) {
+          const difference = actual[field] - (parseInt(recorded[field]) || 0);
+          if (difference !== 0) drift[field] = difference;
+        }
+
+        if (Object.keys(drift).length > 0) {
+          await CampaignAudience.updateCampaignStats(campaignId, client, actual);
+        }
+
+        return {
+          campaignId: campaignId,
+          drift: Object.keys(drift).length > 0 ? drift : null,
+          stats: actual
+        };
+      });
+    } catch (error) {
+      logger.error('Error reconciling campaign statistics', error);
+      throw error;
+    }
+  }
+
+  // Find campaigns whose audience changed since the given date
+  static async findCampaignIdsUpdatedSince(since) {
+    try {
+      const query = `
+        SELECT DISTINCT campaign_id FROM campaign_audience
+        WHERE campaign_id IS NOT NULL
+        AND ($1::timestamptz IS NULL OR updated_at >= $1)
+      `;
+      const result = await pool.query(query, [since || null]);
+      return result.rows.map(row => row.campaign_id);
+    } catch (error) {
+      logger.error('Error finding campaigns with audience updates', error);
+      throw error;
+    }
+  }
+
+  // Update campaign statistics based on audience status
+  // (full recount; status handling uses applyStatsDelta)
+  static async updateCampaignStats(campaignId, client = pool, stats = null) {
+    try {
+      if (!stats) {
+        stats = await CampaignAudience.countCampaignStats(campaignId, client);
+      }
+      
+      const updateQuery = `
+        UPDATE campaigns 
+        SET 
+          total_targeted_audience = $1,
+          total_sent = $2,
+          total_delivered = $3,
+          total_read = $4,
+          total_failed = $5,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $6
+      `;
+      
+      await client.query(updateQuery, [
+        stats.total_targeted_audience,
+        stats.total_sent,
+        stats.total_delivered,
+        stats.total_read,
+        stats.total_failed,
+        campaignId
+      ]);
+      
+      logger.debug('Updated campaign statistics', { campaignId, stats });
+    } catch (error) {
+      logger.error('Error updating campaign statistics', error);
+      throw error;
+    }
+  }
+
+  // Get campaign audience by campaign ID
+  static async getByCampaignId(campaignId, limit = 100, offset = 0) {
+    try {
+      const query = `
+        SELECT * FROM campaign_audience 
+        WHERE campaign_id = $1 
+        ORDER BY created_at DESC 
+        LIMIT $2 OFFSET $3
+      `;
+      const result = await pool.query(query, [campaignId, limit, offset]);
+      return result.rows.map(row => new CampaignAudience(row));
+    } catch (error) {
+      logger.error('Error getting campaign audience', error);
+      throw error;
+    }
+  }
+
+  // Get campaign audience by phone number (in any format) and organization
+  static async getByPhoneAndOrg(msisdn, organizationId) {
+    return CampaignAudience.getByContact({
+      organizationId,
+      waId: String(msisdn || '').replace(/\D/g, '')
+    });
+  }
+
+  // Get the campaign audience rows of a contact (matched on its wa_id,
+  // stored numbers may be formatted)
+  // The digits-only match uses idx_campaign_audience_msisdn_digits; keep
+  // the expression as it is indexed
+  static async getByContact(contact) {
+    try {
+      const query = `
+        SELECT ca.*, c.name as campaign_name 
+        FROM campaign_audience ca 
+        JOIN campaigns c ON ca.campaign_id = c.id 
+        WHERE ca.organization_id = $1
+        AND regexp_replace(ca.msisdn, '\\D', '', 'g') = $2
+        ORDER BY ca.created_at DESC
+      `;
+      const result = await pool.query(query, [contact.organizationId, contact.waId]);
+      return result.rows.map(row => new CampaignAudience(row));
+    } catch (error) {
+      logger.error('Error getting campaign audience by contact', error);
+      throw error;
+    }
+  }
+
+  // Flag the pending rows of a number that opted out so they are not sent
+  // (msisdn: digits only, stored numbers may be formatted)
+  static async flagOptedOut(organizationId, msisdn, optedOutAt = null, client = pool) {
+    try {
+      const query = `
+        UPDATE campaign_audience
+        SET opted_out_at = COALESCE($3, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+        WHERE organization_id = $1
+        AND regexp_replace(msisdn, '\\D', '', 'g') = $2
+        AND message_status = 'pending'
+        AND opted_out_at IS NULL
+      `;
+      const result = await client.query(query, [organizationId, msisdn, optedOutAt]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error flagging opted-out campaign audience', error);
+      throw error;
+    }
+  }
+
+  // Clear the opt-out flag of a number's pending rows after it opted back in
+  static async clearOptedOut(organizationId, msisdn, client = pool) {
+    try {
+      const query = `
+        UPDATE campaign_audience
+        SET opted_out_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE organization_id = $1
+        AND regexp_replace(msisdn, '\\D', '', 'g') = $2
+        AND message_status = 'pending'
+        AND opted_out_at IS NOT NULL
+      `;
+      const result = await client.query(query, [organizationId, msisdn]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error clearing opted-out campaign audience', error);
+      throw error;
+    }
+  }
+
+  // Get pending messages for sending
+  // (skips opted-out numbers and templates Meta reported as rejected, paused
+  // or disabled)
+  static async getPendingMessages(limit = 100) {
+    try {
+      const query = `
+        SELECT ca.*, c.name as campaign_name, t.name as template_name
+        FROM campaign_audience ca
+        JOIN campaigns c ON ca.campaign_id = c.id
+        JOIN templates t ON c.template_id = t.id
+        WHERE ca.message_status = 'pending'
+        AND ca.opted_out_at IS NULL
+        AND c.status = 'approved'
+        AND NOT EXISTS (
+          SELECT 1 FROM whatsapp_template_statuses ts
+          WHERE ts.organization_id = ca.organization_id
+          AND ts.template_name = t.name
+          AND ts.status = ANY($2)
+        )
+        ORDER BY ca.created_at ASC
+        LIMIT $1
+      `;
+      const result = await pool.query(query, [
+        limit,
+        TemplateStatus.UNUSABLE_TEMPLATE_STATUSES
+      ]);
+      return result.rows.map(row => new CampaignAudience(row));
+    } catch (error) {
+      logger.error('Error getting pending messages', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CampaignAudience;
@@ -0,0 +1,139 @@
+jest.mock('../db/connection', () => {
+  const query = jest.fn();
+  return { query, connect: async () => ({ query, release() {} }) };
+});
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db/connection');
+const CampaignAudience = require('./CampaignAudience');
+
+// The indexed expression (idx_campaign_audience_msisdn_digits)
+const schema = fs.readFileSync(
+  path.join(__dirname, '../../db/schema.sql'),
+  'utf8'
+);
+const indexed = schema.match(
+  /ON campaign_audience\(organization_id, (regexp_replace\(msisdn, '\\D', '', 'g'\))\)/
+)[1];
+
+/**
+ * The WHERE clause of a query, without table aliases
+ */
+const whereOf = (query) =>
+  query.slice(query.indexOf('WHERE')).replace(/\bca\./g, '');
+
+beforeEach(() => {
+  pool.query.mockReset();
+  pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+});
+
+describe('lookups by number', () => {
+  const contact = { organizationId: 'org-1', waId: '1555' };
+
+  test.each([
+    ['getByContact', () => CampaignAudience.getByContact(contact)],
+    ['getByPhoneAndOrg', () => CampaignAudience.getByPhoneAndOrg('+1 555', 'org-1')],
+    ['flagOptedOut', () => CampaignAudience.flagOptedOut('org-1', '1555')],
+    ['clearOptedOut', () => CampaignAudience.clearOptedOut('org-1', '1555')]
+  ])('%s matches on the indexed expression', async (name, lookup) => {
+    await lookup();
+
+    const [query, params] = pool.query.mock.calls[0];
+    expect(whereOf(query)).toContain('organization_id = $1');
+    expect(whereOf(query)).toContain(`${indexed} = $2`);
+    expect(params.slice(0, 2)).toEqual(['org-1', '1555']);
+  });
+});
+
+describe('campaign counters', () => {
+  const transition = (from, current, applied = true) => ({
+    from,
+    to: current,
+    current,
+    applied
+  });
+
+  test.each([
+    ['sent', 'delivered', 'total_sent = GREATEST(COALESCE(total_sent, 0) - 1, 0), total_delivered = COALESCE(total_delivered, 0) + 1'],
+    ['pending', 'sent', 'total_sent = COALESCE(total_sent, 0) + 1'],
+    ['delivered', 'read', 'total_delivered = GREATEST(COALESCE(total_delivered, 0) - 1, 0), total_read = COALESCE(total_read, 0) + 1'],
+    ['failed', 'delivered', 'total_failed = GREATEST(COALESCE(total_failed, 0) - 1, 0), total_delivered = COALESCE(total_delivered, 0) + 1']
+  ])('%s -> %s moves the row between counters', async (from, to, assignments) => {
+    pool.query.mockResolvedValue({ rowCount: 1 });
+
+    expect(await CampaignAudience.applyStatsDelta('camp-1', transition(from, to))).toBe(true);
+
+    const [query, params] = pool.query.mock.calls[0];
+    expect(query).toContain(`SET ${assignments}, updated_at = CURRENT_TIMESTAMP`);
+    expect(params).toEqual(['camp-1']);
+  });
+
+  test.each([
+    ['a rejected transition', 'camp-1', transition('read', 'read', false)],
+    ['a repeated status', 'camp-1', transition('delivered', 'delivered')],
+    ['a row without campaign', null, transition('sent', 'delivered')]
+  ])('%s leaves the counters alone', async (name, campaignId, statusTransition) => {
+    expect(await CampaignAudience.applyStatsDelta(campaignId, statusTransition)).toBe(false);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('a status update applies its delta in the same transaction', async () => {
+    const client = { query: jest.fn() };
+    client.query
+      .mockResolvedValueOnce({
+        rows: [{ id: 'ca-1', campaign_id: 'camp-1', message_status: 'read', previous_status: 'delivered' }]
+      })
+      .mockResolvedValueOnce({ rowCount: 1 });
+
+    const audience = await CampaignAudience.updateStatus('wamid.1', 'read', null, client);
+
+    expect(audience.statusTransition).toMatchObject({ from: 'delivered', applied: true });
+    expect(client.query.mock.calls[1][0]).toContain('UPDATE campaigns');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('reconcileCampaignStats', () => {
+  const counted = {
+    total_targeted_audience: 10,
+    total_sent: 2,
+    total_delivered: 5,
+    total_read: 2,
+    total_failed: 1
+  };
+
+  /**
+   * Answer the campaign lock with the recorded counters and the recount
+   * with the actual ones
+   */
+  const answer = (recorded) =>
+    pool.query.mockImplementation(async (query) => {
+      if (/FOR UPDATE/.test(query)) return { rows: recorded ? [recorded] : [] };
+      if (/FROM campaign_audience/.test(query)) return { rows: [counted] };
+      return { rows: [], rowCount: 1 };
+    });
+
+  test('corrects drifted counters and reports the drift', async () => {
+    answer({ id: 'camp-1', ...counted, total_sent: '3', total_delivered: '4' });
+
+    const result = await CampaignAudience.reconcileCampaignStats('camp-1');
+
+    expect(result.drift).toEqual({ total_sent: -1, total_delivered: 1 });
+    const update = pool.query.mock.calls.find(([query]) => /UPDATE campaigns/.test(query));
+    expect(update[1]).toEqual([10, 2, 5, 2, 1, 'camp-1']);
+  });
+
+  test('leaves matching counters alone', async () => {
+    answer({ id: 'camp-1', ...counted });
+
+    expect((await CampaignAudience.reconcileCampaignStats('camp-1')).drift).toBeNull();
+    expect(pool.query.mock.calls.some(([query]) => /UPDATE campaigns/.test(query))).toBe(false);
+  });
+
+  test('skips campaigns that do not exist', async () => {
+    answer(null);
+
+    expect(await CampaignAudience.reconcileCampaignStats('camp-1')).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+class Consent {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.msisdn = data.msisdn;
+    this.source = data.source;
+    this.keyword = data.keyword;
+    this.errorCode = data.error_code;
+    this.whatsappMessageId = data.whatsapp_message_id;
+    this.optedOutAt = data.opted_out_at;
+  }
+
+  // Check whether a number is on the organization's opt-out list
+  static async isOptedOut(organizationId, msisdn, client = pool) {
+    try {
+      const query =
+        "SELECT 1 FROM opt_outs WHERE organization_id = $1 AND msisdn = $2";
+      const result = await client.query(query, [organizationId, msisdn]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error("Error checking opt-out", error);
+      throw error;
+    }
+  }
+
+  // Get the organization's opt-out list
+  static async findOptOuts(organizationId, limit = 100, offset = 0) {
+    try {
+      const query = `
+        SELECT * FROM opt_outs
+        WHERE organization_id = $1
+        ORDER BY opted_out_at DESC
+        LIMIT $2 OFFSET $3
+      `;
+      const result = await pool.query(query, [organizationId, limit, offset]);
+      return result.rows.map((row) => new Consent(row));
+    } catch (error) {
+      logger.error("Error finding opt-outs", error);
+      throw error;
+    }
+  }
+
+  // Add a number to the opt-out list
+  // Returns null when it already was on it
+  static async addOptOut(optOutData, client = pool) {
+    try {
+      const query = `
+        INSERT INTO opt_outs (
+          organization_id, msisdn, source, keyword, error_code,
+          whatsapp_message_id, opted_out_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP))
+        ON CONFLICT (organization_id, msisdn) DO NOTHING
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        optOutData.organizationId,
+        optOutData.msisdn,
+        optOutData.source,
+        optOutData.keyword || null,
+        optOutData.errorCode || null,
+        optOutData.whatsappMessageId || null,
+        optOutData.timestamp || null,
+      ]);
+      return result.rows.length > 0 ? new Consent(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error adding opt-out", error);
+      throw error;
+    }
+  }
+
+  // Remove a number from the opt-out list
+  // Returns false when it was not on it
+  static async removeOptOut(organizationId, msisdn, client = pool) {
+    try {
+      const query =
+        "DELETE FROM opt_outs WHERE organization_id = $1 AND msisdn = $2";
+      const result = await client.query(query, [organizationId, msisdn]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error("Error removing opt-out", error);
+      throw error;
+    }
+  }
+
+  // Record a consent change in the history
+  static async recordHistory(historyData, client = pool) {
+    try {
+      const query = `
+        INSERT INTO consent_history (
+          organization_id, msisdn, action, source, keyword, error_code,
+          whatsapp_message_id, webhook_event_id, created_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, CURRENT_TIMESTAMP)
+        )
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        historyData.organizationId,
+        historyData.msisdn,
+        historyData.action,
+        historyData.source,
+        historyData.keyword || null,
+        historyData.errorCode || null,
+        historyData.whatsappMessageId || null,
+        historyData.webhookEventId || null,
+        historyData.timestamp || null,
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error("Error recording consent history", error);
+      throw error;
+    }
+  }
+
+  // Get the consent history of a number, newest first
+  static async getHistory(organizationId, msisdn, limit = 100) {
+    try {
+      const query = `
+        SELECT * FROM consent_history
+        WHERE organization_id = $1 AND msisdn = $2
+        ORDER BY created_at DESC
+        LIMIT $3
+      `;
+      const result = await pool.query(query, [organizationId, msisdn, limit]);
+      return result.rows.map((row) => ({
+        id: row.id,
+        action: row.action,
+        source: row.source,
+        keyword: row.keyword,
+        errorCode: row.error_code,
+        whatsappMessageId: row.whatsapp_message_id,
+        webhookEventId: row.webhook_event_id,
+        createdAt: row.created_at,
+      }));
+    } catch (error) {
+      logger.error("Error getting consent history", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Consent;
@@ -0,0 +1,177 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+class Contact {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.waId = data.wa_id;
+    this.profileName = data.profile_name;
+    this.firstSeenAt = data.first_seen_at;
+    this.lastSeenAt = data.last_seen_at;
+    this.lastInboundAt = data.last_inbound_at;
+    this.lastOutboundAt = data.last_outbound_at;
+    this.inboundCount = data.inbound_count;
+    this.outboundCount = data.outbound_count;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Create or update the contact of a customer seen in a webhook
+  // direction: "inbound" (a message from the customer), "outbound" (a
+  // message to the customer was sent) or null (only seen, e.g. a read receipt)
+  // countMessage: false leaves the message counts alone (replayed events
+  // were counted the first time)
+  // The profile name is kept from the most recent webhook and added to the
+  // name history
+  static async recordActivity(activity, client = pool) {
+    try {
+      const query = `
+        INSERT INTO contacts (
+          organization_id, wa_id, profile_name, first_seen_at, last_seen_at,
+          last_inbound_at, last_outbound_at, inbound_count, outbound_count
+        ) VALUES (
+          $1, $2, $3, $4, $4,
+          CASE WHEN $5::text = 'inbound' THEN $4::timestamptz END,
+          CASE WHEN $5::text = 'outbound' THEN $4::timestamptz END,
+          CASE WHEN $5::text = 'inbound' AND $6::boolean THEN 1 ELSE 0 END,
+          CASE WHEN $5::text = 'outbound' AND $6::boolean THEN 1 ELSE 0 END
+        )
+        ON CONFLICT (organization_id, wa_id) DO UPDATE SET
+          profile_name = CASE
+            WHEN EXCLUDED.profile_name IS NOT NULL
+              AND EXCLUDED.last_seen_at >= contacts.last_seen_at
+            THEN EXCLUDED.profile_name
+            ELSE contacts.profile_name
+          END,
+          first_seen_at = LEAST(contacts.first_seen_at, EXCLUDED.first_seen_at),
+          last_seen_at = GREATEST(contacts.last_seen_at, EXCLUDED.last_seen_at),
+          last_inbound_at = GREATEST(
+            contacts.last_inbound_at, EXCLUDED.last_inbound_at
+          ),
+          last_outbound_at = GREATEST(
+            contacts.last_outbound_at, EXCLUDED.last_outbound_at
+          ),
+          inbound_count = contacts.inbound_count + EXCLUDED.inbound_count,
+          outbound_count = contacts.outbound_count + EXCLUDED.outbound_count
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        activity.organizationId,
+        activity.waId,
+        activity.profileName || null,
+        activity.timestamp,
+        activity.direction || null,
+        activity.countMessage !== false,
+      ]);
+      const contact = new Contact(result.rows[0]);
+
+      if (activity.profileName) {
+        await Contact.recordProfileName(
+          contact.id,
+          activity.profileName,
+          activity.timestamp,
+          client
+        );
+      }
+
+      return contact;
+    } catch (error) {
+      logger.error("Error recording contact activity", error);
+      throw error;
+    }
+  }
+
+  // Add a profile name to the contact's name history
+  static async recordProfileName(
+    contactId,
+    profileName,
+    seenAt,
+    client = pool
+  ) {
+    try {
+      const query = `
+        INSERT INTO contact_profile_names (
+          contact_id, profile_name, first_seen_at, last_seen_at
+        ) VALUES ($1, $2, $3, $3)
+        ON CONFLICT (contact_id, profile_name) DO UPDATE SET
+          first_seen_at = LEAST(
+            contact_profile_names.first_seen_at, EXCLUDED.first_seen_at
+          ),
+          last_seen_at = GREATEST(
+            contact_profile_names.last_seen_at, EXCLUDED.last_seen_at
+          )
+      `;
+      await client.query(query, [contactId, profileName, seenAt]);
+    } catch (error) {
+      logger.error("Error recording contact profile name", error);
+      throw error;
+    }
+  }
+
+  // Find contact by ID
+  static async findById(id) {
+    try {
+      const query = "SELECT * FROM contacts WHERE id = $1";
+      const result = await pool.query(query, [id]);
+      return result.rows.length > 0 ? new Contact(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error finding contact by ID", error);
+      throw error;
+    }
+  }
+
+  // Find the contact of a WhatsApp ID (phone number, digits only) in an
+  // organization
+  static async findByWaId(organizationId, waId) {
+    try {
+      const query =
+        "SELECT * FROM contacts WHERE organization_id = $1 AND wa_id = $2";
+      const result = await pool.query(query, [organizationId, waId]);
+      return result.rows.length > 0 ? new Contact(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error finding contact by WhatsApp ID", error);
+      throw error;
+    }
+  }
+
+  // Get an organization's contacts, most recently seen first
+  static async findByOrganization(organizationId, limit = 50, offset = 0) {
+    try {
+      const query = `
+        SELECT * FROM contacts
+        WHERE organization_id = $1
+        ORDER BY last_seen_at DESC
+        LIMIT $2 OFFSET $3
+      `;
+      const result = await pool.query(query, [organizationId, limit, offset]);
+      return result.rows.map((row) => new Contact(row));
+    } catch (error) {
+      logger.error("Error finding contacts by organization", error);
+      throw error;
+    }
+  }
+
+  // Get the profile names a contact has used, most recent first
+  static async getProfileNames(contactId) {
+    try {
+      const query = `
+        SELECT profile_name, first_seen_at, last_seen_at
+        FROM contact_profile_names
+        WHERE contact_id = $1
+        ORDER BY last_seen_at DESC
+      `;
+      const result = await pool.query(query, [contactId]);
+      return result.rows.map((row) => ({
+        profileName: row.profile_name,
+        firstSeenAt: row.first_seen_at,
+        lastSeenAt: row.last_seen_at,
+      }));
+    } catch (error) {
+      logger.error("Error getting contact profile names", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Contact;
@@ -0,0 +1,229 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+/**
+ * Pricing and conversation data from status webhooks
+ *
+ * - message_pricing: one row per message (pricing + conversation it was billed in)
+ * - whatsapp_conversations: one row per Meta conversation id
+ * - conversation_cost_ledger: per organization, pricing category and day,
+ *   counting conversations and messages the first time they are seen
+ *
+ * Meta repeats the same pricing on sent/delivered/read, so every insert is
+ * idempotent and the ledger only moves when a row is actually created.
+ * A status recorded before its message row existed (a parked status) has no
+ * campaign yet; recording it again once applied fills the campaign in.
+ */
+class ConversationBilling {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.whatsappMessageId = data.whatsapp_message_id;
+    this.campaignId = data.campaign_id;
+    this.conversationId = data.conversation_id;
+    this.conversationOriginType = data.conversation_origin_type;
+    this.conversationExpiresAt = data.conversation_expires_at;
+    this.billable = data.billable;
+    this.pricingModel = data.pricing_model;
+    this.pricingCategory = data.pricing_category;
+    this.recordedAt = data.recorded_at;
+    this.createdAt = data.created_at;
+  }
+
+  // Extract billing data from a status webhook item (null if it has none)
+  static extractFromStatus(status) {
+    const { conversation, pricing } = status;
+    if (!conversation && !pricing) return null;
+
+    return {
+      conversationId: conversation?.id || null,
+      conversationOriginType: conversation?.origin?.type || null,
+      conversationExpiresAt: conversation?.expiration_timestamp
+        ? new Date(parseInt(conversation.expiration_timestamp) * 1000)
+        : null,
+      billable: pricing ? pricing.billable !== false : null,
+      pricingModel: pricing?.pricing_model || null,
+      pricingCategory:
+        pricing?.category || conversation?.origin?.type || "unknown",
+    };
+  }
+
+  // Record pricing for a message and roll it up into the ledger
+  static async recordFromStatus(billingData, client = pool) {
+    try {
+      const conversationResult = billingData.conversationId
+        ? await ConversationBilling.recordConversation(billingData, client)
+        : { rowCount: 0 };
+      const messageResult = await ConversationBilling.recordMessagePricing(
+        billingData,
+        client
+      );
+
+      return {
+        newConversation: conversationResult.rowCount > 0,
+        newMessage: messageResult.rowCount > 0,
+      };
+    } catch (error) {
+      logger.error("Error recording conversation billing", error);
+      throw error;
+    }
+  }
+
+  // Insert the conversation once and count it in the ledger
+  // (a later status only fills in a missing campaign)
+  static async recordConversation(billingData, client = pool) {
+    const query = `
+      WITH new_conversation AS (
+        INSERT INTO whatsapp_conversations (
+          conversation_id, organization_id, campaign_id, origin_type,
+          pricing_category, pricing_model, billable, expires_at, started_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (conversation_id) DO UPDATE
+        SET campaign_id = EXCLUDED.campaign_id
+        WHERE whatsapp_conversations.campaign_id IS NULL
+          AND EXCLUDED.campaign_id IS NOT NULL
+        RETURNING organization_id, pricing_category, billable, started_at,
+          (xmax = 0) AS inserted
+      )
+      INSERT INTO conversation_cost_ledger (
+        organization_id, pricing_category, ledger_date,
+        conversation_count, billable_conversation_count
+      )
+      SELECT
+        organization_id, pricing_category, (started_at AT TIME ZONE 'UTC')::date,
+        1, CASE WHEN billable IS NOT FALSE THEN 1 ELSE 0 END
+      FROM new_conversation
+      WHERE inserted
+      ON CONFLICT (organization_id, pricing_category, ledger_date) DO UPDATE
+      SET
+        conversation_count = conversation_cost_ledger.conversation_count + EXCLUDED.conversation_count,
+        billable_conversation_count = conversation_cost_ledger.billable_conversation_count + EXCLUDED.billable_conversation_count,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+    return client.query(query, [
+      billingData.conversationId,
+      billingData.organizationId,
+      billingData.campaignId || null,
+      billingData.conversationOriginType,
+      billingData.pricingCategory,
+      billingData.pricingModel,
+      billingData.billable,
+      billingData.conversationExpiresAt,
+      billingData.timestamp || new Date(),
+    ]);
+  }
+
+  // Insert the message pricing once and count it in the ledger
+  // (a later status only fills in a missing campaign)
+  static async recordMessagePricing(billingData, client = pool) {
+    const query = `
+      WITH new_message AS (
+        INSERT INTO message_pricing (
+          organization_id, whatsapp_message_id, campaign_id, conversation_id,
+          conversation_origin_type, conversation_expires_at, billable,
+          pricing_model, pricing_category, recorded_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (whatsapp_message_id) DO UPDATE
+        SET campaign_id = EXCLUDED.campaign_id
+        WHERE message_pricing.campaign_id IS NULL
+          AND EXCLUDED.campaign_id IS NOT NULL
+        RETURNING organization_id, pricing_category, billable, recorded_at,
+          (xmax = 0) AS inserted
+      )
+      INSERT INTO conversation_cost_ledger (
+        organization_id, pricing_category, ledger_date,
+        message_count, billable_message_count
+      )
+      SELECT
+        organization_id, pricing_category, (recorded_at AT TIME ZONE 'UTC')::date,
+        1, CASE WHEN billable IS NOT FALSE THEN 1 ELSE 0 END
+      FROM new_message
+      WHERE inserted
+      ON CONFLICT (organization_id, pricing_category, ledger_date) DO UPDATE
+      SET
+        message_count = conversation_cost_ledger.message_count + EXCLUDED.message_count,
+        billable_message_count = conversation_cost_ledger.billable_message_count + EXCLUDED.billable_message_count,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+    return client.query(query, [
+      billingData.organizationId,
+      billingData.whatsappMessageId,
+      billingData.campaignId || null,
+      billingData.conversationId,
+      billingData.conversationOriginType,
+      billingData.conversationExpiresAt,
+      billingData.billable,
+      billingData.pricingModel,
+      billingData.pricingCategory,
+      billingData.timestamp || new Date(),
+    ]);
+  }
+
+  // Find pricing recorded for a message
+  static async findByWhatsAppMessageId(whatsappMessageId) {
+    try {
+      const query =
+        "SELECT * FROM message_pricing WHERE whatsapp_message_id = $1";
+      const result = await pool.query(query, [whatsappMessageId]);
+      return result.rows.length > 0
+        ? new ConversationBilling(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error finding message pricing", error);
+      throw error;
+    }
+  }
+
+  // Get the daily ledger for an organization
+  static async getLedger(organizationId, dateFrom = null, dateTo = null) {
+    try {
+      let query = `
+        SELECT * FROM conversation_cost_ledger
+        WHERE organization_id = $1
+      `;
+      const params = [organizationId];
+
+      if (dateFrom) {
+        query += " AND ledger_date >= $" + (params.length + 1);
+        params.push(dateFrom);
+      }
+
+      if (dateTo) {
+        query += " AND ledger_date <= $" + (params.length + 1);
+        params.push(dateTo);
+      }
+
+      query += " ORDER BY ledger_date ASC, pricing_category ASC";
+
+      const result = await pool.query(query, params);
+      return result.rows;
+    } catch (error) {
+      logger.error("Error getting conversation cost ledger", error);
+      throw error;
+    }
+  }
+
+  // Get conversation and message counts per pricing category for a campaign
+  static async getCampaignBreakdown(campaignId) {
+    try {
+      const query = `
+        SELECT
+          pricing_category,
+          COUNT(*) AS message_count,
+          COUNT(*) FILTER (WHERE billable IS NOT FALSE) AS billable_message_count,
+          COUNT(DISTINCT conversation_id) AS conversation_count
+        FROM message_pricing
+        WHERE campaign_id = $1
+        GROUP BY pricing_category
+        ORDER BY pricing_category
+      `;
+      const result = await pool.query(query, [campaignId]);
+      return result.rows;
+    } catch (error) {
+      logger.error("Error getting campaign billing breakdown", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ConversationBilling;
@@ -0,0 +1,130 @@
+jest.mock("../db/connection", () => ({ query: jest.fn() }));
+
+const pool = require("../db/connection");
+const ConversationBilling = require("./ConversationBilling");
+
+// A status item as Meta sends it on the first "sent" of a conversation
+const pricedStatus = {
+  id: "wamid.OUT",
+  status: "sent",
+  timestamp: "1700000000",
+  conversation: {
+    id: "conv-1",
+    expiration_timestamp: "1700086400",
+    origin: { type: "marketing" },
+  },
+  pricing: {
+    billable: true,
+    pricing_model: "CBP",
+    category: "marketing",
+  },
+};
+
+beforeEach(() => {
+  pool.query.mockReset();
+  pool.query.mockResolvedValue({ rows: [], rowCount: 1 });
+});
+
+describe("extractFromStatus", () => {
+  test("reads the conversation and pricing objects", () => {
+    expect(ConversationBilling.extractFromStatus(pricedStatus)).toEqual({
+      conversationId: "conv-1",
+      conversationOriginType: "marketing",
+      conversationExpiresAt: new Date(1700086400 * 1000),
+      billable: true,
+      pricingModel: "CBP",
+      pricingCategory: "marketing",
+    });
+  });
+
+  test("returns null for statuses without billing data", () => {
+    expect(
+      ConversationBilling.extractFromStatus({ id: "wamid.OUT", status: "read" })
+    ).toBeNull();
+  });
+
+  test("a missing billable flag counts as billable", () => {
+    const billing = ConversationBilling.extractFromStatus({
+      pricing: { pricing_model: "PMP", category: "utility" },
+    });
+    expect(billing).toMatchObject({
+      billable: true,
+      conversationId: null,
+      conversationExpiresAt: null,
+      pricingCategory: "utility",
+    });
+  });
+
+  test("free entry point conversations are not billable", () => {
+    const billing = ConversationBilling.extractFromStatus({
+      conversation: { id: "conv-2", origin: { type: "referral_conversion" } },
+      pricing: { billable: false, pricing_model: "CBP" },
+    });
+    expect(billing).toMatchObject({
+      billable: false,
+      pricingCategory: "referral_conversion",
+    });
+  });
+
+  test("the category defaults to unknown", () => {
+    expect(
+      ConversationBilling.extractFromStatus({ conversation: { id: "conv-3" } })
+        .pricingCategory
+    ).toBe("unknown");
+  });
+});
+
+describe("recordFromStatus", () => {
+  const billingData = {
+    ...ConversationBilling.extractFromStatus(pricedStatus),
+    organizationId: "org-1",
+    whatsappMessageId: "wamid.OUT",
+    campaignId: "camp-1",
+    timestamp: new Date(1700000000 * 1000),
+  };
+
+  test("records the conversation and the message once", async () => {
+    const result = await ConversationBilling.recordFromStatus(billingData);
+
+    expect(result).toEqual({ newConversation: true, newMessage: true });
+    const [conversationQuery, conversationParams] = pool.query.mock.calls[0];
+    expect(conversationQuery).toContain("ON CONFLICT (conversation_id)");
+    expect(conversationParams.slice(0, 3)).toEqual([
+      "conv-1",
+      "org-1",
+      "camp-1",
+    ]);
+    const [messageQuery, messageParams] = pool.query.mock.calls[1];
+    expect(messageQuery).toContain("INSERT INTO message_pricing");
+    expect(messageParams.slice(0, 3)).toEqual(["org-1", "wamid.OUT", "camp-1"]);
+  });
+
+  test("repeated pricing creates nothing new", async () => {
+    pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+    expect(await ConversationBilling.recordFromStatus(billingData)).toEqual({
+      newConversation: false,
+      newMessage: false,
+    });
+  });
+
+  test("pricing without a conversation only records the message", async () => {
+    const result = await ConversationBilling.recordFromStatus({
+      ...billingData,
+      conversationId: null,
+    });
+
+    expect(result.newConversation).toBe(false);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][0]).toContain("message_pricing");
+  });
+
+  test("runs on the transaction client", async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+
+    await ConversationBilling.recordFromStatus(billingData, client);
+
+    expect(client.query).toHaveBeenCalledTimes(2);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
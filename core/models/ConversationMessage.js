@@ -0,0 +1,177 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+const { cursorSortKey } = require("../utils/cursors");
+
+// Outbound messages (messages) and inbound ones (incoming_messages) in the
+// same shape, sorted by timestamp (to the millisecond, see utils/cursors)
+// then id
+// Reactions are not timeline entries: they are attached to the message they
+// react to
+const TIMELINE_QUERY = `
+  SELECT * FROM (
+    SELECT
+      m.id, 'outbound' AS direction, m.whatsapp_message_id,
+      m.whatsapp_phone_number_id,
+      COALESCE(m.sent_at, m.created_at) AS timestamp,
+      m.message_type, m.message_content AS content, m.media_url, m.media_type,
+      m.template_name, NULL::varchar AS interactive_type,
+      m.interaction_data AS interactive_data, m.message_status AS status,
+      m.sent_at, m.delivered_at, m.read_at, m.failed_at, m.failure_reason,
+      m.campaign_id, NULL::varchar AS context_message_id
+    FROM messages m
+    WHERE m.organization_id = $1
+    AND m.is_incoming = false
+    AND (
+      m.contact_id = $2
+      OR (
+        m.contact_id IS NULL
+        AND regexp_replace(m.to_number, '\\D', '', 'g') = $3
+      )
+    )
+    UNION ALL
+    SELECT
+      im.id, 'inbound', im.whatsapp_message_id,
+      im.whatsapp_phone_number_id, im.timestamp,
+      im.message_type, im.content, im.media_url, im.media_type,
+      NULL, im.interactive_type,
+      im.interactive_data, NULL,
+      NULL, NULL, NULL, NULL, NULL,
+      im.context_campaign_id, im.context_message_id
+    FROM incoming_messages im
+    WHERE im.organization_id = $1
+    AND im.message_type <> 'reaction'
+    AND (
+      im.contact_id = $2
+      OR (
+        im.contact_id IS NULL
+        AND regexp_replace(im.from_phone_number, '\\D', '', 'g') = $3
+      )
+    )
+  ) timeline
+`;
+
+class ConversationMessage {
+  constructor(data) {
+    this.id = data.id;
+    this.direction = data.direction;
+    this.whatsappMessageId = data.whatsapp_message_id;
+    this.whatsappPhoneNumberId = data.whatsapp_phone_number_id;
+    this.timestamp = data.timestamp;
+    this.messageType = data.message_type;
+    this.content = data.content;
+    this.mediaUrl = data.media_url;
+    this.mediaType = data.media_type;
+    this.templateName = data.template_name;
+    this.interactiveType = data.interactive_type;
+    this.interactiveData = data.interactive_data;
+    this.status = data.status;
+    this.sentAt = data.sent_at;
+    this.deliveredAt = data.delivered_at;
+    this.readAt = data.read_at;
+    this.failedAt = data.failed_at;
+    this.failureReason = data.failure_reason;
+    this.campaignId = data.campaign_id;
+    this.contextMessageId = data.context_message_id;
+    // Filled in by utils/conversations: the message a reply refers to and the
+    // customer's reactions
+    this.replyTo = null;
+    this.reactions = [];
+  }
+
+  // Get a page of the conversation with a contact
+  // ({ id, organizationId, waId }; id may be null for numbers without a
+  // contact yet), in chronological order
+  // options: limit, before / after ({ timestamp, id } of the entry the page
+  // ends before / starts after; the latest entries without either) and
+  // whatsappPhoneNumberId to keep one business number's thread
+  static async getTimeline(contact, options = {}) {
+    try {
+      const params = [contact.organizationId, contact.id || null, contact.waId];
+      let query = TIMELINE_QUERY + " WHERE true";
+
+      if (options.whatsappPhoneNumberId) {
+        params.push(options.whatsappPhoneNumberId);
+        query += ` AND whatsapp_phone_number_id = $${params.length}`;
+      }
+
+      // Pages after a cursor are read forwards, the others backwards
+      const forwards = !!options.after && !options.before;
+      const cursor = forwards ? options.after : options.before;
+      const sortKey = cursorSortKey("timestamp");
+      if (cursor) {
+        params.push(cursor.timestamp, cursor.id);
+        const comparison = forwards ? ">" : "<";
+        const cursorKey = cursorSortKey(`$${params.length - 1}::timestamptz`);
+        query += ` AND (${sortKey}, id) ${comparison} (${cursorKey}, $${params.length}::uuid)`;
+      }
+
+      const order = forwards ? "ASC" : "DESC";
+      params.push(options.limit || 50);
+      query += ` ORDER BY ${sortKey} ${order}, id ${order} LIMIT $${params.length}`;
+
+      const result = await pool.query(query, params);
+      const messages = result.rows.map((row) => new ConversationMessage(row));
+      return forwards ? messages : messages.reverse();
+    } catch (error) {
+      logger.error("Error getting conversation timeline", error);
+      throw error;
+    }
+  }
+
+  // Find the organization's messages (either direction) with the given
+  // WhatsApp message IDs, e.g. the messages replies refer to
+  static async findByWhatsappMessageIds(organizationId, whatsappMessageIds) {
+    try {
+      const query = `
+        SELECT
+          whatsapp_message_id, 'outbound' AS direction,
+          message_type, message_content AS content
+        FROM messages
+        WHERE organization_id = $1 AND whatsapp_message_id = ANY($2)
+        UNION ALL
+        SELECT whatsapp_message_id, 'inbound', message_type, content
+        FROM incoming_messages
+        WHERE organization_id = $1 AND whatsapp_message_id = ANY($2)
+      `;
+      const result = await pool.query(query, [
+        organizationId,
+        whatsappMessageIds,
+      ]);
+      return result.rows.map((row) => new ConversationMessage(row));
+    } catch (error) {
+      logger.error("Error finding conversation messages", error);
+      throw error;
+    }
+  }
+
+  // Get the customer reactions to the given messages, oldest first
+  // (a null emoji is a removed reaction)
+  static async getReactions(organizationId, whatsappMessageIds) {
+    try {
+      const query = `
+        SELECT
+          whatsapp_message_id, reaction_message_id, reaction_emoji, timestamp
+        FROM incoming_messages
+        WHERE organization_id = $1
+        AND message_type = 'reaction'
+        AND reaction_message_id = ANY($2)
+        ORDER BY timestamp ASC
+      `;
+      const result = await pool.query(query, [
+        organizationId,
+        whatsappMessageIds,
+      ]);
+      return result.rows.map((row) => ({
+        whatsappMessageId: row.whatsapp_message_id,
+        reactionMessageId: row.reaction_message_id,
+        emoji: row.reaction_emoji,
+        timestamp: row.timestamp,
+      }));
+    } catch (error) {
+      logger.error("Error getting conversation reactions", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ConversationMessage;
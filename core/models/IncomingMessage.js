@@ -0,0 +1,580 @@
+const pool = require('../db/connection');
+const { logger } = require('../utils/logger');
+const { cursorSortKey } = require('../utils/cursors');
+
+// Sort key of the pages of incoming messages (see utils/cursors)
+const PAGE_SORT_KEY = cursorSortKey('timestamp');
+
+const INSERT_QUERY = `
+  INSERT INTO incoming_messages (
+    organization_id, whatsapp_message_id, from_phone_number, to_phone_number,
+    message_type, content, media_url, media_type, media_size, timestamp,
+    interactive_type, interactive_data, context_message_id, context_campaign_id,
+    reaction_emoji, reaction_message_id, referral_data, order_data, message_data,
+    media_id, media_sha256, media_status, raw_payload, processed, correlation_id,
+    whatsapp_phone_number_id, contact_id
+  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27)
+`;
+
+// Parameters of INSERT_QUERY for a message
+function toInsertParams(messageData) {
+  return [
+    messageData.organizationId,
+    messageData.whatsappMessageId,
+    messageData.fromPhoneNumber,
+    messageData.toPhoneNumber,
+    messageData.messageType,
+    messageData.content,
+    messageData.mediaUrl || null,
+    messageData.mediaType || null,
+    messageData.mediaSize || null,
+    messageData.timestamp,
+    messageData.interactiveType || null,
+    messageData.interactiveData ? JSON.stringify(messageData.interactiveData) : null,
+    messageData.contextMessageId || null,
+    messageData.contextCampaignId || null,
+    messageData.reactionEmoji || null,
+    messageData.reactionMessageId || null,
+    messageData.referralData ? JSON.stringify(messageData.referralData) : null,
+    messageData.orderData ? JSON.stringify(messageData.orderData) : null,
+    messageData.messageData ? JSON.stringify(messageData.messageData) : null,
+    messageData.mediaId || null,
+    messageData.mediaSha256 || null,
+    messageData.mediaId ? 'pending' : null, // picked up by the media fetcher
+    JSON.stringify(messageData.rawPayload),
+    false,
+    messageData.correlationId || null,
+    messageData.whatsappPhoneNumberId || null,
+    messageData.contactId || null
+  ];
+}
+
+class IncomingMessage {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.whatsappMessageId = data.whatsapp_message_id;
+    this.fromPhoneNumber = data.from_phone_number;
+    this.toPhoneNumber = data.to_phone_number;
+    this.whatsappPhoneNumberId = data.whatsapp_phone_number_id;
+    this.contactId = data.contact_id;
+    this.messageType = data.message_type;
+    this.content = data.content;
+    this.mediaUrl = data.media_url;
+    this.mediaType = data.media_type;
+    this.mediaSize = data.media_size;
+    this.mediaId = data.media_id;
+    this.mediaSha256 = data.media_sha256;
+    this.mediaStatus = data.media_status;
+    this.mediaStorageKey = data.media_storage_key;
+    this.mediaAttempts = data.media_attempts;
+    this.mediaError = data.media_error;
+    this.mediaDownloadedAt = data.media_downloaded_at;
+    this.timestamp = data.timestamp;
+    this.interactiveType = data.interactive_type;
+    this.interactiveData = data.interactive_data;
+    this.contextMessageId = data.context_message_id;
+    this.contextCampaignId = data.context_campaign_id;
+    this.reactionEmoji = data.reaction_emoji;
+    this.reactionMessageId = data.reaction_message_id;
+    this.referralData = data.referral_data;
+    this.orderData = data.order_data;
+    this.messageData = data.message_data;
+    this.rawPayload = data.raw_payload;
+    this.processed = data.processed;
+    this.correlationId = data.correlation_id;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Create new incoming message
+  static async create(messageData, client = pool) {
+    try {
+      const query = `${INSERT_QUERY} RETURNING *`;
+      const result = await client.query(query, toInsertParams(messageData));
+      return new IncomingMessage(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating incoming message', error);
+      throw error;
+    }
+  }
+
+  // Store a replayed incoming message again, updating the stored row
+  // (same id) instead of skipping it as a duplicate. Media that was already
+  // known keeps its download state.
+  static async replace(messageData, client = pool) {
+    try {
+      const query = `
+        ${INSERT_QUERY}
+        ON CONFLICT (whatsapp_message_id) DO UPDATE
+        SET
+          from_phone_number = EXCLUDED.from_phone_number,
+          to_phone_number = EXCLUDED.to_phone_number,
+          message_type = EXCLUDED.message_type,
+          content = EXCLUDED.content,
+          timestamp = EXCLUDED.timestamp,
+          media_url = CASE WHEN incoming_messages.media_id IS NULL THEN EXCLUDED.media_url ELSE incoming_messages.media_url END,
+          media_type = CASE WHEN incoming_messages.media_id IS NULL THEN EXCLUDED.media_type ELSE incoming_messages.media_type END,
+          media_size = CASE WHEN incoming_messages.media_id IS NULL THEN EXCLUDED.media_size ELSE incoming_messages.media_size END,
+          media_sha256 = CASE WHEN incoming_messages.media_id IS NULL THEN EXCLUDED.media_sha256 ELSE incoming_messages.media_sha256 END,
+          media_status = CASE WHEN incoming_messages.media_id IS NULL THEN EXCLUDED.media_status ELSE incoming_messages.media_status END,
+          media_id = COALESCE(incoming_messages.media_id, EXCLUDED.media_id),
+          interactive_type = EXCLUDED.interactive_type,
+          interactive_data = EXCLUDED.interactive_data,
+          context_message_id = EXCLUDED.context_message_id,
+          context_campaign_id = EXCLUDED.context_campaign_id,
+          reaction_emoji = EXCLUDED.reaction_emoji,
+          reaction_message_id = EXCLUDED.reaction_message_id,
+          referral_data = EXCLUDED.referral_data,
+          order_data = EXCLUDED.order_data,
+          message_data = EXCLUDED.message_data,
+          raw_payload = EXCLUDED.raw_payload,
+          processed = false,
+          correlation_id = COALESCE(EXCLUDED.correlation_id, incoming_messages.correlation_id),
+          whatsapp_phone_number_id = COALESCE(EXCLUDED.whatsapp_phone_number_id, incoming_messages.whatsapp_phone_number_id),
+          contact_id = COALESCE(EXCLUDED.contact_id, incoming_messages.contact_id),
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+      const result = await client.query(query, toInsertParams(messageData));
+      return new IncomingMessage(result.rows[0]);
+    } catch (error) {
+      logger.error('Error replacing incoming message', error);
+      throw error;
+    }
+  }
+
+  // Find incoming message by WhatsApp message ID
+  static async findByWhatsAppMessageId(whatsappMessageId) {
+    try {
+      const query = 'SELECT * FROM incoming_messages WHERE whatsapp_message_id = $1';
+      const result = await pool.query(query, [whatsappMessageId]);
+      return result.rows.length > 0 ? new IncomingMessage(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding incoming message by WhatsApp ID', error);
+      throw error;
+    }
+  }
+
+  // Find the incoming messages stored for a webhook request
+  static async findByCorrelationId(correlationId) {
+    try {
+      const query = 'SELECT * FROM incoming_messages WHERE correlation_id = $1 ORDER BY timestamp ASC';
+      const result = await pool.query(query, [correlationId]);
+      return result.rows.map(row => new IncomingMessage(row));
+    } catch (error) {
+      logger.error('Error finding incoming messages by correlation id', error);
+      throw error;
+    }
+  }
+
+  // Find incoming messages by organization
+  static async findByOrganization(organizationId, limit = 50, offset = 0) {
+    try {
+      const query = `
+        SELECT * FROM incoming_messages 
+        WHERE organization_id = $1 
+        ORDER BY timestamp DESC 
+        LIMIT $2 OFFSET $3
+      `;
+      const result = await pool.query(query, [organizationId, limit, offset]);
+      return result.rows.map(row => new IncomingMessage(row));
+    } catch (error) {
+      logger.error('Error finding incoming messages by organization', error);
+      throw error;
+    }
+  }
+
+  // Get a page of an organization's incoming messages, newest first
+  // filters: messageType, whatsappPhoneNumberId, from, to (timestamps)
+  // before: { timestamp, id } of the last message of the previous page
+  static async findPage(organizationId, filters = {}, before = null, limit = 50) {
+    try {
+      let query = 'SELECT * FROM incoming_messages WHERE organization_id = $1';
+      const params = [organizationId];
+
+      if (filters.messageType) {
+        query += ' AND message_type = $' + (params.length + 1);
+        params.push(filters.messageType);
+      }
+
+      if (filters.whatsappPhoneNumberId) {
+        query += ' AND whatsapp_phone_number_id = $' + (params.length + 1);
+        params.push(filters.whatsappPhoneNumberId);
+      }
+
+      if (filters.from) {
+        query += ' AND timestamp >= $' + (params.length + 1);
+        params.push(filters.from);
+      }
+
+      if (filters.to) {
+        query += ' AND timestamp <= $' + (params.length + 1);
+        params.push(filters.to);
+      }
+
+      if (before) {
+        const cursorKey = cursorSortKey(`$${params.length + 1}::timestamptz`);
+        query += ` AND (${PAGE_SORT_KEY}, id) < (${cursorKey}, $${params.length + 2}::uuid)`;
+        params.push(before.timestamp, before.id);
+      }
+
+      query += ` ORDER BY ${PAGE_SORT_KEY} DESC, id DESC LIMIT $` + (params.length + 1);
+      params.push(limit);
+
+      const result = await pool.query(query, params);
+      return result.rows.map(row => new IncomingMessage(row));
+    } catch (error) {
+      logger.error('Error finding incoming messages page', error);
+      throw error;
+    }
+  }
+
+  // Find incoming messages by phone number (in any format), through the
+  // sender's contact
+  static async findByPhoneNumber(phoneNumber, organizationId = null, limit = 50) {
+    try {
+      let query = `
+        SELECT im.* FROM incoming_messages im
+        JOIN contacts c ON c.id = im.contact_id
+        WHERE c.wa_id = $1
+      `;
+      const params = [String(phoneNumber || '').replace(/\D/g, '')];
+      
+      if (organizationId) {
+        query += ' AND c.organization_id = $2';
+        params.push(organizationId);
+      }
+      
+      query += ' ORDER BY im.timestamp DESC LIMIT $' + (params.length + 1);
+      params.push(limit);
+
+      const result = await pool.query(query, params);
+      return result.rows.map(row => new IncomingMessage(row));
+    } catch (error) {
+      logger.error('Error finding incoming messages by phone number', error);
+      throw error;
+    }
+  }
+
+  // Find the incoming messages of a contact
+  static async findByContact(contactId, limit = 50, offset = 0) {
+    try {
+      const query = `
+        SELECT * FROM incoming_messages
+        WHERE contact_id = $1
+        ORDER BY timestamp DESC
+        LIMIT $2 OFFSET $3
+      `;
+      const result = await pool.query(query, [contactId, limit, offset]);
+      return result.rows.map(row => new IncomingMessage(row));
+    } catch (error) {
+      logger.error('Error finding incoming messages by contact', error);
+      throw error;
+    }
+  }
+
+  // Find incoming messages that are replies to a campaign
+  // page: { before, limit } to read the replies a page at a time (before:
+  // { timestamp, id } of the last reply of the previous page)
+  static async findRepliesByCampaign(campaignId, organizationId = null, page = null) {
+    try {
+      let query = `
+        SELECT * FROM incoming_messages 
+        WHERE context_campaign_id = $1
+      `;
+      const params = [campaignId];
+      
+      if (organizationId) {
+        query += ' AND organization_id = $2';
+        params.push(organizationId);
+      }
+
+      if (page && page.before) {
+        const cursorKey = cursorSortKey(`$${params.length + 1}::timestamptz`);
+        query += ` AND (${PAGE_SORT_KEY}, id) < (${cursorKey}, $${params.length + 2}::uuid)`;
+        params.push(page.before.timestamp, page.before.id);
+      }
+      
+      query += ` ORDER BY ${PAGE_SORT_KEY} DESC, id DESC`;
+
+      if (page) {
+        query += ' LIMIT $' + (params.length + 1);
+        params.push(page.limit || 50);
+      }
+
+      const result = await pool.query(query, params);
+      return result.rows.map(row => new IncomingMessage(row));
+    } catch (error) {
+      logger.error('Error finding campaign replies', error);
+      throw error;
+    }
+  }
+
+  // Find unprocessed incoming messages
+  static async findUnprocessed(organizationId = null, limit = 100) {
+    try {
+      let query = `
+        SELECT * FROM incoming_messages 
+        WHERE processed = false
+      `;
+      const params = [];
+      
+      if (organizationId) {
+        query += ' AND organization_id = $1';
+        params.push(organizationId);
+      }
+      
+      query += ' ORDER BY timestamp ASC LIMIT $' + (params.length + 1);
+      params.push(limit);
+
+      const result = await pool.query(query, params);
+      return result.rows.map(row => new IncomingMessage(row));
+    } catch (error) {
+      logger.error('Error finding unprocessed incoming messages', error);
+      throw error;
+    }
+  }
+
+  // Mark incoming message as processed
+  static async markAsProcessed(id, errorMessage = null, client = pool) {
+    try {
+      const query = `
+        UPDATE incoming_messages 
+        SET processed = true, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `;
+      const result = await client.query(query, [id]);
+      return result.rows.length > 0 ? new IncomingMessage(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error marking incoming message as processed', error);
+      throw error;
+    }
+  }
+
+  // Update context campaign ID (link to original campaign)
+  async updateContextCampaign(campaignId, contextMessageId = null) {
+    try {
+      const query = `
+        UPDATE incoming_messages 
+        SET 
+          context_campaign_id = $1,
+          context_message_id = $2,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `;
+      const result = await pool.query(query, [campaignId, contextMessageId, this.id]);
+      
+      if (result.rows.length > 0) {
+        const updated = new IncomingMessage(result.rows[0]);
+        Object.assign(this, updated);
+        return this;
+      }
+      return null;
+    } catch (error) {
+      logger.error('Error updating context campaign', error);
+      throw error;
+    }
+  }
+
+  // Get conversation history for a phone number
+  // (only the messages sent to whatsappPhoneNumberId when given)
+  // Inbound messages only: ConversationMessage.getTimeline threads both directions
+  static async getConversationHistory(phoneNumber, organizationId, limit = 20, whatsappPhoneNumberId = null) {
+    try {
+      let query = `
+        SELECT * FROM incoming_messages 
+        WHERE from_phone_number = $1 AND organization_id = $2
+      `;
+      const params = [phoneNumber, organizationId];
+
+      if (whatsappPhoneNumberId) {
+        query += ' AND whatsapp_phone_number_id = $3';
+        params.push(whatsappPhoneNumberId);
+      }
+
+      query += ' ORDER BY timestamp DESC LIMIT $' + (params.length + 1);
+      params.push(limit);
+
+      const result = await pool.query(query, params);
+      return result.rows.map(row => new IncomingMessage(row));
+    } catch (error) {
+      logger.error('Error getting conversation history', error);
+      throw error;
+    }
+  }
+
+  // Get interactive message statistics
+  static async getInteractiveStats(organizationId, campaignId = null, dateFrom = null, dateTo = null) {
+    try {
+      let query = `
+        SELECT 
+          interactive_type,
+          COUNT(*) as count,
+          COUNT(DISTINCT from_phone_number) as unique_users
+        FROM incoming_messages 
+        WHERE organization_id = $1 
+        AND interactive_type IS NOT NULL
+      `;
+      const params = [organizationId];
+      
+      if (campaignId) {
+        query += ' AND context_campaign_id = $' + (params.length + 1);
+        params.push(campaignId);
+      }
+      
+      if (dateFrom) {
+        query += ' AND timestamp >= $' + (params.length + 1);
+        params.push(dateFrom);
+      }
+      
+      if (dateTo) {
+        query += ' AND timestamp <= $' + (params.length + 1);
+        params.push(dateTo);
+      }
+      
+      query += ' GROUP BY interactive_type ORDER BY count DESC';
+
+      const result = await pool.query(query, params);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting interactive stats', error);
+      throw error;
+    }
+  }
+
+  // Find reactions to a message (latest first)
+  static async findReactionsToMessage(whatsappMessageId) {
+    try {
+      const query = `
+        SELECT * FROM incoming_messages 
+        WHERE reaction_message_id = $1
+        ORDER BY timestamp DESC
+      `;
+      const result = await pool.query(query, [whatsappMessageId]);
+      return result.rows.map(row => new IncomingMessage(row));
+    } catch (error) {
+      logger.error('Error finding reactions to message', error);
+      throw error;
+    }
+  }
+
+  // Find messages that came from a click-to-WhatsApp ad or post
+  static async findByReferralSource(organizationId, sourceId, limit = 100) {
+    try {
+      const query = `
+        SELECT * FROM incoming_messages 
+        WHERE organization_id = $1 AND referral_data->>'source_id' = $2
+        ORDER BY timestamp DESC 
+        LIMIT $3
+      `;
+      const result = await pool.query(query, [organizationId, sourceId, limit]);
+      return result.rows.map(row => new IncomingMessage(row));
+    } catch (error) {
+      logger.error('Error finding incoming messages by referral source', error);
+      throw error;
+    }
+  }
+
+  // Claim a batch of media waiting to be downloaded
+  // (downloads stuck for longer than staleAfterMs are claimed again)
+  static async claimPendingMedia(limit = 10, maxAttempts = 5, staleAfterMs = 600000) {
+    try {
+      const query = `
+        UPDATE incoming_messages 
+        SET 
+          media_status = 'downloading',
+          media_attempts = media_attempts + 1,
+          media_claimed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT id FROM incoming_messages 
+          WHERE media_id IS NOT NULL
+          AND media_attempts < $2
+          AND (
+            media_status = 'pending'
+            OR (media_status = 'downloading' AND media_claimed_at < CURRENT_TIMESTAMP - $3 * INTERVAL '1 millisecond')
+          )
+          ORDER BY timestamp ASC 
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+      const result = await pool.query(query, [limit, maxAttempts, staleAfterMs]);
+      return result.rows.map(row => new IncomingMessage(row));
+    } catch (error) {
+      logger.error('Error claiming pending media', error);
+      throw error;
+    }
+  }
+
+  // Replace the media id with the durable URL of the stored file
+  static async markMediaStored(id, media) {
+    try {
+      const query = `
+        UPDATE incoming_messages 
+        SET 
+          media_url = $1,
+          media_storage_key = $2,
+          media_type = COALESCE($3, media_type),
+          media_size = $4,
+          media_sha256 = $5,
+          media_status = 'downloaded',
+          media_error = NULL,
+          media_downloaded_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $6
+        RETURNING *
+      `;
+      const result = await pool.query(query, [
+        media.url,
+        media.storageKey,
+        media.mimeType || null,
+        media.size,
+        media.sha256,
+        id
+      ]);
+      return result.rows.length > 0 ? new IncomingMessage(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error marking media as stored', error);
+      throw error;
+    }
+  }
+
+  // Record a failed media download (retry puts it back in the queue)
+  static async markMediaFailed(id, errorMessage, retry = true) {
+    try {
+      const query = `
+        UPDATE incoming_messages 
+        SET 
+          media_status = $1,
+          media_error = $2,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `;
+      const result = await pool.query(query, [retry ? 'pending' : 'failed', errorMessage, id]);
+      return result.rows.length > 0 ? new IncomingMessage(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error marking media as failed', error);
+      throw error;
+    }
+  }
+
+  // Check if message is a duplicate
+  static async isDuplicate(whatsappMessageId, client = pool) {
+    try {
+      const query = 'SELECT id FROM incoming_messages WHERE whatsapp_message_id = $1';
+      const result = await client.query(query, [whatsappMessageId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking for duplicate message', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = IncomingMessage;
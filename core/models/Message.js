@@ -1,4 +1,9 @@
 const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+const {
+  buildStatusTransitionQuery,
+  describeTransition,
+} = require("../utils/messageStatus");
 
 class Message {
   constructor(data) {
@@ -9,6 +14,8 @@ class Message {
     this.whatsappMessageId = data.whatsapp_message_id;
     this.fromNumber = data.from_number;
     this.toNumber = data.to_number;
+    this.whatsappPhoneNumberId = data.whatsapp_phone_number_id;
+    this.contactId = data.contact_id;
     this.messageType = data.message_type;
     this.messageContent = data.message_content;
     this.mediaUrl = data.media_url;
@@ -24,18 +31,20 @@ class Message {
     this.failedAt = data.failed_at;
     this.failureReason = data.failure_reason;
     this.interactionData = data.interaction_data;
+    this.reactionEmoji = data.reaction_emoji;
+    this.reactedAt = data.reacted_at;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
 
   // Find message by WhatsApp message ID
-  static async findByWhatsAppId(whatsappMessageId) {
+  static async findByWhatsAppId(whatsappMessageId, client = pool) {
     try {
       const query = "SELECT * FROM messages WHERE whatsapp_message_id = $1";
-      const result = await pool.query(query, [whatsappMessageId]);
+      const result = await client.query(query, [whatsappMessageId]);
       return result.rows.length > 0 ? new Message(result.rows[0]) : null;
     } catch (error) {
-      console.error("Error finding message by WhatsApp ID:", error);
+      logger.error("Error finding message by WhatsApp ID", error);
       throw error;
     }
   }
@@ -47,21 +56,21 @@ class Message {
       const result = await pool.query(query, [id]);
       return result.rows.length > 0 ? new Message(result.rows[0]) : null;
     } catch (error) {
-      console.error("Error finding message by ID:", error);
+      logger.error("Error finding message by ID", error);
       throw error;
     }
   }
 
   // Create new message entry
-  static async create(messageData) {
+  static async create(messageData, client = pool) {
     try {
       const query = `
         INSERT INTO messages (
           organization_id, campaign_id, campaign_audience_id, whatsapp_message_id,
           from_number, to_number, message_type, message_content, media_url, media_type,
           template_name, template_language, template_parameters, is_incoming,
-          message_status, interaction_data
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          message_status, interaction_data, whatsapp_phone_number_id, contact_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
         RETURNING *
       `;
       const params = [
@@ -85,99 +94,157 @@ class Message {
         messageData.interactionData
           ? JSON.stringify(messageData.interactionData)
           : null,
+        messageData.whatsappPhoneNumberId || null,
+        messageData.contactId || null,
       ];
 
-      const result = await pool.query(query, params);
+      const result = await client.query(query, params);
       return new Message(result.rows[0]);
     } catch (error) {
-      console.error("Error creating message:", error);
+      logger.error("Error creating message", error);
       throw error;
     }
   }
 
-  // Update message status
-  static async updateStatus(whatsappMessageId, status, timestamp = null) {
+  // Update message status following the status lifecycle
+  // (out-of-order events never downgrade message_status)
+  static async updateStatus(
+    whatsappMessageId,
+    status,
+    timestamp = null,
+    client = pool
+  ) {
     try {
-      let query, params;
-
-      if (status === "delivered") {
-        query = `
-          UPDATE messages
-          SET message_status = $1, delivered_at = $2, updated_at = CURRENT_TIMESTAMP
-          WHERE whatsapp_message_id = $3
-          RETURNING *
-        `;
-        params = [status, timestamp || new Date(), whatsappMessageId];
-      } else if (status === "read") {
-        query = `
-          UPDATE messages
-          SET message_status = $1, read_at = $2, updated_at = CURRENT_TIMESTAMP
-          WHERE whatsapp_message_id = $3
-          RETURNING *
-        `;
-        params = [status, timestamp || new Date(), whatsappMessageId];
-      } else if (status === "sent") {
-        query = `
-          UPDATE messages
-          SET message_status = $1, sent_at = $2, updated_at = CURRENT_TIMESTAMP
-          WHERE whatsapp_message_id = $3
-          RETURNING *
-        `;
-        params = [status, timestamp || new Date(), whatsappMessageId];
-      } else {
-        query = `
-          UPDATE messages
-          SET message_status = $1, updated_at = CURRENT_TIMESTAMP
-          WHERE whatsapp_message_id = $2
-          RETURNING *
-        `;
-        params = [status, whatsappMessageId];
-      }
+      const { query, params } = buildStatusTransitionQuery(
+        "messages",
+        whatsappMessageId,
+        status,
+        timestamp
+      );
 
-      const result = await pool.query(query, params);
-      return result.rows.length > 0 ? new Message(result.rows[0]) : null;
+      const result = await client.query(query, params);
+      return result.rows.length > 0
+        ? Message.fromTransitionRow(result.rows[0], status)
+        : null;
     } catch (error) {
-      console.error("Error updating message status:", error);
+      logger.error("Error updating message status", error);
       throw error;
     }
   }
 
   // Update message with failure reason
-  static async updateWithFailure(whatsappMessageId, failureReason) {
+  static async updateWithFailure(
+    whatsappMessageId,
+    failureReason,
+    timestamp = null,
+    client = pool
+  ) {
+    try {
+      const { query, params } = buildStatusTransitionQuery(
+        "messages",
+        whatsappMessageId,
+        "failed",
+        timestamp,
+        failureReason
+      );
+
+      const result = await client.query(query, params);
+      return result.rows.length > 0
+        ? Message.fromTransitionRow(result.rows[0], "failed")
+        : null;
+    } catch (error) {
+      logger.error("Error updating message with failure", error);
+      throw error;
+    }
+  }
+
+  // Build a message from a status update row, keeping the transition outcome
+  static fromTransitionRow(row, requestedStatus) {
+    const message = new Message(row);
+    message.statusTransition = describeTransition(row, requestedStatus);
+    return message;
+  }
+
+  // Update interaction data for interactive messages
+  static async updateInteractionData(
+    whatsappMessageId,
+    interactionData,
+    client = pool
+  ) {
     try {
       const query = `
         UPDATE messages
-        SET message_status = 'failed', failure_reason = $1, failed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        SET interaction_data = $1, updated_at = CURRENT_TIMESTAMP
         WHERE whatsapp_message_id = $2
         RETURNING *
       `;
-      const result = await pool.query(query, [
-        failureReason,
+      const result = await client.query(query, [
+        JSON.stringify(interactionData),
         whatsappMessageId,
       ]);
       return result.rows.length > 0 ? new Message(result.rows[0]) : null;
     } catch (error) {
-      console.error("Error updating message with failure:", error);
+      logger.error("Error updating message interaction data", error);
       throw error;
     }
   }
 
-  // Update interaction data for interactive messages
-  static async updateInteractionData(whatsappMessageId, interactionData) {
+  // Record the recipient's reaction to a message (null emoji removes it)
+  // Older reactions arriving late never overwrite a newer one
+  static async recordReaction(
+    whatsappMessageId,
+    emoji,
+    timestamp = null,
+    client = pool
+  ) {
     try {
       const query = `
         UPDATE messages
-        SET interaction_data = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE whatsapp_message_id = $2
+        SET reaction_emoji = $1, reacted_at = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE whatsapp_message_id = $3
+        AND (reacted_at IS NULL OR reacted_at <= $2)
         RETURNING *
       `;
-      const result = await pool.query(query, [
-        JSON.stringify(interactionData),
+      const result = await client.query(query, [
+        emoji || null,
+        timestamp || new Date(),
         whatsappMessageId,
       ]);
       return result.rows.length > 0 ? new Message(result.rows[0]) : null;
     } catch (error) {
-      console.error("Error updating message interaction data:", error);
+      logger.error("Error recording message reaction", error);
+      throw error;
+    }
+  }
+
+  // Record the business phone number a message was sent from and the
+  // contact it was sent to, as reported by its status webhooks (values set
+  // by the sender are kept)
+  static async recordAttribution(
+    whatsappMessageId,
+    attribution,
+    client = pool
+  ) {
+    try {
+      const query = `
+        UPDATE messages
+        SET
+          whatsapp_phone_number_id = COALESCE(whatsapp_phone_number_id, $2),
+          contact_id = COALESCE(contact_id, $3)
+        WHERE whatsapp_message_id = $1
+        AND (
+          (whatsapp_phone_number_id IS NULL AND $2::varchar IS NOT NULL)
+          OR (contact_id IS NULL AND $3::uuid IS NOT NULL)
+        )
+      `;
+      const result = await client.query(query, [
+        whatsappMessageId,
+        attribution.phoneNumberId || null,
+        attribution.contactId || null,
+      ]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error("Error recording message attribution", error);
       throw error;
     }
   }
@@ -194,12 +261,14 @@ class Message {
       const result = await pool.query(query, [campaignId, limit, offset]);
       return result.rows.map((row) => new Message(row));
     } catch (error) {
-      console.error("Error getting messages by campaign:", error);
+      logger.error("Error getting messages by campaign", error);
       throw error;
     }
   }
 
   // Get conversation between organization and phone number
+  // (messages table only: ConversationMessage.getTimeline threads both
+  // directions)
   static async getConversation(
     organizationId,
     phoneNumber,
@@ -222,7 +291,24 @@ class Message {
       ]);
       return result.rows.map((row) => new Message(row));
     } catch (error) {
-      console.error("Error getting conversation:", error);
+      logger.error("Error getting conversation", error);
+      throw error;
+    }
+  }
+
+  // Get the messages sent to or received from a contact
+  static async findByContact(contactId, limit = 50, offset = 0) {
+    try {
+      const query = `
+        SELECT * FROM messages
+        WHERE contact_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2 OFFSET $3
+      `;
+      const result = await pool.query(query, [contactId, limit, offset]);
+      return result.rows.map((row) => new Message(row));
+    } catch (error) {
+      logger.error("Error finding messages by contact", error);
       throw error;
     }
   }
@@ -240,7 +326,7 @@ class Message {
       const result = await pool.query(query, [organizationId, limit]);
       return result.rows.map((row) => new Message(row));
     } catch (error) {
-      console.error("Error getting incoming messages:", error);
+      logger.error("Error getting incoming messages", error);
       throw error;
     }
   }
@@ -259,7 +345,7 @@ class Message {
       const result = await pool.query(query, [organizationId, limit]);
       return result.rows.map((row) => new Message(row));
     } catch (error) {
-      console.error("Error getting interactive messages:", error);
+      logger.error("Error getting interactive messages", error);
       throw error;
     }
   }
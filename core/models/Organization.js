@@ -0,0 +1,451 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+const { encryptSecret, decryptSecret } = require("../secrets/envelope");
+
+// Columns stored with envelope encryption (see core/secrets)
+const SECRET_COLUMNS = [
+  "whatsapp_access_token",
+  "whatsapp_app_secret",
+  "whatsapp_previous_app_secret",
+];
+
+// Columns a webhook signature is verified with: the receiver looks these up
+// on every request, so the access token is neither selected nor decrypted
+const WEBHOOK_AUTH_COLUMNS = [
+  "id",
+  "name",
+  "status",
+  "whatsapp_business_account_id",
+  "whatsapp_phone_number_id",
+  "whatsapp_app_secret",
+  "whatsapp_previous_app_secret",
+  "whatsapp_previous_app_secret_expires_at",
+];
+
+// Select list of an organization lookup: the given columns, or all of them
+function selectColumns(columns) {
+  return columns ? columns.map((column) => `o.${column}`).join(", ") : "o.*";
+}
+
+class Organization {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.status = data.status;
+    this.whatsappBusinessAccountId = data.whatsapp_business_account_id;
+    this.whatsappAccessToken = data.whatsapp_access_token;
+    this.whatsappPhoneNumberId = data.whatsapp_phone_number_id;
+    this.whatsappWebhookVerifyToken = data.whatsapp_webhook_verify_token;
+    this.whatsappWebhookUrl = data.whatsapp_webhook_url;
+    this.whatsappAppId = data.whatsapp_app_id;
+    this.whatsappAppSecret = data.whatsapp_app_secret;
+    this.whatsappPreviousAppSecret = data.whatsapp_previous_app_secret;
+    this.whatsappPreviousAppSecretExpiresAt =
+      data.whatsapp_previous_app_secret_expires_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.createdBy = data.created_by;
+  }
+
+  // Build an organization from a database row, decrypting the secrets it
+  // holds (a row of selected columns only decrypts those)
+  static async fromRow(row) {
+    const decrypted = { ...row };
+    for (const column of SECRET_COLUMNS) {
+      if (column in row) {
+        decrypted[column] = await decryptSecret(row[column], column);
+      }
+    }
+    return new Organization(decrypted);
+  }
+
+  // Find organization by ID
+  static async findById(id) {
+    try {
+      const query = "SELECT * FROM organizations WHERE id = $1 AND status = $2";
+      const result = await pool.query(query, [id, "active"]);
+      return result.rows.length > 0
+        ? await Organization.fromRow(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error finding organization by ID", error);
+      throw error;
+    }
+  }
+
+  // Find organization by WhatsApp Business Account ID
+  // (its own, or the account of one of its active registered numbers);
+  // columns limits the row to those columns
+  static async findByWhatsAppBusinessAccountId(
+    businessAccountId,
+    columns = null
+  ) {
+    try {
+      const query = `
+        SELECT ${selectColumns(columns)} FROM organizations o
+        WHERE o.status = $2
+        AND (
+          o.whatsapp_business_account_id = $1
+          OR EXISTS (
+            SELECT 1 FROM organization_phone_numbers p
+            WHERE p.organization_id = o.id
+            AND p.whatsapp_business_account_id = $1
+            AND p.status = 'active'
+          )
+        )
+        ORDER BY (o.whatsapp_business_account_id = $1) DESC
+        LIMIT 1
+      `;
+      const result = await pool.query(query, [businessAccountId, "active"]);
+      return result.rows.length > 0
+        ? await Organization.fromRow(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error(
+        "Error finding organization by WhatsApp Business Account ID",
+        error
+      );
+      throw error;
+    }
+  }
+
+  // Find organization by WhatsApp Phone Number ID
+  // (an active registered number, or the organization's own number when it
+  // is not registered in organization_phone_numbers); columns limits the
+  // row to those columns
+  static async findByWhatsAppPhoneNumberId(phoneNumberId, columns = null) {
+    try {
+      const query = `
+        SELECT ${selectColumns(columns)} FROM organizations o
+        WHERE o.status = $2
+        AND (
+          EXISTS (
+            SELECT 1 FROM organization_phone_numbers p
+            WHERE p.organization_id = o.id
+            AND p.phone_number_id = $1
+            AND p.status = 'active'
+          )
+          OR (
+            o.whatsapp_phone_number_id = $1
+            AND NOT EXISTS (
+              SELECT 1 FROM organization_phone_numbers p
+              WHERE p.phone_number_id = $1
+            )
+          )
+        )
+        LIMIT 1
+      `;
+      const result = await pool.query(query, [phoneNumberId, "active"]);
+      return result.rows.length > 0
+        ? await Organization.fromRow(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error(
+        "Error finding organization by WhatsApp Phone Number ID",
+        error
+      );
+      throw error;
+    }
+  }
+
+  // Find organization by webhook verify token
+  static async findByWebhookVerifyToken(verifyToken) {
+    try {
+      const query =
+        "SELECT * FROM organizations WHERE whatsapp_webhook_verify_token = $1 AND status = $2";
+      const result = await pool.query(query, [verifyToken, "active"]);
+      return result.rows.length > 0
+        ? await Organization.fromRow(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error finding organization by webhook verify token", error);
+      throw error;
+    }
+  }
+
+  // Get all active organizations
+  static async findAllActive() {
+    try {
+      const query =
+        "SELECT * FROM organizations WHERE status = $1 ORDER BY name";
+      const result = await pool.query(query, ["active"]);
+      return Promise.all(result.rows.map((row) => Organization.fromRow(row)));
+    } catch (error) {
+      logger.error("Error finding active organizations", error);
+      throw error;
+    }
+  }
+
+  // Get organization webhook configuration
+  getWebhookConfig() {
+    return {
+      verifyToken: this.whatsappWebhookVerifyToken,
+      webhookUrl: this.whatsappWebhookUrl,
+      businessAccountId: this.whatsappBusinessAccountId,
+      phoneNumberId: this.whatsappPhoneNumberId,
+      accessToken: this.whatsappAccessToken,
+      appId: this.whatsappAppId,
+      appSecret: this.whatsappAppSecret,
+    };
+  }
+
+  // Check if organization has complete WhatsApp configuration
+  hasCompleteWhatsAppConfig() {
+    return !!(
+      this.whatsappBusinessAccountId &&
+      this.whatsappAccessToken &&
+      this.whatsappPhoneNumberId &&
+      this.whatsappWebhookVerifyToken
+    );
+  }
+
+  // Get webhook secret: Meta signs X-Hub-Signature-256 with the app secret
+  // (null when none is configured - signature verification is skipped)
+  getWebhookSecret() {
+    const [current] = this.getWebhookSecrets();
+    return current ? current.secret : null;
+  }
+
+  // Get every secret a webhook signature is accepted with, as
+  // { name, secret }: the app secret ("current"), the one it replaced until
+  // its grace window ends ("previous"), or else DEFAULT_WEBHOOK_SECRET
+  getWebhookSecrets(now = new Date()) {
+    const secrets = [];
+
+    if (this.whatsappAppSecret) {
+      secrets.push({ name: "current", secret: this.whatsappAppSecret });
+    }
+    if (
+      this.whatsappPreviousAppSecret &&
+      this.whatsappPreviousAppSecretExpiresAt &&
+      new Date(this.whatsappPreviousAppSecretExpiresAt) > now
+    ) {
+      secrets.push({
+        name: "previous",
+        secret: this.whatsappPreviousAppSecret,
+      });
+    }
+    if (secrets.length === 0 && process.env.DEFAULT_WEBHOOK_SECRET) {
+      secrets.push({
+        name: "default",
+        secret: process.env.DEFAULT_WEBHOOK_SECRET,
+      });
+    }
+
+    return secrets;
+  }
+
+  // Update organization WhatsApp configuration
+  static async updateWhatsAppConfig(id, config) {
+    try {
+      const query = `
+        UPDATE organizations 
+        SET 
+          whatsapp_business_account_id = $1,
+          whatsapp_access_token = $2,
+          whatsapp_phone_number_id = $3,
+          whatsapp_webhook_verify_token = $4,
+          whatsapp_webhook_url = $5,
+          whatsapp_app_id = $6,
+          whatsapp_app_secret = $7,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $8
+        RETURNING *
+      `;
+
+      const result = await pool.query(query, [
+        config.businessAccountId,
+        await encryptSecret(config.accessToken, "whatsapp_access_token"),
+        config.phoneNumberId,
+        config.webhookVerifyToken,
+        config.webhookUrl,
+        config.appId,
+        await encryptSecret(config.appSecret, "whatsapp_app_secret"),
+        id,
+      ]);
+
+      return result.rows.length > 0
+        ? await Organization.fromRow(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error updating organization WhatsApp config", error);
+      throw error;
+    }
+  }
+
+  // Get the stored (encrypted or plaintext) secrets of every organization
+  static async findStoredSecrets() {
+    try {
+      const query = `
+        SELECT id, ${SECRET_COLUMNS.join(", ")}
+        FROM organizations
+        ORDER BY created_at, id
+      `;
+      const result = await pool.query(query);
+      return result.rows;
+    } catch (error) {
+      logger.error("Error finding stored organization secrets", error);
+      throw error;
+    }
+  }
+
+  // Replace stored secrets (already encrypted), only if the row still holds
+  // the values they were derived from; returns false otherwise
+  static async replaceStoredSecrets(id, previous, updates) {
+    try {
+      const columns = SECRET_COLUMNS.filter((column) => column in updates);
+      const values = [id];
+      const assignments = [];
+      const conditions = ["id = $1"];
+
+      for (const column of columns) {
+        values.push(updates[column], previous[column]);
+        assignments.push(`${column} = $${values.length - 1}`);
+        conditions.push(`${column} IS NOT DISTINCT FROM $${values.length}`);
+      }
+
+      const query = `
+        UPDATE organizations
+        SET ${assignments.join(", ")}
+        WHERE ${conditions.join(" AND ")}
+      `;
+      const result = await pool.query(query, values);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error("Error replacing stored organization secrets", error);
+      throw error;
+    }
+  }
+
+  // Lock an organization's stored (encrypted or plaintext) secrets
+  static async lockStoredSecrets(id, client = pool) {
+    try {
+      const query = `
+        SELECT id, ${SECRET_COLUMNS.join(", ")}
+        FROM organizations
+        WHERE id = $1
+        FOR UPDATE
+      `;
+      const result = await client.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error("Error locking organization secrets", error);
+      throw error;
+    }
+  }
+
+  // Set the app secret and the previous one (both already encrypted)
+  static async setAppSecrets(id, appSecrets, client = pool) {
+    try {
+      const query = `
+        UPDATE organizations
+        SET
+          whatsapp_app_secret = $2,
+          whatsapp_previous_app_secret = $3,
+          whatsapp_previous_app_secret_expires_at = $4
+        WHERE id = $1
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        id,
+        appSecrets.appSecret,
+        appSecrets.previousAppSecret,
+        appSecrets.previousAppSecretExpiresAt,
+      ]);
+      return result.rows.length > 0
+        ? await Organization.fromRow(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error setting organization app secrets", error);
+      throw error;
+    }
+  }
+
+  // Drop previous app secrets whose grace window has ended
+  // Returns the ids of the organizations concerned
+  static async retireExpiredAppSecrets() {
+    try {
+      const query = `
+        UPDATE organizations
+        SET
+          whatsapp_previous_app_secret = NULL,
+          whatsapp_previous_app_secret_expires_at = NULL
+        WHERE whatsapp_previous_app_secret_expires_at <= CURRENT_TIMESTAMP
+        RETURNING id
+      `;
+      const result = await pool.query(query);
+      return result.rows.map((row) => row.id);
+    } catch (error) {
+      logger.error("Error retiring expired app secrets", error);
+      throw error;
+    }
+  }
+
+  // Find the organization a webhook payload belongs to
+  // (by phone number ID; only the account-level updates that carry no phone
+  // number are resolved by business account ID, so a number that is
+  // registered but inactive is not attributed through its account);
+  // columns limits the lookup to those columns, e.g. WEBHOOK_AUTH_COLUMNS
+  static async resolveFromWebhook(webhookPayload, columns = null) {
+    const orgInfo = Organization.extractOrganizationFromWebhook(webhookPayload);
+    if (!orgInfo) return null;
+
+    if (orgInfo.phoneNumberId) {
+      return Organization.findByWhatsAppPhoneNumberId(
+        orgInfo.phoneNumberId,
+        columns
+      );
+    }
+
+    if (orgInfo.businessAccountId) {
+      return Organization.findByWhatsAppBusinessAccountId(
+        orgInfo.businessAccountId,
+        columns
+      );
+    }
+
+    return null;
+  }
+
+  // Extract organization ID from webhook payload
+  static extractOrganizationFromWebhook(webhookPayload) {
+    let bussinessInfo = {};
+    try {
+      // Try to extract from different parts of the webhook payload
+      if (webhookPayload.entry && webhookPayload.entry.length > 0) {
+        const entry = webhookPayload.entry[0];
+
+        // Business Account ID is usually in the entry ID
+        if (entry.id) {
+          bussinessInfo.businessAccountId = entry.id;
+        }
+
+        // Phone Number ID might be in the changes
+        if (entry.changes && entry.changes.length > 0) {
+          const change = entry.changes[0];
+          if (
+            change.value &&
+            change.value.metadata &&
+            change.value.metadata.phone_number_id
+          ) {
+            bussinessInfo.phoneNumberId = change.value.metadata.phone_number_id;
+          }
+        }
+
+        return bussinessInfo;
+      } else {
+        logger.warn("No entry found in webhook payload");
+        return null;
+      }
+    } catch (error) {
+      logger.error("Error extracting organization from webhook", error);
+      return null;
+    }
+  }
+}
+
+Organization.SECRET_COLUMNS = SECRET_COLUMNS;
+Organization.WEBHOOK_AUTH_COLUMNS = WEBHOOK_AUTH_COLUMNS;
+
+module.exports = Organization;
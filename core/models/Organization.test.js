@@ -0,0 +1,129 @@
+jest.mock("../db/connection", () => ({ query: jest.fn() }));
+
+const pool = require("../db/connection");
+const Organization = require("./Organization");
+
+// The registered numbers, and the number each organization is configured with
+const phoneNumbers = [
+  { organizationId: "org-1", phoneNumberId: "PN-1", status: "active" },
+  { organizationId: "org-1", phoneNumberId: "PN-2", status: "inactive" },
+];
+const organizations = [
+  { id: "org-1", waba: "waba-1", phoneNumberId: "PN-1" },
+  { id: "org-2", waba: "waba-2", phoneNumberId: "PN-LEGACY" },
+];
+
+/**
+ * Answer the organization lookups the way their SQL does
+ */
+function fakeQuery(query, [id]) {
+  let found;
+  if (/p\.phone_number_id = \$1/.test(query)) {
+    const registered = phoneNumbers.filter((p) => p.phoneNumberId === id);
+    found = organizations.find(
+      (o) =>
+        registered.some(
+          (p) => p.organizationId === o.id && p.status === "active"
+        ) ||
+        (o.phoneNumberId === id && registered.length === 0)
+    );
+  } else if (/whatsapp_business_account_id = \$1/.test(query)) {
+    found = organizations.find((o) => o.waba === id);
+  }
+  return { rows: found ? [{ id: found.id, status: "active" }] : [] };
+}
+
+/**
+ * A webhook payload of a business account, with the phone number ID of its
+ * change when there is one
+ */
+const payload = (phoneNumberId, field = "messages") => ({
+  entry: [
+    {
+      id: "waba-1",
+      changes: [
+        {
+          field: field,
+          value: phoneNumberId
+            ? { metadata: { phone_number_id: phoneNumberId } }
+            : { event: "VERIFIED_ACCOUNT" },
+        },
+      ],
+    },
+  ],
+});
+
+/**
+ * The SQL of the lookups run so far
+ */
+const lookups = () => pool.query.mock.calls.map(([query]) => query);
+
+beforeAll(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  pool.query.mockReset();
+  pool.query.mockImplementation(async (query, params) =>
+    fakeQuery(query, params)
+  );
+});
+
+describe("resolveFromWebhook", () => {
+  test("resolves an active registered number", async () => {
+    const organization = await Organization.resolveFromWebhook(payload("PN-1"));
+
+    expect(organization.id).toBe("org-1");
+    expect(lookups()).toHaveLength(1);
+  });
+
+  test("an inactive number is not attributed through its account", async () => {
+    expect(await Organization.resolveFromWebhook(payload("PN-2"))).toBeNull();
+    expect(await Organization.resolveFromWebhook(payload("PN-9"))).toBeNull();
+    // The business account of the entry is never looked up
+    expect(lookups()).toHaveLength(2);
+    for (const query of lookups()) {
+      expect(query).toMatch(/p\.phone_number_id = \$1/);
+    }
+  });
+
+  test("the configured number counts while it is not registered", async () => {
+    const organization = await Organization.resolveFromWebhook(
+      payload("PN-LEGACY")
+    );
+
+    expect(organization.id).toBe("org-2");
+  });
+
+  test("account-level updates resolve by business account", async () => {
+    const organization = await Organization.resolveFromWebhook(
+      payload(null, "account_update")
+    );
+
+    expect(organization.id).toBe("org-1");
+    expect(pool.query.mock.calls[0][1]).toEqual(["waba-1", "active"]);
+  });
+
+  test("a payload without entries resolves to nothing", async () => {
+    expect(await Organization.resolveFromWebhook({})).toBeNull();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
+
+describe("lookups", () => {
+  test("only active registered numbers match", async () => {
+    await Organization.findByWhatsAppPhoneNumberId("PN-1");
+
+    const [query] = lookups();
+    expect(query).toMatch(/AND p\.status = 'active'/);
+    expect(query).toMatch(/o\.whatsapp_phone_number_id = \$1\s+AND NOT EXISTS/);
+  });
+
+  test("an organization's own business account comes first", async () => {
+    await Organization.findByWhatsAppBusinessAccountId("waba-1");
+
+    expect(lookups()[0]).toMatch(
+      /ORDER BY \(o\.whatsapp_business_account_id = \$1\) DESC/
+    );
+  });
+});
@@ -0,0 +1,96 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+class OrganizationPhoneNumber {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.phoneNumberId = data.phone_number_id;
+    this.displayPhoneNumber = data.display_phone_number;
+    this.whatsappBusinessAccountId = data.whatsapp_business_account_id;
+    this.label = data.label;
+    this.status = data.status;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Find an active registered number by its WhatsApp Phone Number ID
+  static async findByPhoneNumberId(phoneNumberId) {
+    try {
+      const query = `
+        SELECT * FROM organization_phone_numbers
+        WHERE phone_number_id = $1 AND status = 'active'
+      `;
+      const result = await pool.query(query, [phoneNumberId]);
+      return result.rows.length > 0
+        ? new OrganizationPhoneNumber(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error finding organization phone number", error);
+      throw error;
+    }
+  }
+
+  // Get the numbers registered for an organization
+  static async findByOrganization(organizationId) {
+    try {
+      const query = `
+        SELECT * FROM organization_phone_numbers
+        WHERE organization_id = $1
+        ORDER BY created_at ASC
+      `;
+      const result = await pool.query(query, [organizationId]);
+      return result.rows.map((row) => new OrganizationPhoneNumber(row));
+    } catch (error) {
+      logger.error("Error finding organization phone numbers", error);
+      throw error;
+    }
+  }
+
+  // Register a phone number for an organization
+  static async create(phoneNumberData) {
+    try {
+      const query = `
+        INSERT INTO organization_phone_numbers (
+          organization_id, phone_number_id, display_phone_number,
+          whatsapp_business_account_id, label, status
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `;
+      const result = await pool.query(query, [
+        phoneNumberData.organizationId,
+        phoneNumberData.phoneNumberId,
+        phoneNumberData.displayPhoneNumber || null,
+        phoneNumberData.whatsappBusinessAccountId || null,
+        phoneNumberData.label || null,
+        phoneNumberData.status || "active",
+      ]);
+      return new OrganizationPhoneNumber(result.rows[0]);
+    } catch (error) {
+      logger.error("Error creating organization phone number", error);
+      throw error;
+    }
+  }
+
+  // Activate or deactivate a registered number
+  // (webhooks for an inactive number no longer resolve to the organization)
+  static async updateStatus(phoneNumberId, status) {
+    try {
+      const query = `
+        UPDATE organization_phone_numbers
+        SET status = $2
+        WHERE phone_number_id = $1
+        RETURNING *
+      `;
+      const result = await pool.query(query, [phoneNumberId, status]);
+      return result.rows.length > 0
+        ? new OrganizationPhoneNumber(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error updating organization phone number status", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = OrganizationPhoneNumber;
@@ -0,0 +1,185 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+// How long an unmatched status is kept before it is given up on
+const TTL_HOURS = parseInt(process.env.PENDING_STATUS_TTL_HOURS) || 24;
+
+class PendingMessageStatus {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.webhookEventId = data.webhook_event_id;
+    this.whatsappMessageId = data.whatsapp_message_id;
+    this.status = data.status;
+    this.statusTimestamp = data.status_timestamp;
+    this.rawStatus = data.raw_status;
+    this.whatsappPhoneNumberId = data.whatsapp_phone_number_id;
+    this.contactId = data.contact_id;
+    this.resolution = data.resolution;
+    this.attempts = data.attempts;
+    this.nextAttemptAt = data.next_attempt_at;
+    this.expiresAt = data.expires_at;
+    this.resolvedAt = data.resolved_at;
+    this.createdAt = data.created_at;
+  }
+
+  // Park a status that matched no message row
+  // (a redelivered status for the same message is parked once)
+  static async create(statusData, client = pool) {
+    try {
+      const query = `
+        INSERT INTO pending_message_statuses (
+          organization_id, webhook_event_id, whatsapp_message_id, status,
+          status_timestamp, raw_status, next_attempt_at, expires_at,
+          whatsapp_phone_number_id, contact_id
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + INTERVAL '1 minute',
+          CURRENT_TIMESTAMP + $7 * INTERVAL '1 hour', $8, $9
+        )
+        ON CONFLICT (whatsapp_message_id, status) DO NOTHING
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        statusData.organizationId,
+        statusData.webhookEventId || null,
+        statusData.whatsappMessageId,
+        statusData.status,
+        statusData.statusTimestamp,
+        JSON.stringify(statusData.rawStatus),
+        statusData.ttlHours || TTL_HOURS,
+        statusData.whatsappPhoneNumberId || null,
+        statusData.contactId || null,
+      ]);
+      return result.rows.length > 0
+        ? new PendingMessageStatus(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error parking pending message status", error);
+      throw error;
+    }
+  }
+
+  // Claim due statuses, oldest first
+  // The claim is a lease: next_attempt_at moves forward so a crashed
+  // worker's rows become due again once it runs out
+  static async claimDue(limit = 50, leaseMs = 300000) {
+    try {
+      const query = `
+        UPDATE pending_message_statuses
+        SET
+          attempts = attempts + 1,
+          next_attempt_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond'
+        WHERE id IN (
+          SELECT id FROM pending_message_statuses
+          WHERE resolution = 'pending'
+          AND next_attempt_at <= CURRENT_TIMESTAMP
+          ORDER BY status_timestamp ASC
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+      const result = await pool.query(query, [limit, leaseMs]);
+      return result.rows
+        .map((row) => new PendingMessageStatus(row))
+        .sort((a, b) => a.statusTimestamp - b.statusTimestamp);
+    } catch (error) {
+      logger.error("Error claiming pending message statuses", error);
+      throw error;
+    }
+  }
+
+  // Mark a status as applied to its message
+  static async markApplied(id, client = pool) {
+    try {
+      const query = `
+        UPDATE pending_message_statuses
+        SET resolution = 'applied', resolved_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `;
+      const result = await client.query(query, [id]);
+      return result.rows.length > 0
+        ? new PendingMessageStatus(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error marking pending message status applied", error);
+      throw error;
+    }
+  }
+
+  // Schedule another attempt, or give up once the TTL has passed
+  static async reschedule(id, retryDelayMs, client = pool) {
+    try {
+      const query = `
+        UPDATE pending_message_statuses
+        SET
+          resolution = CASE WHEN expires_at <= CURRENT_TIMESTAMP THEN 'expired' ELSE 'pending' END,
+          resolved_at = CASE WHEN expires_at <= CURRENT_TIMESTAMP THEN CURRENT_TIMESTAMP END,
+          next_attempt_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond'
+        WHERE id = $1
+        RETURNING *
+      `;
+      const result = await client.query(query, [id, retryDelayMs]);
+      return result.rows.length > 0
+        ? new PendingMessageStatus(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error rescheduling pending message status", error);
+      throw error;
+    }
+  }
+
+  // Get the statuses parked for a message
+  static async findByWhatsAppMessageId(whatsappMessageId) {
+    try {
+      const query = `
+        SELECT * FROM pending_message_statuses
+        WHERE whatsapp_message_id = $1
+        ORDER BY status_timestamp ASC
+      `;
+      const result = await pool.query(query, [whatsappMessageId]);
+      return result.rows.map((row) => new PendingMessageStatus(row));
+    } catch (error) {
+      logger.error("Error finding pending message statuses", error);
+      throw error;
+    }
+  }
+
+  // Get the statuses parked by the given webhook events
+  static async findByWebhookEventIds(webhookEventIds) {
+    try {
+      const query = `
+        SELECT * FROM pending_message_statuses
+        WHERE webhook_event_id = ANY($1::uuid[])
+        ORDER BY status_timestamp ASC
+      `;
+      const result = await pool.query(query, [webhookEventIds]);
+      return result.rows.map((row) => new PendingMessageStatus(row));
+    } catch (error) {
+      logger.error("Error finding pending statuses by webhook event", error);
+      throw error;
+    }
+  }
+
+  // Get statuses that expired without their message ever appearing
+  static async findExpired(organizationId, limit = 100) {
+    try {
+      const query = `
+        SELECT * FROM pending_message_statuses
+        WHERE organization_id = $1 AND resolution = 'expired'
+        ORDER BY resolved_at DESC
+        LIMIT $2
+      `;
+      const result = await pool.query(query, [organizationId, limit]);
+      return result.rows.map((row) => new PendingMessageStatus(row));
+    } catch (error) {
+      logger.error("Error finding expired pending message statuses", error);
+      throw error;
+    }
+  }
+}
+
+PendingMessageStatus.TTL_HOURS = TTL_HOURS;
+
+module.exports = PendingMessageStatus;
@@ -0,0 +1,96 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+class PhoneNumberQuality {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.displayPhoneNumber = data.display_phone_number;
+    this.event = data.event;
+    this.currentLimit = data.current_limit;
+    this.oldLimit = data.old_limit;
+    this.maxDailyConversationsPerBusiness =
+      data.max_daily_conversations_per_business;
+    this.eventTimestamp = data.event_timestamp;
+    this.rawPayload = data.raw_payload;
+    this.createdAt = data.created_at;
+  }
+
+  // Extract a phone_number_quality_update change value
+  static extractFromWebhook(value) {
+    return {
+      displayPhoneNumber: value.display_phone_number || null,
+      event: value.event || "UNKNOWN",
+      currentLimit: value.current_limit || null,
+      oldLimit: value.old_limit || null,
+      maxDailyConversationsPerBusiness:
+        value.max_daily_conversation_per_phone ||
+        value.max_daily_conversations_per_business ||
+        null,
+    };
+  }
+
+  // Record a phone number quality / messaging limit event
+  static async create(organizationId, update, rawPayload, client = pool) {
+    try {
+      const query = `
+        INSERT INTO phone_number_quality_history (
+          organization_id, display_phone_number, event, current_limit,
+          old_limit, max_daily_conversations_per_business, event_timestamp,
+          raw_payload
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        organizationId,
+        update.displayPhoneNumber,
+        update.event,
+        update.currentLimit,
+        update.oldLimit,
+        update.maxDailyConversationsPerBusiness,
+        update.timestamp || new Date(),
+        JSON.stringify(rawPayload),
+      ]);
+      return new PhoneNumberQuality(result.rows[0]);
+    } catch (error) {
+      logger.error("Error recording phone number quality update", error);
+      throw error;
+    }
+  }
+
+  // Get the latest quality event of each phone number of an organization
+  static async findLatestByOrganization(organizationId) {
+    try {
+      const query = `
+        SELECT DISTINCT ON (display_phone_number) *
+        FROM phone_number_quality_history
+        WHERE organization_id = $1
+        ORDER BY display_phone_number, event_timestamp DESC
+      `;
+      const result = await pool.query(query, [organizationId]);
+      return result.rows.map((row) => new PhoneNumberQuality(row));
+    } catch (error) {
+      logger.error("Error finding phone number quality", error);
+      throw error;
+    }
+  }
+
+  // Get quality history for an organization
+  static async getHistory(organizationId, limit = 50) {
+    try {
+      const query = `
+        SELECT * FROM phone_number_quality_history
+        WHERE organization_id = $1
+        ORDER BY event_timestamp DESC
+        LIMIT $2
+      `;
+      const result = await pool.query(query, [organizationId, limit]);
+      return result.rows.map((row) => new PhoneNumberQuality(row));
+    } catch (error) {
+      logger.error("Error getting phone number quality history", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PhoneNumberQuality;
@@ -0,0 +1,151 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+// Free-form messages may be sent for 24 hours after the customer's last
+// inbound message
+const WINDOW_HOURS = 24;
+
+class ServiceWindow {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.whatsappPhoneNumberId = data.whatsapp_phone_number_id;
+    this.customerMsisdn = data.customer_msisdn;
+    this.lastInboundMessageId = data.last_inbound_message_id;
+    this.lastInboundAt = data.last_inbound_at;
+    this.openedAt = data.opened_at;
+    this.expiresAt = data.expires_at;
+    this.status = data.status;
+    this.expiredAt = data.expired_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Whether free-form messages may be sent now
+  isOpen(now = new Date()) {
+    return !!this.expiresAt && new Date(this.expiresAt) > now;
+  }
+
+  // Open or extend the window of a customer from an inbound message
+  // (an older message than the last one leaves it as it is: returns null)
+  static async recordInbound(windowData, client = pool) {
+    try {
+      const query = `
+        INSERT INTO service_windows (
+          organization_id, whatsapp_phone_number_id, customer_msisdn,
+          last_inbound_message_id, last_inbound_at, opened_at, expires_at,
+          status
+        ) VALUES (
+          $1, $2, $3, $4, $5, $5, $5::timestamptz + $6 * INTERVAL '1 hour',
+          CASE WHEN $5::timestamptz + $6 * INTERVAL '1 hour' > CURRENT_TIMESTAMP
+            THEN 'open' ELSE 'expired' END
+        )
+        ON CONFLICT (organization_id, whatsapp_phone_number_id, customer_msisdn)
+        DO UPDATE SET
+          last_inbound_message_id = EXCLUDED.last_inbound_message_id,
+          last_inbound_at = EXCLUDED.last_inbound_at,
+          opened_at = CASE
+            WHEN service_windows.expires_at <= EXCLUDED.last_inbound_at
+            THEN EXCLUDED.last_inbound_at
+            ELSE service_windows.opened_at
+          END,
+          expires_at = EXCLUDED.expires_at,
+          status = EXCLUDED.status,
+          expired_at = NULL
+        WHERE service_windows.last_inbound_at < EXCLUDED.last_inbound_at
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        windowData.organizationId,
+        windowData.whatsappPhoneNumberId,
+        windowData.customerMsisdn,
+        windowData.whatsappMessageId || null,
+        windowData.timestamp,
+        WINDOW_HOURS,
+      ]);
+      return result.rows.length > 0 ? new ServiceWindow(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error recording service window", error);
+      throw error;
+    }
+  }
+
+  // Find the window of a customer on one of the organization's numbers
+  static async find(organizationId, whatsappPhoneNumberId, customerMsisdn) {
+    try {
+      const query = `
+        SELECT * FROM service_windows
+        WHERE organization_id = $1
+        AND whatsapp_phone_number_id = $2
+        AND customer_msisdn = $3
+      `;
+      const result = await pool.query(query, [
+        organizationId,
+        whatsappPhoneNumberId,
+        customerMsisdn,
+      ]);
+      return result.rows.length > 0 ? new ServiceWindow(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error finding service window", error);
+      throw error;
+    }
+  }
+
+  // Get the open windows of an organization (optionally of one number),
+  // those closing first first
+  static async findOpen(
+    organizationId,
+    whatsappPhoneNumberId = null,
+    limit = 100
+  ) {
+    try {
+      let query = `
+        SELECT * FROM service_windows
+        WHERE organization_id = $1
+        AND expires_at > CURRENT_TIMESTAMP
+      `;
+      const params = [organizationId];
+
+      if (whatsappPhoneNumberId) {
+        query += " AND whatsapp_phone_number_id = $2";
+        params.push(whatsappPhoneNumberId);
+      }
+
+      query += " ORDER BY expires_at ASC LIMIT $" + (params.length + 1);
+      params.push(limit);
+
+      const result = await pool.query(query, params);
+      return result.rows.map((row) => new ServiceWindow(row));
+    } catch (error) {
+      logger.error("Error finding open service windows", error);
+      throw error;
+    }
+  }
+
+  // Mark the windows that have run out as expired
+  // Returns the number of windows marked
+  static async markExpired(limit = 1000) {
+    try {
+      const query = `
+        UPDATE service_windows
+        SET status = 'expired', expired_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT id FROM service_windows
+          WHERE status = 'open' AND expires_at <= CURRENT_TIMESTAMP
+          ORDER BY expires_at ASC
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+      `;
+      const result = await pool.query(query, [limit]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error("Error marking expired service windows", error);
+      throw error;
+    }
+  }
+}
+
+ServiceWindow.WINDOW_HOURS = WINDOW_HOURS;
+
+module.exports = ServiceWindow;
@@ -0,0 +1,61 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+class SignatureAudit {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.correlationId = data.correlation_id;
+    this.secret = data.secret;
+    this.verified = data.verified;
+    this.createdAt = data.created_at;
+  }
+
+  // Record which secret validated a webhook request
+  // (secret null when none did)
+  static async create(auditData, client = pool) {
+    try {
+      const query = `
+        INSERT INTO webhook_signature_audit (
+          organization_id, correlation_id, secret, verified
+        ) VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        auditData.organizationId,
+        auditData.correlationId || null,
+        auditData.secret || null,
+        !!auditData.secret,
+      ]);
+      return new SignatureAudit(result.rows[0]);
+    } catch (error) {
+      logger.error("Error recording webhook signature audit", error);
+      throw error;
+    }
+  }
+
+  // Count the requests validated by each secret since a date, e.g. to see
+  // whether Meta still signs with the previous secret
+  static async countBySecret(organizationId, since) {
+    try {
+      const query = `
+        SELECT COALESCE(secret, 'none') AS secret, COUNT(*)::int AS requests,
+               MAX(created_at) AS last_seen_at
+        FROM webhook_signature_audit
+        WHERE organization_id = $1 AND created_at >= $2
+        GROUP BY COALESCE(secret, 'none')
+      `;
+      const result = await pool.query(query, [organizationId, since]);
+      return result.rows.map((row) => ({
+        secret: row.secret,
+        requests: row.requests,
+        lastSeenAt: row.last_seen_at,
+      }));
+    } catch (error) {
+      logger.error("Error counting webhook signature audits", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SignatureAudit;
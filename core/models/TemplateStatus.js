@@ -0,0 +1,248 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+// Template statuses campaigns must not send with
+const UNUSABLE_TEMPLATE_STATUSES = [
+  "REJECTED",
+  "PAUSED",
+  "DISABLED",
+  "PENDING_DELETION",
+  "DELETED",
+];
+
+class TemplateStatus {
+  constructor(data) {
+    this.organizationId = data.organization_id;
+    this.whatsappTemplateId = data.whatsapp_template_id;
+    this.templateName = data.template_name;
+    this.templateLanguage = data.template_language;
+    this.status = data.status;
+    this.qualityScore = data.quality_score;
+    this.reason = data.reason;
+    this.statusUpdatedAt = data.status_updated_at;
+    this.qualityUpdatedAt = data.quality_updated_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Extract a message_template_status_update change value
+  static extractStatusUpdate(value) {
+    return {
+      templateId: String(value.message_template_id),
+      templateName: value.message_template_name || null,
+      templateLanguage: value.message_template_language || null,
+      status: value.event,
+      reason:
+        value.reason && value.reason !== "NONE"
+          ? value.reason
+          : value.other_info?.description || null,
+    };
+  }
+
+  // Extract a message_template_quality_update change value
+  static extractQualityUpdate(value) {
+    return {
+      templateId: String(value.message_template_id),
+      templateName: value.message_template_name || null,
+      templateLanguage: value.message_template_language || null,
+      previousQualityScore: value.previous_quality_score || null,
+      qualityScore: value.new_quality_score,
+    };
+  }
+
+  // Record a message_template_status_update and update the current status
+  static async recordStatusUpdate(
+    organizationId,
+    update,
+    rawPayload,
+    client = pool
+  ) {
+    try {
+      await TemplateStatus.addHistory(
+        organizationId,
+        { ...update, eventType: "status", rawPayload },
+        client
+      );
+
+      const query = `
+        INSERT INTO whatsapp_template_statuses (
+          organization_id, whatsapp_template_id, template_name, template_language,
+          status, reason, status_updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (organization_id, whatsapp_template_id) DO UPDATE
+        SET
+          template_name = COALESCE(EXCLUDED.template_name, whatsapp_template_statuses.template_name),
+          template_language = COALESCE(EXCLUDED.template_language, whatsapp_template_statuses.template_language),
+          status = EXCLUDED.status,
+          reason = EXCLUDED.reason,
+          status_updated_at = EXCLUDED.status_updated_at,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE whatsapp_template_statuses.status_updated_at IS NULL
+          OR whatsapp_template_statuses.status_updated_at <= EXCLUDED.status_updated_at
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        organizationId,
+        update.templateId,
+        update.templateName,
+        update.templateLanguage,
+        update.status,
+        update.reason,
+        update.timestamp,
+      ]);
+      return result.rows.length > 0 ? new TemplateStatus(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error recording template status update", error);
+      throw error;
+    }
+  }
+
+  // Record a message_template_quality_update and update the current quality
+  static async recordQualityUpdate(
+    organizationId,
+    update,
+    rawPayload,
+    client = pool
+  ) {
+    try {
+      await TemplateStatus.addHistory(
+        organizationId,
+        { ...update, eventType: "quality", rawPayload },
+        client
+      );
+
+      const query = `
+        INSERT INTO whatsapp_template_statuses (
+          organization_id, whatsapp_template_id, template_name, template_language,
+          quality_score, quality_updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (organization_id, whatsapp_template_id) DO UPDATE
+        SET
+          template_name = COALESCE(EXCLUDED.template_name, whatsapp_template_statuses.template_name),
+          template_language = COALESCE(EXCLUDED.template_language, whatsapp_template_statuses.template_language),
+          quality_score = EXCLUDED.quality_score,
+          quality_updated_at = EXCLUDED.quality_updated_at,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE whatsapp_template_statuses.quality_updated_at IS NULL
+          OR whatsapp_template_statuses.quality_updated_at <= EXCLUDED.quality_updated_at
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        organizationId,
+        update.templateId,
+        update.templateName,
+        update.templateLanguage,
+        update.qualityScore,
+        update.timestamp,
+      ]);
+      return result.rows.length > 0 ? new TemplateStatus(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error recording template quality update", error);
+      throw error;
+    }
+  }
+
+  // Append to template_status_history
+  static async addHistory(organizationId, entry, client = pool) {
+    const query = `
+      INSERT INTO template_status_history (
+        organization_id, whatsapp_template_id, template_name, template_language,
+        event_type, status, previous_quality_score, quality_score, reason,
+        event_timestamp, raw_payload
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `;
+    await client.query(query, [
+      organizationId,
+      entry.templateId,
+      entry.templateName,
+      entry.templateLanguage,
+      entry.eventType,
+      entry.status || null,
+      entry.previousQualityScore || null,
+      entry.qualityScore || null,
+      entry.reason || null,
+      entry.timestamp,
+      JSON.stringify(entry.rawPayload),
+    ]);
+  }
+
+  // Get the current status of every template of an organization
+  static async findByOrganization(organizationId) {
+    try {
+      const query = `
+        SELECT * FROM whatsapp_template_statuses
+        WHERE organization_id = $1
+        ORDER BY template_name, template_language
+      `;
+      const result = await pool.query(query, [organizationId]);
+      return result.rows.map((row) => new TemplateStatus(row));
+    } catch (error) {
+      logger.error("Error finding template statuses", error);
+      throw error;
+    }
+  }
+
+  // Get the current status of a template by name (and language)
+  static async findByName(organizationId, templateName, templateLanguage = null) {
+    try {
+      let query = `
+        SELECT * FROM whatsapp_template_statuses
+        WHERE organization_id = $1 AND template_name = $2
+      `;
+      const params = [organizationId, templateName];
+
+      if (templateLanguage) {
+        query += " AND template_language = $3";
+        params.push(templateLanguage);
+      }
+
+      query += " ORDER BY status_updated_at DESC NULLS LAST";
+
+      const result = await pool.query(query, params);
+      return result.rows.map((row) => new TemplateStatus(row));
+    } catch (error) {
+      logger.error("Error finding template status by name", error);
+      throw error;
+    }
+  }
+
+  // Get status history of a template
+  static async getHistory(organizationId, whatsappTemplateId, limit = 50) {
+    try {
+      const query = `
+        SELECT * FROM template_status_history
+        WHERE organization_id = $1 AND whatsapp_template_id = $2
+        ORDER BY event_timestamp DESC
+        LIMIT $3
+      `;
+      const result = await pool.query(query, [
+        organizationId,
+        whatsappTemplateId,
+        limit,
+      ]);
+      return result.rows;
+    } catch (error) {
+      logger.error("Error getting template status history", error);
+      throw error;
+    }
+  }
+
+  // Check if a template may be used by campaigns
+  // (templates we never heard about are assumed usable)
+  static async isUsable(organizationId, templateName, templateLanguage = null) {
+    const statuses = await TemplateStatus.findByName(
+      organizationId,
+      templateName,
+      templateLanguage
+    );
+    return statuses.every((template) => template.isUsable());
+  }
+
+  isUsable() {
+    return !UNUSABLE_TEMPLATE_STATUSES.includes(this.status);
+  }
+}
+
+TemplateStatus.UNUSABLE_TEMPLATE_STATUSES = UNUSABLE_TEMPLATE_STATUSES;
+
+module.exports = TemplateStatus;
@@ -0,0 +1,172 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+class WebhookDelivery {
+  constructor(data) {
+    this.id = data.id;
+    this.subscriptionId = data.subscription_id;
+    this.organizationId = data.organization_id;
+    this.eventType = data.event_type;
+    this.payload = data.payload;
+    this.status = data.status;
+    this.attempts = data.attempts;
+    this.responseStatus = data.response_status;
+    this.responseBody = data.response_body;
+    this.errorMessage = data.error_message;
+    this.lastAttemptAt = data.last_attempt_at;
+    this.nextAttemptAt = data.next_attempt_at;
+    this.deliveredAt = data.delivered_at;
+    this.createdAt = data.created_at;
+  }
+
+  // Create new delivery
+  // It only becomes due for the retry job after retryDelayMs, so the retry
+  // job picks it up if the first attempt never completes
+  static async create(deliveryData, retryDelayMs = 0, client = pool) {
+    try {
+      const query = `
+        INSERT INTO webhook_deliveries (
+          subscription_id, organization_id, event_type, payload, status,
+          next_attempt_at
+        ) VALUES (
+          $1, $2, $3, $4, 'pending',
+          CURRENT_TIMESTAMP + $5 * INTERVAL '1 millisecond'
+        )
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        deliveryData.subscriptionId,
+        deliveryData.organizationId,
+        deliveryData.eventType,
+        JSON.stringify(deliveryData.payload),
+        retryDelayMs,
+      ]);
+      return new WebhookDelivery(result.rows[0]);
+    } catch (error) {
+      logger.error("Error creating webhook delivery", error);
+      throw error;
+    }
+  }
+
+  // Record one delivery attempt
+  // A "retrying" attempt is sent again by the retry job after retryDelayMs
+  static async recordAttempt(id, attempt) {
+    try {
+      const query = `
+        UPDATE webhook_deliveries
+        SET
+          status = $1,
+          attempts = attempts + 1,
+          response_status = $2,
+          response_body = $3,
+          error_message = $4,
+          last_attempt_at = CURRENT_TIMESTAMP,
+          next_attempt_at = CURRENT_TIMESTAMP + $6 * INTERVAL '1 millisecond',
+          delivered_at = CASE WHEN $1 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+        WHERE id = $5
+        RETURNING *
+      `;
+      const result = await pool.query(query, [
+        attempt.status,
+        attempt.responseStatus || null,
+        attempt.responseBody || null,
+        attempt.errorMessage || null,
+        id,
+        attempt.retryDelayMs || 0,
+      ]);
+      return result.rows.length > 0 ? new WebhookDelivery(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error recording webhook delivery attempt", error);
+      throw error;
+    }
+  }
+
+  // Mark delivery as failed once retries are exhausted
+  static async markFailed(id, errorMessage) {
+    try {
+      const query = `
+        UPDATE webhook_deliveries
+        SET status = 'failed', error_message = $1
+        WHERE id = $2
+        RETURNING *
+      `;
+      const result = await pool.query(query, [errorMessage, id]);
+      return result.rows.length > 0 ? new WebhookDelivery(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error marking webhook delivery as failed", error);
+      throw error;
+    }
+  }
+
+  // Claim the pending and retrying deliveries that are due, oldest first
+  // The claim is a lease: next_attempt_at moves forward so a crashed
+  // worker's deliveries become due again once it runs out
+  static async claimDue(limit = 50, leaseMs = 300000) {
+    try {
+      const query = `
+        UPDATE webhook_deliveries
+        SET next_attempt_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond'
+        WHERE id IN (
+          SELECT id FROM webhook_deliveries
+          WHERE status IN ('pending', 'retrying')
+          AND next_attempt_at <= CURRENT_TIMESTAMP
+          ORDER BY next_attempt_at ASC
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+      const result = await pool.query(query, [limit, leaseMs]);
+      return result.rows
+        .map((row) => new WebhookDelivery(row))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      logger.error("Error claiming due webhook deliveries", error);
+      throw error;
+    }
+  }
+
+  // Find delivery by ID
+  static async findById(id) {
+    try {
+      const query = "SELECT * FROM webhook_deliveries WHERE id = $1";
+      const result = await pool.query(query, [id]);
+      return result.rows.length > 0 ? new WebhookDelivery(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error finding webhook delivery by ID", error);
+      throw error;
+    }
+  }
+
+  // Find failed deliveries (optionally per organization and since a date)
+  static async findFailed(organizationId = null, since = null, limit = 100) {
+    try {
+      let query = `
+        SELECT * FROM webhook_deliveries
+        WHERE status = 'failed'
+      `;
+      const params = [];
+
+      if (organizationId) {
+        query += " AND organization_id = $" + (params.length + 1);
+        params.push(organizationId);
+      }
+
+      if (since) {
+        query += " AND created_at >= $" + (params.length + 1);
+        params.push(since);
+      }
+
+      query += " ORDER BY created_at ASC LIMIT $" + (params.length + 1);
+      params.push(limit);
+
+      const result = await pool.query(query, params);
+      return result.rows.map((row) => new WebhookDelivery(row));
+    } catch (error) {
+      logger.error("Error finding failed webhook deliveries", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,354 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+const { cursorSortKey } = require("../utils/cursors");
+
+// Sort key of the pages of events (see utils/cursors)
+const PAGE_SORT_KEY = cursorSortKey("created_at");
+
+class WebhookEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.campaignId = data.campaign_id;
+    this.campaignAudienceId = data.campaign_audience_id;
+    this.messageId = data.message_id;
+    this.eventType = data.event_type;
+    this.whatsappMessageId = data.whatsapp_message_id;
+    this.fromPhoneNumber = data.from_phone_number;
+    this.toPhoneNumber = data.to_phone_number;
+    this.whatsappPhoneNumberId = data.whatsapp_phone_number_id;
+    this.status = data.status;
+    this.timestamp = data.timestamp;
+    this.rawPayload = data.raw_payload;
+    this.processed = data.processed;
+    this.errorMessage = data.error_message;
+    this.interactiveType = data.interactive_type;
+    this.interactiveData = data.interactive_data;
+    this.statusTransition = data.status_transition;
+    this.replayOf = data.replay_of;
+    this.replayCount = data.replay_count;
+    this.replayedAt = data.replayed_at;
+    this.lastReplayError = data.last_replay_error;
+    this.fingerprint = data.fingerprint;
+    this.correlationId = data.correlation_id;
+    this.createdAt = data.created_at;
+  }
+
+  // Create new webhook event
+  // Returns null when an event with the same fingerprint is already stored
+  // (a redelivery of the same status, message or account update)
+  static async create(eventData, client = pool) {
+    try {
+      const query = `
+        INSERT INTO webhook_events (
+          organization_id, campaign_id, campaign_audience_id, event_type,
+          whatsapp_message_id, from_phone_number, to_phone_number, status,
+          timestamp, raw_payload, interactive_type, interactive_data, processed,
+          replay_of, fingerprint, correlation_id, whatsapp_phone_number_id
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+          $17
+        )
+        ON CONFLICT (fingerprint) DO NOTHING
+        RETURNING *
+      `;
+      const params = [
+        eventData.organizationId || null,
+        eventData.campaignId || null,
+        eventData.campaignAudienceId || null,
+        eventData.eventType,
+        eventData.whatsappMessageId,
+        eventData.fromPhoneNumber || null,
+        eventData.toPhoneNumber || null,
+        eventData.status,
+        eventData.timestamp || new Date(),
+        JSON.stringify(eventData.rawPayload),
+        eventData.interactiveType || null,
+        eventData.interactiveData
+          ? JSON.stringify(eventData.interactiveData)
+          : null,
+        false,
+        eventData.replayOf || null,
+        eventData.fingerprint || null,
+        eventData.correlationId || null,
+        eventData.whatsappPhoneNumberId || null,
+      ];
+
+      const result = await client.query(query, params);
+      return result.rows.length > 0 ? new WebhookEvent(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error creating webhook event", error);
+      throw error;
+    }
+  }
+
+  // Mark webhook event as processed
+  static async markAsProcessed(id, errorMessage = null, client = pool) {
+    try {
+      const query = `
+        UPDATE webhook_events 
+        SET processed = true, error_message = $1 
+        WHERE id = $2 
+        RETURNING *
+      `;
+      const result = await client.query(query, [errorMessage, id]);
+      return result.rows.length > 0 ? new WebhookEvent(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error marking webhook event as processed", error);
+      throw error;
+    }
+  }
+
+  // Record the outcome of a status event that was not applied
+  static async recordStatusTransition(id, statusTransition, client = pool) {
+    try {
+      const query = `
+        UPDATE webhook_events 
+        SET status_transition = $1 
+        WHERE id = $2 
+        RETURNING *
+      `;
+      const result = await client.query(query, [
+        JSON.stringify(statusTransition),
+        id,
+      ]);
+      return result.rows.length > 0 ? new WebhookEvent(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error recording webhook event status transition", error);
+      throw error;
+    }
+  }
+
+  // Select events to replay
+  // filters: organizationId, from, to (event timestamp), eventTypes, ids,
+  // state ("failed", "unprocessed" or "any"), includeReplayed, limit
+  // Events created by a replay and events already replayed successfully
+  // are left out unless includeReplayed is set
+  static async findForReplay(filters = {}) {
+    try {
+      let query = "SELECT * FROM webhook_events WHERE 1 = 1";
+      const params = [];
+
+      if (filters.ids && filters.ids.length > 0) {
+        query += " AND id = ANY($" + (params.length + 1) + "::uuid[])";
+        params.push(filters.ids);
+      }
+
+      if (filters.organizationId) {
+        query += " AND organization_id = $" + (params.length + 1);
+        params.push(filters.organizationId);
+      }
+
+      if (filters.from) {
+        query += " AND timestamp >= $" + (params.length + 1);
+        params.push(filters.from);
+      }
+
+      if (filters.to) {
+        query += " AND timestamp <= $" + (params.length + 1);
+        params.push(filters.to);
+      }
+
+      if (filters.eventTypes && filters.eventTypes.length > 0) {
+        query += " AND event_type::text = ANY($" + (params.length + 1) + ")";
+        params.push(filters.eventTypes);
+      }
+
+      if (filters.state === "failed") {
+        query += " AND error_message IS NOT NULL";
+      } else if (filters.state === "unprocessed") {
+        query += " AND processed = false";
+      }
+
+      if (!filters.includeReplayed) {
+        query += " AND replay_of IS NULL";
+        query += " AND (replayed_at IS NULL OR last_replay_error IS NOT NULL)";
+      }
+
+      query +=
+        " ORDER BY timestamp ASC, created_at ASC LIMIT $" + (params.length + 1);
+      params.push(filters.limit || 100);
+
+      const result = await pool.query(query, params);
+      return result.rows.map((row) => new WebhookEvent(row));
+    } catch (error) {
+      logger.error("Error selecting webhook events for replay", error);
+      throw error;
+    }
+  }
+
+  // Record the outcome of replaying an event
+  static async markReplayed(id, errorMessage = null) {
+    try {
+      const query = `
+        UPDATE webhook_events 
+        SET 
+          replay_count = COALESCE(replay_count, 0) + 1,
+          replayed_at = CURRENT_TIMESTAMP,
+          last_replay_error = $1
+        WHERE id = $2 
+        RETURNING *
+      `;
+      const result = await pool.query(query, [errorMessage, id]);
+      return result.rows.length > 0 ? new WebhookEvent(result.rows[0]) : null;
+    } catch (error) {
+      logger.error("Error marking webhook event as replayed", error);
+      throw error;
+    }
+  }
+
+  // Find the events stored for a webhook request
+  static async findByCorrelationId(correlationId) {
+    try {
+      const query = `
+        SELECT * FROM webhook_events 
+        WHERE correlation_id = $1 
+        ORDER BY created_at ASC
+      `;
+      const result = await pool.query(query, [correlationId]);
+      return result.rows.map((row) => new WebhookEvent(row));
+    } catch (error) {
+      logger.error("Error finding webhook events by correlation id", error);
+      throw error;
+    }
+  }
+
+  // Find unprocessed events
+  static async findUnprocessed(limit = 100) {
+    try {
+      const query = `
+        SELECT * FROM webhook_events 
+        WHERE processed = false 
+        ORDER BY created_at ASC 
+        LIMIT $1
+      `;
+      const result = await pool.query(query, [limit]);
+      return result.rows.map((row) => new WebhookEvent(row));
+    } catch (error) {
+      logger.error("Error finding unprocessed webhook events", error);
+      throw error;
+    }
+  }
+
+  // Find events by WhatsApp message ID
+  static async findByWhatsAppMessageId(whatsappMessageId) {
+    try {
+      const query = `
+        SELECT * FROM webhook_events 
+        WHERE whatsapp_message_id = $1 
+        ORDER BY created_at DESC
+      `;
+      const result = await pool.query(query, [whatsappMessageId]);
+      return result.rows.map((row) => new WebhookEvent(row));
+    } catch (error) {
+      logger.error(
+        "Error finding webhook events by WhatsApp message ID",
+        error
+      );
+      throw error;
+    }
+  }
+
+  // Get events by type
+  static async findByEventType(eventType, limit = 100, offset = 0) {
+    try {
+      const query = `
+        SELECT * FROM webhook_events 
+        WHERE event_type = $1 
+        ORDER BY created_at DESC 
+        LIMIT $2 OFFSET $3
+      `;
+      const result = await pool.query(query, [eventType, limit, offset]);
+      return result.rows.map((row) => new WebhookEvent(row));
+    } catch (error) {
+      logger.error("Error finding webhook events by type", error);
+      throw error;
+    }
+  }
+
+  // Get a page of an organization's events, newest first
+  // filters: eventType, status, state ("processed", "unprocessed" or
+  // "failed"), whatsappMessageId, whatsappPhoneNumberId, from, to
+  // (timestamps)
+  // before: { timestamp, id } (created_at) of the last event of the previous
+  // page
+  static async findPage(organizationId, filters = {}, before = null, limit = 50) {
+    try {
+      let query = "SELECT * FROM webhook_events WHERE organization_id = $1";
+      const params = [organizationId];
+
+      if (filters.eventType) {
+        query += " AND event_type::text = $" + (params.length + 1);
+        params.push(filters.eventType);
+      }
+
+      if (filters.status) {
+        query += " AND status = $" + (params.length + 1);
+        params.push(filters.status);
+      }
+
+      if (filters.state === "failed") {
+        query += " AND error_message IS NOT NULL";
+      } else if (filters.state === "unprocessed") {
+        query += " AND processed = false";
+      } else if (filters.state === "processed") {
+        query += " AND processed = true AND error_message IS NULL";
+      }
+
+      if (filters.whatsappMessageId) {
+        query += " AND whatsapp_message_id = $" + (params.length + 1);
+        params.push(filters.whatsappMessageId);
+      }
+
+      if (filters.whatsappPhoneNumberId) {
+        query += " AND whatsapp_phone_number_id = $" + (params.length + 1);
+        params.push(filters.whatsappPhoneNumberId);
+      }
+
+      if (filters.from) {
+        query += " AND timestamp >= $" + (params.length + 1);
+        params.push(filters.from);
+      }
+
+      if (filters.to) {
+        query += " AND timestamp <= $" + (params.length + 1);
+        params.push(filters.to);
+      }
+
+      if (before) {
+        const cursorKey = cursorSortKey(`$${params.length + 1}::timestamptz`);
+        query += ` AND (${PAGE_SORT_KEY}, id) < (${cursorKey}, $${params.length + 2}::uuid)`;
+        params.push(before.timestamp, before.id);
+      }
+
+      query +=
+        ` ORDER BY ${PAGE_SORT_KEY} DESC, id DESC LIMIT $` +
+        (params.length + 1);
+      params.push(limit);
+
+      const result = await pool.query(query, params);
+      return result.rows.map((row) => new WebhookEvent(row));
+    } catch (error) {
+      logger.error("Error finding webhook events page", error);
+      throw error;
+    }
+  }
+
+  // Clean up old processed events (for maintenance)
+  static async cleanupOldEvents(daysOld = 30) {
+    try {
+      const query = `
+        DELETE FROM webhook_events 
+        WHERE processed = true 
+        AND created_at < NOW() - INTERVAL '${daysOld} days'
+      `;
+      const result = await pool.query(query);
+      return result.rowCount;
+    } catch (error) {
+      logger.error("Error cleaning up old webhook events", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookEvent;
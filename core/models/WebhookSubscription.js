@@ -0,0 +1,105 @@
+const pool = require("../db/connection");
+const { logger } = require("../utils/logger");
+
+class WebhookSubscription {
+  constructor(data) {
+    this.id = data.id;
+    this.organizationId = data.organization_id;
+    this.url = data.url;
+    this.secret = data.secret;
+    this.eventTypes = data.event_types;
+    this.isActive = data.is_active;
+    this.description = data.description;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Find active subscriptions for an organization
+  static async findActiveByOrganization(organizationId, client = pool) {
+    try {
+      const query = `
+        SELECT * FROM webhook_subscriptions
+        WHERE organization_id = $1 AND is_active = true
+        ORDER BY created_at ASC
+      `;
+      const result = await client.query(query, [organizationId]);
+      return result.rows.map((row) => new WebhookSubscription(row));
+    } catch (error) {
+      logger.error("Error finding webhook subscriptions", error);
+      throw error;
+    }
+  }
+
+  // Find subscription by ID
+  static async findById(id) {
+    try {
+      const query = "SELECT * FROM webhook_subscriptions WHERE id = $1";
+      const result = await pool.query(query, [id]);
+      return result.rows.length > 0
+        ? new WebhookSubscription(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error finding webhook subscription by ID", error);
+      throw error;
+    }
+  }
+
+  // Create new subscription
+  static async create(subscriptionData) {
+    try {
+      const query = `
+        INSERT INTO webhook_subscriptions (
+          organization_id, url, secret, event_types, is_active, description
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `;
+      const result = await pool.query(query, [
+        subscriptionData.organizationId,
+        subscriptionData.url,
+        subscriptionData.secret,
+        subscriptionData.eventTypes || null,
+        subscriptionData.isActive !== false,
+        subscriptionData.description || null,
+      ]);
+      return new WebhookSubscription(result.rows[0]);
+    } catch (error) {
+      logger.error("Error creating webhook subscription", error);
+      throw error;
+    }
+  }
+
+  // Deactivate subscription
+  static async deactivate(id) {
+    try {
+      const query = `
+        UPDATE webhook_subscriptions
+        SET is_active = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `;
+      const result = await pool.query(query, [id]);
+      return result.rows.length > 0
+        ? new WebhookSubscription(result.rows[0])
+        : null;
+    } catch (error) {
+      logger.error("Error deactivating webhook subscription", error);
+      throw error;
+    }
+  }
+
+  // Check if subscription wants an event type
+  // (no filter = everything, "*" = everything, "message.*" = prefix match)
+  matchesEvent(eventType) {
+    if (!this.eventTypes || this.eventTypes.length === 0) return true;
+
+    return this.eventTypes.some((filter) => {
+      if (filter === "*" || filter === eventType) return true;
+      if (filter.endsWith(".*")) {
+        return eventType.startsWith(filter.slice(0, -1));
+      }
+      return false;
+    });
+  }
+}
+
+module.exports = WebhookSubscription;
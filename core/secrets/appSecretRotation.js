@@ -0,0 +1,81 @@
+/**
+ * Rotation of an organization's app secret
+ *
+ * Meta signs webhooks with the app secret, and after it is reset there is no
+ * telling exactly when Meta switches over. Rotating keeps the replaced secret
+ * as the previous one: signatures made with either are accepted until
+ * APP_SECRET_GRACE_HOURS (default 24) have passed, then the previous secret
+ * is retired. Only one previous secret is kept, so rotating again within the
+ * grace window drops the older one.
+ */
+
+const Organization = require("../models/Organization");
+const { withTransaction } = require("../db/transaction");
+const { logger } = require("../utils/logger");
+const { encryptSecret, decryptSecret } = require("./envelope");
+
+const GRACE_HOURS = parseInt(process.env.APP_SECRET_GRACE_HOURS) || 24;
+
+/**
+ * Replace an organization's app secret, keeping the current one valid for
+ * the grace window (options.graceHours)
+ * Returns the updated organization, or null when it does not exist
+ */
+async function rotateAppSecret(organizationId, newSecret, options = {}) {
+  if (!newSecret) {
+    throw new Error("New app secret is empty");
+  }
+
+  const graceHours = options.graceHours ?? GRACE_HOURS;
+  const expiresAt = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+
+  const organization = await withTransaction(async (client) => {
+    const stored = await Organization.lockStoredSecrets(organizationId, client);
+    if (!stored) return null;
+
+    const current = await decryptSecret(
+      stored.whatsapp_app_secret,
+      "whatsapp_app_secret"
+    );
+    if (current === newSecret) {
+      throw new Error("New app secret is the same as the current one");
+    }
+
+    return Organization.setAppSecrets(
+      organizationId,
+      {
+        appSecret: await encryptSecret(newSecret, "whatsapp_app_secret"),
+        previousAppSecret: current
+          ? await encryptSecret(current, "whatsapp_previous_app_secret")
+          : null,
+        previousAppSecretExpiresAt: current ? expiresAt : null,
+      },
+      client
+    );
+  });
+
+  if (organization) {
+    logger.info("Rotated organization app secret", {
+      organizationId,
+      graceWindowEndsAt: organization.whatsappPreviousAppSecretExpiresAt,
+    });
+  }
+  return organization;
+}
+
+/**
+ * Retire the previous app secrets whose grace window has ended
+ */
+async function retireExpiredAppSecrets() {
+  const organizationIds = await Organization.retireExpiredAppSecrets();
+
+  for (const organizationId of organizationIds) {
+    logger.info("Retired previous app secret", { organizationId });
+  }
+  return { retired: organizationIds.length, organizationIds };
+}
+
+module.exports = {
+  rotateAppSecret,
+  retireExpiredAppSecrets,
+};
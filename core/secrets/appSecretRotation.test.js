@@ -0,0 +1,106 @@
+process.env.SECRETS_KEY_PROVIDER = "";
+
+jest.mock("../db/connection", () => {
+  const query = jest.fn();
+  return { query, connect: async () => ({ query, release() {} }) };
+});
+
+const pool = require("../db/connection");
+const {
+  rotateAppSecret,
+  retireExpiredAppSecrets,
+} = require("./appSecretRotation");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Answer the rotation queries for an organization holding currentSecret
+ */
+function fakeOrganization(currentSecret) {
+  pool.query.mockImplementation(async (query, params) => {
+    if (/FOR UPDATE/.test(query)) {
+      return { rows: [{ id: params[0], whatsapp_app_secret: currentSecret }] };
+    }
+    if (/SET\s+whatsapp_app_secret = \$2/.test(query)) {
+      return {
+        rows: [
+          {
+            id: params[0],
+            whatsapp_app_secret: params[1],
+            whatsapp_previous_app_secret: params[2],
+            whatsapp_previous_app_secret_expires_at: params[3],
+          },
+        ],
+      };
+    }
+    return { rows: [] };
+  });
+}
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  pool.query.mockReset();
+});
+
+describe("rotateAppSecret", () => {
+  test("keeps the replaced secret for the grace window", async () => {
+    fakeOrganization("old-secret");
+    const before = Date.now();
+
+    const organization = await rotateAppSecret("org-1", "new-secret", {
+      graceHours: 2,
+    });
+
+    expect(organization.whatsappAppSecret).toBe("new-secret");
+    expect(organization.whatsappPreviousAppSecret).toBe("old-secret");
+    const expiresAt = organization.whatsappPreviousAppSecretExpiresAt;
+    expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 2 * HOUR);
+    expect(expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 2 * HOUR);
+
+    expect(
+      organization.getWebhookSecrets().map(({ secret }) => secret)
+    ).toEqual(["new-secret", "old-secret"]);
+    expect(
+      organization
+        .getWebhookSecrets(new Date(Date.now() + 3 * HOUR))
+        .map(({ name }) => name)
+    ).toEqual(["current"]);
+  });
+
+  test("a first secret has nothing to keep", async () => {
+    fakeOrganization(null);
+
+    const organization = await rotateAppSecret("org-1", "new-secret");
+    expect(organization.whatsappPreviousAppSecret).toBeNull();
+    expect(organization.whatsappPreviousAppSecretExpiresAt).toBeNull();
+  });
+
+  test("refuses an empty or unchanged secret", async () => {
+    fakeOrganization("old-secret");
+
+    await expect(rotateAppSecret("org-1", "")).rejects.toThrow(
+      "New app secret is empty"
+    );
+    await expect(rotateAppSecret("org-1", "old-secret")).rejects.toThrow(
+      "New app secret is the same as the current one"
+    );
+    expect(pool.query).toHaveBeenCalledWith("ROLLBACK");
+  });
+});
+
+describe("retireExpiredAppSecrets", () => {
+  test("drops the previous secrets whose window has ended", async () => {
+    pool.query.mockResolvedValue({ rows: [{ id: "org-1" }, { id: "org-2" }] });
+
+    expect(await retireExpiredAppSecrets()).toEqual({
+      retired: 2,
+      organizationIds: ["org-1", "org-2"],
+    });
+    expect(pool.query.mock.calls[0][0]).toMatch(
+      /whatsapp_previous_app_secret_expires_at <= CURRENT_TIMESTAMP/
+    );
+  });
+});
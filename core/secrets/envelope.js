@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const { getKeyProvider } = require("./keyProvider");
+
+/**
+ * Envelope encryption of a single value
+ *
+ * The value is encrypted (AES-256-GCM) with its own data key, stored wrapped
+ * by the provider's master key (base64url parts):
+ *   enc:v1:<master key id>:<wrapped data key>:<iv>:<auth tag>:<ciphertext>
+ * The column name is bound as additional authenticated data, so a value
+ * cannot be copied into another column.
+ */
+const ENVELOPE_PREFIX = "enc:v1:";
+
+/**
+ * Check whether a stored value is encrypted
+ */
+function isEncryptedSecret(value) {
+  return typeof value === "string" && value.startsWith(ENVELOPE_PREFIX);
+}
+
+/**
+ * Split a stored value into its envelope parts
+ */
+function parseEnvelope(value) {
+  const parts = value.slice(ENVELOPE_PREFIX.length).split(":");
+  if (parts.length !== 5) {
+    throw new Error("Malformed encrypted secret");
+  }
+
+  const [keyId, encryptedKey, iv, authTag, ciphertext] = parts.map((part) =>
+    Buffer.from(part, "base64url")
+  );
+  return {
+    keyId: keyId.toString("utf8"),
+    encryptedKey,
+    iv,
+    authTag,
+    ciphertext,
+  };
+}
+
+/**
+ * Get the id of the master key a stored value is encrypted with
+ * (null for plaintext values)
+ */
+function getSecretKeyId(value) {
+  return isEncryptedSecret(value) ? parseEnvelope(value).keyId : null;
+}
+
+/**
+ * Encrypt a secret for the given column
+ * Empty values, already encrypted values and values without a configured
+ * provider are returned as they are
+ */
+async function encryptSecret(value, column, provider = getKeyProvider()) {
+  if (!value || isEncryptedSecret(value) || !provider) {
+    return value;
+  }
+
+  const { keyId, plaintextKey, encryptedKey } =
+    await provider.generateDataKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", plaintextKey, iv);
+  cipher.setAAD(Buffer.from(column, "utf8"));
+  const ciphertext = Buffer.concat([
+    cipher.update(String(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  const parts = [
+    Buffer.from(keyId, "utf8"),
+    encryptedKey,
+    iv,
+    cipher.getAuthTag(),
+    ciphertext,
+  ];
+  return (
+    ENVELOPE_PREFIX +
+    parts.map((part) => part.toString("base64url")).join(":")
+  );
+}
+
+/**
+ * Decrypt a stored secret of the given column
+ * Plaintext values (rows not migrated yet) are returned as they are
+ */
+async function decryptSecret(value, column, provider = getKeyProvider()) {
+  if (!isEncryptedSecret(value)) {
+    return value;
+  }
+  if (!provider) {
+    throw new Error(
+      `Encrypted ${column} found but SECRETS_KEY_PROVIDER is not set`
+    );
+  }
+
+  const { keyId, encryptedKey, iv, authTag, ciphertext } =
+    parseEnvelope(value);
+  const plaintextKey = await provider.decryptDataKey(encryptedKey, keyId);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", plaintextKey, iv);
+  decipher.setAAD(Buffer.from(column, "utf8"));
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+module.exports = {
+  isEncryptedSecret,
+  getSecretKeyId,
+  encryptSecret,
+  decryptSecret,
+};
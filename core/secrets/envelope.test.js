@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const LocalKeyProvider = require("./localKeyProvider");
+const KmsKeyProvider = require("./kmsKeyProvider");
+const {
+  isEncryptedSecret,
+  getSecretKeyId,
+  encryptSecret,
+  decryptSecret,
+} = require("./envelope");
+
+const newKey = () => crypto.randomBytes(32).toString("base64");
+
+/**
+ * A local provider with an in-memory keyring
+ */
+const localProvider = (
+  activeKeyId = "local-1",
+  keys = { "local-1": newKey() }
+) => new LocalKeyProvider({ keyring: { activeKeyId, keys } });
+
+describe("envelope encryption", () => {
+  test("round-trips a secret", async () => {
+    const provider = localProvider();
+    const stored = await encryptSecret("EAAB-token", "access_token", provider);
+
+    expect(isEncryptedSecret(stored)).toBe(true);
+    expect(stored).not.toContain("EAAB-token");
+    expect(getSecretKeyId(stored)).toBe("local-1");
+    expect(await decryptSecret(stored, "access_token", provider)).toBe(
+      "EAAB-token"
+    );
+  });
+
+  test("every value gets its own data key and IV", async () => {
+    const provider = localProvider();
+    expect(await encryptSecret("same", "app_secret", provider)).not.toBe(
+      await encryptSecret("same", "app_secret", provider)
+    );
+  });
+
+  test("a value copied into another column does not decrypt", async () => {
+    const provider = localProvider();
+    const stored = await encryptSecret("secret", "app_secret", provider);
+
+    await expect(
+      decryptSecret(stored, "access_token", provider)
+    ).rejects.toThrow();
+  });
+
+  test("a tampered value does not decrypt", async () => {
+    const provider = localProvider();
+    const stored = await encryptSecret("secret", "app_secret", provider);
+    const parts = stored.split(":");
+    const ciphertext = Buffer.from(parts[6], "base64url");
+    ciphertext[0] ^= 1;
+    parts[6] = ciphertext.toString("base64url");
+
+    await expect(
+      decryptSecret(parts.join(":"), "app_secret", provider)
+    ).rejects.toThrow();
+    await expect(
+      decryptSecret("enc:v1:local-1:abc", "app_secret", provider)
+    ).rejects.toThrow("Malformed encrypted secret");
+  });
+
+  test("values of a previous master key still decrypt", async () => {
+    const keys = { "local-1": newKey() };
+    const stored = await encryptSecret(
+      "secret",
+      "app_secret",
+      localProvider("local-1", keys)
+    );
+
+    const rotated = localProvider("local-2", {
+      ...keys,
+      "local-2": newKey(),
+    });
+    expect(await decryptSecret(stored, "app_secret", rotated)).toBe("secret");
+    expect(
+      getSecretKeyId(await encryptSecret("secret", "app_secret", rotated))
+    ).toBe("local-2");
+  });
+
+  test("plaintext and empty values pass through", async () => {
+    const provider = localProvider();
+    expect(await decryptSecret("plain", "app_secret", provider)).toBe("plain");
+    expect(await encryptSecret(null, "app_secret", provider)).toBeNull();
+    expect(await encryptSecret("plain", "app_secret", null)).toBe("plain");
+    expect(getSecretKeyId("plain")).toBeNull();
+
+    const stored = await encryptSecret("x", "app_secret", provider);
+    expect(await encryptSecret(stored, "app_secret", provider)).toBe(stored);
+    await expect(decryptSecret(stored, "app_secret", null)).rejects.toThrow(
+      "SECRETS_KEY_PROVIDER is not set"
+    );
+  });
+});
+
+describe("KMS key provider", () => {
+  test("wraps data keys with KMS and caches unwrapped ones", async () => {
+    const dataKey = crypto.randomBytes(32);
+    const client = {
+      generateDataKey: jest.fn(() => ({
+        promise: async () => ({
+          Plaintext: dataKey,
+          CiphertextBlob: Buffer.from("wrapped"),
+        }),
+      })),
+      decrypt: jest.fn(() => ({
+        promise: async () => ({ Plaintext: dataKey }),
+      })),
+    };
+    const provider = new KmsKeyProvider({ keyId: "alias/secrets", client });
+
+    const stored = await encryptSecret("secret", "app_secret", provider);
+    expect(getSecretKeyId(stored)).toBe("alias/secrets");
+    expect(await decryptSecret(stored, "app_secret", provider)).toBe("secret");
+    expect(await decryptSecret(stored, "app_secret", provider)).toBe("secret");
+
+    expect(client.decrypt).toHaveBeenCalledTimes(1);
+    expect(client.decrypt.mock.calls[0][0]).toEqual({
+      CiphertextBlob: Buffer.from("wrapped"),
+      KeyId: "alias/secrets",
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const LocalKeyProvider = require("./localKeyProvider");
+const KmsKeyProvider = require("./kmsKeyProvider");
+const { createKeyProvider, getKeyProvider } = require("./keyProvider");
+const {
+  isEncryptedSecret,
+  getSecretKeyId,
+  encryptSecret,
+  decryptSecret,
+} = require("./envelope");
+const { encryptOrganizationSecrets } = require("./organizationSecrets");
+const {
+  rotateAppSecret,
+  retireExpiredAppSecrets,
+} = require("./appSecretRotation");
+
+/**
+ * Encryption of secrets stored in the database
+ *
+ * The organization access token and app secrets (SECRET_COLUMNS in the
+ * Organization model) are stored with envelope encryption (./envelope):
+ * every value has its own data key, wrapped
+ * by a master key of the provider selected with SECRETS_KEY_PROVIDER
+ * (./keyProvider: local key file or AWS KMS). The Organization model
+ * decrypts them when it loads a row. Without a provider values are stored as
+ * they are.
+ *
+ * Rotation: make a new master key active (npm run secrets:add-key, or a new
+ * SECRETS_KMS_KEY_ID) and re-encrypt with encryptOrganizationSecrets
+ * ({ rotate: true }); values under the older key stay readable meanwhile.
+ *
+ * App secrets are rotated with a grace window (./appSecretRotation).
+ */
+module.exports = {
+  createKeyProvider,
+  getKeyProvider,
+  isEncryptedSecret,
+  getSecretKeyId,
+  encryptSecret,
+  decryptSecret,
+  encryptOrganizationSecrets,
+  rotateAppSecret,
+  retireExpiredAppSecrets,
+  LocalKeyProvider,
+  KmsKeyProvider,
+};
@@ -0,0 +1,49 @@
+const LocalKeyProvider = require("./localKeyProvider");
+const KmsKeyProvider = require("./kmsKeyProvider");
+
+/**
+ * Key providers, selected with SECRETS_KEY_PROVIDER:
+ *   local - keys in the SECRETS_KEY_FILE JSON file (development)
+ *   kms   - AWS KMS key SECRETS_KMS_KEY_ID
+ *
+ * Every provider exposes getActiveKeyId(), generateDataKey() ->
+ * { keyId, plaintextKey, encryptedKey }, decryptDataKey(encryptedKey, keyId)
+ * and addKey().
+ */
+const PROVIDERS = {
+  local: LocalKeyProvider,
+  kms: KmsKeyProvider,
+};
+
+let defaultProvider;
+
+/**
+ * Create a key provider for the given (or configured) backend
+ * Returns null when none is configured
+ */
+function createKeyProvider(options = {}) {
+  const backend = options.provider || process.env.SECRETS_KEY_PROVIDER || null;
+  if (!backend) return null;
+
+  const Provider = PROVIDERS[backend];
+  if (!Provider) {
+    throw new Error(`Unknown secrets key provider: ${backend}`);
+  }
+
+  return new Provider(options);
+}
+
+/**
+ * Get the configured key provider (created once per process)
+ */
+function getKeyProvider() {
+  if (defaultProvider === undefined) {
+    defaultProvider = createKeyProvider();
+  }
+  return defaultProvider;
+}
+
+module.exports = {
+  createKeyProvider,
+  getKeyProvider,
+};
@@ -0,0 +1,90 @@
+/**
+ * AWS KMS key provider
+ *
+ * Data keys are generated and unwrapped by the KMS key SECRETS_KMS_KEY_ID
+ * (key id, ARN or alias). Unwrapped data keys are cached in memory so a warm
+ * Lambda does not call KMS for every organization lookup.
+ */
+
+// Unwrapped data keys kept per process
+const MAX_CACHED_KEYS = 100;
+
+class KmsKeyProvider {
+  constructor(options = {}) {
+    this.keyId = options.keyId || process.env.SECRETS_KMS_KEY_ID || null;
+    this.region =
+      options.region ||
+      process.env.SECRETS_KMS_REGION ||
+      process.env.AWS_REGION ||
+      "us-east-1";
+    this.client = options.client || null;
+    this.cache = new Map();
+    this.name = "kms";
+  }
+
+  /**
+   * Get the KMS client (aws-sdk is only loaded when no client was given)
+   */
+  getClient() {
+    if (!this.client) {
+      const AWS = require("aws-sdk");
+      this.client = new AWS.KMS({ region: this.region });
+    }
+    return this.client;
+  }
+
+  getActiveKeyId() {
+    if (!this.keyId) {
+      throw new Error("SECRETS_KMS_KEY_ID environment variable not set");
+    }
+    return this.keyId;
+  }
+
+  /**
+   * Create a data key; returns it in plaintext and wrapped by KMS
+   */
+  async generateDataKey() {
+    const keyId = this.getActiveKeyId();
+    const result = await this.getClient()
+      .generateDataKey({ KeyId: keyId, KeySpec: "AES_256" })
+      .promise();
+
+    return {
+      keyId: keyId,
+      plaintextKey: Buffer.from(result.Plaintext),
+      encryptedKey: Buffer.from(result.CiphertextBlob),
+    };
+  }
+
+  /**
+   * Unwrap a data key with KMS
+   */
+  async decryptDataKey(encryptedKey, keyId) {
+    const cacheKey = encryptedKey.toString("base64");
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const result = await this.getClient()
+      .decrypt({ CiphertextBlob: encryptedKey, KeyId: keyId })
+      .promise();
+    const plaintextKey = Buffer.from(result.Plaintext);
+
+    if (this.cache.size >= MAX_CACHED_KEYS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(cacheKey, plaintextKey);
+    return plaintextKey;
+  }
+
+  /**
+   * KMS keys are created (and rotated) in KMS itself
+   */
+  async addKey() {
+    throw new Error(
+      "KMS keys are managed in AWS KMS: set SECRETS_KMS_KEY_ID to the new key"
+    );
+  }
+}
+
+module.exports = KmsKeyProvider;
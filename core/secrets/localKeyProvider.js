@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Master keys kept in a local JSON file (development and self-hosting)
+ *
+ *   { "activeKeyId": "local-1", "keys": { "local-1": "<base64>", ... } }
+ *
+ * Every key is 32 random bytes. Data keys are wrapped with the active key
+ * (AES-256-GCM); older keys stay in the file so values wrapped with them can
+ * still be read until they are re-encrypted.
+ */
+class LocalKeyProvider {
+  constructor(options = {}) {
+    this.keyFile = path.resolve(
+      options.keyFile || process.env.SECRETS_KEY_FILE || "./secrets-key.json"
+    );
+    this.keyring = options.keyring || null;
+    this.name = "local";
+  }
+
+  /**
+   * Get the key file contents (read once)
+   */
+  getKeyring() {
+    if (!this.keyring) {
+      if (!fs.existsSync(this.keyFile)) {
+        throw new Error(
+          `Secrets key file not found: ${this.keyFile} ` +
+            "(create one with npm run secrets:add-key)"
+        );
+      }
+      this.keyring = JSON.parse(fs.readFileSync(this.keyFile, "utf8"));
+    }
+    return this.keyring;
+  }
+
+  getActiveKeyId() {
+    const { activeKeyId } = this.getKeyring();
+    if (!activeKeyId) {
+      throw new Error(`No activeKeyId in secrets key file ${this.keyFile}`);
+    }
+    return activeKeyId;
+  }
+
+  getMasterKey(keyId) {
+    const encoded = (this.getKeyring().keys || {})[keyId];
+    if (!encoded) {
+      throw new Error(`Unknown secrets key: ${keyId}`);
+    }
+
+    const key = Buffer.from(encoded, "base64");
+    if (key.length !== 32) {
+      throw new Error(`Secrets key ${keyId} is not 32 bytes`);
+    }
+    return key;
+  }
+
+  /**
+   * Create a data key; returns it in plaintext and wrapped with the active key
+   */
+  async generateDataKey() {
+    const keyId = this.getActiveKeyId();
+    const plaintextKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      this.getMasterKey(keyId),
+      iv
+    );
+    const wrapped = Buffer.concat([
+      cipher.update(plaintextKey),
+      cipher.final(),
+    ]);
+
+    return {
+      keyId: keyId,
+      plaintextKey: plaintextKey,
+      encryptedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]),
+    };
+  }
+
+  /**
+   * Unwrap a data key with the master key it was wrapped with
+   */
+  async decryptDataKey(encryptedKey, keyId) {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this.getMasterKey(keyId),
+      encryptedKey.subarray(0, 12)
+    );
+    decipher.setAuthTag(encryptedKey.subarray(12, 28));
+    return Buffer.concat([
+      decipher.update(encryptedKey.subarray(28)),
+      decipher.final(),
+    ]);
+  }
+
+  /**
+   * Add a new key to the key file (created if missing) and make it active
+   */
+  async addKey() {
+    const keyring = fs.existsSync(this.keyFile)
+      ? JSON.parse(fs.readFileSync(this.keyFile, "utf8"))
+      : { activeKeyId: null, keys: {} };
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[-:T]/g, "")
+      .slice(0, 14);
+    const keyId = `local-${timestamp}-${crypto.randomBytes(3).toString("hex")}`;
+
+    keyring.keys = {
+      ...keyring.keys,
+      [keyId]: crypto.randomBytes(32).toString("base64"),
+    };
+    keyring.activeKeyId = keyId;
+
+    await fs.promises.writeFile(
+      this.keyFile,
+      JSON.stringify(keyring, null, 2) + "\n",
+      { mode: 0o600 }
+    );
+    this.keyring = keyring;
+    return keyId;
+  }
+}
+
+module.exports = LocalKeyProvider;
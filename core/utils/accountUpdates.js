@@ -0,0 +1,104 @@
+/**
+ * Account-level webhook fields (everything except "messages")
+ *
+ * Each supported field maps to a webhook_event_type and a model that keeps
+ * its history:
+ *
+ *   message_template_status_update  -> template_status_history + whatsapp_template_statuses
+ *   message_template_quality_update -> template_status_history + whatsapp_template_statuses
+ *   phone_number_quality_update     -> phone_number_quality_history
+ *   account_update                  -> account_events
+ */
+
+const TemplateStatus = require("../models/TemplateStatus");
+const PhoneNumberQuality = require("../models/PhoneNumberQuality");
+const AccountEvent = require("../models/AccountEvent");
+
+const ACCOUNT_UPDATE_FIELDS = {
+  message_template_status_update: {
+    eventType: "template_status_update",
+    extract: (value) => TemplateStatus.extractStatusUpdate(value),
+    getStatus: (update) => update.status,
+    record: (organizationId, update, rawPayload, client) =>
+      TemplateStatus.recordStatusUpdate(
+        organizationId,
+        update,
+        rawPayload,
+        client
+      ),
+  },
+  message_template_quality_update: {
+    eventType: "template_quality_update",
+    extract: (value) => TemplateStatus.extractQualityUpdate(value),
+    getStatus: (update) => update.qualityScore,
+    record: (organizationId, update, rawPayload, client) =>
+      TemplateStatus.recordQualityUpdate(
+        organizationId,
+        update,
+        rawPayload,
+        client
+      ),
+  },
+  phone_number_quality_update: {
+    eventType: "phone_number_quality_update",
+    extract: (value) => PhoneNumberQuality.extractFromWebhook(value),
+    getStatus: (update) => update.event,
+    record: (organizationId, update, rawPayload, client) =>
+      PhoneNumberQuality.create(organizationId, update, rawPayload, client),
+  },
+  account_update: {
+    eventType: "account_update",
+    extract: (value) => AccountEvent.extractFromWebhook(value),
+    getStatus: (update) => update.event,
+    record: (organizationId, update, rawPayload, client) =>
+      AccountEvent.create(organizationId, update, rawPayload, client),
+  },
+};
+
+/**
+ * Check if a webhook change field is an account-level update we persist
+ */
+function isAccountUpdateField(field) {
+  return Object.prototype.hasOwnProperty.call(ACCOUNT_UPDATE_FIELDS, field);
+}
+
+/**
+ * Parse an account-level change value
+ * Returns the webhook_event_type, the status to log and the parsed update
+ */
+function parseAccountUpdate(field, value, timestamp) {
+  const handler = ACCOUNT_UPDATE_FIELDS[field];
+  const update = { ...handler.extract(value || {}), timestamp };
+
+  return {
+    eventType: handler.eventType,
+    status: handler.getStatus(update) || null,
+    update: update,
+  };
+}
+
+/**
+ * Persist a parsed account-level update into its history table
+ * (client: the caller's transaction, the pool by default)
+ */
+async function recordAccountUpdate(
+  field,
+  organizationId,
+  update,
+  rawPayload,
+  client
+) {
+  return ACCOUNT_UPDATE_FIELDS[field].record(
+    organizationId,
+    update,
+    rawPayload,
+    client
+  );
+}
+
+module.exports = {
+  ACCOUNT_UPDATE_FIELDS,
+  isAccountUpdateField,
+  parseAccountUpdate,
+  recordAccountUpdate,
+};
@@ -0,0 +1,202 @@
+jest.mock("../db/connection", () => ({ query: jest.fn() }));
+
+const pool = require("../db/connection");
+const {
+  isAccountUpdateField,
+  parseAccountUpdate,
+  recordAccountUpdate,
+} = require("./accountUpdates");
+
+const timestamp = new Date("2024-03-01T10:00:00Z");
+
+beforeEach(() => {
+  pool.query.mockReset();
+  pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+});
+
+describe("isAccountUpdateField", () => {
+  test("only account-level fields are handled here", () => {
+    expect(isAccountUpdateField("message_template_status_update")).toBe(true);
+    expect(isAccountUpdateField("account_update")).toBe(true);
+    expect(isAccountUpdateField("messages")).toBe(false);
+    expect(isAccountUpdateField("toString")).toBe(false);
+  });
+});
+
+describe("parseAccountUpdate", () => {
+  test("template status updates", () => {
+    const parsed = parseAccountUpdate(
+      "message_template_status_update",
+      {
+        event: "REJECTED",
+        message_template_id: 1234,
+        message_template_name: "spring_sale",
+        message_template_language: "en_US",
+        reason: "INCORRECT_CATEGORY",
+      },
+      timestamp
+    );
+
+    expect(parsed).toEqual({
+      eventType: "template_status_update",
+      status: "REJECTED",
+      update: {
+        templateId: "1234",
+        templateName: "spring_sale",
+        templateLanguage: "en_US",
+        status: "REJECTED",
+        reason: "INCORRECT_CATEGORY",
+        timestamp,
+      },
+    });
+  });
+
+  test("a NONE reason falls back to the disable description", () => {
+    const { update } = parseAccountUpdate(
+      "message_template_status_update",
+      {
+        event: "DISABLED",
+        message_template_id: "1234",
+        reason: "NONE",
+        other_info: { description: "Low quality" },
+      },
+      timestamp
+    );
+
+    expect(update.reason).toBe("Low quality");
+    expect(update.templateName).toBeNull();
+  });
+
+  test("template quality updates", () => {
+    const parsed = parseAccountUpdate(
+      "message_template_quality_update",
+      {
+        message_template_id: 1234,
+        message_template_name: "spring_sale",
+        message_template_language: "en_US",
+        previous_quality_score: "GREEN",
+        new_quality_score: "YELLOW",
+      },
+      timestamp
+    );
+
+    expect(parsed.eventType).toBe("template_quality_update");
+    expect(parsed.status).toBe("YELLOW");
+    expect(parsed.update).toMatchObject({
+      templateId: "1234",
+      previousQualityScore: "GREEN",
+      qualityScore: "YELLOW",
+    });
+  });
+
+  test("phone number quality updates", () => {
+    const parsed = parseAccountUpdate(
+      "phone_number_quality_update",
+      {
+        display_phone_number: "15550001111",
+        event: "DOWNGRADE",
+        current_limit: "TIER_1K",
+        old_limit: "TIER_10K",
+      },
+      timestamp
+    );
+
+    expect(parsed).toMatchObject({
+      eventType: "phone_number_quality_update",
+      status: "DOWNGRADE",
+      update: {
+        displayPhoneNumber: "15550001111",
+        currentLimit: "TIER_1K",
+        oldLimit: "TIER_10K",
+        maxDailyConversationsPerBusiness: null,
+      },
+    });
+  });
+
+  test("account updates keep the remaining fields as details", () => {
+    const parsed = parseAccountUpdate(
+      "account_update",
+      {
+        phone_number: "15550001111",
+        event: "ACCOUNT_RESTRICTION",
+        restriction_info: [{ restriction_type: "RESTRICTED_ADD_PHONE_NUMBER" }],
+      },
+      timestamp
+    );
+
+    expect(parsed).toMatchObject({
+      eventType: "account_update",
+      status: "ACCOUNT_RESTRICTION",
+      update: {
+        phoneNumber: "15550001111",
+        details: {
+          restriction_info: [
+            { restriction_type: "RESTRICTED_ADD_PHONE_NUMBER" },
+          ],
+        },
+      },
+    });
+  });
+
+  test("a missing value parses to an UNKNOWN event", () => {
+    const parsed = parseAccountUpdate("account_update", null, timestamp);
+
+    expect(parsed.status).toBe("UNKNOWN");
+    expect(parsed.update.details).toBeNull();
+  });
+});
+
+describe("recordAccountUpdate", () => {
+  const client = { query: jest.fn() };
+
+  beforeEach(() => {
+    client.query.mockReset();
+    client.query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  test("a template status is kept in history and as current", async () => {
+    const { update } = parseAccountUpdate(
+      "message_template_status_update",
+      { event: "APPROVED", message_template_id: "1234" },
+      timestamp
+    );
+
+    await recordAccountUpdate(
+      "message_template_status_update",
+      "org-1",
+      update,
+      {},
+      client
+    );
+
+    const queries = client.query.mock.calls.map(([query]) => query);
+    expect(queries[0]).toContain("INSERT INTO template_status_history");
+    expect(queries[1]).toContain("INSERT INTO whatsapp_template_statuses");
+    // An older update arriving late does not overwrite a newer one
+    expect(queries[1]).toMatch(
+      /status_updated_at <= EXCLUDED\.status_updated_at/
+    );
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test("a phone number quality update is added to its history", async () => {
+    client.query.mockResolvedValue({ rows: [{ id: "q-1" }], rowCount: 1 });
+    const { update } = parseAccountUpdate(
+      "phone_number_quality_update",
+      { event: "FLAGGED" },
+      timestamp
+    );
+
+    await recordAccountUpdate(
+      "phone_number_quality_update",
+      "org-1",
+      update,
+      {},
+      client
+    );
+
+    const [query, params] = client.query.mock.calls[0];
+    expect(query).toContain("INSERT INTO phone_number_quality_history");
+    expect(params).toContain("FLAGGED");
+  });
+});
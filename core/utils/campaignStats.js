@@ -0,0 +1,63 @@
+/**
+ * Reconciliation of the campaigns counters
+ *
+ * Status handling keeps campaigns.total_sent/delivered/read/failed current
+ * with per-row deltas (CampaignAudience.applyStatsDelta). This job recounts
+ * campaign_audience from scratch, corrects the counters and reports every
+ * campaign whose totals had drifted.
+ */
+
+const CampaignAudience = require("../models/CampaignAudience");
+const { logger } = require("./logger");
+
+const LOOKBACK_DAYS =
+  parseInt(process.env.CAMPAIGN_STATS_RECONCILE_DAYS) || 7;
+
+/**
+ * Reconcile the given campaigns, or every campaign whose audience changed
+ * within the lookback window (options.since, options.all for every campaign)
+ */
+async function reconcileCampaignStats(options = {}) {
+  let campaignIds = options.campaignIds;
+
+  if (!campaignIds) {
+    const since = options.all
+      ? null
+      : options.since ||
+        new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    campaignIds = await CampaignAudience.findCampaignIdsUpdatedSince(since);
+  }
+
+  const summary = { checked: 0, drifted: 0, failed: 0, drift: [] };
+
+  for (const campaignId of campaignIds) {
+    try {
+      const result = await CampaignAudience.reconcileCampaignStats(campaignId);
+      if (!result) continue;
+
+      summary.checked++;
+      if (result.drift) {
+        summary.drifted++;
+        summary.drift.push({ campaignId: campaignId, drift: result.drift });
+        logger.warn("Campaign statistics drifted, corrected", {
+          campaignId,
+          drift: result.drift,
+        });
+      }
+    } catch (error) {
+      summary.failed++;
+      logger.error("Error reconciling campaign", error, { campaignId });
+    }
+  }
+
+  logger.info("Campaign statistics reconciliation completed", {
+    checked: summary.checked,
+    drifted: summary.drifted,
+    failed: summary.failed,
+  });
+  return summary;
+}
+
+module.exports = {
+  reconcileCampaignStats,
+};
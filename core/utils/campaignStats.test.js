@@ -0,0 +1,77 @@
+jest.mock("../models/CampaignAudience", () => ({
+  findCampaignIdsUpdatedSince: jest.fn(),
+  reconcileCampaignStats: jest.fn(),
+}));
+
+const CampaignAudience = require("../models/CampaignAudience");
+const { reconcileCampaignStats } = require("./campaignStats");
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  CampaignAudience.reconcileCampaignStats.mockImplementation(
+    async (campaignId) => ({
+      campaignId,
+      drift: campaignId === "camp-2" ? { total_read: 3 } : null,
+    })
+  );
+});
+
+describe("reconcileCampaignStats", () => {
+  test("checks the campaigns updated in the lookback window", async () => {
+    CampaignAudience.findCampaignIdsUpdatedSince.mockResolvedValue([
+      "camp-1",
+      "camp-2",
+    ]);
+    const before = Date.now();
+
+    const summary = await reconcileCampaignStats();
+
+    expect(summary).toEqual({
+      checked: 2,
+      drifted: 1,
+      failed: 0,
+      drift: [{ campaignId: "camp-2", drift: { total_read: 3 } }],
+    });
+    const [since] = CampaignAudience.findCampaignIdsUpdatedSince.mock.calls[0];
+    expect(before - since.getTime()).toBeGreaterThanOrEqual(
+      7 * 24 * 60 * 60 * 1000
+    );
+  });
+
+  test("all checks every campaign", async () => {
+    CampaignAudience.findCampaignIdsUpdatedSince.mockResolvedValue([]);
+
+    await reconcileCampaignStats({ all: true });
+
+    expect(CampaignAudience.findCampaignIdsUpdatedSince).toHaveBeenCalledWith(
+      null
+    );
+  });
+
+  test("given campaigns are checked directly", async () => {
+    await reconcileCampaignStats({ campaignIds: ["camp-1"] });
+
+    expect(CampaignAudience.findCampaignIdsUpdatedSince).not.toHaveBeenCalled();
+    expect(CampaignAudience.reconcileCampaignStats).toHaveBeenCalledWith(
+      "camp-1"
+    );
+  });
+
+  test("a failing campaign does not stop the others", async () => {
+    CampaignAudience.reconcileCampaignStats
+      .mockRejectedValueOnce(new Error("lock timeout"))
+      .mockResolvedValueOnce(null);
+
+    const summary = await reconcileCampaignStats({
+      campaignIds: ["camp-1", "gone", "camp-2"],
+    });
+
+    expect(summary).toMatchObject({ checked: 1, drifted: 1, failed: 1 });
+  });
+});
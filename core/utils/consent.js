@@ -0,0 +1,263 @@
+/**
+ * Opt-out and consent management
+ *
+ * A number is added to the organization's opt-out list (opt_outs) when the
+ * customer replies with an opt-out keyword or when Meta fails a message with
+ * an error code meaning the customer stopped receiving messages (131050:
+ * marketing messages stopped). An opt-in keyword removes it again. Every
+ * change is recorded in consent_history with its source, and the number's
+ * pending campaign_audience rows are flagged (opted_out_at) so they are not
+ * sent.
+ *
+ * Keywords match the whole message, ignoring case, accents and punctuation.
+ * Configuration (comma-separated, an empty value disables):
+ *
+ *   CONSENT_OPT_OUT_KEYWORDS     replaces the default opt-out keywords
+ *   CONSENT_OPT_IN_KEYWORDS      replaces the default opt-in keywords
+ *   CONSENT_OPT_OUT_ERROR_CODES  status error codes that opt the number out
+ */
+
+const Consent = require("../models/Consent");
+const CampaignAudience = require("../models/CampaignAudience");
+const { withTransaction } = require("../db/transaction");
+const { logger } = require("./logger");
+
+const CONSENT_ACTIONS = {
+  OPT_OUT: "opt_out",
+  OPT_IN: "opt_in",
+};
+
+const CONSENT_SOURCES = {
+  KEYWORD: "keyword",
+  STATUS_ERROR: "status_error",
+  MANUAL: "manual",
+};
+
+// English, Spanish, Portuguese, French, German, Italian; "STOP PROMOTIONS"
+// is the text of Meta's marketing opt-out quick reply button
+const DEFAULT_OPT_OUT_KEYWORDS = [
+  "STOP",
+  "STOP PROMOTIONS",
+  "UNSUBSCRIBE",
+  "OPT OUT",
+  "BAJA",
+  "DARSE DE BAJA",
+  "PARAR",
+  "DESCADASTRAR",
+  "ARRET",
+  "DESABONNER",
+  "ABMELDEN",
+  "STOPP",
+  "DISISCRIVITI",
+];
+
+const DEFAULT_OPT_IN_KEYWORDS = [
+  "START",
+  "SUBSCRIBE",
+  "UNSTOP",
+  "OPT IN",
+  "ALTA",
+  "INICIAR",
+  "COMECAR",
+  "DEMARRER",
+  "ANMELDEN",
+  "ISCRIVITI",
+];
+
+const DEFAULT_OPT_OUT_ERROR_CODES = ["131050"];
+
+// Message types whose text is checked for keywords
+const KEYWORD_MESSAGE_TYPES = ["text", "button", "interactive"];
+
+/**
+ * Parse a comma-separated list setting, the default when it is not set
+ */
+function parseList(value, defaults) {
+  if (value === undefined) return defaults;
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize a message or keyword for matching: upper case, no accents,
+ * punctuation or repeated whitespace
+ */
+function normalizeKeyword(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const OPT_OUT_KEYWORDS = new Set(
+  parseList(
+    process.env.CONSENT_OPT_OUT_KEYWORDS,
+    DEFAULT_OPT_OUT_KEYWORDS
+  ).map(normalizeKeyword)
+);
+const OPT_IN_KEYWORDS = new Set(
+  parseList(process.env.CONSENT_OPT_IN_KEYWORDS, DEFAULT_OPT_IN_KEYWORDS).map(
+    normalizeKeyword
+  )
+);
+const OPT_OUT_ERROR_CODES = new Set(
+  parseList(
+    process.env.CONSENT_OPT_OUT_ERROR_CODES,
+    DEFAULT_OPT_OUT_ERROR_CODES
+  )
+);
+
+/**
+ * Normalize a phone number for the opt-out list (digits only)
+ */
+function normalizeMsisdn(msisdn) {
+  const digits = String(msisdn || "").replace(/\D/g, "");
+  return digits || null;
+}
+
+/**
+ * Get the text a customer sent or tapped, as matched against the keywords:
+ * the text body, a quick reply button's text or a button / list reply's
+ * title (not the "Button: ..." content stored for display)
+ */
+function getKeywordText(message) {
+  switch (message?.type) {
+    case "text":
+      return message.text?.body || null;
+    case "button":
+      return message.button?.text || null;
+    case "interactive":
+      return (
+        message.interactive?.button_reply?.title ||
+        message.interactive?.list_reply?.title ||
+        null
+      );
+    default:
+      return null;
+  }
+}
+
+/**
+ * Detect a consent keyword in an incoming message
+ * Returns { action, keyword } or null
+ */
+function detectConsentKeyword(messageType, text) {
+  if (!KEYWORD_MESSAGE_TYPES.includes(messageType)) return null;
+
+  const keyword = normalizeKeyword(text);
+  if (!keyword) return null;
+
+  if (OPT_OUT_KEYWORDS.has(keyword)) {
+    return { action: CONSENT_ACTIONS.OPT_OUT, keyword };
+  }
+  if (OPT_IN_KEYWORDS.has(keyword)) {
+    return { action: CONSENT_ACTIONS.OPT_IN, keyword };
+  }
+  return null;
+}
+
+/**
+ * Get the error code of a failed status that opts the recipient out, if any
+ */
+function getOptOutErrorCode(status) {
+  if (status.status !== "failed") return null;
+
+  const error = (status.errors || []).find((err) =>
+    OPT_OUT_ERROR_CODES.has(String(err.code))
+  );
+  return error ? String(error.code) : null;
+}
+
+/**
+ * Apply a consent change within the caller's transaction: update the
+ * opt-out list, flag or clear the pending campaign_audience rows and record
+ * the history
+ * change: organizationId, msisdn, action, source, keyword, errorCode,
+ * whatsappMessageId, webhookEventId, timestamp
+ * Returns { changed, action, flaggedAudience } (changed: false when the
+ * number already had that consent)
+ */
+async function applyConsentChange(change, client) {
+  const msisdn = normalizeMsisdn(change.msisdn);
+  if (!msisdn) {
+    throw new Error("Consent change without a phone number");
+  }
+
+  const record = { ...change, msisdn };
+  let flaggedAudience = 0;
+
+  if (change.action === CONSENT_ACTIONS.OPT_OUT) {
+    const optOut = await Consent.addOptOut(record, client);
+    if (!optOut) return { changed: false, action: change.action };
+
+    flaggedAudience = await CampaignAudience.flagOptedOut(
+      change.organizationId,
+      msisdn,
+      optOut.optedOutAt,
+      client
+    );
+  } else if (change.action === CONSENT_ACTIONS.OPT_IN) {
+    const removed = await Consent.removeOptOut(
+      change.organizationId,
+      msisdn,
+      client
+    );
+    if (!removed) return { changed: false, action: change.action };
+
+    flaggedAudience = await CampaignAudience.clearOptedOut(
+      change.organizationId,
+      msisdn,
+      client
+    );
+  } else {
+    throw new Error(`Unknown consent action: ${change.action}`);
+  }
+
+  await Consent.recordHistory(record, client);
+
+  logger.info("Consent changed", {
+    organizationId: change.organizationId,
+    msisdn: msisdn,
+    action: change.action,
+    source: change.source,
+    keyword: change.keyword,
+    errorCode: change.errorCode,
+    campaignAudienceRows: flaggedAudience,
+  });
+
+  return { changed: true, action: change.action, flaggedAudience };
+}
+
+/**
+ * Opt a number out or back in by hand (source: manual)
+ */
+async function setConsent(organizationId, msisdn, action) {
+  return withTransaction((client) =>
+    applyConsentChange(
+      {
+        organizationId,
+        msisdn,
+        action,
+        source: CONSENT_SOURCES.MANUAL,
+      },
+      client
+    )
+  );
+}
+
+module.exports = {
+  CONSENT_ACTIONS,
+  CONSENT_SOURCES,
+  normalizeKeyword,
+  normalizeMsisdn,
+  getKeywordText,
+  detectConsentKeyword,
+  getOptOutErrorCode,
+  applyConsentChange,
+  setConsent,
+};
@@ -0,0 +1,88 @@
+const {
+  CONSENT_ACTIONS,
+  normalizeKeyword,
+  normalizeMsisdn,
+  getKeywordText,
+  detectConsentKeyword,
+  getOptOutErrorCode,
+} = require("./consent");
+const { parseIncomingMessage } = require("./inboundMessages");
+
+// Keyword detection as the processor runs it on a webhook message
+const detect = (message) =>
+  detectConsentKeyword(message.type, getKeywordText(message));
+
+describe("consent keyword detection", () => {
+  test("text messages", () => {
+    expect(detect({ type: "text", text: { body: "stop" } })).toEqual({
+      action: CONSENT_ACTIONS.OPT_OUT,
+      keyword: "STOP",
+    });
+    expect(detect({ type: "text", text: { body: " Start! " } })).toEqual({
+      action: CONSENT_ACTIONS.OPT_IN,
+      keyword: "START",
+    });
+    expect(detect({ type: "text", text: { body: "please stop" } })).toBeNull();
+  });
+
+  test("quick reply buttons (Meta's Stop promotions)", () => {
+    const message = {
+      type: "button",
+      button: { text: "Stop promotions", payload: "Stop promotions" },
+    };
+    expect(detect(message).action).toBe(CONSENT_ACTIONS.OPT_OUT);
+    // The stored content is prefixed for display and never matches
+    expect(
+      detectConsentKeyword("button", parseIncomingMessage(message).content)
+    ).toBeNull();
+  });
+
+  test("interactive button replies", () => {
+    const message = {
+      type: "interactive",
+      interactive: {
+        type: "button_reply",
+        button_reply: { id: "b1", title: "STOP" },
+      },
+    };
+    expect(detect(message).action).toBe(CONSENT_ACTIONS.OPT_OUT);
+  });
+
+  test("interactive list replies", () => {
+    const message = {
+      type: "interactive",
+      interactive: {
+        type: "list_reply",
+        list_reply: { id: "l1", title: "Subscribe" },
+      },
+    };
+    expect(detect(message).action).toBe(CONSENT_ACTIONS.OPT_IN);
+  });
+
+  test("other message types are ignored", () => {
+    expect(
+      getKeywordText({ type: "image", image: { caption: "STOP" } })
+    ).toBeNull();
+    expect(detectConsentKeyword("image", "STOP")).toBeNull();
+  });
+
+  test("normalization ignores case, accents and punctuation", () => {
+    expect(normalizeKeyword("  arrêt!! ")).toBe("ARRET");
+    expect(normalizeMsisdn("+1 (555) 123-4567")).toBe("15551234567");
+    expect(normalizeMsisdn("")).toBeNull();
+  });
+});
+
+describe("getOptOutErrorCode", () => {
+  test("failed statuses with an opt-out error code", () => {
+    expect(
+      getOptOutErrorCode({ status: "failed", errors: [{ code: 131050 }] })
+    ).toBe("131050");
+    expect(
+      getOptOutErrorCode({ status: "failed", errors: [{ code: 131026 }] })
+    ).toBeNull();
+    expect(
+      getOptOutErrorCode({ status: "delivered", errors: [{ code: 131050 }] })
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Contacts of an organization's customers
+ *
+ * Every incoming message and status upserts the contact of its customer
+ * (wa_id: phone number, digits only) with the profile name from the
+ * webhook's contacts array, first/last seen, last inbound/outbound and
+ * message counts. Incoming messages and messages are linked to it with
+ * contact_id.
+ *
+ * An outbound message is counted once, from its "sent" status; the other
+ * statuses only mark the contact as seen. Replayed events (options.replayOf)
+ * update the contact without counting their message again.
+ */
+
+const Contact = require("../models/Contact");
+const { normalizeMsisdn } = require("./consent");
+
+/**
+ * Get the profile name of a WhatsApp ID from a change value's contacts array
+ * (the only entry when its wa_id is written differently)
+ */
+function getProfileName(value, waId) {
+  const contacts = value?.contacts || [];
+  const contact =
+    contacts.find((entry) => normalizeMsisdn(entry.wa_id) === waId) ||
+    (contacts.length === 1 ? contacts[0] : null);
+  return contact?.profile?.name || null;
+}
+
+/**
+ * Upsert the contact that sent an incoming message
+ * (client: the caller's transaction)
+ */
+async function recordInboundContact(
+  organizationId,
+  message,
+  value,
+  timestamp,
+  client,
+  options = {}
+) {
+  const waId = normalizeMsisdn(message.from);
+  if (!waId) return null;
+
+  return Contact.recordActivity(
+    {
+      organizationId,
+      waId,
+      profileName: getProfileName(value, waId),
+      direction: "inbound",
+      timestamp,
+      countMessage: !options.replayOf,
+    },
+    client
+  );
+}
+
+/**
+ * Upsert the recipient contact of a status
+ * (client: the caller's transaction)
+ */
+async function recordStatusContact(
+  organizationId,
+  status,
+  timestamp,
+  client,
+  options = {}
+) {
+  const waId = normalizeMsisdn(status.recipient_id);
+  if (!waId) return null;
+
+  return Contact.recordActivity(
+    {
+      organizationId,
+      waId,
+      direction: status.status === "sent" ? "outbound" : null,
+      timestamp,
+      countMessage: !options.replayOf,
+    },
+    client
+  );
+}
+
+/**
+ * Find the contact of a phone number in any format
+ */
+async function findContact(organizationId, phoneNumber) {
+  const waId = normalizeMsisdn(phoneNumber);
+  return waId ? Contact.findByWaId(organizationId, waId) : null;
+}
+
+module.exports = {
+  getProfileName,
+  recordInboundContact,
+  recordStatusContact,
+  findContact,
+};
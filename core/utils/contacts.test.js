@@ -0,0 +1,109 @@
+const {
+  getProfileName,
+  recordInboundContact,
+  recordStatusContact,
+} = require("./contacts");
+
+/**
+ * A transaction client answering the contacts upsert
+ */
+const fakeClient = () => ({
+  query: jest.fn(async (query, params) => ({
+    rows: [{ id: "c-1", wa_id: params[1] }],
+  })),
+});
+
+/**
+ * The [direction, countMessage] parameters of the contacts upsert
+ */
+const upsertCounting = (client) => {
+  const [query, params] = client.query.mock.calls[0];
+  expect(query).toMatch(/INSERT INTO contacts/);
+  return params.slice(4, 6);
+};
+
+const timestamp = new Date("2024-01-01T00:00:00Z");
+
+describe("status contacts", () => {
+  test("a sent status counts an outbound message", async () => {
+    const client = fakeClient();
+    await recordStatusContact(
+      "org-1",
+      { status: "sent", recipient_id: "+1 555 123 4567" },
+      timestamp,
+      client
+    );
+    expect(client.query.mock.calls[0][1][1]).toBe("15551234567");
+    expect(upsertCounting(client)).toEqual(["outbound", true]);
+  });
+
+  test("other statuses only mark the contact as seen", async () => {
+    const client = fakeClient();
+    await recordStatusContact(
+      "org-1",
+      { status: "read", recipient_id: "15551234567" },
+      timestamp,
+      client
+    );
+    expect(upsertCounting(client)).toEqual([null, true]);
+  });
+
+  test("a replayed sent status is not counted again", async () => {
+    const client = fakeClient();
+    await recordStatusContact(
+      "org-1",
+      { status: "sent", recipient_id: "15551234567" },
+      timestamp,
+      client,
+      { replayOf: "ev-1" }
+    );
+    expect(upsertCounting(client)).toEqual(["outbound", false]);
+  });
+
+  test("statuses without a recipient have no contact", async () => {
+    const client = fakeClient();
+    expect(
+      await recordStatusContact("org-1", { status: "sent" }, timestamp, client)
+    ).toBeNull();
+    expect(client.query).not.toHaveBeenCalled();
+  });
+});
+
+describe("inbound contacts", () => {
+  const value = {
+    contacts: [{ wa_id: "15551234567", profile: { name: "Ana" } }],
+  };
+
+  test("an incoming message counts and records the profile name", async () => {
+    const client = fakeClient();
+    await recordInboundContact(
+      "org-1",
+      { from: "15551234567" },
+      value,
+      timestamp,
+      client
+    );
+    expect(upsertCounting(client)).toEqual(["inbound", true]);
+    expect(client.query.mock.calls[1][0]).toMatch(/contact_profile_names/);
+  });
+
+  test("a replayed incoming message is not counted again", async () => {
+    const client = fakeClient();
+    await recordInboundContact(
+      "org-1",
+      { from: "15551234567" },
+      value,
+      timestamp,
+      client,
+      { replayOf: "ev-1" }
+    );
+    expect(upsertCounting(client)).toEqual(["inbound", false]);
+  });
+
+  test("the profile name of the sender is picked from the contacts", () => {
+    expect(getProfileName(value, "15551234567")).toBe("Ana");
+    const other = { contacts: [{ wa_id: "x", profile: { name: "Bo" } }] };
+    expect(getProfileName(other, "15551234567")).toBe("Bo");
+    expect(getProfileName({}, "15551234567")).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Conversation timelines
+ *
+ * Outbound messages (messages) and inbound ones (incoming_messages) of an
+ * (organization, customer) pair threaded in chronological order, with the
+ * delivery status of outbound messages, the message each reply refers to
+ * (context_message_id) and the customer's reactions.
+ *
+ * Pages are read with opaque cursors: the latest messages without one,
+ * older ones with `before` and newer ones with `after`.
+ */
+
+const Contact = require("../models/Contact");
+const ConversationMessage = require("../models/ConversationMessage");
+const { normalizeMsisdn } = require("./consent");
+const { encodeCursor, decodeCursor } = require("./cursors");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Get the page size from a requested limit
+ */
+function getPageSize(limit) {
+  const size = parseInt(limit) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Attach the messages replies refer to and the reactions to each message
+ */
+async function attachRepliesAndReactions(organizationId, messages) {
+  const contextIds = [
+    ...new Set(messages.map((m) => m.contextMessageId).filter(Boolean)),
+  ];
+  const messageIds = messages.map((m) => m.whatsappMessageId).filter(Boolean);
+
+  const [referenced, reactions] = await Promise.all([
+    contextIds.length > 0
+      ? ConversationMessage.findByWhatsappMessageIds(organizationId, contextIds)
+      : [],
+    messageIds.length > 0
+      ? ConversationMessage.getReactions(organizationId, messageIds)
+      : [],
+  ]);
+
+  const referencedById = new Map(
+    referenced.map((message) => [message.whatsappMessageId, message])
+  );
+
+  for (const message of messages) {
+    if (message.contextMessageId) {
+      // Replies to messages that are not stored keep only the id
+      const target = referencedById.get(message.contextMessageId);
+      message.replyTo = {
+        whatsappMessageId: message.contextMessageId,
+        direction: target ? target.direction : null,
+        messageType: target ? target.messageType : null,
+        content: target ? target.content : null,
+      };
+    }
+
+    message.reactions = reactions
+      .filter(
+        (reaction) => reaction.reactionMessageId === message.whatsappMessageId
+      )
+      .map(({ emoji, timestamp, whatsappMessageId }) => ({
+        emoji,
+        timestamp,
+        whatsappMessageId,
+      }));
+  }
+}
+
+/**
+ * Get a page of the conversation between an organization and a customer
+ *
+ * customer: the customer's phone number in any format
+ * options: limit, before / after (cursors from a previous page) and
+ * whatsappPhoneNumberId to keep the thread of one business number
+ *
+ * Returns { contact, messages, olderCursor, newerCursor, hasOlder,
+ * hasNewer }; contact is null for numbers without a contact. Throws an
+ * error with statusCode 400 for an invalid number or cursor.
+ */
+async function getConversation(organizationId, customer, options = {}) {
+  const waId = normalizeMsisdn(customer);
+  if (!waId) {
+    const error = new Error("Invalid customer phone number");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const before = options.before ? decodeCursor(options.before) : null;
+  const after = options.after ? decodeCursor(options.after) : null;
+  const forwards = !!after && !before;
+  const pageSize = getPageSize(options.limit);
+
+  const contact = await Contact.findByWaId(organizationId, waId);
+
+  // One extra message tells whether there is more in the read direction
+  const messages = await ConversationMessage.getTimeline(
+    { id: contact ? contact.id : null, organizationId, waId },
+    {
+      before,
+      after,
+      limit: pageSize + 1,
+      whatsappPhoneNumberId: options.whatsappPhoneNumberId,
+    }
+  );
+  const hasMore = messages.length > pageSize;
+  // The extra one is the newest forwards and the oldest backwards
+  if (hasMore && forwards) {
+    messages.pop();
+  } else if (hasMore) {
+    messages.shift();
+  }
+
+  await attachRepliesAndReactions(organizationId, messages);
+
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+
+  return {
+    contact,
+    messages,
+    olderCursor: first ? encodeCursor(first.timestamp, first.id) : null,
+    newerCursor: last ? encodeCursor(last.timestamp, last.id) : null,
+    hasOlder: forwards ? true : hasMore,
+    hasNewer: forwards ? hasMore : !!before,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  getConversation,
+};
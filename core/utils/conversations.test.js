@@ -0,0 +1,276 @@
+jest.mock("../db/connection", () => ({ query: jest.fn() }));
+
+const pool = require("../db/connection");
+const { getConversation } = require("./conversations");
+
+const uuid = (n) => `00000000-0000-4000-8000-00000000000${n}`;
+const at = (minute) => new Date(Date.UTC(2024, 2, 1, 12, minute));
+
+// The thread with the customer, oldest first: a campaign message, the reply
+// to it, and so on
+const timeline = [
+  {
+    id: uuid(1),
+    direction: "outbound",
+    whatsapp_message_id: "wamid.OUT1",
+    timestamp: at(0),
+    message_type: "template",
+    content: "Spring sale!",
+    status: "read",
+    campaign_id: "camp-1",
+  },
+  {
+    id: uuid(2),
+    direction: "inbound",
+    whatsapp_message_id: "wamid.IN1",
+    timestamp: at(1),
+    message_type: "text",
+    content: "How much?",
+    context_message_id: "wamid.OUT1",
+  },
+  {
+    id: uuid(3),
+    direction: "outbound",
+    whatsapp_message_id: "wamid.OUT2",
+    timestamp: at(2),
+    message_type: "text",
+    content: "10 EUR",
+    status: "delivered",
+  },
+  {
+    id: uuid(4),
+    direction: "inbound",
+    whatsapp_message_id: "wamid.IN2",
+    timestamp: at(3),
+    message_type: "text",
+    content: "Thanks",
+    context_message_id: "wamid.GONE",
+  },
+  {
+    id: uuid(5),
+    direction: "outbound",
+    whatsapp_message_id: "wamid.OUT3",
+    timestamp: at(3),
+    message_type: "text",
+    content: "Anything else?",
+    status: "sent",
+  },
+];
+
+/**
+ * Compare two timeline rows by (timestamp, id)
+ */
+const compare = (a, b) =>
+  a.timestamp - b.timestamp || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+/**
+ * Read a page of the timeline the way TIMELINE_QUERY does: rows past the
+ * (timestamp, id) cursor, in the query's order, up to the limit
+ */
+function readTimeline(query, params) {
+  const limit = params[params.length - 1];
+  const descending = /id DESC LIMIT/.test(query);
+  let rows = [...timeline].sort(compare);
+  if (descending) rows.reverse();
+
+  const cursor = query.match(/, id\) ([<>]) \(/);
+  if (cursor) {
+    const position = {
+      timestamp: params[params.length - 3],
+      id: params[params.length - 2],
+    };
+    rows = rows.filter((row) =>
+      cursor[1] === "<"
+        ? compare(row, position) < 0
+        : compare(row, position) > 0
+    );
+  }
+  return rows.slice(0, limit);
+}
+
+function fakeQuery(query, params) {
+  if (/FROM contacts/.test(query)) {
+    return {
+      rows:
+        params[1] === "15551234567"
+          ? [{ id: "c-1", organization_id: "org-1", wa_id: params[1] }]
+          : [],
+    };
+  }
+  if (/\) timeline/.test(query)) {
+    return { rows: readTimeline(query, params) };
+  }
+  if (/message_type = 'reaction'/.test(query)) {
+    return {
+      rows: params[1].includes("wamid.OUT1")
+        ? [
+            {
+              whatsapp_message_id: "wamid.REACT",
+              reaction_message_id: "wamid.OUT1",
+              reaction_emoji: "👍",
+              timestamp: at(1),
+            },
+          ]
+        : [],
+    };
+  }
+  if (/whatsapp_message_id = ANY\(\$2\)/.test(query)) {
+    return {
+      rows: timeline.filter((row) =>
+        params[1].includes(row.whatsapp_message_id)
+      ),
+    };
+  }
+  return { rows: [] };
+}
+
+/**
+ * The WhatsApp message ids of a page, in order
+ */
+const ids = (page) => page.messages.map((m) => m.whatsappMessageId);
+
+/**
+ * The timeline queries run so far
+ */
+const timelineQueries = () =>
+  pool.query.mock.calls.filter(([query]) => /\) timeline/.test(query));
+
+beforeEach(() => {
+  pool.query.mockReset();
+  pool.query.mockImplementation(async (query, params) =>
+    fakeQuery(query, params)
+  );
+});
+
+describe("getConversation", () => {
+  test("threads both directions in chronological order", async () => {
+    const page = await getConversation("org-1", "+1 (555) 123-4567");
+
+    expect(page.contact).toMatchObject({ id: "c-1" });
+    expect(ids(page)).toEqual([
+      "wamid.OUT1",
+      "wamid.IN1",
+      "wamid.OUT2",
+      "wamid.IN2",
+      "wamid.OUT3",
+    ]);
+    expect(page.messages.map((m) => m.direction)).toEqual([
+      "outbound",
+      "inbound",
+      "outbound",
+      "inbound",
+      "outbound",
+    ]);
+    expect(page.messages[0].status).toBe("read");
+    expect(page).toMatchObject({ hasOlder: false, hasNewer: false });
+    // Both the contact's rows and older rows of the bare number are read
+    expect(timelineQueries()[0][1].slice(0, 3)).toEqual([
+      "org-1",
+      "c-1",
+      "15551234567",
+    ]);
+  });
+
+  test("replies refer to their message, reactions are attached", async () => {
+    const { messages } = await getConversation("org-1", "15551234567");
+
+    expect(messages[1].replyTo).toEqual({
+      whatsappMessageId: "wamid.OUT1",
+      direction: "outbound",
+      messageType: "template",
+      content: "Spring sale!",
+    });
+    // A reply to a message that is not stored keeps only its id
+    expect(messages[3].replyTo).toEqual({
+      whatsappMessageId: "wamid.GONE",
+      direction: null,
+      messageType: null,
+      content: null,
+    });
+    expect(messages[0].reactions).toEqual([
+      { emoji: "👍", timestamp: at(1), whatsappMessageId: "wamid.REACT" },
+    ]);
+    expect(messages[2].replyTo).toBeNull();
+    expect(messages[2].reactions).toEqual([]);
+  });
+
+  test("pages backwards and forwards with cursors", async () => {
+    const latest = await getConversation("org-1", "15551234567", {
+      limit: 2,
+    });
+    expect(ids(latest)).toEqual(["wamid.IN2", "wamid.OUT3"]);
+    expect(latest).toMatchObject({ hasOlder: true, hasNewer: false });
+
+    const older = await getConversation("org-1", "15551234567", {
+      limit: 2,
+      before: latest.olderCursor,
+    });
+    // Messages with the same timestamp are ordered by id, none is skipped
+    expect(ids(older)).toEqual(["wamid.IN1", "wamid.OUT2"]);
+    expect(older).toMatchObject({ hasOlder: true, hasNewer: true });
+
+    const oldest = await getConversation("org-1", "15551234567", {
+      limit: 2,
+      before: older.olderCursor,
+    });
+    expect(ids(oldest)).toEqual(["wamid.OUT1"]);
+    expect(oldest).toMatchObject({ hasOlder: false, hasNewer: true });
+
+    const newer = await getConversation("org-1", "15551234567", {
+      limit: 2,
+      after: older.newerCursor,
+    });
+    expect(ids(newer)).toEqual(["wamid.IN2", "wamid.OUT3"]);
+    expect(newer).toMatchObject({ hasOlder: true, hasNewer: false });
+  });
+
+  test("sorts and pages by the timestamp to the millisecond", async () => {
+    const latest = await getConversation("org-1", "15551234567", {
+      limit: 2,
+    });
+    await getConversation("org-1", "15551234567", {
+      before: latest.olderCursor,
+    });
+
+    // Cursors keep milliseconds: rows are compared at that precision in
+    // both the predicate and the order
+    const key = "date_trunc('milliseconds', timestamp AT TIME ZONE 'UTC')";
+    const [query] = timelineQueries()[1];
+    expect(query).toContain(
+      `AND (${key}, id) < (date_trunc('milliseconds', $4::timestamptz AT TIME ZONE 'UTC'), $5::uuid)`
+    );
+    expect(query).toContain(`ORDER BY ${key} DESC, id DESC`);
+  });
+
+  test("a number without a contact reads the bare number", async () => {
+    const page = await getConversation("org-1", "+44 20 7946 0000");
+
+    expect(page.contact).toBeNull();
+    expect(timelineQueries()[0][1].slice(0, 3)).toEqual([
+      "org-1",
+      null,
+      "442079460000",
+    ]);
+  });
+
+  test("keeps the thread of one business number", async () => {
+    await getConversation("org-1", "15551234567", {
+      whatsappPhoneNumberId: "PN-2",
+    });
+
+    const [query, params] = timelineQueries()[0];
+    expect(query).toMatch(/AND whatsapp_phone_number_id = \$4/);
+    expect(params[3]).toBe("PN-2");
+  });
+
+  test("an invalid number or cursor is a bad request", async () => {
+    await expect(getConversation("org-1", "n/a")).rejects.toMatchObject({
+      message: "Invalid customer phone number",
+      statusCode: 400,
+    });
+    await expect(
+      getConversation("org-1", "15551234567", { before: "garbage" })
+    ).rejects.toMatchObject({ message: "Invalid cursor", statusCode: 400 });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
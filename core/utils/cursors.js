@@ -0,0 +1,68 @@
+/**
+ * Opaque pagination cursors
+ *
+ * A cursor points at a row by its sort key (timestamp and id), so pages stay
+ * stable while new rows are written. It is base64url JSON and only
+ * meaningful to the query that produced it.
+ *
+ * Cursors keep milliseconds while Postgres timestamps have microseconds:
+ * paged queries sort and compare by cursorSortKey, the timestamp truncated
+ * to what a cursor keeps, so no row is skipped or read twice at a page
+ * boundary.
+ */
+
+// Every paged table has UUID ids (anything else would fail in Postgres), as
+// have the rows the read API looks up
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * SQL sort key of a paged timestamp column (or cursor parameter): its UTC
+ * value truncated to milliseconds. The expression is immutable, so the
+ * paging indexes are built on it.
+ */
+function cursorSortKey(column) {
+  return `date_trunc('milliseconds', ${column} AT TIME ZONE 'UTC')`;
+}
+
+/**
+ * Encode the position of a row
+ */
+function encodeCursor(timestamp, id) {
+  const position = { t: new Date(timestamp).toISOString(), id };
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * Decode a cursor into { timestamp, id }
+ * Throws an error with statusCode 400 when the cursor is malformed (or its
+ * id is not a UUID)
+ */
+function decodeCursor(cursor) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    position = null;
+  }
+
+  const timestamp = position ? new Date(position.t) : null;
+  if (
+    !timestamp ||
+    isNaN(timestamp.getTime()) ||
+    !UUID_PATTERN.test(String(position.id || ""))
+  ) {
+    const error = new Error("Invalid cursor");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { timestamp, id: String(position.id) };
+}
+
+module.exports = {
+  UUID_PATTERN,
+  cursorSortKey,
+  encodeCursor,
+  decodeCursor,
+};
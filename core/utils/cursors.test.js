@@ -0,0 +1,73 @@
+const {
+  UUID_PATTERN,
+  cursorSortKey,
+  encodeCursor,
+  decodeCursor,
+} = require("./cursors");
+
+const ID = "3f2b8c1e-8d4a-4f5e-9b6c-0a1b2c3d4e5f";
+
+/**
+ * Encode a position as a client could forge it
+ */
+const forge = (position) =>
+  Buffer.from(JSON.stringify(position)).toString("base64url");
+
+/**
+ * Decode and return the error thrown
+ */
+function decodeError(cursor) {
+  try {
+    decodeCursor(cursor);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe("cursors", () => {
+  test("round-trip a row position", () => {
+    const timestamp = new Date("2024-05-01T10:20:30.123Z");
+    const cursor = encodeCursor(timestamp, ID);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ timestamp, id: ID });
+  });
+
+  test("accept timestamps as strings", () => {
+    const cursor = encodeCursor("2024-05-01T10:20:30Z", ID);
+    expect(decodeCursor(cursor).timestamp.toISOString()).toBe(
+      "2024-05-01T10:20:30.000Z"
+    );
+  });
+
+  test.each([
+    ["not base64 JSON", "garbage"],
+    ["JSON that is not an object", forge(5)],
+    ["an invalid timestamp", forge({ t: "yesterday", id: ID })],
+    ["a missing id", forge({ t: "2024-01-01" })],
+    ["an id that is not a UUID", forge({ t: "2024-01-01", id: "x" })],
+    ["a numeric id", forge({ t: "2024-01-01", id: 42 })],
+  ])("reject %s with a 400", (name, cursor) => {
+    const error = decodeError(cursor);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe("Invalid cursor");
+    expect(error.statusCode).toBe(400);
+  });
+
+  test("keep milliseconds, the precision of the SQL sort key", () => {
+    const cursor = encodeCursor(new Date("2024-05-01T10:20:30.123Z"), ID);
+
+    expect(decodeCursor(cursor).timestamp.toISOString()).toBe(
+      "2024-05-01T10:20:30.123Z"
+    );
+    expect(cursorSortKey("created_at")).toBe(
+      "date_trunc('milliseconds', created_at AT TIME ZONE 'UTC')"
+    );
+  });
+
+  test("only accept UUIDs as ids", () => {
+    expect(UUID_PATTERN.test(ID)).toBe(true);
+    expect(UUID_PATTERN.test(`${ID}0`)).toBe(false);
+  });
+});
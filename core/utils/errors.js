@@ -0,0 +1,92 @@
+/**
+ * Error classification for SQS record processing
+ *
+ * Retryable errors are reported back to SQS as batch item failures so the
+ * record is redelivered (and lands in the DLQ after maxReceiveCount).
+ * Permanent errors can never succeed on redelivery, so the record is
+ * logged and dropped instead of blocking the queue.
+ */
+
+/**
+ * Error for records that can never be processed (malformed payload,
+ * unknown organization, ...)
+ */
+class PermanentProcessingError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PermanentProcessingError';
+    this.retryable = false;
+    this.details = details;
+  }
+}
+
+// Network error codes raised by pg when the database connection is lost
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EPIPE',
+  'EAI_AGAIN'
+];
+
+// Postgres SQLSTATE codes worth retrying
+const RETRYABLE_SQLSTATE_CODES = [
+  '40001', // serialization_failure
+  '40P01', // deadlock_detected
+  '53300', // too_many_connections
+  '57P01', // admin_shutdown
+  '57P02', // crash_shutdown
+  '57P03' // cannot_connect_now
+];
+
+// Messages pg uses for connection loss without an error code
+const RETRYABLE_MESSAGES = [
+  'Connection terminated',
+  'timeout exceeded when trying to connect',
+  'Client has encountered a connection error'
+];
+
+/**
+ * Check if error is a lost or unavailable database connection
+ */
+function isConnectionError(error) {
+  if (!error) return false;
+
+  const code = error.code || '';
+  if (RETRYABLE_NETWORK_CODES.includes(code)) return true;
+  if (RETRYABLE_SQLSTATE_CODES.includes(code)) return true;
+  // Class 08 - connection exception
+  if (code.startsWith('08')) return true;
+
+  const message = error.message || '';
+  return RETRYABLE_MESSAGES.some(text => message.includes(text));
+}
+
+/**
+ * Check if error should cause the SQS record to be redelivered
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+  if (error.retryable === false) return false;
+  if (isConnectionError(error)) return true;
+
+  // Malformed JSON in the record body
+  if (error instanceof SyntaxError) return false;
+
+  // Class 22 (data exception), 23 (integrity constraint) and 42 (syntax or
+  // undefined object) fail the same way on every attempt
+  const code = error.code || '';
+  if (code.startsWith('22') || code.startsWith('23') || code.startsWith('42')) {
+    return false;
+  }
+
+  // Anything unexpected is retried; the DLQ catches it after maxReceiveCount
+  return true;
+}
+
+module.exports = {
+  PermanentProcessingError,
+  isConnectionError,
+  isRetryableError
+};
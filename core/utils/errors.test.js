@@ -0,0 +1,58 @@
+const {
+  PermanentProcessingError,
+  isConnectionError,
+  isRetryableError
+} = require('./errors');
+
+/**
+ * An error with a pg / Node error code
+ */
+const withCode = (code, message = 'error') =>
+  Object.assign(new Error(message), { code });
+
+describe('isRetryableError', () => {
+  test.each([
+    ['a lost connection', withCode('ECONNRESET')],
+    ['an unreachable host', withCode('EAI_AGAIN')],
+    ['a serialization failure', withCode('40001')],
+    ['a deadlock', withCode('40P01')],
+    ['too many connections', withCode('53300')],
+    ['a connection exception (class 08)', withCode('08006')],
+    ['a terminated connection', new Error('Connection terminated by peer')],
+    ['an unexpected error', new Error('boom')]
+  ])('%s is retried', (name, error) => {
+    expect(isRetryableError(error)).toBe(true);
+  });
+
+  test.each([
+    ['a permanent processing error', new PermanentProcessingError('bad')],
+    ['an invalid UUID (class 22)', withCode('22P02')],
+    ['a unique violation (class 23)', withCode('23505')],
+    ['an undefined column (class 42)', withCode('42703')],
+    ['malformed JSON', new SyntaxError('Unexpected token')],
+    ['an error flagged not retryable', { retryable: false, code: '08006' }],
+    ['no error', null]
+  ])('%s is not retried', (name, error) => {
+    expect(isRetryableError(error)).toBe(false);
+  });
+});
+
+describe('isConnectionError', () => {
+  test('only connection problems count', () => {
+    expect(isConnectionError(withCode('57P01'))).toBe(true);
+    expect(
+      isConnectionError(new Error('timeout exceeded when trying to connect'))
+    ).toBe(true);
+    expect(isConnectionError(withCode('23505'))).toBe(false);
+    expect(isConnectionError(new Error('boom'))).toBe(false);
+  });
+
+  test('permanent errors keep their details', () => {
+    const error = new PermanentProcessingError('Unknown organization', {
+      phoneNumberId: 'PN-1'
+    });
+    expect(error.name).toBe('PermanentProcessingError');
+    expect(error.retryable).toBe(false);
+    expect(error.details).toEqual({ phoneNumberId: 'PN-1' });
+  });
+});
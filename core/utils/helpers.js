@@ -2,6 +2,8 @@
  * Utility functions for WhatsApp webhook processing
  */
 
+const { logger } = require('./logger');
+
 /**
  * Parse WhatsApp timestamp to JavaScript Date
  */
@@ -149,20 +151,26 @@ function createResponse(statusCode, data, error = null) {
  * Log webhook event with structured format
  */
 function logWebhookEvent(eventType, data, level = 'info') {
-  const logEntry = {
-    timestamp: new Date().toISOString(),
-    level: level,
-    eventType: eventType,
-    data: data
-  };
+  const message = `Webhook event: ${eventType}`;
+  const metadata = { eventType: eventType, data: data };
 
   if (level === 'error') {
-    console.error(JSON.stringify(logEntry));
+    logger.error(message, null, metadata);
+  } else if (level === 'warn' || level === 'debug') {
+    logger[level](message, metadata);
   } else {
-    console.log(JSON.stringify(logEntry));
+    logger.info(message, metadata);
   }
 }
 
+/**
+ * Exponential backoff delay after the given (1-based) failed attempt,
+ * doubling from baseDelay and capped at maxDelay
+ */
+function getBackoffDelay(attempt, baseDelay = 1000, maxDelay = Infinity) {
+  return Math.min(baseDelay * Math.pow(2, Math.max(attempt - 1, 0)), maxDelay);
+}
+
 /**
  * Retry function with exponential backoff
  */
@@ -175,8 +183,10 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
         throw error;
       }
       
-      const delay = baseDelay * Math.pow(2, attempt - 1);
-      console.log(`Attempt ${attempt} failed, retrying in ${delay}ms...`);
+      const delay = getBackoffDelay(attempt, baseDelay);
+      logger.warn(`Attempt ${attempt} failed, retrying in ${delay}ms`, {
+        reason: error.message
+      });
       await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
@@ -193,5 +203,6 @@ module.exports = {
   sanitizePhoneNumber,
   createResponse,
   logWebhookEvent,
+  getBackoffDelay,
   retryWithBackoff
 };
@@ -0,0 +1,257 @@
+/**
+ * Parsing of inbound WhatsApp message objects (value.messages[])
+ *
+ * Turns every message type into the fields stored in incoming_messages:
+ * a readable content string, media, interactive data and the type-specific
+ * structured columns (reaction, referral, order, message_data).
+ *
+ * A referral (click-to-WhatsApp ad) is not a message type of its own: it is
+ * attached to the first message the user sends from the ad, usually text.
+ */
+
+const { logger } = require("./logger");
+
+/**
+ * Normalize the media object of image/video/audio/document/sticker messages
+ */
+function parseMedia(media) {
+  return {
+    // media_url holds the Graph media id until the media fetcher stores the file
+    mediaUrl: media?.id || null,
+    mediaId: media?.id || null,
+    mediaSha256: media?.sha256 || null,
+    mediaType: media?.mime_type || null,
+    mediaSize: media?.file_size || null,
+  };
+}
+
+/**
+ * Parse the JSON string a Flow returns in interactive.nfm_reply
+ */
+function parseFlowResponse(responseJson) {
+  if (!responseJson || typeof responseJson !== "string") {
+    return responseJson || null;
+  }
+
+  try {
+    return JSON.parse(responseJson);
+  } catch (error) {
+    logger.warn("Error parsing flow response_json", { reason: error.message });
+    return { raw: responseJson };
+  }
+}
+
+/**
+ * Parse interactive replies (buttons, lists, Flows)
+ */
+function parseInteractive(interactive) {
+  switch (interactive?.type) {
+    case "button_reply":
+      return {
+        content: `Button: ${interactive.button_reply?.title}`,
+        interactiveData: {
+          type: "button_reply",
+          button_id: interactive.button_reply?.id,
+          button_title: interactive.button_reply?.title,
+        },
+      };
+    case "list_reply":
+      return {
+        content: `List: ${interactive.list_reply?.title}`,
+        interactiveData: {
+          type: "list_reply",
+          list_id: interactive.list_reply?.id,
+          list_title: interactive.list_reply?.title,
+          list_description: interactive.list_reply?.description,
+        },
+      };
+    case "nfm_reply":
+      return {
+        content: `Flow: ${interactive.nfm_reply?.body || "Response submitted"}`,
+        interactiveData: {
+          type: "nfm_reply",
+          flow_name: interactive.nfm_reply?.name || null,
+          body: interactive.nfm_reply?.body || null,
+          response: parseFlowResponse(interactive.nfm_reply?.response_json),
+        },
+      };
+    default:
+      return {
+        content: `Interactive message${
+          interactive?.type ? ` (${interactive.type})` : ""
+        }`,
+        interactiveData: interactive?.type
+          ? { type: interactive.type, data: interactive[interactive.type] }
+          : null,
+      };
+  }
+}
+
+/**
+ * Normalize an order (cart sent from a catalog)
+ */
+function parseOrder(order) {
+  const productItems = (order?.product_items || []).map((item) => ({
+    product_retailer_id: item.product_retailer_id,
+    quantity: Number(item.quantity) || 0,
+    item_price: item.item_price != null ? Number(item.item_price) : null,
+    currency: item.currency || null,
+  }));
+  const currencies = [...new Set(productItems.map((item) => item.currency))];
+
+  return {
+    catalog_id: order?.catalog_id || null,
+    text: order?.text || null,
+    product_items: productItems,
+    item_count: productItems.reduce((sum, item) => sum + item.quantity, 0),
+    // Only meaningful when the whole cart is in one currency
+    total:
+      currencies.length === 1 && currencies[0]
+        ? productItems.reduce(
+            (sum, item) => sum + (item.item_price || 0) * item.quantity,
+            0
+          )
+        : null,
+    currency: currencies.length === 1 ? currencies[0] : null,
+  };
+}
+
+/**
+ * Normalize the ad/post referral of a click-to-WhatsApp message
+ */
+function parseReferral(referral) {
+  if (!referral) return null;
+
+  return {
+    source_type: referral.source_type || null, // ad or post
+    source_id: referral.source_id || null,
+    source_url: referral.source_url || null,
+    headline: referral.headline || null,
+    body: referral.body || null,
+    media_type: referral.media_type || null,
+    image_url: referral.image_url || null,
+    video_url: referral.video_url || null,
+    thumbnail_url: referral.thumbnail_url || null,
+    ctwa_clid: referral.ctwa_clid || null,
+  };
+}
+
+/**
+ * Parse an inbound message into the columns stored in incoming_messages
+ */
+function parseIncomingMessage(message) {
+  const { type } = message;
+  const parsed = {
+    content: "",
+    mediaUrl: null,
+    mediaId: null,
+    mediaSha256: null,
+    mediaType: null,
+    mediaSize: null,
+    interactiveType: null,
+    interactiveData: null,
+    reactionEmoji: null,
+    reactionMessageId: null,
+    referralData: parseReferral(message.referral),
+    orderData: null,
+    messageData: null,
+  };
+
+  switch (type) {
+    case "text":
+      parsed.content = message.text?.body || "";
+      break;
+    case "image":
+      Object.assign(parsed, parseMedia(message.image));
+      parsed.content = message.image?.caption || "Image message";
+      break;
+    case "video":
+      Object.assign(parsed, parseMedia(message.video));
+      parsed.content = message.video?.caption || "Video message";
+      break;
+    case "audio":
+      Object.assign(parsed, parseMedia(message.audio));
+      parsed.content = message.audio?.voice ? "Voice message" : "Audio message";
+      break;
+    case "document":
+      Object.assign(parsed, parseMedia(message.document));
+      parsed.content =
+        message.document?.caption ||
+        message.document?.filename ||
+        "Document message";
+      break;
+    case "sticker":
+      Object.assign(parsed, parseMedia(message.sticker));
+      parsed.content = "Sticker message";
+      parsed.messageData = { animated: !!message.sticker?.animated };
+      break;
+    case "location": {
+      const { location } = message;
+      parsed.content = `Location: ${location?.latitude}, ${location?.longitude}`;
+      if (location?.name) parsed.content += ` (${location.name})`;
+      break;
+    }
+    case "contacts":
+      parsed.content = `Contact: ${
+        message.contacts?.[0]?.name?.formatted_name || "Contact shared"
+      }`;
+      break;
+    case "reaction":
+      // An empty emoji means the user removed their reaction
+      parsed.reactionEmoji = message.reaction?.emoji || null;
+      parsed.reactionMessageId = message.reaction?.message_id || null;
+      parsed.content = parsed.reactionEmoji
+        ? `Reaction: ${parsed.reactionEmoji}`
+        : "Reaction removed";
+      break;
+    case "interactive": {
+      const interactive = parseInteractive(message.interactive);
+      parsed.content = interactive.content;
+      parsed.interactiveData = interactive.interactiveData;
+      break;
+    }
+    case "button":
+      // Quick reply button of a template message
+      parsed.content = `Button: ${message.button?.text}`;
+      parsed.interactiveData = {
+        type: "quick_reply",
+        button_id: message.button?.payload,
+        button_title: message.button?.text,
+      };
+      break;
+    case "order":
+      parsed.orderData = parseOrder(message.order);
+      parsed.content = `Order: ${parsed.orderData.item_count} item(s)`;
+      if (parsed.orderData.text) parsed.content += ` - ${parsed.orderData.text}`;
+      break;
+    case "system":
+      parsed.content = message.system?.body || "System message";
+      parsed.messageData = {
+        system_type: message.system?.type || null,
+        wa_id: message.system?.wa_id || null,
+        new_wa_id: message.system?.new_wa_id || null,
+        identity: message.system?.identity || null,
+        customer: message.system?.customer || null,
+        identity_info: message.identity || null,
+      };
+      break;
+    case "unsupported":
+      parsed.content = "Unsupported message";
+      parsed.messageData = { errors: message.errors || [] };
+      break;
+    default:
+      parsed.content = `${type} message`;
+      parsed.messageData = message.errors ? { errors: message.errors } : null;
+  }
+
+  parsed.interactiveType = parsed.interactiveData?.type || null;
+
+  return parsed;
+}
+
+module.exports = {
+  parseIncomingMessage,
+  parseInteractive,
+  parseOrder,
+  parseReferral,
+};
@@ -0,0 +1,206 @@
+const { parseIncomingMessage, parseOrder } = require("./inboundMessages");
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+describe("parseIncomingMessage", () => {
+  test("text", () => {
+    expect(
+      parseIncomingMessage({ type: "text", text: { body: "Hello" } })
+    ).toMatchObject({
+      content: "Hello",
+      mediaUrl: null,
+      interactiveType: null,
+    });
+  });
+
+  test("media keeps the Graph media id until the file is stored", () => {
+    const parsed = parseIncomingMessage({
+      type: "image",
+      image: {
+        id: "media-1",
+        sha256: "abc",
+        mime_type: "image/jpeg",
+        file_size: 1024,
+        caption: "A photo",
+      },
+    });
+    expect(parsed).toMatchObject({
+      content: "A photo",
+      mediaUrl: "media-1",
+      mediaId: "media-1",
+      mediaSha256: "abc",
+      mediaType: "image/jpeg",
+      mediaSize: 1024,
+    });
+
+    const voice = parseIncomingMessage({
+      type: "audio",
+      audio: { id: "media-2", voice: true },
+    });
+    expect(voice.content).toBe("Voice message");
+  });
+
+  test("reactions, and removed reactions", () => {
+    expect(
+      parseIncomingMessage({
+        type: "reaction",
+        reaction: { message_id: "wamid.OUT", emoji: "👍" },
+      })
+    ).toMatchObject({
+      content: "Reaction: 👍",
+      reactionEmoji: "👍",
+      reactionMessageId: "wamid.OUT",
+    });
+    expect(
+      parseIncomingMessage({
+        type: "reaction",
+        reaction: { message_id: "wamid.OUT", emoji: "" },
+      })
+    ).toMatchObject({ content: "Reaction removed", reactionEmoji: null });
+  });
+
+  test("interactive button and list replies", () => {
+    expect(
+      parseIncomingMessage({
+        type: "interactive",
+        interactive: {
+          type: "button_reply",
+          button_reply: { id: "yes", title: "Yes" },
+        },
+      })
+    ).toMatchObject({
+      content: "Button: Yes",
+      interactiveType: "button_reply",
+      interactiveData: { button_id: "yes", button_title: "Yes" },
+    });
+    expect(
+      parseIncomingMessage({
+        type: "interactive",
+        interactive: {
+          type: "list_reply",
+          list_reply: { id: "l1", title: "Option", description: "First" },
+        },
+      }).interactiveData
+    ).toEqual({
+      type: "list_reply",
+      list_id: "l1",
+      list_title: "Option",
+      list_description: "First",
+    });
+  });
+
+  test("Flow replies carry the parsed response", () => {
+    const flow = (responseJson) =>
+      parseIncomingMessage({
+        type: "interactive",
+        interactive: {
+          type: "nfm_reply",
+          nfm_reply: { name: "survey", response_json: responseJson },
+        },
+      });
+
+    expect(flow('{"rating":5}')).toMatchObject({
+      content: "Flow: Response submitted",
+      interactiveType: "nfm_reply",
+      interactiveData: { flow_name: "survey", response: { rating: 5 } },
+    });
+    expect(flow("{not json").interactiveData.response).toEqual({
+      raw: "{not json",
+    });
+  });
+
+  test("template quick reply buttons", () => {
+    expect(
+      parseIncomingMessage({
+        type: "button",
+        button: { text: "Stop promotions", payload: "STOP" },
+      })
+    ).toMatchObject({
+      content: "Button: Stop promotions",
+      interactiveType: "quick_reply",
+      interactiveData: { button_id: "STOP" },
+    });
+  });
+
+  test("referrals are attached to the message sent from the ad", () => {
+    const parsed = parseIncomingMessage({
+      type: "text",
+      text: { body: "Hi" },
+      referral: { source_type: "ad", source_id: "ad-1", ctwa_clid: "clid" },
+    });
+    expect(parsed.content).toBe("Hi");
+    expect(parsed.referralData).toMatchObject({
+      source_type: "ad",
+      source_id: "ad-1",
+      ctwa_clid: "clid",
+      headline: null,
+    });
+  });
+
+  test("system, unsupported and unknown types", () => {
+    expect(
+      parseIncomingMessage({
+        type: "system",
+        system: {
+          type: "user_changed_number",
+          body: "Changed",
+          new_wa_id: "2",
+        },
+      })
+    ).toMatchObject({
+      content: "Changed",
+      messageData: { system_type: "user_changed_number", new_wa_id: "2" },
+    });
+    expect(
+      parseIncomingMessage({ type: "unsupported", errors: [{ code: 131051 }] })
+    ).toMatchObject({
+      content: "Unsupported message",
+      messageData: { errors: [{ code: 131051 }] },
+    });
+    expect(parseIncomingMessage({ type: "poll" }).content).toBe("poll message");
+  });
+});
+
+describe("parseOrder", () => {
+  // A product_items entry
+  const item = (id, quantity, itemPrice, currency) => ({
+    product_retailer_id: id,
+    quantity,
+    item_price: itemPrice,
+    currency,
+  });
+
+  test("totals a cart in one currency", () => {
+    const order = parseOrder({
+      catalog_id: "cat-1",
+      product_items: [item("a", "2", 10, "USD"), item("b", 1, 5.5, "USD")],
+    });
+    expect(order).toMatchObject({
+      item_count: 3,
+      total: 25.5,
+      currency: "USD",
+    });
+  });
+
+  test("has no total for a cart in several currencies", () => {
+    const order = parseOrder({
+      product_items: [item("a", 1, 10, "USD"), item("b", 1, 10, "EUR")],
+    });
+    expect(order).toMatchObject({ item_count: 2, total: null, currency: null });
+  });
+
+  test("the order message content counts the items", () => {
+    expect(
+      parseIncomingMessage({
+        type: "order",
+        order: {
+          text: "Deliver today",
+          product_items: [{ product_retailer_id: "a", quantity: 3 }],
+        },
+      }).content
+    ).toBe("Order: 3 item(s) - Deliver today");
+  });
+});
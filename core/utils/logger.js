@@ -1,11 +1,47 @@
 /**
  * Comprehensive logging and error handling utilities
+ *
+ * Every log line goes through Logger: metadata is redacted according to
+ * config.logging.redaction (see ./redact) and the request-scoped context
+ * (organization id, webhook event id, ...) set with withContext/addContext
+ * is attached to each entry logged while handling that request.
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('../config');
+const { createRedactor } = require('./redact');
+
 class Logger {
-  constructor() {
-    this.logLevel = process.env.LOG_LEVEL || 'info';
+  constructor(options = config.logging) {
+    this.logLevel = options.level || 'info';
     this.environment = process.env.NODE_ENV || 'development';
+    this.structured = options.enableStructuredLogging !== false;
+    this.redact = createRedactor(options.redaction);
+    this.contextStorage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run fn with context added to every entry it logs
+   * (nested calls extend the outer context)
+   */
+  withContext(context, fn) {
+    return this.contextStorage.run({ ...this.getContext(), ...context }, fn);
+  }
+
+  /**
+   * Add to the context of the current withContext scope
+   * e.g. the webhook event id once the event is stored
+   */
+  addContext(context) {
+    const store = this.contextStorage.getStore();
+    if (store) Object.assign(store, context);
+  }
+
+  /**
+   * Get the current request-scoped context
+   */
+  getContext() {
+    return this.contextStorage.getStore() || {};
   }
 
   /**
@@ -31,13 +67,20 @@ class Logger {
    * Format log message with metadata
    */
   formatMessage(level, message, metadata = {}) {
-    const logEntry = {
+    const logEntry = this.redact({
       timestamp: new Date().toISOString(),
       level: level.toUpperCase(),
       environment: this.environment,
       message: message,
+      ...this.getContext(),
       ...metadata
-    };
+    });
+
+    if (!this.structured) {
+      const { timestamp, level: entryLevel, environment, message: text, ...rest } = logEntry;
+      const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+      return `${timestamp} ${entryLevel} ${text}${details}`;
+    }
 
     // Add AWS Lambda context if available
     if (process.env.AWS_LAMBDA_FUNCTION_NAME) {
@@ -0,0 +1,149 @@
+/**
+ * Message status lifecycle shared by the messages and campaign_audience tables
+ *
+ * pending -> sent -> delivered -> read
+ *
+ * - A status never moves backwards (a late "delivered" cannot downgrade "read").
+ * - "failed" can only replace pending/sent; once a message reached the device
+ *   a failure report is rejected.
+ * - A "delivered" or "read" receipt overrides "failed", since it proves the
+ *   message actually arrived.
+ */
+
+const STATUS_ORDER = ["pending", "sent", "delivered", "read"];
+
+// Statuses a row may currently hold for a transition to the key to be accepted
+const ALLOWED_PREVIOUS_STATUSES = {
+  pending: ["pending"],
+  sent: ["pending", "sent"],
+  delivered: ["pending", "sent", "delivered", "failed"],
+  read: ["pending", "sent", "delivered", "read", "failed"],
+  failed: ["pending", "sent", "failed"],
+};
+
+// Timestamp column for each status
+const STATUS_TIMESTAMP_COLUMNS = {
+  sent: "sent_at",
+  delivered: "delivered_at",
+  read: "read_at",
+  failed: "failed_at",
+};
+
+/**
+ * Check if status is part of the lifecycle
+ */
+function isKnownStatus(status) {
+  return Object.prototype.hasOwnProperty.call(
+    ALLOWED_PREVIOUS_STATUSES,
+    status
+  );
+}
+
+/**
+ * Check if a row holding currentStatus may move to nextStatus
+ */
+function canTransition(currentStatus, nextStatus) {
+  if (!isKnownStatus(nextStatus)) return false;
+  return ALLOWED_PREVIOUS_STATUSES[nextStatus].includes(
+    currentStatus || "pending"
+  );
+}
+
+/**
+ * Get the timestamp columns a status fills in.
+ * A receipt implies every earlier step happened, so "read" also fills
+ * sent_at and delivered_at when those events were lost or are still in flight.
+ */
+function getTimestampColumns(status) {
+  if (status === "failed") return ["failed_at"];
+
+  const index = STATUS_ORDER.indexOf(status);
+  if (index <= 0) return [];
+
+  return STATUS_ORDER.slice(1, index + 1).map(
+    (s) => STATUS_TIMESTAMP_COLUMNS[s]
+  );
+}
+
+/**
+ * Build the conditional UPDATE applying a status event to a table keyed by
+ * whatsapp_message_id. Timestamp columns only ever move to an earlier value,
+ * so they end up filled regardless of the order events arrive in, while
+ * message_status only changes when the lifecycle allows it.
+ * The returned row carries the status it held before as previous_status.
+ */
+function buildStatusTransitionQuery(
+  table,
+  whatsappMessageId,
+  status,
+  timestamp = null,
+  failureReason = null
+) {
+  const params = [
+    whatsappMessageId,
+    status,
+    ALLOWED_PREVIOUS_STATUSES[status] || [],
+    timestamp || new Date(),
+  ];
+  const allowed =
+    "COALESCE(current_row.message_status, 'pending') = ANY($3::text[])";
+
+  const assignments = [
+    `message_status = CASE WHEN ${allowed} THEN $2 ELSE t.message_status END`,
+  ];
+
+  for (const column of getTimestampColumns(status)) {
+    if (column === "failed_at") {
+      assignments.push(
+        `failed_at = CASE WHEN ${allowed} THEN LEAST(t.failed_at, $4::timestamptz) ELSE t.failed_at END`
+      );
+    } else {
+      assignments.push(`${column} = LEAST(t.${column}, $4::timestamptz)`);
+    }
+  }
+
+  if (status === "failed") {
+    params.push(failureReason);
+    assignments.push(
+      `failure_reason = CASE WHEN ${allowed} THEN $5 ELSE t.failure_reason END`
+    );
+  }
+
+  assignments.push("updated_at = CURRENT_TIMESTAMP");
+
+  const query = `
+    WITH current_row AS (
+      SELECT id, message_status FROM ${table}
+      WHERE whatsapp_message_id = $1
+      FOR UPDATE
+    )
+    UPDATE ${table} t
+    SET ${assignments.join(",\n        ")}
+    FROM current_row
+    WHERE t.id = current_row.id
+    RETURNING t.*, current_row.message_status AS previous_status
+  `;
+
+  return { query, params };
+}
+
+/**
+ * Describe the outcome of a status update returned by buildStatusTransitionQuery
+ */
+function describeTransition(row, requestedStatus) {
+  return {
+    from: row.previous_status || "pending",
+    to: requestedStatus,
+    current: row.message_status,
+    applied: row.message_status === requestedStatus,
+  };
+}
+
+module.exports = {
+  STATUS_ORDER,
+  isKnownStatus,
+  canTransition,
+  getTimestampColumns,
+  buildStatusTransitionQuery,
+  describeTransition,
+};
@@ -0,0 +1,98 @@
+const {
+  canTransition,
+  isKnownStatus,
+  getTimestampColumns,
+  buildStatusTransitionQuery,
+  describeTransition,
+} = require("./messageStatus");
+
+describe("canTransition", () => {
+  test.each([
+    ["pending", "sent"],
+    ["sent", "delivered"],
+    ["delivered", "read"],
+    ["pending", "read"],
+    ["sent", "sent"],
+    ["sent", "failed"],
+    ["failed", "delivered"],
+    ["failed", "read"],
+    [null, "sent"],
+  ])("%s -> %s is accepted", (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  test.each([
+    ["read", "delivered"],
+    ["read", "sent"],
+    ["delivered", "sent"],
+    ["delivered", "failed"],
+    ["read", "failed"],
+    ["failed", "sent"],
+    ["sent", "deleted"],
+    ["sent", undefined],
+  ])("%s -> %s is refused", (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+});
+
+describe("timestamp columns", () => {
+  test("a receipt fills every earlier step", () => {
+    expect(getTimestampColumns("read")).toEqual([
+      "sent_at",
+      "delivered_at",
+      "read_at",
+    ]);
+    expect(getTimestampColumns("sent")).toEqual(["sent_at"]);
+    expect(getTimestampColumns("failed")).toEqual(["failed_at"]);
+    expect(getTimestampColumns("pending")).toEqual([]);
+    expect(isKnownStatus("deleted")).toBe(false);
+  });
+});
+
+describe("buildStatusTransitionQuery", () => {
+  test("passes the statuses the row may hold", () => {
+    const timestamp = new Date("2024-01-01T00:00:00Z");
+    const { query, params } = buildStatusTransitionQuery(
+      "messages",
+      "wamid.1",
+      "delivered",
+      timestamp
+    );
+
+    expect(params).toEqual([
+      "wamid.1",
+      "delivered",
+      ["pending", "sent", "delivered", "failed"],
+      timestamp,
+    ]);
+    expect(query).toContain("UPDATE messages t");
+    expect(query).toContain("delivered_at = LEAST(t.delivered_at");
+    expect(query).not.toContain("failure_reason");
+  });
+
+  test("failures carry their reason", () => {
+    const { query, params } = buildStatusTransitionQuery(
+      "campaign_audience",
+      "wamid.1",
+      "failed",
+      null,
+      "Message undeliverable"
+    );
+    expect(params[4]).toBe("Message undeliverable");
+    expect(query).toContain("failure_reason = CASE WHEN");
+  });
+
+  test("describeTransition tells whether the status was applied", () => {
+    expect(
+      describeTransition(
+        { previous_status: "read", message_status: "read" },
+        "delivered"
+      )
+    ).toEqual({
+      from: "read",
+      to: "delivered",
+      current: "read",
+      applied: false,
+    });
+  });
+});
@@ -0,0 +1,441 @@
+/**
+ * Signed outbound webhooks forwarding processed events to the main server
+ *
+ * Each organization can register webhook_subscriptions (URL, secret, event
+ * filter). Every matching event is logged in webhook_deliveries and POSTed as
+ * JSON with an HMAC SHA256 signature:
+ *
+ *   X-Webhook-Signature-256: sha256=HMAC(secret, "<timestamp>.<body>")
+ *   X-Webhook-Timestamp:     unix seconds used in the signature
+ *   X-Webhook-Event:         event type, e.g. message.received
+ *   X-Webhook-Delivery:      webhook_deliveries.id (stable across replays)
+ *
+ * Deliveries are an outbox: webhook processing writes them in the same
+ * transaction as the event (queueEvent) and makes a single attempt once it
+ * has committed (sendQueuedDeliveries). Deliveries that were never sent, or
+ * failed with a network error, 429 or 5xx, are sent again by a scheduled job
+ * (retryWebhookDeliveries) with exponential backoff, up to
+ * OUTBOUND_WEBHOOK_MAX_ATTEMPTS attempts.
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { logger } = require("./logger");
+const { getBackoffDelay } = require("./helpers");
+
+const EVENT_TYPES = {
+  MESSAGE_RECEIVED: "message.received",
+  MESSAGE_STATUS: "message.status",
+  CONSENT_UPDATED: "consent.updated",
+};
+
+const REQUEST_TIMEOUT = parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_INTERVAL =
+  parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_INTERVAL) || 60000;
+const MAX_RETRY_INTERVAL = 60 * 60 * 1000;
+const RETRY_BATCH_SIZE =
+  parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_BATCH_SIZE) || 50;
+
+/**
+ * Sign a payload body for a subscription secret
+ */
+function signPayload(secret, timestamp, body) {
+  return (
+    "sha256=" +
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`, "utf8")
+      .digest("hex")
+  );
+}
+
+/**
+ * Build the normalized event envelope
+ */
+function buildEvent(eventType, organization, data) {
+  return {
+    event: eventType,
+    organizationId: organization.id,
+    occurredAt: new Date().toISOString(),
+    data: data,
+  };
+}
+
+/**
+ * Normalize a stored incoming message for the message.received event
+ */
+function normalizeIncomingMessage(incomingMessage) {
+  return {
+    incomingMessageId: incomingMessage.id,
+    whatsappMessageId: incomingMessage.whatsappMessageId,
+    from: incomingMessage.fromPhoneNumber,
+    to: incomingMessage.toPhoneNumber,
+    type: incomingMessage.messageType,
+    content: incomingMessage.content,
+    media: incomingMessage.mediaUrl
+      ? {
+          id: incomingMessage.mediaId || incomingMessage.mediaUrl,
+          // Durable URL once the media fetcher has stored the file
+          url:
+            incomingMessage.mediaStatus === "downloaded"
+              ? incomingMessage.mediaUrl
+              : null,
+          status: incomingMessage.mediaStatus || null,
+          mimeType: incomingMessage.mediaType,
+          size: incomingMessage.mediaSize,
+        }
+      : null,
+    interactive: incomingMessage.interactiveData || null,
+    reaction:
+      incomingMessage.messageType === "reaction"
+        ? {
+            emoji: incomingMessage.reactionEmoji,
+            whatsappMessageId: incomingMessage.reactionMessageId,
+          }
+        : null,
+    referral: incomingMessage.referralData || null,
+    order: incomingMessage.orderData || null,
+    messageData: incomingMessage.messageData || null,
+    context: incomingMessage.contextMessageId
+      ? {
+          whatsappMessageId: incomingMessage.contextMessageId,
+          campaignId: incomingMessage.contextCampaignId,
+        }
+      : null,
+    timestamp: incomingMessage.timestamp,
+  };
+}
+
+/**
+ * Normalize a status update for the message.status event
+ */
+function normalizeStatus(status, updatedMessage, updatedCampaignAudience) {
+  return {
+    whatsappMessageId: status.id,
+    status: status.status,
+    recipient: status.recipient_id || null,
+    timestamp: status.timestamp
+      ? new Date(parseInt(status.timestamp) * 1000).toISOString()
+      : null,
+    errors: status.errors || null,
+    messageId: updatedMessage ? updatedMessage.id : null,
+    campaignId:
+      (updatedCampaignAudience && updatedCampaignAudience.campaignId) ||
+      (updatedMessage && updatedMessage.campaignId) ||
+      null,
+    campaignAudienceId: updatedCampaignAudience
+      ? updatedCampaignAudience.id
+      : null,
+  };
+}
+
+/**
+ * POST one delivery, once
+ * Network errors, 429 and 5xx leave it "retrying" for the retry job (or
+ * "failed" after MAX_ATTEMPTS); other 4xx responses fail it right away -
+ * retrying would not change them.
+ */
+async function sendDelivery(subscription, delivery) {
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  let outcome;
+
+  try {
+    const response = await axios.post(subscription.url, body, {
+      timeout: REQUEST_TIMEOUT,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Signature-256": signPayload(
+          subscription.secret,
+          timestamp,
+          body
+        ),
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Event": delivery.eventType,
+        "X-Webhook-Delivery": delivery.id,
+      },
+      validateStatus: () => true,
+    });
+
+    const responseBody =
+      typeof response.data === "string"
+        ? response.data
+        : JSON.stringify(response.data);
+    const succeeded = response.status >= 200 && response.status < 300;
+
+    outcome = {
+      status: succeeded ? "delivered" : "failed",
+      retryable: response.status === 429 || response.status >= 500,
+      responseStatus: response.status,
+      responseBody: responseBody ? responseBody.slice(0, 2000) : null,
+      errorMessage: succeeded ? null : `HTTP ${response.status}`,
+    };
+  } catch (error) {
+    outcome = {
+      status: "failed",
+      retryable: true,
+      errorMessage: error.message,
+    };
+  }
+
+  const attempts = (delivery.attempts || 0) + 1;
+  if (outcome.retryable && attempts < MAX_ATTEMPTS) {
+    outcome.status = "retrying";
+    outcome.retryDelayMs = getBackoffDelay(
+      attempts,
+      RETRY_INTERVAL,
+      MAX_RETRY_INTERVAL
+    );
+  } else if (outcome.retryable) {
+    outcome.errorMessage =
+      `Gave up after ${attempts} attempts: ` + outcome.errorMessage;
+  }
+
+  const recorded = await WebhookDelivery.recordAttempt(delivery.id, outcome);
+
+  if (outcome.status !== "delivered") {
+    logger.warn(
+      outcome.status === "retrying"
+        ? "Outbound webhook delivery failed, will retry"
+        : "Outbound webhook delivery failed",
+      {
+        deliveryId: delivery.id,
+        subscriptionId: subscription.id,
+        attempts,
+        reason: outcome.errorMessage,
+      }
+    );
+  }
+
+  return recorded;
+}
+
+/**
+ * Log an event for every matching subscription of the organization
+ * Runs in the transaction that processed the event, so its deliveries
+ * commit or roll back with it; a delivery that is never sent becomes due for
+ * the retry job after OUTBOUND_WEBHOOK_RETRY_INTERVAL.
+ */
+async function queueEvent(organization, eventType, data, client) {
+  const subscriptions = await WebhookSubscription.findActiveByOrganization(
+    organization.id,
+    client
+  );
+  const matching = subscriptions.filter((subscription) =>
+    subscription.matchesEvent(eventType)
+  );
+
+  if (matching.length === 0) {
+    return [];
+  }
+
+  const payload = buildEvent(eventType, organization, data);
+  const queued = [];
+
+  for (const subscription of matching) {
+    const delivery = await WebhookDelivery.create(
+      {
+        subscriptionId: subscription.id,
+        organizationId: organization.id,
+        eventType: eventType,
+        payload: payload,
+      },
+      RETRY_INTERVAL,
+      client
+    );
+    queued.push({ subscription, delivery });
+  }
+
+  return queued;
+}
+
+/**
+ * Make the first attempt of deliveries logged by queueEvent, once their
+ * transaction has committed
+ * Never throws - a failing subscriber must not fail webhook processing
+ */
+async function sendQueuedDeliveries(queued) {
+  const deliveries = [];
+
+  for (const { subscription, delivery } of queued || []) {
+    try {
+      const sent = await sendDelivery(subscription, delivery);
+      if (sent) deliveries.push(sent);
+    } catch (error) {
+      // Left due for the retry job
+      logger.error("Error sending outbound webhook delivery", error, {
+        deliveryId: delivery.id,
+        subscriptionId: subscription.id,
+      });
+    }
+  }
+
+  if (deliveries.length > 0) {
+    logger.info("Sent outbound webhook deliveries", {
+      eventTypes: [...new Set(deliveries.map((d) => d.eventType))],
+      deliveries: deliveries.length,
+    });
+  }
+  return deliveries;
+}
+
+/**
+ * Log a processed incoming message for its subscribers
+ */
+async function queueIncomingMessage(organization, incomingMessage, client) {
+  return queueEvent(
+    organization,
+    EVENT_TYPES.MESSAGE_RECEIVED,
+    normalizeIncomingMessage(incomingMessage),
+    client
+  );
+}
+
+/**
+ * Log a processed status update for its subscribers
+ */
+async function queueStatusUpdate(
+  organization,
+  status,
+  updatedMessage,
+  updatedCampaignAudience,
+  client
+) {
+  return queueEvent(
+    organization,
+    EVENT_TYPES.MESSAGE_STATUS,
+    normalizeStatus(status, updatedMessage, updatedCampaignAudience),
+    client
+  );
+}
+
+/**
+ * Log a change of a number's consent (opt-out or opt-in) for its subscribers
+ */
+async function queueConsentChange(organization, change, client) {
+  return queueEvent(
+    organization,
+    EVENT_TYPES.CONSENT_UPDATED,
+    {
+      msisdn: change.msisdn,
+      action: change.action,
+      source: change.source,
+      keyword: change.keyword || null,
+      errorCode: change.errorCode || null,
+      whatsappMessageId: change.whatsappMessageId || null,
+      timestamp: change.timestamp || null,
+    },
+    client
+  );
+}
+
+/**
+ * Send a logged delivery again with its original payload
+ */
+async function replayDelivery(deliveryId) {
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  if (!delivery) {
+    throw new Error(`Webhook delivery not found: ${deliveryId}`);
+  }
+
+  const subscription = await WebhookSubscription.findById(
+    delivery.subscriptionId
+  );
+  if (!subscription || !subscription.isActive) {
+    throw new Error(
+      `Webhook subscription ${delivery.subscriptionId} is missing or inactive`
+    );
+  }
+
+  return sendDelivery(subscription, delivery);
+}
+
+/**
+ * Send the pending and retrying deliveries that are due
+ * Deliveries of a deleted or deactivated subscription are marked failed.
+ */
+async function retryWebhookDeliveries(options = {}) {
+  const limit = options.limit || RETRY_BATCH_SIZE;
+  const summary = { claimed: 0, delivered: 0, retrying: 0, failed: 0 };
+  const subscriptions = new Map();
+
+  const deliveries = await WebhookDelivery.claimDue(limit);
+  summary.claimed = deliveries.length;
+
+  for (const delivery of deliveries) {
+    try {
+      if (!subscriptions.has(delivery.subscriptionId)) {
+        subscriptions.set(
+          delivery.subscriptionId,
+          await WebhookSubscription.findById(delivery.subscriptionId)
+        );
+      }
+      const subscription = subscriptions.get(delivery.subscriptionId);
+
+      if (!subscription || !subscription.isActive) {
+        await WebhookDelivery.markFailed(
+          delivery.id,
+          `Webhook subscription ${delivery.subscriptionId} is missing or inactive`
+        );
+        summary.failed++;
+        continue;
+      }
+
+      const result = await sendDelivery(subscription, delivery);
+      if (result && result.status in summary) {
+        summary[result.status]++;
+      }
+    } catch (error) {
+      // The lease runs out and the delivery is claimed again
+      summary.failed++;
+      logger.error("Error retrying outbound webhook delivery", error, {
+        deliveryId: delivery.id,
+        subscriptionId: delivery.subscriptionId,
+      });
+    }
+  }
+
+  if (summary.claimed > 0) {
+    logger.info("Outbound webhook retry batch", summary);
+  }
+  return summary;
+}
+
+/**
+ * Replay failed deliveries, optionally for one organization since a date
+ */
+async function replayFailedDeliveries(
+  organizationId = null,
+  since = null,
+  limit = 100
+) {
+  const failed = await WebhookDelivery.findFailed(organizationId, since, limit);
+  const results = [];
+
+  for (const delivery of failed) {
+    try {
+      const replayed = await replayDelivery(delivery.id);
+      results.push({ id: delivery.id, status: replayed?.status || "failed" });
+    } catch (error) {
+      results.push({ id: delivery.id, status: "failed", error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  signPayload,
+  queueEvent,
+  queueIncomingMessage,
+  queueStatusUpdate,
+  queueConsentChange,
+  sendQueuedDeliveries,
+  replayDelivery,
+  replayFailedDeliveries,
+  retryWebhookDeliveries,
+};
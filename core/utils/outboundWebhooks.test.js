@@ -0,0 +1,232 @@
+jest.mock("axios", () => ({ post: jest.fn() }));
+jest.mock("../models/WebhookDelivery", () => ({
+  create: jest.fn(),
+  recordAttempt: jest.fn(),
+  markFailed: jest.fn(),
+  claimDue: jest.fn(),
+}));
+jest.mock("../models/WebhookSubscription", () => ({
+  findActiveByOrganization: jest.fn(),
+  findById: jest.fn(),
+}));
+
+const axios = require("axios");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const {
+  signPayload,
+  queueEvent,
+  sendQueuedDeliveries,
+  retryWebhookDeliveries,
+} = require("./outboundWebhooks");
+
+const organization = { id: "org-1" };
+const client = { query: jest.fn() };
+const subscription = {
+  id: "sub-1",
+  url: "https://main.example.com/events",
+  secret: "s3cret",
+  isActive: true,
+  matchesEvent: () => true,
+};
+
+/**
+ * A stored delivery after the given number of attempts
+ */
+const delivery = (attempts = 0) => ({
+  id: "del-1",
+  subscriptionId: "sub-1",
+  eventType: "message.received",
+  payload: { event: "message.received", data: {} },
+  attempts,
+});
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  WebhookSubscription.findActiveByOrganization.mockResolvedValue([
+    subscription,
+  ]);
+  WebhookSubscription.findById.mockResolvedValue(subscription);
+  WebhookDelivery.create.mockResolvedValue(delivery());
+  WebhookDelivery.recordAttempt.mockImplementation(async (id, attempt) => ({
+    id,
+    status: attempt.status,
+  }));
+  WebhookDelivery.markFailed.mockImplementation(async (id) => ({
+    id,
+    status: "failed",
+  }));
+});
+
+/**
+ * Queue an event in the processing transaction and send it after commit
+ */
+async function dispatch() {
+  const queued = await queueEvent(
+    organization,
+    "message.received",
+    {},
+    client
+  );
+  return sendQueuedDeliveries(queued);
+}
+
+describe("queueEvent", () => {
+  test("logs deliveries in the caller's transaction only", async () => {
+    const queued = await queueEvent(
+      organization,
+      "message.received",
+      { a: 1 },
+      client
+    );
+
+    expect(queued).toEqual([{ subscription, delivery: delivery() }]);
+    expect(WebhookSubscription.findActiveByOrganization).toHaveBeenCalledWith(
+      "org-1",
+      client
+    );
+    const [data, retryDelayMs, usedClient] =
+      WebhookDelivery.create.mock.calls[0];
+    expect(data).toMatchObject({
+      subscriptionId: "sub-1",
+      organizationId: "org-1",
+      eventType: "message.received",
+      payload: { event: "message.received", data: { a: 1 } },
+    });
+    // Due for the retry job if it is never sent
+    expect(retryDelayMs).toBe(60000);
+    expect(usedClient).toBe(client);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test("subscriptions filtering the event out get nothing", async () => {
+    WebhookSubscription.findActiveByOrganization.mockResolvedValue([
+      { ...subscription, matchesEvent: () => false },
+    ]);
+
+    expect(
+      await queueEvent(organization, "message.status", {}, client)
+    ).toEqual([]);
+    expect(WebhookDelivery.create).not.toHaveBeenCalled();
+  });
+
+  test("a failing insert fails the transaction", async () => {
+    WebhookDelivery.create.mockRejectedValue(new Error("connection lost"));
+
+    await expect(
+      queueEvent(organization, "message.received", {}, client)
+    ).rejects.toThrow("connection lost");
+  });
+});
+
+describe("sendQueuedDeliveries", () => {
+  test("a delivered event is signed and sent once", async () => {
+    axios.post.mockResolvedValue({ status: 200, data: "ok" });
+
+    const [result] = await dispatch();
+    expect(result.status).toBe("delivered");
+
+    const [url, body, { headers }] = axios.post.mock.calls[0];
+    expect(url).toBe(subscription.url);
+    expect(headers["X-Webhook-Signature-256"]).toBe(
+      signPayload("s3cret", headers["X-Webhook-Timestamp"], body)
+    );
+  });
+
+  test("a 5xx is not retried inline but left for the retry job", async () => {
+    axios.post.mockResolvedValue({ status: 503, data: "" });
+
+    const [result] = await dispatch();
+    expect(result.status).toBe("retrying");
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(WebhookDelivery.recordAttempt.mock.calls[0][1]).toMatchObject({
+      status: "retrying",
+      responseStatus: 503,
+      retryDelayMs: 60000,
+    });
+  });
+
+  test("a network error is left for the retry job", async () => {
+    axios.post.mockRejectedValue(new Error("timeout of 5000ms exceeded"));
+
+    const [result] = await dispatch();
+    expect(result.status).toBe("retrying");
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  test("other 4xx responses fail right away", async () => {
+    axios.post.mockResolvedValue({ status: 410, data: "gone" });
+
+    const [result] = await dispatch();
+    expect(result.status).toBe("failed");
+    expect(WebhookDelivery.recordAttempt.mock.calls[0][1].retryDelayMs).toBe(
+      undefined
+    );
+  });
+
+  test("never throws, leaving the delivery to the retry job", async () => {
+    axios.post.mockResolvedValue({ status: 200, data: "ok" });
+    WebhookDelivery.recordAttempt.mockRejectedValue(new Error("db down"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(await dispatch()).toEqual([]);
+  });
+});
+
+describe("retryWebhookDeliveries", () => {
+  test("due deliveries are sent again with a doubling delay", async () => {
+    WebhookDelivery.claimDue.mockResolvedValue([delivery(2)]);
+    axios.post.mockResolvedValue({ status: 500, data: "" });
+
+    const summary = await retryWebhookDeliveries();
+    expect(summary).toEqual({
+      claimed: 1,
+      delivered: 0,
+      retrying: 1,
+      failed: 0,
+    });
+    expect(WebhookDelivery.recordAttempt.mock.calls[0][1].retryDelayMs).toBe(
+      240000
+    );
+  });
+
+  test("the last attempt gives up", async () => {
+    WebhookDelivery.claimDue.mockResolvedValue([delivery(5)]);
+    axios.post.mockResolvedValue({ status: 500, data: "" });
+
+    const summary = await retryWebhookDeliveries();
+    expect(summary.failed).toBe(1);
+    expect(WebhookDelivery.recordAttempt.mock.calls[0][1]).toMatchObject({
+      status: "failed",
+      errorMessage: "Gave up after 6 attempts: HTTP 500",
+    });
+  });
+
+  test("deliveries of an inactive subscription are marked failed", async () => {
+    WebhookDelivery.claimDue.mockResolvedValue([delivery(1)]);
+    WebhookSubscription.findById.mockResolvedValue({
+      ...subscription,
+      isActive: false,
+    });
+
+    const summary = await retryWebhookDeliveries();
+    expect(summary.failed).toBe(1);
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(WebhookDelivery.markFailed).toHaveBeenCalledWith(
+      "del-1",
+      expect.stringMatching(/inactive/)
+    );
+  });
+
+  test("a delivered retry is counted", async () => {
+    WebhookDelivery.claimDue.mockResolvedValue([delivery(1)]);
+    axios.post.mockResolvedValue({ status: 204, data: "" });
+
+    expect((await retryWebhookDeliveries()).delivered).toBe(1);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Redaction of personal data and credentials in log metadata
+ *
+ * Values are matched by key anywhere in the logged object, so a raw webhook
+ * payload, a model instance and a database row are all covered:
+ *
+ *   phone numbers    from, to, wa_id, recipient_id, *_phone_number, ...
+ *                    masked down to their last digits
+ *   message content  body, text, caption, content, profile, location, ...
+ *                    replaced with a marker
+ *   secrets          tokens, secrets, passwords, signatures, API keys
+ *                    replaced with a marker
+ *
+ * The policy comes from config.logging.redaction.
+ */
+
+const PHONE_NUMBER_KEYS = new Set([
+  "from",
+  "to",
+  "wa_id",
+  "recipient_id",
+  "phone_number",
+  "display_phone_number",
+  "phonenumber",
+  "from_phone_number",
+  "to_phone_number",
+  "fromphonenumber",
+  "tophonenumber",
+  "from_number",
+  "to_number",
+  "msisdn",
+]);
+
+const CONTENT_KEYS = new Set([
+  "body",
+  "text",
+  "caption",
+  "content",
+  "message_content",
+  "messagecontent",
+  "title",
+  "description",
+  "profile",
+  "location",
+  "latitude",
+  "longitude",
+  "address",
+  "contacts",
+  "vcard",
+  "emails",
+  "phones",
+]);
+
+const SECRET_KEY_PATTERN =
+  /(token|secret|password|passphrase|authorization|signature|api[_-]?key|credential)/i;
+
+// Only values that look like a phone number are masked (status transitions
+// also have from/to keys)
+const PHONE_NUMBER_PATTERN = /^\+?[\d\s().-]{6,}$/;
+
+const CONTENT_MARKER = "[content removed]";
+const SECRET_MARKER = "[redacted]";
+
+// Objects nested deeper than this are not walked (nor logged)
+const MAX_DEPTH = 12;
+
+/**
+ * Mask a phone number down to its last digits
+ */
+function maskPhoneNumber(value, visibleDigits = 4) {
+  const digits = String(value).replace(/\D/g, "");
+  if (digits.length <= visibleDigits) return "*".repeat(digits.length);
+  return (
+    "*".repeat(digits.length - visibleDigits) + digits.slice(-visibleDigits)
+  );
+}
+
+/**
+ * Create a redact(value) function for a policy
+ * (maskPhoneNumbers, dropMessageContent, hideSecrets, visiblePhoneDigits)
+ */
+function createRedactor(policy = {}) {
+  const {
+    maskPhoneNumbers = true,
+    dropMessageContent = true,
+    hideSecrets = true,
+    visiblePhoneDigits = 4,
+  } = policy;
+
+  function redactEntry(key, value, depth, seen) {
+    const normalizedKey = key.toLowerCase();
+
+    if (value === null || value === undefined) return value;
+
+    if (hideSecrets && SECRET_KEY_PATTERN.test(key)) {
+      return SECRET_MARKER;
+    }
+    if (dropMessageContent && CONTENT_KEYS.has(normalizedKey)) {
+      return CONTENT_MARKER;
+    }
+    if (
+      maskPhoneNumbers &&
+      PHONE_NUMBER_KEYS.has(normalizedKey) &&
+      PHONE_NUMBER_PATTERN.test(String(value))
+    ) {
+      return maskPhoneNumber(value, visiblePhoneDigits);
+    }
+
+    return redactValue(value, depth + 1, seen);
+  }
+
+  function redactValue(value, depth, seen) {
+    if (value === null || typeof value !== "object") return value;
+    if (value instanceof Date) return value;
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, code: value.code };
+    }
+    if (depth > MAX_DEPTH) return "[truncated]";
+    if (seen.has(value)) return "[circular]";
+    seen.add(value);
+
+    let redacted;
+    if (Array.isArray(value)) {
+      redacted = value.map((item) => redactValue(item, depth + 1, seen));
+    } else if (Buffer.isBuffer(value)) {
+      redacted = `[${value.length} bytes]`;
+    } else {
+      redacted = {};
+      for (const [key, entry] of Object.entries(value)) {
+        redacted[key] = redactEntry(key, entry, depth, seen);
+      }
+    }
+
+    seen.delete(value);
+    return redacted;
+  }
+
+  return function redact(value) {
+    return redactValue(value, 0, new Set());
+  };
+}
+
+module.exports = {
+  PHONE_NUMBER_KEYS,
+  CONTENT_KEYS,
+  SECRET_KEY_PATTERN,
+  maskPhoneNumber,
+  createRedactor,
+};
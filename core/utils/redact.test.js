@@ -0,0 +1,116 @@
+const { maskPhoneNumber, createRedactor } = require("./redact");
+
+describe("maskPhoneNumber", () => {
+  test("keeps the last digits only", () => {
+    expect(maskPhoneNumber("+1 (555) 123-4567")).toBe("*******4567");
+    expect(maskPhoneNumber("15551234567", 2)).toBe("*********67");
+    expect(maskPhoneNumber("123")).toBe("***");
+  });
+});
+
+describe("createRedactor", () => {
+  const redact = createRedactor();
+
+  test("redacts a raw webhook message", () => {
+    const value = {
+      metadata: {
+        display_phone_number: "15550001111",
+        phone_number_id: "PN-1",
+      },
+      contacts: [{ wa_id: "15551234567", profile: { name: "Ana" } }],
+      messages: [
+        {
+          from: "15551234567",
+          id: "wamid.1",
+          type: "text",
+          text: { body: "my card is 4111" },
+        },
+      ],
+    };
+
+    expect(redact(value)).toEqual({
+      metadata: {
+        display_phone_number: "*******1111",
+        phone_number_id: "PN-1",
+      },
+      contacts: "[content removed]",
+      messages: [
+        {
+          from: "*******4567",
+          id: "wamid.1",
+          type: "text",
+          text: "[content removed]",
+        },
+      ],
+    });
+  });
+
+  test("matches camelCase model fields", () => {
+    expect(
+      redact({ fromPhoneNumber: "15551234567", messageContent: "hi", id: 1 })
+    ).toEqual({
+      fromPhoneNumber: "*******4567",
+      messageContent: "[content removed]",
+      id: 1,
+    });
+  });
+
+  test("hides secrets", () => {
+    expect(
+      redact({
+        accessToken: "EAAB",
+        app_secret: "s",
+        headers: { Authorization: "Bearer x", "X-Hub-Signature-256": "sha" },
+        apiKey: "wak_1",
+      })
+    ).toEqual({
+      accessToken: "[redacted]",
+      app_secret: "[redacted]",
+      headers: {
+        Authorization: "[redacted]",
+        "X-Hub-Signature-256": "[redacted]",
+      },
+      apiKey: "[redacted]",
+    });
+  });
+
+  test("from/to that are not phone numbers are kept", () => {
+    expect(redact({ from: "sent", to: "delivered" })).toEqual({
+      from: "sent",
+      to: "delivered",
+    });
+  });
+
+  test("errors, buffers, dates and cycles", () => {
+    const date = new Date();
+    const cyclic = { id: 1 };
+    cyclic.self = cyclic;
+
+    expect(
+      redact({
+        error: Object.assign(new Error("boom"), { code: "23505" }),
+        file: Buffer.from("abc"),
+        at: date,
+        cyclic,
+      })
+    ).toEqual({
+      error: { name: "Error", message: "boom", code: "23505" },
+      file: "[3 bytes]",
+      at: date,
+      cyclic: { id: 1, self: "[circular]" },
+    });
+  });
+
+  test("the policy can switch every rule off", () => {
+    const keepAll = createRedactor({
+      maskPhoneNumbers: false,
+      dropMessageContent: false,
+      hideSecrets: false,
+    });
+    const value = { from: "15551234567", body: "hi", token: "t" };
+    expect(keepAll(value)).toEqual(value);
+
+    const lastTwo = createRedactor({ visiblePhoneDigits: 2 });
+    expect(lastTwo({ msisdn: "15551234567" }).msisdn).toBe("*********67");
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Customer service windows
+ *
+ * Free-form (non-template) messages may only be sent to a customer within
+ * 24 hours of their last inbound message. Every incoming message opens or
+ * extends the window of its (organization, business phone number, customer)
+ * in service_windows; a scheduled sweep marks the windows that ran out as
+ * expired.
+ */
+
+const ServiceWindow = require("../models/ServiceWindow");
+const IncomingMessage = require("../models/IncomingMessage");
+const { logger } = require("./logger");
+
+const SWEEP_BATCH_SIZE =
+  parseInt(process.env.SERVICE_WINDOW_SWEEP_BATCH_SIZE) || 1000;
+
+/**
+ * Describe a window for callers: open / expires at
+ */
+function describeWindow(window, now = new Date()) {
+  return {
+    open: window.isOpen(now),
+    expiresAt: window.expiresAt,
+    openedAt: window.openedAt,
+    lastInboundAt: window.lastInboundAt,
+    lastInboundMessageId: window.lastInboundMessageId,
+  };
+}
+
+/**
+ * Get whether free-form messages may be sent to a customer from one of the
+ * organization's numbers, and until when
+ * Customers without a window record (messages stored before windows were
+ * tracked) fall back to their last incoming message.
+ */
+async function getServiceWindow(
+  organizationId,
+  whatsappPhoneNumberId,
+  customerMsisdn
+) {
+  const window = await ServiceWindow.find(
+    organizationId,
+    whatsappPhoneNumberId,
+    customerMsisdn
+  );
+  if (window) return describeWindow(window);
+
+  const [lastMessage] = await IncomingMessage.getConversationHistory(
+    customerMsisdn,
+    organizationId,
+    1,
+    whatsappPhoneNumberId
+  );
+  if (!lastMessage) {
+    return {
+      open: false,
+      expiresAt: null,
+      openedAt: null,
+      lastInboundAt: null,
+      lastInboundMessageId: null,
+    };
+  }
+
+  const lastInboundAt = new Date(lastMessage.timestamp);
+  return describeWindow(
+    new ServiceWindow({
+      last_inbound_message_id: lastMessage.whatsappMessageId,
+      last_inbound_at: lastInboundAt,
+      expires_at: new Date(
+        lastInboundAt.getTime() + ServiceWindow.WINDOW_HOURS * 60 * 60 * 1000
+      ),
+    })
+  );
+}
+
+/**
+ * Mark the windows that ran out as expired, in batches
+ */
+async function expireServiceWindows(options = {}) {
+  const batchSize = options.batchSize || SWEEP_BATCH_SIZE;
+  let expired = 0;
+
+  for (;;) {
+    const marked = await ServiceWindow.markExpired(batchSize);
+    expired += marked;
+    if (marked < batchSize) break;
+  }
+
+  logger.info("Service window sweep completed", { expired });
+  return { expired };
+}
+
+module.exports = {
+  getServiceWindow,
+  expireServiceWindows,
+};
@@ -0,0 +1,147 @@
+jest.mock("../db/connection", () => ({ query: jest.fn() }));
+
+const pool = require("../db/connection");
+const ServiceWindow = require("../models/ServiceWindow");
+const { getServiceWindow, expireServiceWindows } = require("./serviceWindows");
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR);
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  pool.query.mockReset();
+  pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+});
+
+describe("ServiceWindow", () => {
+  test("is open until it expires", () => {
+    const now = new Date("2024-03-01T12:00:00Z");
+
+    expect(
+      new ServiceWindow({ expires_at: "2024-03-01T12:00:01Z" }).isOpen(now)
+    ).toBe(true);
+    expect(
+      new ServiceWindow({ expires_at: "2024-03-01T12:00:00Z" }).isOpen(now)
+    ).toBe(false);
+    expect(new ServiceWindow({ expires_at: null }).isOpen(now)).toBe(false);
+  });
+
+  test("an inbound message opens the window for 24 hours", async () => {
+    const timestamp = new Date("2024-03-01T12:00:00Z");
+
+    await ServiceWindow.recordInbound({
+      organizationId: "org-1",
+      whatsappPhoneNumberId: "PN-1",
+      customerMsisdn: "15551234567",
+      whatsappMessageId: "wamid.IN",
+      timestamp: timestamp,
+    });
+
+    const [query, params] = pool.query.mock.calls[0];
+    expect(params).toEqual([
+      "org-1",
+      "PN-1",
+      "15551234567",
+      "wamid.IN",
+      timestamp,
+      24,
+    ]);
+    // An older message delivered late does not move the window back
+    expect(query).toMatch(
+      /WHERE service_windows\.last_inbound_at < EXCLUDED\.last_inbound_at/
+    );
+    // A window that had run out reopens from the new message
+    expect(query).toMatch(
+      /WHEN service_windows\.expires_at <= EXCLUDED\.last_inbound_at\s+THEN EXCLUDED\.last_inbound_at/
+    );
+  });
+});
+
+describe("getServiceWindow", () => {
+  test("describes the stored window", async () => {
+    const expiresAt = new Date(Date.now() + HOUR);
+    pool.query.mockResolvedValueOnce({
+      rows: [
+        {
+          last_inbound_message_id: "wamid.IN",
+          last_inbound_at: hoursAgo(23),
+          opened_at: hoursAgo(30),
+          expires_at: expiresAt,
+        },
+      ],
+    });
+
+    const window = await getServiceWindow("org-1", "PN-1", "15551234567");
+
+    expect(window).toMatchObject({
+      open: true,
+      expiresAt: expiresAt,
+      lastInboundMessageId: "wamid.IN",
+    });
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test("falls back to the last incoming message", async () => {
+    const lastInboundAt = hoursAgo(25);
+    pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({
+      rows: [{ whatsapp_message_id: "wamid.OLD", timestamp: lastInboundAt }],
+    });
+
+    const window = await getServiceWindow("org-1", "PN-1", "15551234567");
+
+    expect(window).toEqual({
+      open: false,
+      expiresAt: new Date(lastInboundAt.getTime() + 24 * HOUR),
+      openedAt: undefined,
+      lastInboundAt: lastInboundAt,
+      lastInboundMessageId: "wamid.OLD",
+    });
+    // Only the messages received on that number count
+    expect(pool.query.mock.calls[1][1]).toEqual([
+      "15551234567",
+      "org-1",
+      "PN-1",
+      1,
+    ]);
+  });
+
+  test("a customer who never wrote has no window", async () => {
+    const window = await getServiceWindow("org-1", "PN-1", "15551234567");
+
+    expect(window).toEqual({
+      open: false,
+      expiresAt: null,
+      openedAt: null,
+      lastInboundAt: null,
+      lastInboundMessageId: null,
+    });
+  });
+});
+
+describe("expireServiceWindows", () => {
+  test("marks expired windows in batches until one is not full", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rowCount: 2 })
+      .mockResolvedValueOnce({ rowCount: 2 })
+      .mockResolvedValueOnce({ rowCount: 1 });
+
+    const summary = await expireServiceWindows({ batchSize: 2 });
+
+    expect(summary).toEqual({ expired: 5 });
+    expect(pool.query).toHaveBeenCalledTimes(3);
+    const [query, params] = pool.query.mock.calls[0];
+    expect(params).toEqual([2]);
+    expect(query).toMatch(
+      /WHERE status = 'open' AND expires_at <= CURRENT_TIMESTAMP/
+    );
+    expect(query).toMatch(/FOR UPDATE SKIP LOCKED/);
+  });
+
+  test("a sweep with nothing to expire runs one batch", async () => {
+    expect(await expireServiceWindows()).toEqual({ expired: 0 });
+    expect(pool.query.mock.calls[0][1]).toEqual([1000]);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Correlation ids
+ *
+ * One id follows a webhook from the API Gateway request to the rows it
+ * produced. The receiver (or the monolith) adopts the caller's
+ * X-Correlation-Id / X-Request-Id header, else API Gateway's request id, else
+ * mints one. It travels in the queue message (body and correlationId
+ * attribute); the processor stamps it on webhook_events, incoming_messages
+ * and every log entry. See ./trace for the lookup.
+ */
+
+const crypto = require("crypto");
+
+const CORRELATION_HEADERS = ["x-correlation-id", "x-request-id"];
+
+// Ids from outside are only adopted when they are short and plain
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Check whether a value can be used as a correlation id
+ */
+function isValidCorrelationId(value) {
+  return typeof value === "string" && CORRELATION_ID_PATTERN.test(value);
+}
+
+/**
+ * Get the correlation id of an API Gateway request
+ */
+function resolveCorrelationId(event, context) {
+  const headers = event.headers || {};
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (
+      CORRELATION_HEADERS.includes(name.toLowerCase()) &&
+      isValidCorrelationId(value)
+    ) {
+      return value;
+    }
+  }
+
+  const requestId = event.requestContext?.requestId || context?.awsRequestId;
+  if (isValidCorrelationId(requestId)) {
+    return requestId;
+  }
+
+  return crypto.randomUUID();
+}
+
+/**
+ * Get the correlation id of a queue record
+ * Messages queued before correlation ids existed fall back to the record id
+ */
+function getRecordCorrelationId(record, messageBody) {
+  const attribute = record.messageAttributes?.correlationId;
+  const correlationId =
+    attribute?.stringValue || messageBody?.correlationId || null;
+
+  return isValidCorrelationId(correlationId)
+    ? correlationId
+    : record.messageId;
+}
+
+module.exports = {
+  isValidCorrelationId,
+  resolveCorrelationId,
+  getRecordCorrelationId,
+};
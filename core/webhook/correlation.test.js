@@ -0,0 +1,71 @@
+const {
+  isValidCorrelationId,
+  resolveCorrelationId,
+  getRecordCorrelationId,
+} = require("./correlation");
+
+describe("isValidCorrelationId", () => {
+  test("only short plain ids are adopted", () => {
+    expect(isValidCorrelationId("req-1:abc.DEF_2")).toBe(true);
+    expect(isValidCorrelationId("a".repeat(129))).toBe(false);
+    expect(isValidCorrelationId("id with spaces")).toBe(false);
+    expect(isValidCorrelationId("")).toBe(false);
+    expect(isValidCorrelationId(42)).toBe(false);
+  });
+});
+
+describe("resolveCorrelationId", () => {
+  test("adopts the caller's header, whatever its case", () => {
+    const event = {
+      headers: { "X-Request-Id": "req-1" },
+      requestContext: { requestId: "apigw-1" },
+    };
+
+    expect(resolveCorrelationId(event)).toBe("req-1");
+  });
+
+  test("skips headers that are not valid ids", () => {
+    const event = {
+      headers: { "x-correlation-id": "<script>", "x-request-id": "req-2" },
+    };
+
+    expect(resolveCorrelationId(event)).toBe("req-2");
+  });
+
+  test("falls back to the API Gateway, then the Lambda request id", () => {
+    expect(
+      resolveCorrelationId({ requestContext: { requestId: "apigw-1" } })
+    ).toBe("apigw-1");
+    expect(resolveCorrelationId({}, { awsRequestId: "lambda-1" })).toBe(
+      "lambda-1"
+    );
+  });
+
+  test("mints an id otherwise", () => {
+    expect(resolveCorrelationId({})).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
+
+describe("getRecordCorrelationId", () => {
+  test("prefers the message attribute", () => {
+    const record = {
+      messageId: "sqs-1",
+      messageAttributes: { correlationId: { stringValue: "corr-1" } },
+    };
+
+    expect(getRecordCorrelationId(record, { correlationId: "corr-2" })).toBe(
+      "corr-1"
+    );
+  });
+
+  test("reads the body of messages sent without the attribute", () => {
+    expect(
+      getRecordCorrelationId({ messageId: "sqs-1" }, { correlationId: "c-2" })
+    ).toBe("c-2");
+  });
+
+  test("older messages fall back to the record id", () => {
+    expect(getRecordCorrelationId({ messageId: "sqs-1" }, {})).toBe("sqs-1");
+    expect(getRecordCorrelationId({ messageId: "sqs-1" })).toBe("sqs-1");
+  });
+});
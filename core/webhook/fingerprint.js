@@ -0,0 +1,86 @@
+/**
+ * Delivery fingerprints of webhook change items
+ *
+ * Meta and SQS both redeliver. Every status, message and account update is
+ * fingerprinted from the fields that identify it, and webhook_events.fingerprint
+ * is unique, so a redelivered item finds its event already stored and is
+ * counted as a duplicate instead of being processed again:
+ *
+ *   status          message id + status + timestamp + error codes
+ *   message         message id
+ *   account update  field + value
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Hash the identifying parts of an item
+ */
+function hashParts(parts) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(parts))
+    .digest("hex");
+}
+
+/**
+ * Serialize a value with sorted object keys, so equal payloads hash equally
+ * whatever order Meta sent their keys in
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((sorted, key) => {
+        sorted[key] = canonicalize(value[key]);
+        return sorted;
+      }, {});
+  }
+  return value;
+}
+
+/**
+ * Fingerprint a message status
+ */
+function fingerprintStatus(status) {
+  const errorCodes = (status.errors || [])
+    .map((error) => String(error.code))
+    .sort();
+
+  return hashParts([
+    "message_status",
+    status.id,
+    status.status,
+    status.timestamp || null,
+    errorCodes,
+  ]);
+}
+
+/**
+ * Fingerprint an incoming message
+ */
+function fingerprintMessage(message) {
+  return hashParts(["message_received", message.id]);
+}
+
+/**
+ * Fingerprint an account-level update
+ * These carry no id, so the whole value identifies them
+ */
+function fingerprintAccountUpdate(organizationId, field, value) {
+  return hashParts([
+    "account_update",
+    organizationId,
+    field,
+    canonicalize(value || {}),
+  ]);
+}
+
+module.exports = {
+  fingerprintStatus,
+  fingerprintMessage,
+  fingerprintAccountUpdate,
+};
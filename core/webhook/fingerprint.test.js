@@ -0,0 +1,105 @@
+const {
+  fingerprintStatus,
+  fingerprintMessage,
+  fingerprintAccountUpdate,
+} = require("./fingerprint");
+
+const status = {
+  id: "wamid.1",
+  status: "delivered",
+  timestamp: "1700000000",
+  recipient_id: "15551234567",
+};
+
+describe("fingerprintStatus", () => {
+  test("a redelivered status has the same fingerprint", () => {
+    expect(fingerprintStatus({ ...status })).toBe(fingerprintStatus(status));
+    expect(fingerprintStatus(status)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test("another status, time or message is a new event", () => {
+    const fingerprint = fingerprintStatus(status);
+    expect(fingerprintStatus({ ...status, status: "read" })).not.toBe(
+      fingerprint
+    );
+    expect(fingerprintStatus({ ...status, timestamp: "1700000001" })).not.toBe(
+      fingerprint
+    );
+    expect(fingerprintStatus({ ...status, id: "wamid.2" })).not.toBe(
+      fingerprint
+    );
+  });
+
+  test("error codes count, in any order", () => {
+    const failed = { ...status, status: "failed" };
+    const errors = (...codes) => codes.map((code) => ({ code }));
+
+    expect(
+      fingerprintStatus({ ...failed, errors: errors(131026, 131050) })
+    ).toBe(fingerprintStatus({ ...failed, errors: errors(131050, 131026) }));
+    expect(fingerprintStatus({ ...failed, errors: errors(131026) })).not.toBe(
+      fingerprintStatus({ ...failed, errors: errors(131050) })
+    );
+  });
+
+  test("fields that do not identify the status are ignored", () => {
+    expect(
+      fingerprintStatus({ ...status, pricing: { billable: true } })
+    ).toBe(fingerprintStatus(status));
+  });
+});
+
+describe("fingerprintMessage", () => {
+  test("an incoming message is identified by its id", () => {
+    expect(
+      fingerprintMessage({ id: "wamid.IN", type: "text", text: { body: "a" } })
+    ).toBe(fingerprintMessage({ id: "wamid.IN", type: "text" }));
+    expect(fingerprintMessage({ id: "wamid.IN" })).not.toBe(
+      fingerprintMessage({ id: "wamid.IN2" })
+    );
+  });
+
+  test("never matches a status of the same message", () => {
+    expect(fingerprintMessage({ id: "wamid.1" })).not.toBe(
+      fingerprintStatus({ id: "wamid.1" })
+    );
+  });
+});
+
+describe("fingerprintAccountUpdate", () => {
+  const value = {
+    event: "APPROVED",
+    message_template_id: 1,
+    message_template_name: "welcome",
+  };
+
+  test("key order does not matter", () => {
+    const reordered = {
+      message_template_name: "welcome",
+      message_template_id: 1,
+      event: "APPROVED",
+    };
+    expect(
+      fingerprintAccountUpdate("org-1", "message_template_status_update", value)
+    ).toBe(
+      fingerprintAccountUpdate(
+        "org-1",
+        "message_template_status_update",
+        reordered
+      )
+    );
+  });
+
+  test("organization, field and value all count", () => {
+    const fingerprint = fingerprintAccountUpdate("org-1", "field", value);
+    expect(fingerprintAccountUpdate("org-2", "field", value)).not.toBe(
+      fingerprint
+    );
+    expect(fingerprintAccountUpdate("org-1", "other", value)).not.toBe(
+      fingerprint
+    );
+    expect(
+      fingerprintAccountUpdate("org-1", "field", { ...value, event: "PAUSED" })
+    ).not.toBe(fingerprint);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * API Gateway request handling shared by the monolith and the webhook receiver
+ *
+ * Both entry points answer Meta's GET verification the same way and
+ * authenticate POSTs the same way before they either process the payload
+ * (monolith) or forward it to the queue (receiver).
+ */
+
+const Organization = require("../models/Organization");
+const SignatureAudit = require("../models/SignatureAudit");
+const { logger } = require("../utils/logger");
+const { getSignatureHeader, matchWebhookSignature } = require("./signature");
+const { parseWebhookBody } = require("./payload");
+
+/**
+ * Build an API Gateway JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode: statusCode,
+    body: JSON.stringify(body),
+  };
+}
+
+/**
+ * Handle WhatsApp webhook verification (GET request)
+ * Verifies the token against the active organizations
+ */
+async function handleVerificationRequest(event) {
+  const queryParams = event.queryStringParameters || {};
+  const mode = queryParams["hub.mode"];
+  const token = queryParams["hub.verify_token"];
+  const challenge = queryParams["hub.challenge"];
+
+  logger.info("Verification request", { mode, challenge });
+
+  if (mode !== "subscribe" || !token) {
+    logger.warn("Webhook verification failed - invalid mode or missing token");
+    return jsonResponse(403, {
+      error: "Verification failed - invalid request",
+    });
+  }
+
+  try {
+    const organization = await Organization.findByWebhookVerifyToken(token);
+
+    if (!organization) {
+      logger.warn("Webhook verification failed - token not found in database");
+      return jsonResponse(403, {
+        error: "Verification failed - invalid token",
+      });
+    }
+
+    logger.info("Webhook verified successfully", {
+      organizationId: organization.id,
+      organizationName: organization.name,
+    });
+    return {
+      statusCode: 200,
+      body: challenge,
+    };
+  } catch (error) {
+    logger.error("Error during webhook verification", error);
+    return jsonResponse(500, {
+      error: "Internal server error during verification",
+    });
+  }
+}
+
+/**
+ * Authenticate a webhook POST
+ *
+ * Resolves the organization from the payload and checks the signature with
+ * its app secret (or the previous one during a rotation); which secret
+ * matched is recorded in webhook_signature_audit. Returns
+ * { body, organization, signatureSecret } when the request may be processed
+ * (the organization holds Organization.WEBHOOK_AUTH_COLUMNS only),
+ * or { response } with the rejection to send back.
+ * Database errors propagate so the caller can answer 500 and Meta retries.
+ */
+async function authenticateWebhookRequest(event) {
+  let body;
+  try {
+    body = parseWebhookBody(event.body);
+  } catch (error) {
+    logger.warn("Rejecting webhook with malformed JSON body", {
+      reason: error.message,
+    });
+    return { response: jsonResponse(400, { error: "Invalid JSON body" }) };
+  }
+
+  // Only the columns the signature is checked with are read and decrypted
+  const organization = await Organization.resolveFromWebhook(
+    body || {},
+    Organization.WEBHOOK_AUTH_COLUMNS
+  );
+  if (!organization) {
+    logger.warn("Organization not found for webhook payload");
+    return {
+      response: jsonResponse(403, { error: "Organization not found" }),
+    };
+  }
+
+  const webhookSecrets = organization.getWebhookSecrets();
+  let matched = null;
+
+  if (webhookSecrets.length > 0) {
+    const signature = getSignatureHeader(event.headers);
+    const rawBody =
+      typeof event.body === "string" ? event.body : JSON.stringify(event.body);
+
+    matched = matchWebhookSignature(rawBody, signature, webhookSecrets);
+    await SignatureAudit.create({
+      organizationId: organization.id,
+      correlationId: logger.getContext().correlationId,
+      secret: matched ? matched.name : null,
+    });
+
+    if (!matched) {
+      logger.warn("Webhook signature verification failed", {
+        organizationId: organization.id,
+        organizationName: organization.name,
+      });
+      return {
+        response: jsonResponse(403, { error: "Invalid signature" }),
+      };
+    }
+
+    if (matched.name === "previous") {
+      logger.info("Webhook signed with the previous app secret", {
+        organizationId: organization.id,
+        graceWindowEndsAt: organization.whatsappPreviousAppSecretExpiresAt,
+      });
+    }
+  } else {
+    logger.warn(
+      "No app secret configured for organization, skipping signature verification",
+      { organizationId: organization.id }
+    );
+  }
+
+  return {
+    body,
+    organization,
+    signatureSecret: matched ? matched.name : null,
+  };
+}
+
+module.exports = {
+  jsonResponse,
+  handleVerificationRequest,
+  authenticateWebhookRequest,
+};
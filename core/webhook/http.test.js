@@ -0,0 +1,114 @@
+jest.mock("../db/connection", () => ({ query: jest.fn() }));
+jest.mock("../secrets/envelope", () => ({
+  encryptSecret: jest.fn(async (value) => value),
+  decryptSecret: jest.fn(async (value) => value),
+}));
+
+const crypto = require("crypto");
+const pool = require("../db/connection");
+const { decryptSecret } = require("../secrets/envelope");
+const { authenticateWebhookRequest } = require("./http");
+
+const body = JSON.stringify({
+  object: "whatsapp_business_account",
+  entry: [
+    {
+      id: "waba-1",
+      changes: [{ field: "messages", value: { metadata: {} } }],
+    },
+  ],
+});
+
+/**
+ * Sign a body the way Meta does
+ */
+const sign = (secret) =>
+  "sha256=" +
+  crypto.createHmac("sha256", secret).update(body, "utf8").digest("hex");
+
+const webhookRequest = (signature) => ({
+  httpMethod: "POST",
+  headers: { "X-Hub-Signature-256": signature },
+  body: body,
+});
+
+/**
+ * The organization row, limited to the selected columns
+ */
+function fakeQuery(query) {
+  if (/FROM organizations o/.test(query)) {
+    const row = {
+      id: "org-1",
+      name: "Org",
+      status: "active",
+      whatsapp_business_account_id: "waba-1",
+      whatsapp_phone_number_id: "PN-1",
+      whatsapp_app_secret: "app-secret",
+      whatsapp_previous_app_secret: null,
+      whatsapp_previous_app_secret_expires_at: null,
+      whatsapp_access_token: "access-token",
+    };
+    const selected = /SELECT o\.\*/.test(query)
+      ? Object.keys(row)
+      : Object.keys(row).filter((column) => query.includes(`o.${column}`));
+    return {
+      rows: [Object.fromEntries(selected.map((c) => [c, row[c]]))],
+    };
+  }
+  if (/INSERT INTO webhook_signature_audit/.test(query)) {
+    return { rows: [{ id: "audit-1" }] };
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  pool.query.mockImplementation(async (query) => fakeQuery(query));
+});
+
+describe("authenticateWebhookRequest", () => {
+  test("reads and decrypts only the app secrets", async () => {
+    const authentication = await authenticateWebhookRequest(
+      webhookRequest(sign("app-secret"))
+    );
+
+    expect(authentication).toMatchObject({
+      organization: { id: "org-1", name: "Org" },
+      signatureSecret: "current",
+    });
+    expect(authentication.organization.whatsappAccessToken).toBeUndefined();
+    const [lookup] = pool.query.mock.calls[0];
+    expect(lookup).not.toMatch(/o\.\*/);
+    expect(lookup).not.toMatch(/whatsapp_access_token/);
+    expect(decryptSecret.mock.calls.map(([, column]) => column)).toEqual([
+      "whatsapp_app_secret",
+      "whatsapp_previous_app_secret",
+    ]);
+  });
+
+  test("a wrong signature is rejected", async () => {
+    const authentication = await authenticateWebhookRequest(
+      webhookRequest(sign("other-secret"))
+    );
+
+    expect(authentication.response.statusCode).toBe(403);
+    expect(JSON.parse(authentication.response.body)).toEqual({
+      error: "Invalid signature",
+    });
+  });
+
+  test("an unknown account is rejected", async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+
+    const authentication = await authenticateWebhookRequest(
+      webhookRequest(sign("app-secret"))
+    );
+
+    expect(authentication.response.statusCode).toBe(403);
+  });
+});
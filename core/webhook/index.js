@@ -0,0 +1,55 @@
+const {
+  jsonResponse,
+  handleVerificationRequest,
+  authenticateWebhookRequest,
+} = require("./http");
+const {
+  parseWebhookBody,
+  hasWebhookEntries,
+  extractWebhookMetadata,
+} = require("./payload");
+const {
+  getSignatureHeader,
+  verifyWebhookSignature,
+  matchWebhookSignature,
+} = require("./signature");
+const { processWebhookPayload, countDuplicates } = require("./processor");
+const { reapplyPendingStatuses } = require("./pendingStatuses");
+const { replayWebhookEvents } = require("./replay");
+const {
+  resolveCorrelationId,
+  getRecordCorrelationId,
+} = require("./correlation");
+const { getProcessingTrace } = require("./trace");
+
+/**
+ * Webhook handling shared by every entry point
+ *
+ *   http      - GET verification and POST authentication (API Gateway events)
+ *   payload   - body parsing and queue metadata
+ *   signature - X-Hub-Signature-256 verification (current or previous secret)
+ *   processor - persistence of statuses, messages and account updates
+ *   fingerprint - delivery fingerprints that make processing idempotent
+ *   pendingStatuses - re-application of statuses parked before their message
+ *   replay    - reprocessing of stored webhook_events (dry run available)
+ *   correlation - correlation ids carried from the request to the rows
+ *   trace     - everything stored for one correlation id
+ */
+module.exports = {
+  jsonResponse,
+  handleVerificationRequest,
+  authenticateWebhookRequest,
+  parseWebhookBody,
+  hasWebhookEntries,
+  extractWebhookMetadata,
+  getSignatureHeader,
+  verifyWebhookSignature,
+  matchWebhookSignature,
+  processWebhookPayload,
+  countDuplicates,
+  reapplyPendingStatuses,
+  replayWebhookEvents,
+  resolveCorrelationId,
+  getRecordCorrelationId,
+  getProcessingTrace,
+};
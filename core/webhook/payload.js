@@ -0,0 +1,92 @@
+/**
+ * Parsing of incoming webhook payloads
+ */
+
+const { logger } = require("../utils/logger");
+
+/**
+ * Parse the request body (API Gateway passes a string, tests may pass an object)
+ * Throws SyntaxError on malformed JSON
+ */
+function parseWebhookBody(body) {
+  return typeof body === "string" ? JSON.parse(body) : body;
+}
+
+/**
+ * Check that a payload has the entry array every webhook carries
+ */
+function hasWebhookEntries(webhookPayload) {
+  return !!(
+    webhookPayload &&
+    webhookPayload.entry &&
+    Array.isArray(webhookPayload.entry)
+  );
+}
+
+/**
+ * Extract metadata from webhook payload for queue message attributes
+ */
+function extractWebhookMetadata(webhookPayload) {
+  const metadata = {
+    eventType: "webhook",
+    businessAccountId: null,
+    phoneNumberId: null,
+    hasMessages: false,
+    hasStatuses: false,
+    messageCount: 0,
+    statusCount: 0,
+  };
+
+  try {
+    if (hasWebhookEntries(webhookPayload)) {
+      for (const entry of webhookPayload.entry) {
+        // Extract business account ID
+        if (entry.id) {
+          metadata.businessAccountId = entry.id;
+        }
+
+        // Process changes
+        if (entry.changes && Array.isArray(entry.changes)) {
+          for (const change of entry.changes) {
+            if (change.field === "messages" && change.value) {
+              // Extract phone number ID
+              if (change.value.metadata?.phone_number_id) {
+                metadata.phoneNumberId = change.value.metadata.phone_number_id;
+              }
+
+              // Count messages and statuses
+              if (
+                change.value.messages &&
+                Array.isArray(change.value.messages)
+              ) {
+                metadata.hasMessages = true;
+                metadata.messageCount += change.value.messages.length;
+              }
+
+              if (
+                change.value.statuses &&
+                Array.isArray(change.value.statuses)
+              ) {
+                metadata.hasStatuses = true;
+                metadata.statusCount += change.value.statuses.length;
+              }
+            } else if (change.field) {
+              // Account-level updates (templates, phone quality, account)
+              metadata.eventType = change.field;
+            }
+          }
+        }
+      }
+    }
+  } catch (error) {
+    logger.error("Error extracting webhook metadata", error);
+  }
+
+  return metadata;
+}
+
+module.exports = {
+  parseWebhookBody,
+  hasWebhookEntries,
+  extractWebhookMetadata,
+};
@@ -0,0 +1,134 @@
+/**
+ * Re-application of parked message statuses
+ *
+ * Meta often reports "sent" before the sender has written the messages /
+ * campaign_audience row. Such statuses are parked in
+ * pending_message_statuses; a trigger on both tables makes them due as soon
+ * as the row appears, and this job applies them (or retries with backoff
+ * until PENDING_STATUS_TTL_HOURS have passed, then marks them expired).
+ */
+
+const Organization = require("../models/Organization");
+const PendingMessageStatus = require("../models/PendingMessageStatus");
+const { withTransaction } = require("../db/transaction");
+const { logger } = require("../utils/logger");
+const { sendQueuedDeliveries } = require("../utils/outboundWebhooks");
+const { applyStatusToRows, queueAppliedStatus } = require("./processor");
+
+const BATCH_SIZE = parseInt(process.env.PENDING_STATUS_BATCH_SIZE) || 50;
+const RETRY_INTERVAL =
+  parseInt(process.env.PENDING_STATUS_RETRY_INTERVAL) || 60000;
+const MAX_RETRY_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Delay before the next attempt (grows with every unmatched attempt)
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_INTERVAL * Math.max(attempts, 1), MAX_RETRY_INTERVAL);
+}
+
+/**
+ * Apply the parked statuses that are due
+ */
+async function reapplyPendingStatuses(options = {}) {
+  const limit = options.limit || BATCH_SIZE;
+  const summary = {
+    claimed: 0,
+    applied: 0,
+    rescheduled: 0,
+    expired: 0,
+    failed: 0,
+  };
+  const organizations = new Map();
+
+  const pendingStatuses = await PendingMessageStatus.claimDue(limit);
+  summary.claimed = pendingStatuses.length;
+
+  for (const pending of pendingStatuses) {
+    try {
+      if (!organizations.has(pending.organizationId)) {
+        organizations.set(
+          pending.organizationId,
+          await Organization.findById(pending.organizationId)
+        );
+      }
+      const organization = organizations.get(pending.organizationId);
+
+      const outcome = await withTransaction(async (client) => {
+        const result = await applyStatusToRows(
+          client,
+          pending.rawStatus,
+          pending.statusTimestamp,
+          pending.organizationId,
+          pending.webhookEventId,
+          {
+            phoneNumberId: pending.whatsappPhoneNumberId,
+            contactId: pending.contactId,
+          }
+        );
+
+        if (!result.updatedMessage && !result.updatedCampaignAudience) {
+          const rescheduled = await PendingMessageStatus.reschedule(
+            pending.id,
+            getRetryDelay(pending.attempts),
+            client
+          );
+          return { ...result, resolution: rescheduled.resolution };
+        }
+
+        await PendingMessageStatus.markApplied(pending.id, client);
+        const outbox = organization
+          ? await queueAppliedStatus(
+              organization,
+              pending.rawStatus,
+              result,
+              client
+            )
+          : [];
+        return { ...result, resolution: "applied", outbox };
+      });
+
+      if (outcome.resolution === "expired") {
+        summary.expired++;
+        logger.warn("Giving up on parked status: message never appeared", {
+          organizationId: pending.organizationId,
+          webhookEventId: pending.webhookEventId,
+          whatsappMessageId: pending.whatsappMessageId,
+          status: pending.status,
+        });
+        continue;
+      }
+      if (outcome.resolution !== "applied") {
+        summary.rescheduled++;
+        continue;
+      }
+
+      summary.applied++;
+      logger.info("Applied parked status", {
+        organizationId: pending.organizationId,
+        webhookEventId: pending.webhookEventId,
+        whatsappMessageId: pending.whatsappMessageId,
+        status: pending.status,
+      });
+
+      await sendQueuedDeliveries(outcome.outbox);
+    } catch (error) {
+      // The lease runs out and the status is claimed again
+      summary.failed++;
+      logger.error("Error applying parked status", error, {
+        pendingStatusId: pending.id,
+        organizationId: pending.organizationId,
+        whatsappMessageId: pending.whatsappMessageId,
+      });
+    }
+  }
+
+  if (summary.claimed > 0) {
+    logger.info("Pending status batch", summary);
+  }
+  return summary;
+}
+
+module.exports = {
+  reapplyPendingStatuses,
+};
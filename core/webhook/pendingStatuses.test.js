@@ -0,0 +1,204 @@
+jest.mock("../db/connection", () => {
+  const query = jest.fn();
+  return { query, connect: async () => ({ query, release() {} }) };
+});
+
+const pool = require("../db/connection");
+const Organization = require("../models/Organization");
+const { processWebhookPayload } = require("./processor");
+const { reapplyPendingStatuses } = require("./pendingStatuses");
+
+const organization = new Organization({ id: "org-1", name: "Org" });
+
+// A "sent" status opening a marketing conversation
+const pricedStatus = {
+  id: "wamid.OUT",
+  status: "sent",
+  recipient_id: "15551234567",
+  timestamp: "1700000000",
+  conversation: { id: "conv-1", origin: { type: "marketing" } },
+  pricing: { billable: true, pricing_model: "CBP", category: "marketing" },
+};
+
+let db;
+
+/**
+ * Answer queries from a small in-memory state: whether the sender has
+ * written the campaign_audience row yet, and the parked statuses
+ */
+function fakeQuery(query, params) {
+  if (/INSERT INTO webhook_events/.test(query)) {
+    return { rows: [{ id: "ev-1" }] };
+  }
+  if (/INSERT INTO contacts/.test(query)) {
+    return { rows: [{ id: "c-1", wa_id: params[1] }] };
+  }
+  if (/UPDATE campaign_audience t/.test(query) && db.audienceWritten) {
+    return {
+      rows: [
+        {
+          id: "ca-1",
+          campaign_id: "camp-1",
+          message_status: params[1],
+          previous_status: "pending",
+        },
+      ],
+    };
+  }
+  if (/INSERT INTO pending_message_statuses/.test(query)) {
+    const row = {
+      id: "ps-1",
+      organization_id: params[0],
+      webhook_event_id: params[1],
+      whatsapp_message_id: params[2],
+      status: params[3],
+      status_timestamp: params[4],
+      raw_status: JSON.parse(params[5]),
+      whatsapp_phone_number_id: params[7],
+      contact_id: params[8],
+      attempts: 0,
+    };
+    db.parked.push(row);
+    return { rows: [row] };
+  }
+  if (/UPDATE pending_message_statuses[\s\S]*WHERE id IN/.test(query)) {
+    return {
+      rows: db.parked.map((row) => ({ ...row, attempts: row.attempts + 1 })),
+    };
+  }
+  if (/SET resolution = 'applied'/.test(query)) {
+    return { rows: [{ id: params[0], resolution: "applied" }] };
+  }
+  if (/UPDATE pending_message_statuses/.test(query)) {
+    return { rows: [{ id: params[0], resolution: db.rescheduleAs }] };
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+/**
+ * Process a messages webhook with one status
+ */
+async function processStatus(status) {
+  const payload = {
+    entry: [
+      {
+        id: "waba-1",
+        changes: [
+          {
+            field: "messages",
+            value: {
+              metadata: { phone_number_id: "PN-1" },
+              statuses: [status],
+            },
+          },
+        ],
+      },
+    ],
+  };
+  const results = await processWebhookPayload(payload, organization);
+  return results[0].results[0].results[0].result;
+}
+
+/**
+ * The calls of the queries matching a pattern
+ */
+const callsOf = (pattern) =>
+  pool.query.mock.calls.filter(([query]) => pattern.test(query));
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  db = { audienceWritten: false, parked: [], rescheduleAs: "pending" };
+  pool.query.mockReset();
+  pool.query.mockImplementation(async (query, params) =>
+    fakeQuery(query, params)
+  );
+  jest.spyOn(Organization, "findById").mockResolvedValue(organization);
+});
+
+describe("parking", () => {
+  test("a status for a message not written yet is parked", async () => {
+    const result = await processStatus({ ...pricedStatus, pricing: null });
+
+    expect(result).toMatchObject({ pending: true, messageUpdated: false });
+    expect(db.parked).toHaveLength(1);
+    expect(db.parked[0]).toMatchObject({
+      organization_id: "org-1",
+      webhook_event_id: "ev-1",
+      whatsapp_message_id: "wamid.OUT",
+      status: "sent",
+      whatsapp_phone_number_id: "PN-1",
+      contact_id: "c-1",
+    });
+  });
+});
+
+describe("reapplyPendingStatuses", () => {
+  let parkedPricing;
+
+  beforeEach(async () => {
+    await processStatus(pricedStatus);
+    parkedPricing = callsOf(/INSERT INTO message_pricing/);
+    pool.query.mockClear();
+  });
+
+  test("applies parked statuses once the row is written", async () => {
+    db.audienceWritten = true;
+
+    const summary = await reapplyPendingStatuses();
+
+    expect(summary).toMatchObject({ claimed: 1, applied: 1, rescheduled: 0 });
+    expect(callsOf(/SET resolution = 'applied'/)[0][1]).toEqual(["ps-1"]);
+    // The campaign counters move with the applied status
+    expect(callsOf(/UPDATE campaigns/)).toHaveLength(1);
+  });
+
+  test("reschedules statuses that still match nothing", async () => {
+    const summary = await reapplyPendingStatuses();
+
+    expect(summary).toMatchObject({ claimed: 1, applied: 0, rescheduled: 1 });
+    const [, params] = callsOf(/SET\s+resolution = CASE/)[0];
+    expect(params).toEqual(["ps-1", 60000]);
+  });
+
+  test("counts statuses given up on after their TTL", async () => {
+    db.rescheduleAs = "expired";
+
+    expect(await reapplyPendingStatuses()).toMatchObject({ expired: 1 });
+  });
+
+  test("a parked priced status gets its campaign once applied", async () => {
+    db.audienceWritten = true;
+
+    await reapplyPendingStatuses();
+
+    // Parking already recorded the pricing, without a campaign ...
+    expect(parkedPricing).toHaveLength(1);
+    expect(parkedPricing[0][1][2]).toBeNull();
+    // ... and applying the status records it again with the campaign, which
+    // fills in the missing campaign of the existing rows
+    const [pricingQuery, pricingParams] = callsOf(
+      /INSERT INTO message_pricing/
+    )[0];
+    expect(pricingParams.slice(0, 3)).toEqual([
+      "org-1",
+      "wamid.OUT",
+      "camp-1",
+    ]);
+    expect(pricingQuery).toMatch(
+      /ON CONFLICT \(whatsapp_message_id\) DO UPDATE/
+    );
+    expect(pricingQuery).toMatch(/WHERE message_pricing\.campaign_id IS NULL/);
+    expect(pricingQuery).toMatch(/FROM new_message\s+WHERE inserted/);
+    const [conversationQuery, conversationParams] = callsOf(
+      /INSERT INTO whatsapp_conversations/
+    )[0];
+    expect(conversationParams[2]).toBe("camp-1");
+    expect(conversationQuery).toMatch(
+      /WHERE whatsapp_conversations\.campaign_id IS NULL/
+    );
+  });
+});
@@ -0,0 +1,958 @@
+/**
+ * Persistence of webhook payloads
+ *
+ * The single implementation of status updates, incoming messages and
+ * account-level updates, used by the monolith and the db-processor.
+ *
+ * Errors that a retry can fix (lost database connection, ...) propagate out
+ * of processWebhookPayload; anything else is recorded on the webhook event
+ * and reported in the returned results.
+ *
+ * Every item is stored with its delivery fingerprint (./fingerprint) in the
+ * same transaction as its effects, so a redelivered item is skipped and
+ * reported with duplicate: true instead of being applied twice.
+ *
+ * Log entries carry the organization id, and per item the WhatsApp message
+ * id and webhook event id (logger context).
+ *
+ * Rows are attributed to the business phone number the change was sent to or
+ * from (value.metadata.phone_number_id): webhook_events, incoming_messages,
+ * and the messages a status applies to. Incoming messages and statuses
+ * upsert the customer's contact (../utils/contacts), which incoming_messages
+ * and messages are linked to.
+ *
+ * Opt-out/opt-in keywords in incoming messages and opt-out error codes in
+ * failed statuses update the organization's consent (../utils/consent) in
+ * the same transaction. Incoming messages also open or extend the customer's
+ * service window (../utils/serviceWindows).
+ */
+
+const Message = require("../models/Message");
+const CampaignAudience = require("../models/CampaignAudience");
+const WebhookEvent = require("../models/WebhookEvent");
+const IncomingMessage = require("../models/IncomingMessage");
+const ConversationBilling = require("../models/ConversationBilling");
+const PendingMessageStatus = require("../models/PendingMessageStatus");
+const ServiceWindow = require("../models/ServiceWindow");
+const {
+  queueIncomingMessage,
+  queueStatusUpdate,
+  queueConsentChange,
+  sendQueuedDeliveries,
+} = require("../utils/outboundWebhooks");
+const {
+  isAccountUpdateField,
+  parseAccountUpdate,
+  recordAccountUpdate,
+} = require("../utils/accountUpdates");
+const { parseIncomingMessage } = require("../utils/inboundMessages");
+const {
+  recordInboundContact,
+  recordStatusContact,
+} = require("../utils/contacts");
+const {
+  CONSENT_ACTIONS,
+  CONSENT_SOURCES,
+  getKeywordText,
+  detectConsentKeyword,
+  getOptOutErrorCode,
+  applyConsentChange,
+} = require("../utils/consent");
+const { isRetryableError } = require("../utils/errors");
+const { withTransaction } = require("../db/transaction");
+const { logger } = require("../utils/logger");
+const {
+  fingerprintStatus,
+  fingerprintMessage,
+  fingerprintAccountUpdate,
+} = require("./fingerprint");
+
+/**
+ * Process every entry of a webhook payload for an organization
+ * options.correlationId is stamped on the rows and log entries written
+ * (see ./correlation)
+ */
+async function processWebhookPayload(
+  webhookPayload,
+  organization,
+  receivedAt = new Date().toISOString(),
+  options = {}
+) {
+  const context = { organizationId: organization.id };
+  if (options.correlationId) context.correlationId = options.correlationId;
+
+  return logger.withContext(context, async () => {
+    const results = [];
+    for (const entry of webhookPayload.entry || []) {
+      const entryResult = await processWebhookEntry(
+        entry,
+        organization,
+        receivedAt,
+        options
+      );
+      results.push(entryResult);
+    }
+    return results;
+  });
+}
+
+/**
+ * Process individual webhook entry
+ */
+async function processWebhookEntry(
+  entry,
+  organization,
+  receivedAt,
+  options = {}
+) {
+  logger.debug("Processing entry", { entryId: entry.id, entry });
+
+  const results = [];
+
+  // Handle changes array
+  if (entry.changes && Array.isArray(entry.changes)) {
+    for (const change of entry.changes) {
+      const changeResult = await processWebhookChange(
+        change,
+        organization,
+        receivedAt,
+        options
+      );
+      results.push(changeResult);
+    }
+  }
+
+  return {
+    entryId: entry.id,
+    results: results,
+  };
+}
+
+/**
+ * Get the business phone number id a change belongs to
+ * (account-level updates have none)
+ */
+function getChangePhoneNumberId(change) {
+  return change.value?.metadata?.phone_number_id || null;
+}
+
+/**
+ * Process individual webhook change
+ * options.replayOf links the webhook events created to the event being
+ * replayed (see ./replay), options.correlationId is stamped on them
+ */
+async function processWebhookChange(
+  change,
+  organization,
+  receivedAt,
+  options = {}
+) {
+  logger.debug("Processing change", { field: change.field, change });
+
+  const { field, value } = change;
+  const results = [];
+
+  if (field === "messages") {
+    // Handle message status updates
+    if (value.statuses && Array.isArray(value.statuses)) {
+      for (const status of value.statuses) {
+        try {
+          const statusResult = await logger.withContext(
+            { whatsappMessageId: status.id },
+            () =>
+              handleMessageStatus(
+                status,
+                change,
+                organization,
+                receivedAt,
+                options
+              )
+          );
+          results.push({
+            type: "status_update",
+            success: true,
+            result: statusResult,
+          });
+        } catch (error) {
+          logger.error("Error handling message status", error, {
+            whatsappMessageId: status.id,
+          });
+          // Redeliver the whole record when the database is unavailable
+          if (isRetryableError(error)) throw error;
+          results.push({
+            type: "status_update",
+            success: false,
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    // Handle incoming messages
+    if (value.messages && Array.isArray(value.messages)) {
+      for (const message of value.messages) {
+        try {
+          const messageResult = await logger.withContext(
+            { whatsappMessageId: message.id },
+            () =>
+              handleIncomingMessage(
+                message,
+                change,
+                organization,
+                receivedAt,
+                options
+              )
+          );
+          results.push({
+            type: "incoming_message",
+            success: true,
+            result: messageResult,
+          });
+        } catch (error) {
+          logger.error("Error handling incoming message", error, {
+            whatsappMessageId: message.id,
+          });
+          // Redeliver the whole record when the database is unavailable
+          if (isRetryableError(error)) throw error;
+          results.push({
+            type: "incoming_message",
+            success: false,
+            error: error.message,
+          });
+        }
+      }
+    }
+  } else if (isAccountUpdateField(field)) {
+    // Handle template, phone number quality and account updates
+    try {
+      const updateResult = await logger.withContext({ field }, () =>
+        handleAccountUpdate(
+          field,
+          value,
+          change,
+          organization,
+          receivedAt,
+          options
+        )
+      );
+      results.push({
+        type: "account_update",
+        success: true,
+        result: updateResult,
+      });
+    } catch (error) {
+      logger.error(`Error handling ${field}`, error);
+      // Redeliver the whole record when the database is unavailable
+      if (isRetryableError(error)) throw error;
+      results.push({
+        type: "account_update",
+        success: false,
+        error: error.message,
+      });
+    }
+  } else {
+    logger.info("Ignoring unsupported webhook field", { field });
+  }
+
+  return {
+    field: field,
+    results: results,
+  };
+}
+
+/**
+ * Handle message status updates (sent, delivered, read, failed)
+ *
+ * The webhook event, messages, campaign_audience and billing rows are
+ * written in one transaction, so a crash midway never leaves a status
+ * applied with its event unprocessed (or the other way round). Subscribers
+ * are notified only after the commit.
+ *
+ * A status matching neither table is parked in pending_message_statuses and
+ * re-applied once the message row is written (see ./pendingStatuses).
+ */
+async function handleMessageStatus(
+  status,
+  originalChange,
+  organization,
+  receivedAt,
+  options = {}
+) {
+  logger.debug("Handling message status", { status });
+
+  const { id: whatsappMessageId, status: messageStatus, timestamp } = status;
+
+  // Convert timestamp
+  const statusTimestamp = timestamp
+    ? new Date(parseInt(timestamp) * 1000)
+    : new Date(receivedAt);
+
+  const phoneNumberId = getChangePhoneNumberId(originalChange);
+
+  const eventData = {
+    organizationId: organization.id,
+    eventType: "message_status",
+    whatsappMessageId: whatsappMessageId,
+    status: messageStatus,
+    timestamp: statusTimestamp,
+    rawPayload: originalChange,
+    whatsappPhoneNumberId: phoneNumberId,
+    replayOf: options.replayOf,
+    correlationId: options.correlationId,
+    // Replays are stored again on purpose
+    fingerprint: options.replayOf ? null : fingerprintStatus(status),
+  };
+
+  let applied;
+  try {
+    applied = await withTransaction(async (client) => {
+      // Create webhook event record with organization context
+      const webhookEvent = await WebhookEvent.create(eventData, client);
+      if (!webhookEvent) return { duplicate: true };
+      logger.addContext({ webhookEventId: webhookEvent.id });
+      logger.debug("Created webhook event");
+
+      const contact = await recordStatusContact(
+        organization.id,
+        status,
+        statusTimestamp,
+        client,
+        { replayOf: options.replayOf }
+      );
+
+      const result = await applyStatusToRows(
+        client,
+        status,
+        statusTimestamp,
+        organization.id,
+        webhookEvent.id,
+        { phoneNumberId, contactId: contact?.id }
+      );
+
+      // The message row may not be written yet - keep the status for later
+      if (!result.updatedMessage && !result.updatedCampaignAudience) {
+        const parked = await PendingMessageStatus.create(
+          {
+            organizationId: organization.id,
+            webhookEventId: webhookEvent.id,
+            whatsappMessageId: whatsappMessageId,
+            status: messageStatus,
+            statusTimestamp: statusTimestamp,
+            rawStatus: status,
+            whatsappPhoneNumberId: phoneNumberId,
+            contactId: contact?.id,
+          },
+          client
+        );
+        result.pending = true;
+        logger.info("Message not found, parked status", {
+          status: messageStatus,
+          pendingStatusId: parked?.id || "already parked",
+        });
+      }
+
+      // The recipient stopped receiving messages - opt the number out
+      const optOutErrorCode = getOptOutErrorCode(status);
+      if (optOutErrorCode && status.recipient_id) {
+        result.consentChange = {
+          organizationId: organization.id,
+          msisdn: status.recipient_id,
+          action: CONSENT_ACTIONS.OPT_OUT,
+          source: CONSENT_SOURCES.STATUS_ERROR,
+          errorCode: optOutErrorCode,
+          whatsappMessageId: whatsappMessageId,
+          webhookEventId: webhookEvent.id,
+          timestamp: statusTimestamp,
+        };
+        result.consent = await applyConsentChange(result.consentChange, client);
+      }
+
+      // Outbound webhooks are logged with the status and sent after commit
+      result.outbox = result.pending
+        ? []
+        : await queueAppliedStatus(organization, status, result, client);
+      if (result.consent?.changed) {
+        result.outbox.push(
+          ...(await queueConsentChange(
+            organization,
+            result.consentChange,
+            client
+          ))
+        );
+      }
+
+      // Mark webhook event as processed
+      await WebhookEvent.markAsProcessed(webhookEvent.id, null, client);
+
+      return { ...result, webhookEvent };
+    });
+  } catch (error) {
+    logger.error("Error handling message status", error);
+    // Everything was rolled back; keep a failed event for permanent errors
+    // (retryable ones are redelivered)
+    if (!isRetryableError(error)) {
+      await recordFailedEvent(eventData, error);
+    }
+    throw error;
+  }
+
+  if (applied.duplicate) {
+    logger.info("Duplicate delivery of status, skipping", {
+      status: messageStatus,
+    });
+    return {
+      duplicate: true,
+      status: messageStatus,
+      whatsappMessageId: whatsappMessageId,
+    };
+  }
+
+  const { webhookEvent, rejectedTransition, pending } = applied;
+
+  logger.info("Processed message status", {
+    status: messageStatus,
+    messageUpdated: !!applied.updatedMessage,
+    campaignAudienceUpdated: !!applied.updatedCampaignAudience,
+    pending: !!pending,
+  });
+
+  await sendQueuedDeliveries(applied.outbox);
+
+  return {
+    webhookEventId: webhookEvent.id,
+    messageUpdated: !!applied.updatedMessage,
+    campaignAudienceUpdated: !!applied.updatedCampaignAudience,
+    status: messageStatus,
+    rejectedTransition: rejectedTransition,
+    pending: !!pending,
+    consent: applied.consent || null,
+    whatsappMessageId: whatsappMessageId,
+  };
+}
+
+/**
+ * Build the failure reason stored for a failed status
+ */
+function getFailureReason(status) {
+  const { errors } = status;
+  return errors && errors.length > 0
+    ? errors
+        .map((err) => `${err.code}: ${err.title} - ${err.message || ""}`)
+        .join("; ")
+    : "Unknown error";
+}
+
+/**
+ * Apply a status to messages, campaign_audience and the billing tables
+ * within the caller's transaction
+ * Rejected transitions are recorded on the webhook event; the message gets
+ * the attribution's phoneNumberId and contactId when it has none yet
+ */
+async function applyStatusToRows(
+  client,
+  status,
+  statusTimestamp,
+  organizationId,
+  webhookEventId,
+  attribution = {}
+) {
+  const { id: whatsappMessageId, status: messageStatus } = status;
+  const failureReason =
+    messageStatus === "failed" ? getFailureReason(status) : null;
+
+  // Update Message table
+  const updatedMessage =
+    messageStatus === "failed"
+      ? await Message.updateWithFailure(
+          whatsappMessageId,
+          failureReason,
+          statusTimestamp,
+          client
+        )
+      : await Message.updateStatus(
+          whatsappMessageId,
+          messageStatus,
+          statusTimestamp,
+          client
+        );
+  logger.debug("Updated message status", {
+    messageId: updatedMessage?.id || "not found",
+  });
+
+  if (
+    updatedMessage &&
+    ((attribution.phoneNumberId && !updatedMessage.whatsappPhoneNumberId) ||
+      (attribution.contactId && !updatedMessage.contactId))
+  ) {
+    await Message.recordAttribution(whatsappMessageId, attribution, client);
+  }
+
+  // Update CampaignAudience table
+  const updatedCampaignAudience =
+    messageStatus === "failed"
+      ? await CampaignAudience.updateWithFailure(
+          whatsappMessageId,
+          failureReason,
+          statusTimestamp,
+          client
+        )
+      : await CampaignAudience.updateStatus(
+          whatsappMessageId,
+          messageStatus,
+          statusTimestamp,
+          client
+        );
+  logger.debug("Updated campaign audience", {
+    campaignAudienceId: updatedCampaignAudience?.id || "not found",
+  });
+
+  // Capture pricing and conversation data for billing
+  const billingData = ConversationBilling.extractFromStatus(status);
+  if (billingData) {
+    await ConversationBilling.recordFromStatus(
+      {
+        ...billingData,
+        organizationId: organizationId,
+        whatsappMessageId: whatsappMessageId,
+        campaignId:
+          updatedCampaignAudience?.campaignId ||
+          updatedMessage?.campaignId ||
+          null,
+        timestamp: statusTimestamp,
+      },
+      client
+    );
+  }
+
+  // Keep a record of status events the lifecycle refused to apply
+  const rejectedTransition = getRejectedTransition(
+    updatedMessage,
+    updatedCampaignAudience
+  );
+  if (rejectedTransition && webhookEventId) {
+    logger.info("Rejected status transition", {
+      whatsappMessageId,
+      rejectedTransition,
+    });
+    await WebhookEvent.recordStatusTransition(
+      webhookEventId,
+      rejectedTransition,
+      client
+    );
+  }
+
+  return { updatedMessage, updatedCampaignAudience, rejectedTransition };
+}
+
+/**
+ * Log an applied status for the organization's subscribers,
+ * unless it was stale for every row it matched
+ */
+async function queueAppliedStatus(organization, status, applied, client) {
+  const { updatedMessage, updatedCampaignAudience } = applied;
+  const matchedRows = [updatedMessage, updatedCampaignAudience].filter(
+    Boolean
+  );
+  const isStale =
+    matchedRows.length > 0 &&
+    matchedRows.every((row) => !row.statusTransition.applied);
+
+  if (isStale) {
+    logger.info("Skipping outbound status webhook for stale status", {
+      whatsappMessageId: status.id,
+      status: status.status,
+    });
+    return [];
+  }
+
+  return queueStatusUpdate(
+    organization,
+    status,
+    updatedMessage,
+    updatedCampaignAudience,
+    client
+  );
+}
+
+/**
+ * Record an event whose processing was rolled back, marked with the error
+ */
+async function recordFailedEvent(eventData, error) {
+  try {
+    const webhookEvent = await WebhookEvent.create(eventData);
+    if (!webhookEvent) return;
+    await WebhookEvent.markAsProcessed(webhookEvent.id, error.message);
+  } catch (recordError) {
+    logger.error("Error recording failed webhook event", recordError);
+  }
+}
+
+/**
+ * Handle account-level updates (template status/quality, phone number
+ * quality, account events)
+ */
+async function handleAccountUpdate(
+  field,
+  value,
+  originalChange,
+  organization,
+  receivedAt,
+  options = {}
+) {
+  logger.debug(`Handling ${field}`, { value });
+
+  const { eventType, status, update } = parseAccountUpdate(
+    field,
+    value,
+    new Date(receivedAt)
+  );
+
+  const eventData = {
+    organizationId: organization.id,
+    eventType: eventType,
+    whatsappMessageId: null,
+    status: status,
+    timestamp: update.timestamp,
+    rawPayload: originalChange,
+    replayOf: options.replayOf,
+    correlationId: options.correlationId,
+    fingerprint: options.replayOf
+      ? null
+      : fingerprintAccountUpdate(organization.id, field, value),
+  };
+
+  let webhookEvent;
+  try {
+    webhookEvent = await withTransaction(async (client) => {
+      const created = await WebhookEvent.create(eventData, client);
+      if (!created) return null;
+      logger.addContext({ webhookEventId: created.id });
+
+      await recordAccountUpdate(
+        field,
+        organization.id,
+        update,
+        originalChange,
+        client
+      );
+      await WebhookEvent.markAsProcessed(created.id, null, client);
+      return created;
+    });
+  } catch (error) {
+    logger.error(`Error handling ${field}`, error);
+    if (!isRetryableError(error)) {
+      await recordFailedEvent(eventData, error);
+    }
+    throw error;
+  }
+
+  if (!webhookEvent) {
+    logger.info(`Duplicate delivery of ${field}, skipping`);
+    return { duplicate: true, eventType: eventType, status: status };
+  }
+
+  logger.info(`Recorded ${field}`, { eventType, status });
+
+  return {
+    webhookEventId: webhookEvent.id,
+    eventType: eventType,
+    status: status,
+  };
+}
+
+/**
+ * Collect the status transitions that were rejected by the lifecycle
+ * Returns null when every matched row accepted the status
+ */
+function getRejectedTransition(updatedMessage, updatedCampaignAudience) {
+  const rejected = {};
+
+  if (updatedMessage && !updatedMessage.statusTransition.applied) {
+    rejected.message = updatedMessage.statusTransition;
+  }
+  if (
+    updatedCampaignAudience &&
+    !updatedCampaignAudience.statusTransition.applied
+  ) {
+    rejected.campaignAudience = updatedCampaignAudience.statusTransition;
+  }
+
+  return Object.keys(rejected).length > 0 ? rejected : null;
+}
+
+/**
+ * Handle incoming messages
+ *
+ * The webhook event, the incoming_messages row and a reaction's link to its
+ * message are written in one transaction; subscribers are notified after
+ * the commit. A replay (options.replayOf) updates the stored message instead
+ * of skipping it as a duplicate.
+ */
+async function handleIncomingMessage(
+  message,
+  originalChange,
+  organization,
+  receivedAt,
+  options = {}
+) {
+  logger.debug("Handling incoming message", { incomingMessage: message });
+
+  const { id: whatsappMessageId, from, timestamp, type, context } = message;
+
+  // Check for duplicate message
+  if (!options.replayOf) {
+    const isDuplicate = await IncomingMessage.isDuplicate(whatsappMessageId);
+    if (isDuplicate) {
+      logger.info("Duplicate incoming message detected, skipping");
+      return { duplicate: true, whatsappMessageId: whatsappMessageId };
+    }
+  }
+
+  // Extract phone numbers from the change metadata
+  const metadata = originalChange.value?.metadata;
+  const toPhoneNumber =
+    metadata?.phone_number_id || metadata?.display_phone_number;
+  const phoneNumberId = getChangePhoneNumberId(originalChange);
+
+  // Extract content and type-specific fields
+  const parsed = parseIncomingMessage(message);
+  const { content, interactiveData: interactionData } = parsed;
+
+  // Try to find the original campaign message if this is a reply
+  let contextCampaignId = null;
+  let contextMessageId = null;
+
+  // Replies carry context.id, reactions the id of the message they react to
+  const referencedMessageId = context?.id || parsed.reactionMessageId;
+
+  if (referencedMessageId) {
+    logger.debug("Message refers to another message", {
+      referencedMessageId,
+    });
+    try {
+      const originalMessage = await Message.findByWhatsAppId(
+        referencedMessageId
+      );
+      if (originalMessage) {
+        contextCampaignId = originalMessage.campaignId;
+        contextMessageId = referencedMessageId;
+        logger.info("Linked reply to campaign", {
+          campaignId: contextCampaignId,
+        });
+      }
+    } catch (error) {
+      logger.error("Error finding original message", error, {
+        referencedMessageId,
+      });
+      if (isRetryableError(error)) throw error;
+    }
+  }
+
+  const messageTimestamp = timestamp
+    ? new Date(parseInt(timestamp) * 1000)
+    : new Date(receivedAt);
+
+  const eventData = {
+    organizationId: organization.id,
+    campaignId: contextCampaignId,
+    eventType: "message_received",
+    whatsappMessageId: whatsappMessageId,
+    fromPhoneNumber: from,
+    toPhoneNumber: toPhoneNumber,
+    status: "received",
+    timestamp: messageTimestamp,
+    interactiveType: interactionData?.type || null,
+    interactiveData: interactionData,
+    rawPayload: originalChange,
+    whatsappPhoneNumberId: phoneNumberId,
+    replayOf: options.replayOf,
+    correlationId: options.correlationId,
+    fingerprint: options.replayOf ? null : fingerprintMessage(message),
+  };
+
+  let stored;
+  try {
+    stored = await withTransaction(async (client) => {
+      // Create webhook event record
+      const webhookEvent = await WebhookEvent.create(eventData, client);
+      if (!webhookEvent) return null;
+      logger.addContext({ webhookEventId: webhookEvent.id });
+      logger.debug("Created webhook event for incoming message");
+
+      const contact = await recordInboundContact(
+        organization.id,
+        message,
+        originalChange.value,
+        messageTimestamp,
+        client,
+        { replayOf: options.replayOf }
+      );
+
+      // Create incoming message record, or update it when replaying
+      const messageRecord = {
+        organizationId: organization.id,
+        whatsappMessageId: whatsappMessageId,
+        fromPhoneNumber: from,
+        toPhoneNumber: toPhoneNumber,
+        messageType: type,
+        content: content,
+        mediaUrl: parsed.mediaUrl,
+        mediaType: parsed.mediaType,
+        mediaSize: parsed.mediaSize,
+        mediaId: parsed.mediaId,
+        mediaSha256: parsed.mediaSha256,
+        timestamp: messageTimestamp,
+        interactiveType: interactionData?.type || null,
+        interactiveData: interactionData,
+        contextMessageId: contextMessageId,
+        contextCampaignId: contextCampaignId,
+        reactionEmoji: parsed.reactionEmoji,
+        reactionMessageId: parsed.reactionMessageId,
+        referralData: parsed.referralData,
+        orderData: parsed.orderData,
+        messageData: parsed.messageData,
+        rawPayload: message,
+        correlationId: options.correlationId,
+        whatsappPhoneNumberId: phoneNumberId,
+        contactId: contact?.id,
+      };
+      const incomingMessage = options.replayOf
+        ? await IncomingMessage.replace(messageRecord, client)
+        : await IncomingMessage.create(messageRecord, client);
+      logger.info("Stored incoming message record", {
+        incomingMessageId: incomingMessage.id,
+        replayOf: options.replayOf,
+        messageType: type,
+      });
+
+      // Open or extend the customer's service window (system messages such
+      // as a number change are not sent by the customer)
+      let serviceWindow = null;
+      if (phoneNumberId && type !== "system") {
+        serviceWindow = await ServiceWindow.recordInbound(
+          {
+            organizationId: organization.id,
+            whatsappPhoneNumberId: phoneNumberId,
+            customerMsisdn: from,
+            whatsappMessageId: whatsappMessageId,
+            timestamp: messageTimestamp,
+          },
+          client
+        );
+      }
+
+      // Link reactions back to the reacted message
+      if (type === "reaction" && parsed.reactionMessageId) {
+        await Message.recordReaction(
+          parsed.reactionMessageId,
+          parsed.reactionEmoji,
+          incomingMessage.timestamp,
+          client
+        );
+      }
+
+      // Opt-out/opt-in keywords update the sender's consent
+      const consentKeyword = detectConsentKeyword(
+        type,
+        getKeywordText(message)
+      );
+      let consentChange = null;
+      let consent = null;
+      if (consentKeyword) {
+        consentChange = {
+          organizationId: organization.id,
+          msisdn: from,
+          action: consentKeyword.action,
+          source: CONSENT_SOURCES.KEYWORD,
+          keyword: consentKeyword.keyword,
+          whatsappMessageId: whatsappMessageId,
+          webhookEventId: webhookEvent.id,
+          timestamp: messageTimestamp,
+        };
+        consent = await applyConsentChange(consentChange, client);
+      }
+
+      // Outbound webhooks are logged with the message and sent after commit
+      const outbox = await queueIncomingMessage(
+        organization,
+        incomingMessage,
+        client
+      );
+      if (consent?.changed) {
+        outbox.push(
+          ...(await queueConsentChange(organization, consentChange, client))
+        );
+      }
+
+      // Mark incoming message and webhook event as processed
+      await IncomingMessage.markAsProcessed(incomingMessage.id, null, client);
+      await WebhookEvent.markAsProcessed(webhookEvent.id, null, client);
+
+      return {
+        webhookEvent,
+        incomingMessage,
+        serviceWindow,
+        consent,
+        outbox,
+      };
+    });
+  } catch (error) {
+    logger.error("Error handling incoming message", error);
+    if (!isRetryableError(error)) {
+      await recordFailedEvent(eventData, error);
+    }
+    throw error;
+  }
+
+  if (!stored) {
+    logger.info("Duplicate delivery of incoming message, skipping");
+    return { duplicate: true, whatsappMessageId: whatsappMessageId };
+  }
+
+  const { webhookEvent, incomingMessage, serviceWindow, consent, outbox } =
+    stored;
+
+  // Forward the processed message to the organization's subscribers
+  await sendQueuedDeliveries(outbox);
+
+  return {
+    incomingMessageId: incomingMessage.id,
+    webhookEventId: webhookEvent.id,
+    messageType: type,
+    from: from,
+    content: content,
+    interactionData: interactionData,
+    contextCampaignId: contextCampaignId,
+    serviceWindowExpiresAt: serviceWindow ? serviceWindow.expiresAt : null,
+    consent: consent,
+  };
+}
+
+/**
+ * Count the items of processWebhookPayload results that were skipped as
+ * redeliveries
+ */
+function countDuplicates(entryResults) {
+  let duplicates = 0;
+
+  for (const entry of entryResults || []) {
+    for (const change of entry.results) {
+      for (const item of change.results) {
+        if (item.success && item.result && item.result.duplicate) {
+          duplicates++;
+        }
+      }
+    }
+  }
+
+  return duplicates;
+}
+
+module.exports = {
+  processWebhookPayload,
+  processWebhookEntry,
+  processWebhookChange,
+  applyStatusToRows,
+  queueAppliedStatus,
+  countDuplicates,
+};
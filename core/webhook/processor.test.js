@@ -0,0 +1,417 @@
+jest.mock("../db/connection", () => {
+  const query = jest.fn();
+  return { query, connect: async () => ({ query, release() {} }) };
+});
+jest.mock("axios", () => ({ post: jest.fn() }));
+
+const axios = require("axios");
+const pool = require("../db/connection");
+const Organization = require("../models/Organization");
+const { processWebhookPayload } = require("./processor");
+
+const organization = new Organization({ id: "org-1", name: "Org" });
+
+/**
+ * Answer the queries of an incoming message that opts its sender out
+ */
+function fakeQuery(query, params) {
+  if (/INSERT INTO contacts/.test(query)) {
+    return { rows: [{ id: "c-1", wa_id: params[1] }] };
+  }
+  if (/INSERT INTO webhook_events/.test(query)) {
+    return { rows: [{ id: "ev-1" }] };
+  }
+  if (/INSERT INTO incoming_messages/.test(query)) {
+    return { rows: [{ id: "im-1", timestamp: new Date() }] };
+  }
+  if (/INSERT INTO opt_outs/.test(query)) {
+    return { rows: [{ id: "o-1", msisdn: params[1] }] };
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+/**
+ * Process a messages webhook with one incoming message
+ */
+async function processIncoming(message) {
+  const payload = {
+    entry: [
+      {
+        id: "waba-1",
+        changes: [
+          {
+            field: "messages",
+            value: {
+              metadata: { phone_number_id: "PN-1" },
+              messages: [
+                {
+                  id: "wamid.IN",
+                  from: "15551234567",
+                  timestamp: "1700000000",
+                  ...message,
+                },
+              ],
+            },
+          },
+        ],
+      },
+    ],
+  };
+  const results = await processWebhookPayload(payload, organization);
+  return results[0].results[0].results[0].result;
+}
+
+/**
+ * Process a messages webhook with one status
+ */
+async function processStatus(status) {
+  const payload = {
+    entry: [
+      {
+        id: "waba-1",
+        changes: [
+          {
+            field: "messages",
+            value: {
+              metadata: { phone_number_id: "PN-1" },
+              statuses: [
+                {
+                  id: "wamid.OUT",
+                  recipient_id: "15551234567",
+                  timestamp: "1700000000",
+                  ...status,
+                },
+              ],
+            },
+          },
+        ],
+      },
+    ],
+  };
+  const results = await processWebhookPayload(payload, organization);
+  return results[0].results[0].results[0];
+}
+
+/**
+ * Answer a status update for a message that exists in both tables
+ */
+function fakeStatusQuery(query, params) {
+  if (/UPDATE messages t/.test(query)) {
+    return {
+      rows: [{ id: "m-1", message_status: params[1], previous_status: "sent" }],
+    };
+  }
+  if (/UPDATE campaign_audience t/.test(query)) {
+    return {
+      rows: [
+        {
+          id: "ca-1",
+          campaign_id: "camp-1",
+          message_status: params[1],
+          previous_status: "sent",
+        },
+      ],
+    };
+  }
+  return fakeQuery(query, params);
+}
+
+/**
+ * Names of the queries run so far, e.g. "BEGIN" or "UPDATE messages"
+ */
+const queryLog = () =>
+  pool.query.mock.calls.map(([query]) =>
+    query
+      .trim()
+      .replace(/^WITH current_row AS \([^)]*\)\s*/s, "")
+      .split(/\s+/)
+      .slice(0, 3)
+      .join(" ")
+      .replace(/^(INSERT INTO|UPDATE) (\w+).*$/, "$1 $2")
+  );
+
+/**
+ * The opt_outs inserts run while processing
+ */
+const optOutInserts = () =>
+  pool.query.mock.calls.filter(([query]) =>
+    /INSERT INTO opt_outs/.test(query)
+  );
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  pool.query.mockReset();
+  pool.query.mockImplementation(async (query, params) =>
+    fakeQuery(query, params)
+  );
+});
+
+describe("consent keywords in incoming messages", () => {
+  test("a text STOP opts the sender out", async () => {
+    const result = await processIncoming({
+      type: "text",
+      text: { body: "stop" },
+    });
+    expect(result.consent).toMatchObject({ changed: true, action: "opt_out" });
+    expect(optOutInserts()[0][1].slice(0, 2)).toEqual([
+      "org-1",
+      "15551234567",
+    ]);
+  });
+
+  test("Meta's Stop promotions quick reply opts the sender out", async () => {
+    const result = await processIncoming({
+      type: "button",
+      button: { text: "Stop promotions", payload: "Stop promotions" },
+    });
+    expect(result.consent).toMatchObject({ changed: true, action: "opt_out" });
+  });
+
+  test("a STOP interactive button reply opts the sender out", async () => {
+    const result = await processIncoming({
+      type: "interactive",
+      interactive: {
+        type: "button_reply",
+        button_reply: { id: "stop", title: "STOP" },
+      },
+    });
+    expect(result.consent).toMatchObject({ changed: true, action: "opt_out" });
+  });
+
+  test("a STOP list reply opts the sender out", async () => {
+    const result = await processIncoming({
+      type: "interactive",
+      interactive: {
+        type: "list_reply",
+        list_reply: { id: "stop", title: "Stop" },
+      },
+    });
+    expect(result.consent).toMatchObject({ changed: true, action: "opt_out" });
+  });
+
+  test("other replies leave consent alone", async () => {
+    const result = await processIncoming({
+      type: "interactive",
+      interactive: {
+        type: "button_reply",
+        button_reply: { id: "yes", title: "Yes please" },
+      },
+    });
+    expect(result.consent).toBeNull();
+    expect(optOutInserts()).toHaveLength(0);
+  });
+});
+
+describe("outbound webhooks", () => {
+  beforeEach(() => {
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ status: 200, data: "" });
+    pool.query.mockImplementation(async (query, params) => {
+      if (/FROM webhook_subscriptions/.test(query)) {
+        return {
+          rows: [{ id: "sub-1", url: "https://main.example.com", secret: "s" }],
+        };
+      }
+      if (/INSERT INTO webhook_deliveries/.test(query)) {
+        return { rows: [{ id: "del-1", event_type: params[2], attempts: 0 }] };
+      }
+      if (/UPDATE webhook_deliveries/.test(query)) {
+        return { rows: [{ id: "del-1", status: params[0] }] };
+      }
+      return fakeQuery(query, params);
+    });
+  });
+
+  test("the delivery is logged before commit and sent after", async () => {
+    const events = [];
+    const query = pool.query.getMockImplementation();
+    pool.query.mockImplementation(async (sql, params) => {
+      if (/INSERT INTO webhook_deliveries/.test(sql)) events.push("INSERT");
+      if (sql === "COMMIT") events.push("COMMIT");
+      return query(sql, params);
+    });
+    axios.post.mockImplementation(async () => {
+      events.push("POST");
+      return { status: 200, data: "" };
+    });
+
+    await processIncoming({ type: "text", text: { body: "hello" } });
+
+    expect(events).toEqual(["INSERT", "COMMIT", "POST"]);
+  });
+
+  test("a rolled back message sends nothing", async () => {
+    const query = pool.query.getMockImplementation();
+    pool.query.mockImplementation(async (sql, params) => {
+      if (/INSERT INTO incoming_messages/.test(sql)) {
+        throw Object.assign(new Error("bad value"), { code: "22P02" });
+      }
+      return query(sql, params);
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const result = await processIncoming({
+      type: "text",
+      text: { body: "hello" },
+    });
+
+    expect(result).toBeUndefined();
+    expect(pool.query).toHaveBeenCalledWith("ROLLBACK");
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
+
+describe("status updates", () => {
+  beforeEach(() => {
+    pool.query.mockImplementation(async (query, params) =>
+      fakeStatusQuery(query, params)
+    );
+  });
+
+  test("the event and both rows are written in one transaction", async () => {
+    const { success, result } = await processStatus({ status: "delivered" });
+
+    expect(success).toBe(true);
+    expect(result).toMatchObject({
+      messageUpdated: true,
+      campaignAudienceUpdated: true,
+      pending: false,
+    });
+    const log = queryLog();
+    const inTransaction = log.slice(
+      log.indexOf("BEGIN") + 1,
+      log.indexOf("COMMIT")
+    );
+    expect(inTransaction).toEqual(
+      expect.arrayContaining([
+        "INSERT INTO webhook_events",
+        "UPDATE messages",
+        "UPDATE campaign_audience",
+        "UPDATE webhook_events",
+      ])
+    );
+    expect(log.filter((entry) => entry === "BEGIN")).toHaveLength(1);
+  });
+
+  test("a failure rolls back and records a failed event", async () => {
+    pool.query.mockImplementation(async (query, params) => {
+      if (/UPDATE campaign_audience t/.test(query)) {
+        throw Object.assign(new Error("value too long"), { code: "22001" });
+      }
+      return fakeStatusQuery(query, params);
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const { success, error } = await processStatus({ status: "read" });
+
+    expect(success).toBe(false);
+    expect(error).toBe("value too long");
+    const log = queryLog();
+    const afterRollback = log.slice(log.indexOf("ROLLBACK") + 1);
+    expect(log).not.toContain("COMMIT");
+    expect(afterRollback).toEqual([
+      "INSERT INTO webhook_events",
+      "UPDATE webhook_events",
+    ]);
+    const [, markParams] = pool.query.mock.calls.at(-1);
+    expect(markParams).toEqual(["value too long", "ev-1"]);
+  });
+
+  test("a lost connection is rethrown for redelivery", async () => {
+    pool.query.mockImplementation(async (query, params) => {
+      if (/UPDATE messages t/.test(query)) {
+        throw Object.assign(new Error("Connection terminated"), {
+          code: "ECONNRESET",
+        });
+      }
+      return fakeStatusQuery(query, params);
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(processStatus({ status: "read" })).rejects.toThrow(
+      "Connection terminated"
+    );
+    // Nothing is recorded - the redelivery processes it again
+    expect(queryLog().slice(queryLog().indexOf("ROLLBACK") + 1)).toEqual([]);
+  });
+
+  test("a redelivered status is skipped", async () => {
+    pool.query.mockImplementation(async (query, params) => {
+      if (/INSERT INTO webhook_events/.test(query)) return { rows: [] };
+      return fakeStatusQuery(query, params);
+    });
+
+    const { result } = await processStatus({ status: "delivered" });
+
+    expect(result).toMatchObject({ duplicate: true, status: "delivered" });
+    expect(queryLog()).not.toContain("UPDATE messages");
+  });
+});
+
+describe("phone number attribution", () => {
+  /**
+   * The parameters of the first query matching a pattern
+   */
+  const paramsOf = (pattern) =>
+    pool.query.mock.calls.find(([query]) => pattern.test(query))[1];
+
+  test("incoming messages record the number they were sent to", async () => {
+    await processIncoming({ type: "text", text: { body: "hi" } });
+
+    expect(paramsOf(/INSERT INTO webhook_events/)).toContain("PN-1");
+    // whatsapp_phone_number_id is the 26th column of the insert
+    expect(paramsOf(/INSERT INTO incoming_messages/)[25]).toBe("PN-1");
+  });
+
+  test("a status records the number its message was sent from", async () => {
+    pool.query.mockImplementation(async (query, params) =>
+      fakeStatusQuery(query, params)
+    );
+
+    await processStatus({ status: "delivered" });
+
+    expect(paramsOf(/INSERT INTO webhook_events/)).toContain("PN-1");
+    expect(paramsOf(/SET\s+whatsapp_phone_number_id = COALESCE/)).toEqual([
+      "wamid.OUT",
+      "PN-1",
+      "c-1",
+    ]);
+  });
+});
+
+describe("service windows", () => {
+  const windowUpserts = () =>
+    pool.query.mock.calls.filter(([query]) =>
+      /INSERT INTO service_windows/.test(query)
+    );
+
+  test("an incoming message opens its sender's window", async () => {
+    await processIncoming({ type: "text", text: { body: "hi" } });
+
+    const [[, params]] = windowUpserts();
+    expect(params).toEqual([
+      "org-1",
+      "PN-1",
+      "15551234567",
+      "wamid.IN",
+      new Date(1700000000 * 1000),
+      24,
+    ]);
+    const log = queryLog();
+    expect(log.indexOf("INSERT INTO service_windows")).toBeLessThan(
+      log.indexOf("COMMIT")
+    );
+  });
+
+  test("system messages do not open a window", async () => {
+    await processIncoming({
+      type: "system",
+      system: { body: "User changed number", type: "user_changed_number" },
+    });
+
+    expect(windowUpserts()).toHaveLength(0);
+  });
+});
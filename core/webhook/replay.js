@@ -0,0 +1,241 @@
+/**
+ * Replay of stored webhook events
+ *
+ * Every webhook event keeps the change it came from in raw_payload. Replaying
+ * selects events (organization, time window, event type, failed/unprocessed)
+ * and runs that change - narrowed to the event's own status or message -
+ * through processWebhookChange again, e.g. after a bug fix, without asking
+ * Meta to resend. The new webhook events point back with replay_of, and the
+ * original records replay_count / replayed_at / last_replay_error.
+ *
+ * Dry runs only read: they report what each event would change.
+ * Replayed statuses and messages are forwarded to outbound subscribers again.
+ */
+
+const WebhookEvent = require("../models/WebhookEvent");
+const Organization = require("../models/Organization");
+const Message = require("../models/Message");
+const CampaignAudience = require("../models/CampaignAudience");
+const IncomingMessage = require("../models/IncomingMessage");
+const { canTransition } = require("../utils/messageStatus");
+const {
+  isAccountUpdateField,
+  parseAccountUpdate,
+} = require("../utils/accountUpdates");
+const { logger } = require("../utils/logger");
+const { processWebhookChange } = require("./processor");
+
+/**
+ * Rebuild the change to replay for a stored event
+ * Returns null when the raw payload holds nothing this event can replay
+ */
+function buildReplayChange(webhookEvent) {
+  const change = webhookEvent.rawPayload;
+  if (!change || !change.field || !change.value) return null;
+
+  const { value } = change;
+  const id = webhookEvent.whatsappMessageId;
+
+  if (webhookEvent.eventType === "message_status") {
+    const statuses = (value.statuses || []).filter((s) => s.id === id);
+    if (statuses.length === 0) return null;
+    return { ...change, value: { ...value, statuses, messages: undefined } };
+  }
+
+  if (webhookEvent.eventType === "message_received") {
+    const messages = (value.messages || []).filter((m) => m.id === id);
+    if (messages.length === 0) return null;
+    return { ...change, value: { ...value, messages, statuses: undefined } };
+  }
+
+  return isAccountUpdateField(change.field) ? change : null;
+}
+
+/**
+ * Describe what replaying a change would do, without writing anything
+ */
+async function describeReplay(webhookEvent, change) {
+  const { value } = change;
+
+  if (webhookEvent.eventType === "message_status") {
+    const changes = [];
+    for (const status of value.statuses) {
+      const rows = {
+        messages: await Message.findByWhatsAppId(status.id),
+        campaign_audience: await CampaignAudience.findByWhatsAppId(status.id),
+      };
+
+      let matched = false;
+      for (const [table, row] of Object.entries(rows)) {
+        if (!row) continue;
+        matched = true;
+        changes.push({
+          table: table,
+          whatsappMessageId: status.id,
+          from: row.messageStatus,
+          to: status.status,
+          wouldApply:
+            row.messageStatus !== status.status &&
+            canTransition(row.messageStatus, status.status),
+        });
+      }
+
+      if (!matched) {
+        changes.push({
+          table: "pending_message_statuses",
+          whatsappMessageId: status.id,
+          to: status.status,
+          wouldApply: true,
+          note: "no message row yet, the status would be parked",
+        });
+      }
+    }
+    return changes;
+  }
+
+  if (webhookEvent.eventType === "message_received") {
+    const changes = [];
+    for (const message of value.messages) {
+      const duplicate = await IncomingMessage.isDuplicate(message.id);
+      changes.push({
+        table: "incoming_messages",
+        whatsappMessageId: message.id,
+        messageType: message.type,
+        wouldApply: true,
+        note: duplicate ? "already stored, would be updated" : undefined,
+      });
+    }
+    return changes;
+  }
+
+  const { eventType, status } = parseAccountUpdate(
+    change.field,
+    value,
+    webhookEvent.timestamp
+  );
+  return [{ field: change.field, eventType, status, wouldApply: true }];
+}
+
+/**
+ * Select webhook events and replay them (filters: see
+ * WebhookEvent.findForReplay; options.dryRun only reports)
+ */
+async function replayWebhookEvents(filters = {}, options = {}) {
+  const dryRun = !!options.dryRun;
+  const events = await WebhookEvent.findForReplay(filters);
+  const organizations = new Map();
+  const summary = {
+    dryRun: dryRun,
+    selected: events.length,
+    replayed: 0,
+    skipped: 0,
+    failed: 0,
+    results: [],
+  };
+
+  for (const webhookEvent of events) {
+    const result = {
+      webhookEventId: webhookEvent.id,
+      eventType: webhookEvent.eventType,
+      whatsappMessageId: webhookEvent.whatsappMessageId,
+    };
+    summary.results.push(result);
+
+    const change = buildReplayChange(webhookEvent);
+    if (!change) {
+      summary.skipped++;
+      result.outcome = "skipped";
+      result.reason = "raw payload holds nothing to replay";
+      continue;
+    }
+
+    if (!organizations.has(webhookEvent.organizationId)) {
+      organizations.set(
+        webhookEvent.organizationId,
+        webhookEvent.organizationId
+          ? await Organization.findById(webhookEvent.organizationId)
+          : null
+      );
+    }
+    const organization = organizations.get(webhookEvent.organizationId);
+    if (!organization) {
+      summary.skipped++;
+      result.outcome = "skipped";
+      result.reason = "organization not found or inactive";
+      continue;
+    }
+
+    if (dryRun) {
+      result.outcome = "dry_run";
+      result.changes = await describeReplay(webhookEvent, change);
+      continue;
+    }
+
+    try {
+      const changeResult = await logger.withContext(
+        {
+          organizationId: organization.id,
+          correlationId: webhookEvent.correlationId,
+          replayOf: webhookEvent.id,
+        },
+        () =>
+          processWebhookChange(
+            change,
+            organization,
+            webhookEvent.timestamp || webhookEvent.createdAt,
+            {
+              replayOf: webhookEvent.id,
+              // The replay shows up in the trace of the original request
+              correlationId: webhookEvent.correlationId,
+            }
+          )
+      );
+      const errors = changeResult.results
+        .filter((r) => !r.success)
+        .map((r) => r.error);
+      const errorMessage = errors.length > 0 ? errors.join("; ") : null;
+
+      await WebhookEvent.markReplayed(webhookEvent.id, errorMessage);
+
+      if (errorMessage) {
+        summary.failed++;
+        result.outcome = "failed";
+        result.error = errorMessage;
+      } else {
+        summary.replayed++;
+        result.outcome = "replayed";
+        result.results = changeResult.results;
+      }
+    } catch (error) {
+      logger.error("Error replaying webhook event", error, {
+        webhookEventId: webhookEvent.id,
+      });
+      summary.failed++;
+      result.outcome = "failed";
+      result.error = error.message;
+
+      try {
+        await WebhookEvent.markReplayed(webhookEvent.id, error.message);
+      } catch (markError) {
+        logger.error("Error marking webhook event as replayed", markError, {
+          webhookEventId: webhookEvent.id,
+        });
+      }
+    }
+  }
+
+  logger.info("Webhook event replay completed", {
+    dryRun: summary.dryRun,
+    selected: summary.selected,
+    replayed: summary.replayed,
+    skipped: summary.skipped,
+    failed: summary.failed,
+  });
+  return summary;
+}
+
+module.exports = {
+  buildReplayChange,
+  describeReplay,
+  replayWebhookEvents,
+};
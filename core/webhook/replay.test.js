@@ -0,0 +1,178 @@
+jest.mock("../db/connection", () => {
+  const query = jest.fn();
+  return { query, connect: async () => ({ query, release() {} }) };
+});
+
+const pool = require("../db/connection");
+const Organization = require("../models/Organization");
+const WebhookEvent = require("../models/WebhookEvent");
+const { processWebhookChange } = require("./processor");
+const { buildReplayChange, replayWebhookEvents } = require("./replay");
+
+const organization = new Organization({ id: "org-1", name: "Org" });
+
+// The change a stored message_received event came from
+const receivedChange = {
+  field: "messages",
+  value: {
+    metadata: { phone_number_id: "PN-1" },
+    messages: [
+      {
+        id: "wamid.IN",
+        from: "15551234567",
+        timestamp: "1700000000",
+        type: "text",
+        text: { body: "hello again" },
+      },
+      { id: "wamid.OTHER", from: "15551234567", type: "text" },
+    ],
+  },
+};
+
+const receivedEvent = new WebhookEvent({
+  id: "ev-1",
+  organization_id: "org-1",
+  event_type: "message_received",
+  whatsapp_message_id: "wamid.IN",
+  raw_payload: receivedChange,
+  correlation_id: "corr-1",
+  timestamp: new Date("2023-11-14T22:13:20Z"),
+});
+
+let stored;
+
+/**
+ * Answer queries with the incoming message already stored when `stored`
+ */
+function fakeQuery(query, params) {
+  if (/SELECT id FROM incoming_messages/.test(query)) {
+    return { rows: stored ? [{ id: "im-1" }] : [] };
+  }
+  if (/INSERT INTO webhook_events/.test(query)) {
+    return { rows: [{ id: "ev-2", replay_of: params[14] }] };
+  }
+  if (/INSERT INTO contacts/.test(query)) {
+    return { rows: [{ id: "c-1", wa_id: params[1] }] };
+  }
+  if (/INSERT INTO incoming_messages/.test(query)) {
+    return { rows: [{ id: "im-1", timestamp: new Date() }] };
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+/**
+ * The incoming_messages inserts run so far
+ */
+const incomingInserts = () =>
+  pool.query.mock.calls.filter(([query]) =>
+    /INSERT INTO incoming_messages/.test(query)
+  );
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  stored = true;
+  pool.query.mockReset();
+  pool.query.mockImplementation(async (query, params) =>
+    fakeQuery(query, params)
+  );
+  jest.spyOn(Organization, "findById").mockResolvedValue(organization);
+  jest.spyOn(WebhookEvent, "findForReplay").mockResolvedValue([receivedEvent]);
+  jest.spyOn(WebhookEvent, "markReplayed").mockResolvedValue(null);
+});
+
+describe("buildReplayChange", () => {
+  test("narrows the change to the event's own message", () => {
+    const change = buildReplayChange(receivedEvent);
+
+    expect(change.value.messages.map((m) => m.id)).toEqual(["wamid.IN"]);
+    expect(change.value.statuses).toBeUndefined();
+  });
+});
+
+describe("replayWebhookEvents", () => {
+  test("a stored incoming message is updated, not skipped", async () => {
+    const summary = await replayWebhookEvents({ organizationId: "org-1" });
+
+    expect(summary).toMatchObject({ selected: 1, replayed: 1, failed: 0 });
+    const [result] = summary.results[0].results;
+    expect(result.result.duplicate).toBeUndefined();
+    const [[query, params]] = incomingInserts();
+    expect(query).toMatch(/ON CONFLICT \(whatsapp_message_id\) DO UPDATE/);
+    // Media already known keeps its download state
+    expect(query).toMatch(
+      /media_status = CASE WHEN incoming_messages\.media_id IS NULL/
+    );
+    expect(params.slice(1, 6)).toEqual([
+      "wamid.IN",
+      "15551234567",
+      "PN-1",
+      "text",
+      "hello again",
+    ]);
+    expect(WebhookEvent.markReplayed).toHaveBeenCalledWith("ev-1", null);
+  });
+
+  test("a live delivery of a stored message is still a duplicate", async () => {
+    const { results } = await processWebhookChange(
+      buildReplayChange(receivedEvent),
+      organization,
+      new Date()
+    );
+
+    expect(results[0].result).toEqual({
+      duplicate: true,
+      whatsappMessageId: "wamid.IN",
+    });
+    expect(incomingInserts()).toHaveLength(0);
+  });
+
+  test("the dry run reports a stored message as updated", async () => {
+    const summary = await replayWebhookEvents({}, { dryRun: true });
+
+    expect(summary.results[0]).toMatchObject({
+      outcome: "dry_run",
+      changes: [
+        {
+          table: "incoming_messages",
+          whatsappMessageId: "wamid.IN",
+          wouldApply: true,
+          note: "already stored, would be updated",
+        },
+      ],
+    });
+    expect(WebhookEvent.markReplayed).not.toHaveBeenCalled();
+    expect(incomingInserts()).toHaveLength(0);
+  });
+
+  test("the dry run of a message not stored yet has no note", async () => {
+    stored = false;
+
+    const summary = await replayWebhookEvents({}, { dryRun: true });
+
+    expect(summary.results[0].changes).toEqual([
+      {
+        table: "incoming_messages",
+        whatsappMessageId: "wamid.IN",
+        messageType: "text",
+        wouldApply: true,
+        note: undefined,
+      },
+    ]);
+  });
+
+  test("events of a missing organization are skipped", async () => {
+    Organization.findById.mockResolvedValue(null);
+
+    const summary = await replayWebhookEvents({});
+
+    expect(summary).toMatchObject({ skipped: 1, replayed: 0 });
+    expect(summary.results[0].reason).toBe(
+      "organization not found or inactive"
+    );
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Verification of Meta's X-Hub-Signature-256 header
+ *
+ * Meta signs the raw request body with the app secret:
+ *
+ *   X-Hub-Signature-256: sha256=HMAC(app_secret, body)
+ *
+ * While an app secret is being rotated, the previous one is accepted too.
+ */
+
+const crypto = require("crypto");
+const { logger } = require("../utils/logger");
+
+/**
+ * Read the signature header (API Gateway may or may not lowercase it)
+ */
+function getSignatureHeader(headers) {
+  if (!headers) return null;
+
+  return (
+    headers["x-hub-signature-256"] || headers["X-Hub-Signature-256"] || null
+  );
+}
+
+/**
+ * Verify webhook signature using HMAC SHA256
+ */
+function verifyWebhookSignature(payload, signature, secret) {
+  if (!signature || !secret) {
+    return false;
+  }
+
+  try {
+    // Remove 'sha256=' prefix if present
+    const cleanSignature = signature.replace(/^sha256=/, "");
+
+    // Calculate expected signature
+    const expectedSignature = crypto
+      .createHmac("sha256", secret)
+      .update(payload, "utf8")
+      .digest("hex");
+
+    const received = Buffer.from(cleanSignature, "hex");
+    const expected = Buffer.from(expectedSignature, "hex");
+    if (received.length !== expected.length) {
+      return false;
+    }
+
+    // Compare signatures using timing-safe comparison
+    return crypto.timingSafeEqual(received, expected);
+  } catch (error) {
+    logger.error("Error verifying webhook signature", error);
+    return false;
+  }
+}
+
+/**
+ * Find the secret a signature was made with, among an organization's
+ * accepted secrets ({ name, secret }, see Organization.getWebhookSecrets)
+ * Returns null when none matches
+ */
+function matchWebhookSignature(payload, signature, secrets) {
+  return (
+    secrets.find(({ secret }) =>
+      verifyWebhookSignature(payload, signature, secret)
+    ) || null
+  );
+}
+
+module.exports = {
+  getSignatureHeader,
+  verifyWebhookSignature,
+  matchWebhookSignature,
+};
@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+const Organization = require("../models/Organization");
+const {
+  getSignatureHeader,
+  verifyWebhookSignature,
+  matchWebhookSignature,
+} = require("./signature");
+
+const body = JSON.stringify({ object: "whatsapp_business_account" });
+
+/**
+ * Sign a body the way Meta does
+ */
+const sign = (secret, payload = body) =>
+  "sha256=" +
+  crypto.createHmac("sha256", secret).update(payload, "utf8").digest("hex");
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 3600 * 1000);
+
+describe("verifyWebhookSignature", () => {
+  test("accepts the signature of the secret, with or without prefix", () => {
+    expect(verifyWebhookSignature(body, sign("s1"), "s1")).toBe(true);
+    expect(
+      verifyWebhookSignature(body, sign("s1").replace("sha256=", ""), "s1")
+    ).toBe(true);
+  });
+
+  test("refuses other secrets, other bodies and malformed signatures", () => {
+    expect(verifyWebhookSignature(body, sign("s2"), "s1")).toBe(false);
+    expect(verifyWebhookSignature(body + " ", sign("s1"), "s1")).toBe(false);
+    expect(verifyWebhookSignature(body, "sha256=abc", "s1")).toBe(false);
+    expect(verifyWebhookSignature(body, null, "s1")).toBe(false);
+    expect(verifyWebhookSignature(body, sign("s1"), null)).toBe(false);
+  });
+
+  test("reads the header in either case", () => {
+    expect(getSignatureHeader({ "x-hub-signature-256": "a" })).toBe("a");
+    expect(getSignatureHeader({ "X-Hub-Signature-256": "b" })).toBe("b");
+    expect(getSignatureHeader(undefined)).toBeNull();
+  });
+});
+
+describe("matchWebhookSignature during an app secret rotation", () => {
+  const organization = (previousExpiresAt) =>
+    new Organization({
+      id: "org-1",
+      whatsapp_app_secret: "new-secret",
+      whatsapp_previous_app_secret: "old-secret",
+      whatsapp_previous_app_secret_expires_at: previousExpiresAt,
+    });
+
+  test("the current secret matches", () => {
+    const secrets = organization(hoursFromNow(1)).getWebhookSecrets();
+    expect(
+      matchWebhookSignature(body, sign("new-secret"), secrets).name
+    ).toBe("current");
+  });
+
+  test("the previous secret matches within the grace window", () => {
+    const secrets = organization(hoursFromNow(1)).getWebhookSecrets();
+    expect(
+      matchWebhookSignature(body, sign("old-secret"), secrets).name
+    ).toBe("previous");
+  });
+
+  test("the previous secret is refused once the window has ended", () => {
+    const secrets = organization(hoursFromNow(-1)).getWebhookSecrets();
+    expect(secrets.map(({ name }) => name)).toEqual(["current"]);
+    expect(
+      matchWebhookSignature(body, sign("old-secret"), secrets)
+    ).toBeNull();
+  });
+
+  test("unknown secrets never match", () => {
+    const secrets = organization(hoursFromNow(1)).getWebhookSecrets();
+    expect(
+      matchWebhookSignature(body, sign("other-secret"), secrets)
+    ).toBeNull();
+  });
+});
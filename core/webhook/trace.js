@@ -0,0 +1,83 @@
+/**
+ * Processing trace of a webhook request
+ *
+ * Collects what was stored for one correlation id (see ./correlation): the
+ * webhook events (replays included, they keep the id of the event they
+ * replay), the incoming messages, the statuses parked for a message row that
+ * did not exist yet, and the current messages / campaign_audience rows the
+ * status events were applied to.
+ */
+
+const WebhookEvent = require("../models/WebhookEvent");
+const IncomingMessage = require("../models/IncomingMessage");
+const PendingMessageStatus = require("../models/PendingMessageStatus");
+const Message = require("../models/Message");
+const CampaignAudience = require("../models/CampaignAudience");
+
+/**
+ * Get the processing trace of a correlation id
+ * Returns null when nothing was stored for it
+ */
+async function getProcessingTrace(correlationId) {
+  const webhookEvents = await WebhookEvent.findByCorrelationId(correlationId);
+  const incomingMessages = await IncomingMessage.findByCorrelationId(
+    correlationId
+  );
+
+  if (webhookEvents.length === 0 && incomingMessages.length === 0) {
+    return null;
+  }
+
+  const pendingStatuses =
+    webhookEvents.length > 0
+      ? await PendingMessageStatus.findByWebhookEventIds(
+          webhookEvents.map((event) => event.id)
+        )
+      : [];
+
+  // Current state of the rows the status events targeted
+  const statusMessageIds = [
+    ...new Set(
+      webhookEvents
+        .filter((event) => event.eventType === "message_status")
+        .map((event) => event.whatsappMessageId)
+    ),
+  ];
+  const messages = [];
+  for (const whatsappMessageId of statusMessageIds) {
+    messages.push({
+      whatsappMessageId: whatsappMessageId,
+      message: await Message.findByWhatsAppId(whatsappMessageId),
+      campaignAudience: await CampaignAudience.findByWhatsAppId(
+        whatsappMessageId
+      ),
+    });
+  }
+
+  const timestamps = webhookEvents
+    .map((event) => event.createdAt)
+    .filter(Boolean)
+    .map((createdAt) => new Date(createdAt).getTime());
+
+  return {
+    correlationId: correlationId,
+    organizationIds: [
+      ...new Set(
+        [...webhookEvents, ...incomingMessages]
+          .map((row) => row.organizationId)
+          .filter(Boolean)
+      ),
+    ],
+    firstSeenAt:
+      timestamps.length > 0 ? new Date(Math.min(...timestamps)) : null,
+    lastSeenAt: timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null,
+    webhookEvents: webhookEvents,
+    incomingMessages: incomingMessages,
+    pendingStatuses: pendingStatuses,
+    messages: messages,
+  };
+}
+
+module.exports = {
+  getProcessingTrace,
+};
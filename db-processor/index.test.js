@@ -0,0 +1,151 @@
+jest.mock("../core/db/connection", () => {
+  const query = jest.fn();
+  return { query, connect: async () => ({ query, release() {} }) };
+});
+
+const pool = require("../core/db/connection");
+const Organization = require("../core/models/Organization");
+const { handler } = require("./index");
+
+const organization = new Organization({ id: "org-1", name: "Org" });
+
+const webhookPayload = {
+  entry: [
+    {
+      id: "waba-1",
+      changes: [
+        {
+          field: "messages",
+          value: {
+            metadata: { phone_number_id: "PN-1" },
+            messages: [
+              {
+                id: "wamid.IN",
+                from: "15551234567",
+                timestamp: "1700000000",
+                type: "text",
+                text: { body: "hello" },
+              },
+            ],
+          },
+        },
+      ],
+    },
+  ],
+};
+
+/**
+ * An SQS record as sent by the webhook receiver
+ */
+const queueRecord = (overrides = {}) => ({
+  messageId: "sqs-1",
+  body: JSON.stringify({ webhookPayload, correlationId: "corr-body" }),
+  messageAttributes: {
+    correlationId: { stringValue: "corr-1", dataType: "String" },
+  },
+  ...overrides,
+});
+
+function fakeQuery(query, params) {
+  if (/INSERT INTO webhook_events/.test(query)) {
+    return { rows: [{ id: "ev-1" }] };
+  }
+  if (/INSERT INTO contacts/.test(query)) {
+    return { rows: [{ id: "c-1", wa_id: params[1] }] };
+  }
+  if (/INSERT INTO incoming_messages/.test(query)) {
+    return { rows: [{ id: "im-1", timestamp: new Date() }] };
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+/**
+ * The parameters of the inserts into a table
+ */
+const insertParams = (table) =>
+  pool.query.mock.calls
+    .filter(([query]) => new RegExp(`INSERT INTO ${table}\\b`).test(query))
+    .map(([, params]) => params);
+
+/**
+ * The structured entries logged with console.log
+ */
+const loggedEntries = () =>
+  console.log.mock.calls.map(([line]) => JSON.parse(line));
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  pool.query.mockReset();
+  pool.query.mockImplementation(async (query, params) =>
+    fakeQuery(query, params)
+  );
+  jest
+    .spyOn(Organization, "resolveFromWebhook")
+    .mockResolvedValue(organization);
+});
+
+describe("correlation ids", () => {
+  test("the queued id is stamped on the stored rows", async () => {
+    const result = await handler({ Records: [queueRecord()] });
+
+    expect(result).toMatchObject({ successfulRecords: 1 });
+    expect(result.results[0].correlationId).toBe("corr-1");
+    const [event] = insertParams("webhook_events");
+    expect(event).toContain("corr-1");
+    const [incoming] = insertParams("incoming_messages");
+    // correlation_id is the 25th column of the insert
+    expect(incoming[24]).toBe("corr-1");
+  });
+
+  test("every entry logged for the record carries the id", async () => {
+    await handler({ Records: [queueRecord()] });
+
+    const entries = loggedEntries().filter(
+      (entry) =>
+        entry.message !== "Received SQS event" &&
+        entry.message !== "Processing completed"
+    );
+    expect(entries.length).toBeGreaterThan(0);
+    for (const entry of entries) {
+      expect(entry.correlationId).toBe("corr-1");
+    }
+    // Entries logged once the event is stored also carry its id
+    expect(
+      entries.find(
+        (entry) => entry.message === "Stored incoming message record"
+      )
+    ).toMatchObject({ organizationId: "org-1", webhookEventId: "ev-1" });
+  });
+
+  test("messages queued without the attribute use the body", async () => {
+    const result = await handler({
+      Records: [queueRecord({ messageAttributes: {} })],
+    });
+
+    expect(result.results[0].correlationId).toBe("corr-body");
+    expect(insertParams("incoming_messages")[0][24]).toBe("corr-body");
+  });
+
+  test("records of different requests keep their own ids", async () => {
+    await handler({
+      Records: [
+        queueRecord(),
+        queueRecord({
+          messageId: "sqs-2",
+          messageAttributes: { correlationId: { stringValue: "corr-2" } },
+        }),
+      ],
+    });
+
+    expect(insertParams("incoming_messages").map((p) => p[24])).toEqual([
+      "corr-1",
+      "corr-2",
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+-- Migration script for template status, phone number quality and account updates
+-- Run this if you already have a database with the old schema
+
+-- New webhook event types
+-- (ALTER TYPE ... ADD VALUE cannot run inside a transaction block before PostgreSQL 12)
+ALTER TYPE webhook_event_type ADD VALUE IF NOT EXISTS 'template_status_update';
+ALTER TYPE webhook_event_type ADD VALUE IF NOT EXISTS 'template_quality_update';
+ALTER TYPE webhook_event_type ADD VALUE IF NOT EXISTS 'phone_number_quality_update';
+ALTER TYPE webhook_event_type ADD VALUE IF NOT EXISTS 'account_update';
+
+-- Current status and quality of each WhatsApp template (per organization)
+CREATE TABLE IF NOT EXISTS whatsapp_template_statuses (
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  whatsapp_template_id VARCHAR(255) NOT NULL, -- Meta message_template_id
+  template_name VARCHAR(255),
+  template_language VARCHAR(20),
+  status VARCHAR(50), -- APPROVED, REJECTED, PAUSED, DISABLED, PENDING_DELETION, ...
+  quality_score VARCHAR(20), -- GREEN, YELLOW, RED, UNKNOWN
+  reason TEXT,
+  status_updated_at TIMESTAMP WITH TIME ZONE,
+  quality_updated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (organization_id, whatsapp_template_id)
+);
+
+-- Template status and quality history
+CREATE TABLE IF NOT EXISTS template_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  whatsapp_template_id VARCHAR(255) NOT NULL,
+  template_name VARCHAR(255),
+  template_language VARCHAR(20),
+  event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('status', 'quality')),
+  status VARCHAR(50),
+  previous_quality_score VARCHAR(20),
+  quality_score VARCHAR(20),
+  reason TEXT,
+  event_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+  raw_payload JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Phone number quality rating and messaging limit history
+CREATE TABLE IF NOT EXISTS phone_number_quality_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  display_phone_number VARCHAR(20),
+  event VARCHAR(50) NOT NULL, -- FLAGGED, UNFLAGGED, UPGRADE, DOWNGRADE, ONBOARDING
+  current_limit VARCHAR(50), -- e.g. TIER_1K
+  old_limit VARCHAR(50),
+  max_daily_conversations_per_business VARCHAR(50),
+  event_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+  raw_payload JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- WhatsApp Business Account events (verification, bans, violations, restrictions)
+CREATE TABLE IF NOT EXISTS account_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  phone_number VARCHAR(20),
+  event VARCHAR(50) NOT NULL, -- VERIFIED_ACCOUNT, DISABLED_UPDATE, ACCOUNT_VIOLATION, ...
+  details JSONB, -- ban_info, violation_info, restriction_info
+  event_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+  raw_payload JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Template and account event indexes
+CREATE INDEX IF NOT EXISTS idx_whatsapp_template_statuses_name ON whatsapp_template_statuses(organization_id, template_name);
+CREATE INDEX IF NOT EXISTS idx_template_status_history_template ON template_status_history(organization_id, whatsapp_template_id);
+CREATE INDEX IF NOT EXISTS idx_template_status_history_timestamp ON template_status_history(event_timestamp);
+CREATE INDEX IF NOT EXISTS idx_phone_number_quality_history_organization_id ON phone_number_quality_history(organization_id, event_timestamp);
+CREATE INDEX IF NOT EXISTS idx_account_events_organization_id ON account_events(organization_id, event_timestamp);
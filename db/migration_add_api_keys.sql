@@ -0,0 +1,27 @@
+-- Migration script for the read API keys
+-- Run this if you already have a database with the old schema
+
+-- Per-organization keys of the read API (core/api); only the SHA-256 of a
+-- key is stored, key_prefix identifies it in listings
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  last_used_at TIMESTAMP WITH TIME ZONE, -- Updated at most once a minute
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_organization_id ON api_keys(organization_id);
+-- Read API pages sort by the timestamp truncated to milliseconds (the
+-- precision of a cursor, see core/utils/cursors.js)
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_org_timeline ON incoming_messages(organization_id, (date_trunc('milliseconds', timestamp AT TIME ZONE 'UTC')) DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_org_created ON webhook_events(organization_id, (date_trunc('milliseconds', created_at AT TIME ZONE 'UTC')) DESC, id DESC);
+
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON api_keys;
+CREATE TRIGGER update_api_keys_updated_at BEFORE UPDATE ON api_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
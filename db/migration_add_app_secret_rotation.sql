@@ -0,0 +1,19 @@
+-- Migration script for app secret rotation with a grace window
+-- Run this if you already have a database with the old schema
+
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS whatsapp_previous_app_secret TEXT;
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS whatsapp_previous_app_secret_expires_at TIMESTAMP WITH TIME ZONE;
+
+-- Which app secret validated each signed webhook request (NULL secret: none did)
+CREATE TABLE IF NOT EXISTS webhook_signature_audit (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  correlation_id VARCHAR(128),
+  secret VARCHAR(20) CHECK (secret IN ('current', 'previous', 'default')),
+  verified BOOLEAN NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_signature_audit_organization_id ON webhook_signature_audit(organization_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_organizations_previous_app_secret_expires_at ON organizations(whatsapp_previous_app_secret_expires_at)
+  WHERE whatsapp_previous_app_secret_expires_at IS NOT NULL;
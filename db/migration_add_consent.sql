@@ -0,0 +1,39 @@
+-- Migration script for opt-out and consent management
+-- Run this if you already have a database with the old schema
+
+-- Numbers that opted out of an organization's messages (digits only)
+CREATE TABLE IF NOT EXISTS opt_outs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  msisdn VARCHAR(20) NOT NULL,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('keyword', 'status_error', 'manual')),
+  keyword VARCHAR(100), -- Keyword the customer replied with
+  error_code VARCHAR(20), -- Status error code that opted the number out (e.g. 131050)
+  whatsapp_message_id VARCHAR(255), -- Incoming message or failed message that caused it
+  opted_out_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (organization_id, msisdn)
+);
+
+-- Every opt-out and opt-in with its source
+CREATE TABLE IF NOT EXISTS consent_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  msisdn VARCHAR(20) NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('opt_out', 'opt_in')),
+  source VARCHAR(20) NOT NULL CHECK (source IN ('keyword', 'status_error', 'manual')),
+  keyword VARCHAR(100),
+  error_code VARCHAR(20),
+  whatsapp_message_id VARCHAR(255),
+  webhook_event_id UUID REFERENCES webhook_events(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_history_msisdn ON consent_history(organization_id, msisdn, created_at);
+
+-- Pending campaign_audience rows of opted-out numbers are flagged and not sent
+DO $$
+BEGIN
+    IF to_regclass('campaign_audience') IS NOT NULL THEN
+        ALTER TABLE campaign_audience ADD COLUMN IF NOT EXISTS opted_out_at TIMESTAMP WITH TIME ZONE;
+    END IF;
+END $$;
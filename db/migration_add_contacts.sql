@@ -0,0 +1,114 @@
+-- Migration script for contacts
+-- Run this if you already have a database with the old schema
+
+-- Customers of each organization, upserted from every incoming message and
+-- status (wa_id: phone number, digits only)
+CREATE TABLE IF NOT EXISTS contacts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  wa_id VARCHAR(20) NOT NULL,
+  profile_name VARCHAR(255), -- Latest WhatsApp profile name (history in contact_profile_names)
+  first_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_inbound_at TIMESTAMP WITH TIME ZONE,
+  last_outbound_at TIMESTAMP WITH TIME ZONE,
+  inbound_count INTEGER DEFAULT 0, -- Incoming messages
+  outbound_count INTEGER DEFAULT 0, -- Messages sent to the contact (from "sent" statuses)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (organization_id, wa_id)
+);
+
+-- Profile names each contact has used
+CREATE TABLE IF NOT EXISTS contact_profile_names (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  profile_name VARCHAR(255) NOT NULL,
+  first_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  UNIQUE (contact_id, profile_name)
+);
+
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL;
+ALTER TABLE pending_message_statuses ADD COLUMN IF NOT EXISTS contact_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_last_seen ON contacts(organization_id, last_seen_at);
+CREATE INDEX IF NOT EXISTS idx_contacts_wa_id ON contacts(wa_id);
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_contact_id ON incoming_messages(contact_id);
+CREATE INDEX IF NOT EXISTS idx_messages_contact_id ON messages(contact_id);
+
+-- campaign_audience rows are looked up by number in any format (contacts,
+-- opt-outs): index the digits-only form the lookups match on
+DO $$
+BEGIN
+    IF to_regclass('campaign_audience') IS NOT NULL THEN
+        CREATE INDEX IF NOT EXISTS idx_campaign_audience_msisdn_digits
+            ON campaign_audience(organization_id, regexp_replace(msisdn, '\D', '', 'g'));
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_contacts_updated_at ON contacts;
+CREATE TRIGGER update_contacts_updated_at BEFORE UPDATE ON contacts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create the contacts of the stored incoming messages
+INSERT INTO contacts (
+  organization_id, wa_id, first_seen_at, last_seen_at, last_inbound_at, inbound_count
+)
+SELECT organization_id, regexp_replace(from_phone_number, '\D', '', 'g'),
+  MIN(timestamp), MAX(timestamp), MAX(timestamp), COUNT(*)
+FROM incoming_messages
+WHERE organization_id IS NOT NULL
+GROUP BY 1, 2
+ON CONFLICT (organization_id, wa_id) DO NOTHING;
+
+-- ... and of the stored outgoing messages
+INSERT INTO contacts (
+  organization_id, wa_id, first_seen_at, last_seen_at, last_outbound_at, outbound_count
+)
+SELECT organization_id, regexp_replace(to_number, '\D', '', 'g'),
+  MIN(COALESCE(sent_at, created_at)), MAX(COALESCE(sent_at, created_at)), MAX(sent_at), COUNT(sent_at)
+FROM messages
+WHERE is_incoming = false
+GROUP BY 1, 2
+ON CONFLICT (organization_id, wa_id) DO UPDATE SET
+  first_seen_at = LEAST(contacts.first_seen_at, EXCLUDED.first_seen_at),
+  last_seen_at = GREATEST(contacts.last_seen_at, EXCLUDED.last_seen_at),
+  last_outbound_at = GREATEST(contacts.last_outbound_at, EXCLUDED.last_outbound_at),
+  outbound_count = contacts.outbound_count + EXCLUDED.outbound_count;
+
+-- Latest profile names from the stored webhook payloads
+UPDATE contacts c
+SET profile_name = n.profile_name
+FROM (
+  SELECT DISTINCT ON (we.organization_id, contact->>'wa_id')
+    we.organization_id, contact->>'wa_id' AS wa_id, contact->'profile'->>'name' AS profile_name
+  FROM webhook_events we, jsonb_array_elements(we.raw_payload->'value'->'contacts') AS contact
+  WHERE we.event_type = 'message_received'
+  AND jsonb_typeof(we.raw_payload->'value'->'contacts') = 'array'
+  AND contact->'profile'->>'name' IS NOT NULL
+  ORDER BY we.organization_id, contact->>'wa_id', we.timestamp DESC
+) n
+WHERE c.organization_id = n.organization_id AND c.wa_id = n.wa_id AND c.profile_name IS NULL;
+
+INSERT INTO contact_profile_names (contact_id, profile_name, first_seen_at, last_seen_at)
+SELECT id, profile_name, last_seen_at, last_seen_at
+FROM contacts
+WHERE profile_name IS NOT NULL
+ON CONFLICT (contact_id, profile_name) DO NOTHING;
+
+-- Link the stored messages to their contacts
+UPDATE incoming_messages im
+SET contact_id = c.id
+FROM contacts c
+WHERE im.contact_id IS NULL
+AND c.organization_id = im.organization_id
+AND c.wa_id = regexp_replace(im.from_phone_number, '\D', '', 'g');
+
+UPDATE messages m
+SET contact_id = c.id
+FROM contacts c
+WHERE m.contact_id IS NULL
+AND c.organization_id = m.organization_id
+AND c.wa_id = regexp_replace(CASE WHEN m.is_incoming THEN m.from_number ELSE m.to_number END, '\D', '', 'g');
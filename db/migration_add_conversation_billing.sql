@@ -0,0 +1,52 @@
+-- Migration script for pricing and conversation billing capture
+-- Run this if you already have a database with the old schema
+
+-- Pricing and conversation data per message (from status webhooks)
+CREATE TABLE IF NOT EXISTS message_pricing (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  whatsapp_message_id VARCHAR(255) UNIQUE NOT NULL,
+  campaign_id UUID, -- Campaign the message belonged to, if any
+  conversation_id VARCHAR(255), -- Meta conversation the message was billed in
+  conversation_origin_type VARCHAR(50), -- marketing, utility, authentication, service, ...
+  conversation_expires_at TIMESTAMP WITH TIME ZONE,
+  billable BOOLEAN,
+  pricing_model VARCHAR(20), -- CBP, PMP
+  pricing_category VARCHAR(50) NOT NULL,
+  recorded_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Timestamp of the status that carried the pricing
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Meta conversations (one row per conversation id)
+CREATE TABLE IF NOT EXISTS whatsapp_conversations (
+  conversation_id VARCHAR(255) PRIMARY KEY,
+  organization_id UUID NOT NULL,
+  campaign_id UUID, -- Campaign of the message that opened the conversation
+  origin_type VARCHAR(50),
+  pricing_category VARCHAR(50) NOT NULL,
+  pricing_model VARCHAR(20),
+  billable BOOLEAN,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Daily conversation cost ledger for reconciling Meta invoices
+CREATE TABLE IF NOT EXISTS conversation_cost_ledger (
+  organization_id UUID NOT NULL,
+  pricing_category VARCHAR(50) NOT NULL,
+  ledger_date DATE NOT NULL, -- UTC day
+  conversation_count INTEGER DEFAULT 0,
+  billable_conversation_count INTEGER DEFAULT 0,
+  message_count INTEGER DEFAULT 0,
+  billable_message_count INTEGER DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (organization_id, pricing_category, ledger_date)
+);
+
+-- Billing indexes
+CREATE INDEX IF NOT EXISTS idx_message_pricing_organization_id ON message_pricing(organization_id);
+CREATE INDEX IF NOT EXISTS idx_message_pricing_campaign_id ON message_pricing(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_message_pricing_conversation_id ON message_pricing(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_conversations_organization_id ON whatsapp_conversations(organization_id);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_conversations_campaign_id ON whatsapp_conversations(campaign_id);
@@ -0,0 +1,8 @@
+-- Migration script for end-to-end correlation ids
+-- Run this if you already have a database with the old schema
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS correlation_id VARCHAR(128);
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS correlation_id VARCHAR(128);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_correlation_id ON webhook_events(correlation_id) WHERE correlation_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_correlation_id ON incoming_messages(correlation_id) WHERE correlation_id IS NOT NULL;
@@ -0,0 +1,16 @@
+-- Migration script for structured inbound message types
+-- Run this if you already have a database with the old schema
+
+-- Type-specific structured data for incoming messages
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS reaction_emoji VARCHAR(32);
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS reaction_message_id VARCHAR(255);
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS referral_data JSONB;
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS order_data JSONB;
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS message_data JSONB;
+
+-- Reactions linked back to the reacted message
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS reaction_emoji VARCHAR(32);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS reacted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_reaction_message_id ON incoming_messages(reaction_message_id);
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_referral_source ON incoming_messages(organization_id, (referral_data->>'source_id'));
@@ -0,0 +1,21 @@
+-- Migration script for the inbound media download pipeline
+-- Run this if you already have a database with the old schema
+
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS media_id VARCHAR(255);
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS media_sha256 VARCHAR(128);
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS media_status VARCHAR(20)
+  CHECK (media_status IN ('pending', 'downloading', 'downloaded', 'failed'));
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS media_storage_key TEXT;
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS media_attempts INTEGER DEFAULT 0;
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS media_error TEXT;
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS media_claimed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS media_downloaded_at TIMESTAMP WITH TIME ZONE;
+
+-- Queue media already received: media_url still holds the Graph media id
+-- (media older than 30 days has expired on WhatsApp and will end up failed)
+UPDATE incoming_messages
+SET media_id = media_url, media_status = 'pending'
+WHERE media_url IS NOT NULL AND media_id IS NULL AND media_url NOT LIKE '%://%';
+
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_media_pending ON incoming_messages(timestamp)
+  WHERE media_status IN ('pending', 'downloading');
@@ -0,0 +1,54 @@
+-- Migration script for several phone numbers and business accounts per organization
+-- Run this if you already have a database with the old schema
+
+-- Phone numbers of each organization (several numbers, possibly under several
+-- business accounts); webhooks resolve the organization by any active number
+CREATE TABLE IF NOT EXISTS organization_phone_numbers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  phone_number_id VARCHAR(255) NOT NULL UNIQUE, -- WhatsApp Phone Number ID
+  display_phone_number VARCHAR(50),
+  whatsapp_business_account_id VARCHAR(255), -- Business account the number belongs to
+  label VARCHAR(255),
+  status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_phone_numbers_organization_id ON organization_phone_numbers(organization_id);
+CREATE INDEX IF NOT EXISTS idx_organization_phone_numbers_business_account_id
+  ON organization_phone_numbers(whatsapp_business_account_id) WHERE whatsapp_business_account_id IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_organization_phone_numbers_updated_at ON organization_phone_numbers;
+CREATE TRIGGER update_organization_phone_numbers_updated_at BEFORE UPDATE ON organization_phone_numbers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Register the number each organization is configured with
+INSERT INTO organization_phone_numbers (
+  organization_id, phone_number_id, whatsapp_business_account_id, label
+)
+SELECT id, whatsapp_phone_number_id, whatsapp_business_account_id, 'primary'
+FROM organizations
+WHERE whatsapp_phone_number_id IS NOT NULL
+ON CONFLICT (phone_number_id) DO NOTHING;
+
+-- Per-number attribution
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS whatsapp_phone_number_id VARCHAR(255);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS whatsapp_phone_number_id VARCHAR(255);
+ALTER TABLE incoming_messages ADD COLUMN IF NOT EXISTS whatsapp_phone_number_id VARCHAR(255);
+ALTER TABLE pending_message_statuses ADD COLUMN IF NOT EXISTS whatsapp_phone_number_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_messages_phone_number_id ON messages(organization_id, whatsapp_phone_number_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_phone_number_id ON webhook_events(organization_id, whatsapp_phone_number_id);
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_phone_number_id ON incoming_messages(organization_id, whatsapp_phone_number_id);
+
+-- Attribute the stored incoming messages and events from their payloads
+UPDATE incoming_messages
+SET whatsapp_phone_number_id = raw_payload->'value'->'metadata'->>'phone_number_id'
+WHERE whatsapp_phone_number_id IS NULL
+AND raw_payload->'value'->'metadata'->>'phone_number_id' IS NOT NULL;
+
+UPDATE webhook_events
+SET whatsapp_phone_number_id = raw_payload->'value'->'metadata'->>'phone_number_id'
+WHERE whatsapp_phone_number_id IS NULL
+AND raw_payload->'value'->'metadata'->>'phone_number_id' IS NOT NULL;
@@ -0,0 +1,53 @@
+-- Migration script for outbound webhooks to the main server
+-- Run this if you already have a database with the old schema
+
+-- Outbound webhook subscriptions (per organization)
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL, -- HMAC key for X-Webhook-Signature-256
+  event_types TEXT[], -- e.g. {message.received,message.status}; NULL = all events
+  is_active BOOLEAN DEFAULT true,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbound webhook delivery log (inspect and replay failures)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  organization_id UUID NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'retrying', 'delivered', 'failed')),
+  attempts INTEGER DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT,
+  error_message TEXT,
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP, -- When the retry job sends it again
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbound webhook indexes
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_organization_id ON webhook_subscriptions(organization_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription_id ON webhook_deliveries(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_organization_id ON webhook_deliveries(organization_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at ON webhook_deliveries(created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at)
+  WHERE status IN ('pending', 'retrying');
+
+DROP TRIGGER IF EXISTS update_webhook_subscriptions_updated_at ON webhook_subscriptions;
+CREATE TRIGGER update_webhook_subscriptions_updated_at BEFORE UPDATE ON webhook_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Example subscription (replace with your main server endpoint and a random secret)
+/*
+INSERT INTO webhook_subscriptions (organization_id, url, secret, event_types)
+SELECT id, 'https://main-server.example.com/whatsapp/events', 'change_me', ARRAY['message.received', 'message.status']
+FROM organizations WHERE name = 'Default Organization';
+*/
@@ -0,0 +1,58 @@
+-- Migration script for parking status events that arrive before their message row
+-- Run this if you already have a database with the old schema
+
+-- Status events that matched no messages/campaign_audience row yet (the sender
+-- may write the row after Meta reported "sent"); re-applied when the row appears
+CREATE TABLE IF NOT EXISTS pending_message_statuses (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  webhook_event_id UUID REFERENCES webhook_events(id) ON DELETE SET NULL,
+  whatsapp_message_id VARCHAR(255) NOT NULL,
+  status VARCHAR(50) NOT NULL, -- sent, delivered, read, failed
+  status_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+  raw_status JSONB NOT NULL, -- statuses[] entry as received (errors, pricing, conversation)
+  resolution VARCHAR(20) DEFAULT 'pending' CHECK (resolution IN ('pending', 'applied', 'expired')),
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (whatsapp_message_id, status)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_message_statuses_due ON pending_message_statuses(next_attempt_at)
+  WHERE resolution = 'pending';
+
+-- Make parked statuses due as soon as the message row they refer to is written
+-- in messages or campaign_audience
+CREATE OR REPLACE FUNCTION wake_pending_message_statuses()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.whatsapp_message_id IS NOT NULL THEN
+        UPDATE pending_message_statuses
+        SET next_attempt_at = CURRENT_TIMESTAMP
+        WHERE whatsapp_message_id = NEW.whatsapp_message_id
+        AND resolution = 'pending';
+
+        IF FOUND THEN
+            PERFORM pg_notify('pending_message_statuses', NEW.whatsapp_message_id);
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS wake_pending_statuses_on_messages ON messages;
+CREATE TRIGGER wake_pending_statuses_on_messages AFTER INSERT OR UPDATE OF whatsapp_message_id ON messages
+    FOR EACH ROW EXECUTE FUNCTION wake_pending_message_statuses();
+
+-- campaign_audience is created by the main system; attach the trigger when it exists
+DO $$
+BEGIN
+    IF to_regclass('campaign_audience') IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'wake_pending_statuses_on_campaign_audience') THEN
+        CREATE TRIGGER wake_pending_statuses_on_campaign_audience
+            AFTER INSERT OR UPDATE OF whatsapp_message_id ON campaign_audience
+            FOR EACH ROW EXECUTE FUNCTION wake_pending_message_statuses();
+    END IF;
+END $$;
@@ -0,0 +1,44 @@
+-- Migration script for customer service window tracking
+-- Run this if you already have a database with the old schema
+
+-- Customer service window per (organization, business number, customer):
+-- free-form messages may be sent until 24 hours after the last inbound message
+CREATE TABLE IF NOT EXISTS service_windows (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  whatsapp_phone_number_id VARCHAR(255) NOT NULL,
+  customer_msisdn VARCHAR(20) NOT NULL,
+  last_inbound_message_id VARCHAR(255),
+  last_inbound_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  opened_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Start of the current window (first inbound message after the last one expired)
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'expired')), -- Set to expired by the sweep
+  expired_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (organization_id, whatsapp_phone_number_id, customer_msisdn)
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_windows_open ON service_windows(expires_at) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_service_windows_organization_id ON service_windows(organization_id, expires_at);
+
+DROP TRIGGER IF EXISTS update_service_windows_updated_at ON service_windows;
+CREATE TRIGGER update_service_windows_updated_at BEFORE UPDATE ON service_windows
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Open the windows of the last 24 hours of inbound messages (needs the
+-- whatsapp_phone_number_id of migration_add_organization_phone_numbers.sql)
+INSERT INTO service_windows (
+  organization_id, whatsapp_phone_number_id, customer_msisdn,
+  last_inbound_message_id, last_inbound_at, opened_at, expires_at, status
+)
+SELECT DISTINCT ON (organization_id, whatsapp_phone_number_id, from_phone_number)
+  organization_id, whatsapp_phone_number_id, from_phone_number,
+  whatsapp_message_id, timestamp, timestamp, timestamp + INTERVAL '24 hours', 'open'
+FROM incoming_messages
+WHERE organization_id IS NOT NULL
+AND whatsapp_phone_number_id IS NOT NULL
+AND message_type <> 'system'
+AND timestamp > CURRENT_TIMESTAMP - INTERVAL '24 hours'
+ORDER BY organization_id, whatsapp_phone_number_id, from_phone_number, timestamp DESC
+ON CONFLICT (organization_id, whatsapp_phone_number_id, customer_msisdn) DO NOTHING;
@@ -0,0 +1,7 @@
+-- Migration script for idempotent webhook processing
+-- Run this if you already have a database with the old schema
+
+-- Events stored before this migration keep a NULL fingerprint
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_fingerprint ON webhook_events(fingerprint);
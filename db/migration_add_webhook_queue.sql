@@ -0,0 +1,17 @@
+-- Migration script for the Postgres queue transport (QUEUE_TRANSPORT=postgres)
+-- Only needed when running the receiver/processor split without SQS
+
+CREATE TABLE IF NOT EXISTS webhook_queue (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  body TEXT NOT NULL,
+  attributes JSONB,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'dead')),
+  receive_count INTEGER DEFAULT 0,
+  visible_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  error_message TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Workers poll pending rows that are visible, oldest first
+CREATE INDEX IF NOT EXISTS idx_webhook_queue_pending
+  ON webhook_queue(visible_at, created_at) WHERE status = 'pending';
@@ -0,0 +1,10 @@
+-- Migration script for replaying stored webhook events
+-- Run this if you already have a database with the old schema
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS replay_of UUID REFERENCES webhook_events(id) ON DELETE SET NULL;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS replay_count INTEGER DEFAULT 0;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS replayed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS last_replay_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_failed ON webhook_events(timestamp) WHERE error_message IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_webhook_events_replay_of ON webhook_events(replay_of) WHERE replay_of IS NOT NULL;
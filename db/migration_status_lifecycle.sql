@@ -0,0 +1,22 @@
+-- Migration script for the message status lifecycle
+-- Run this if you already have a database with the old schema
+
+-- Outcome of status events that were rejected by the lifecycle
+-- (e.g. a "delivered" receipt arriving after "read")
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS status_transition JSONB;
+
+-- Backfill timestamps implied by the current status so rows updated out of
+-- order before the lifecycle existed are consistent
+UPDATE messages
+SET
+  sent_at = COALESCE(sent_at, delivered_at, read_at),
+  delivered_at = COALESCE(delivered_at, read_at)
+WHERE message_status IN ('delivered', 'read')
+  AND (sent_at IS NULL OR (message_status = 'read' AND delivered_at IS NULL));
+
+UPDATE campaign_audience
+SET
+  sent_at = COALESCE(sent_at, delivered_at, read_at),
+  delivered_at = COALESCE(delivered_at, read_at)
+WHERE message_status IN ('delivered', 'read')
+  AND (sent_at IS NULL OR (message_status = 'read' AND delivered_at IS NULL));
@@ -4,7 +4,9 @@
 -- Create additional enum types for webhook handling
 CREATE TYPE webhook_event_type AS ENUM (
   'message_status', 'delivery_receipt', 'read_receipt',
-  'message_received', 'user_status', 'error', 'interactive_response'
+  'message_received', 'user_status', 'error', 'interactive_response',
+  'template_status_update', 'template_quality_update',
+  'phone_number_quality_update', 'account_update'
 );
 
 -- Function to automatically update updated_at column
@@ -24,6 +26,7 @@ CREATE TABLE IF NOT EXISTS organizations (
   status VARCHAR(50) DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'suspended')),
 
   -- WhatsApp Business API configuration
+  -- (access token and app secret are stored encrypted, see core/secrets)
   whatsapp_business_account_id VARCHAR(255),
   whatsapp_access_token TEXT,
   whatsapp_phone_number_id VARCHAR(255),
@@ -31,12 +34,57 @@ CREATE TABLE IF NOT EXISTS organizations (
   whatsapp_webhook_url TEXT,
   whatsapp_app_id VARCHAR(255),
   whatsapp_app_secret TEXT,
+  -- Secret replaced by the last rotation, still accepted until it expires
+  whatsapp_previous_app_secret TEXT,
+  whatsapp_previous_app_secret_expires_at TIMESTAMP WITH TIME ZONE,
 
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   created_by UUID
 );
 
+-- Phone numbers of each organization (several numbers, possibly under several
+-- business accounts); webhooks resolve the organization by any active number
+CREATE TABLE IF NOT EXISTS organization_phone_numbers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  phone_number_id VARCHAR(255) NOT NULL UNIQUE, -- WhatsApp Phone Number ID
+  display_phone_number VARCHAR(50),
+  whatsapp_business_account_id VARCHAR(255), -- Business account the number belongs to
+  label VARCHAR(255),
+  status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customers of each organization, upserted from every incoming message and
+-- status (wa_id: phone number, digits only)
+CREATE TABLE IF NOT EXISTS contacts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  wa_id VARCHAR(20) NOT NULL,
+  profile_name VARCHAR(255), -- Latest WhatsApp profile name (history in contact_profile_names)
+  first_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_inbound_at TIMESTAMP WITH TIME ZONE,
+  last_outbound_at TIMESTAMP WITH TIME ZONE,
+  inbound_count INTEGER DEFAULT 0, -- Incoming messages
+  outbound_count INTEGER DEFAULT 0, -- Messages sent to the contact (from "sent" statuses)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (organization_id, wa_id)
+);
+
+-- Profile names each contact has used
+CREATE TABLE IF NOT EXISTS contact_profile_names (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  profile_name VARCHAR(255) NOT NULL,
+  first_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  UNIQUE (contact_id, profile_name)
+);
+
 -- Webhook events table for tracking all webhook events
 CREATE TABLE IF NOT EXISTS webhook_events (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -57,6 +105,23 @@ CREATE TABLE IF NOT EXISTS webhook_events (
   interactive_type VARCHAR(50), -- button_reply, list_reply, etc.
   interactive_data JSONB, -- Store button/list selection data
 
+  -- Status lifecycle outcome when a status event was not applied (out of order, regression)
+  status_transition JSONB,
+
+  -- Replay bookkeeping (core/webhook/replay.js)
+  replay_of UUID REFERENCES webhook_events(id) ON DELETE SET NULL, -- Event this one was replayed from
+  replay_count INTEGER DEFAULT 0,
+  replayed_at TIMESTAMP WITH TIME ZONE,
+  last_replay_error TEXT,
+
+  -- Delivery fingerprint (core/webhook/fingerprint.js); redeliveries of the same item are not stored again
+  fingerprint VARCHAR(64) UNIQUE,
+
+  -- Correlation id of the webhook request this event came from (core/webhook/correlation.js)
+  correlation_id VARCHAR(128),
+
+  whatsapp_phone_number_id VARCHAR(255), -- Business phone number the event was for (NULL for account-level updates)
+
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -71,6 +136,8 @@ CREATE TABLE IF NOT EXISTS messages (
   -- Message routing
   from_number VARCHAR(20) NOT NULL,
   to_number VARCHAR(20) NOT NULL,
+  whatsapp_phone_number_id VARCHAR(255), -- Business phone number the message was sent from (set from status webhooks if the sender did not)
+  contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL, -- Contact the message was sent to (set from status webhooks if the sender did not)
 
   -- Message content
   message_type VARCHAR(50) DEFAULT 'text', -- text, image, video, audio, document, location, contact, sticker, template, interactive
@@ -94,6 +161,8 @@ CREATE TABLE IF NOT EXISTS messages (
 
   -- Interactive message tracking (for buttons, lists, etc.)
   interaction_data JSONB, -- Store interactive template data and responses
+  reaction_emoji VARCHAR(32), -- Latest reaction of the recipient to this message
+  reacted_at TIMESTAMP WITH TIME ZONE,
 
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
@@ -106,13 +175,23 @@ CREATE TABLE IF NOT EXISTS incoming_messages (
   whatsapp_message_id VARCHAR(255) UNIQUE NOT NULL,
   from_phone_number VARCHAR(20) NOT NULL,
   to_phone_number VARCHAR(20) NOT NULL,
-  message_type VARCHAR(50) NOT NULL, -- text, image, video, audio, document, location, etc.
+  message_type VARCHAR(50) NOT NULL, -- text, image, video, audio, document, sticker, location, contacts, reaction, interactive, button, order, system, unsupported
   content TEXT,
-  media_url TEXT,
+  media_url TEXT, -- Graph media id until downloaded, then the durable URL
   media_type VARCHAR(50),
   media_size INTEGER,
   timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
 
+  -- Inbound media download (media fetcher)
+  media_id VARCHAR(255), -- Graph media id from the webhook
+  media_sha256 VARCHAR(128), -- Checksum from the webhook, replaced by the hex sha256 of the stored file
+  media_status VARCHAR(20) CHECK (media_status IN ('pending', 'downloading', 'downloaded', 'failed')),
+  media_storage_key TEXT, -- Key of the file in the media storage
+  media_attempts INTEGER DEFAULT 0,
+  media_error TEXT,
+  media_claimed_at TIMESTAMP WITH TIME ZONE,
+  media_downloaded_at TIMESTAMP WITH TIME ZONE,
+
   -- Interactive message data
   interactive_type VARCHAR(50), -- button_reply, list_reply, etc.
   interactive_data JSONB, -- Store button/list selection data
@@ -121,9 +200,243 @@ CREATE TABLE IF NOT EXISTS incoming_messages (
   context_message_id VARCHAR(255), -- WhatsApp message ID being replied to
   context_campaign_id UUID, -- Campaign that the original message belonged to
 
+  -- Type-specific structured data
+  reaction_emoji VARCHAR(32), -- Emoji of a reaction (NULL when the reaction was removed)
+  reaction_message_id VARCHAR(255), -- WhatsApp message ID the reaction refers to
+  referral_data JSONB, -- Click-to-WhatsApp ad/post referral (source_type, source_id, ctwa_clid, ...)
+  order_data JSONB, -- Catalog order (catalog_id, product_items, total, ...)
+  message_data JSONB, -- Other structured fields (sticker, system, unsupported errors)
+
   raw_payload JSONB NOT NULL,
   processed BOOLEAN DEFAULT false,
+  correlation_id VARCHAR(128), -- Correlation id of the webhook request the message came in
+  whatsapp_phone_number_id VARCHAR(255), -- Business phone number the message was sent to
+  contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL, -- Contact that sent the message
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbound webhook subscriptions (per organization)
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL, -- HMAC key for X-Webhook-Signature-256
+  event_types TEXT[], -- e.g. {message.received,message.status}; NULL = all events
+  is_active BOOLEAN DEFAULT true,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbound webhook delivery log (inspect and replay failures)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  organization_id UUID NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'retrying', 'delivered', 'failed')),
+  attempts INTEGER DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT,
+  error_message TEXT,
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP, -- When the retry job sends it again
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Pricing and conversation data per message (from status webhooks)
+CREATE TABLE IF NOT EXISTS message_pricing (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  whatsapp_message_id VARCHAR(255) UNIQUE NOT NULL,
+  campaign_id UUID, -- Campaign the message belonged to, if any
+  conversation_id VARCHAR(255), -- Meta conversation the message was billed in
+  conversation_origin_type VARCHAR(50), -- marketing, utility, authentication, service, ...
+  conversation_expires_at TIMESTAMP WITH TIME ZONE,
+  billable BOOLEAN,
+  pricing_model VARCHAR(20), -- CBP, PMP
+  pricing_category VARCHAR(50) NOT NULL,
+  recorded_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Timestamp of the status that carried the pricing
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Meta conversations (one row per conversation id)
+CREATE TABLE IF NOT EXISTS whatsapp_conversations (
+  conversation_id VARCHAR(255) PRIMARY KEY,
+  organization_id UUID NOT NULL,
+  campaign_id UUID, -- Campaign of the message that opened the conversation
+  origin_type VARCHAR(50),
+  pricing_category VARCHAR(50) NOT NULL,
+  pricing_model VARCHAR(20),
+  billable BOOLEAN,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Daily conversation cost ledger for reconciling Meta invoices
+CREATE TABLE IF NOT EXISTS conversation_cost_ledger (
+  organization_id UUID NOT NULL,
+  pricing_category VARCHAR(50) NOT NULL,
+  ledger_date DATE NOT NULL, -- UTC day
+  conversation_count INTEGER DEFAULT 0,
+  billable_conversation_count INTEGER DEFAULT 0,
+  message_count INTEGER DEFAULT 0,
+  billable_message_count INTEGER DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (organization_id, pricing_category, ledger_date)
+);
+
+-- Current status and quality of each WhatsApp template (per organization)
+CREATE TABLE IF NOT EXISTS whatsapp_template_statuses (
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  whatsapp_template_id VARCHAR(255) NOT NULL, -- Meta message_template_id
+  template_name VARCHAR(255),
+  template_language VARCHAR(20),
+  status VARCHAR(50), -- APPROVED, REJECTED, PAUSED, DISABLED, PENDING_DELETION, ...
+  quality_score VARCHAR(20), -- GREEN, YELLOW, RED, UNKNOWN
+  reason TEXT,
+  status_updated_at TIMESTAMP WITH TIME ZONE,
+  quality_updated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (organization_id, whatsapp_template_id)
+);
+
+-- Template status and quality history
+CREATE TABLE IF NOT EXISTS template_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  whatsapp_template_id VARCHAR(255) NOT NULL,
+  template_name VARCHAR(255),
+  template_language VARCHAR(20),
+  event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('status', 'quality')),
+  status VARCHAR(50),
+  previous_quality_score VARCHAR(20),
+  quality_score VARCHAR(20),
+  reason TEXT,
+  event_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+  raw_payload JSONB NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Phone number quality rating and messaging limit history
+CREATE TABLE IF NOT EXISTS phone_number_quality_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  display_phone_number VARCHAR(20),
+  event VARCHAR(50) NOT NULL, -- FLAGGED, UNFLAGGED, UPGRADE, DOWNGRADE, ONBOARDING
+  current_limit VARCHAR(50), -- e.g. TIER_1K
+  old_limit VARCHAR(50),
+  max_daily_conversations_per_business VARCHAR(50),
+  event_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+  raw_payload JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- WhatsApp Business Account events (verification, bans, violations, restrictions)
+CREATE TABLE IF NOT EXISTS account_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  phone_number VARCHAR(20),
+  event VARCHAR(50) NOT NULL, -- VERIFIED_ACCOUNT, DISABLED_UPDATE, ACCOUNT_VIOLATION, ...
+  details JSONB, -- ban_info, violation_info, restriction_info
+  event_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+  raw_payload JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Which app secret validated each signed webhook request (NULL secret: none did)
+CREATE TABLE IF NOT EXISTS webhook_signature_audit (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  correlation_id VARCHAR(128),
+  secret VARCHAR(20) CHECK (secret IN ('current', 'previous', 'default')),
+  verified BOOLEAN NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Status events that matched no messages/campaign_audience row yet (the sender
+-- may write the row after Meta reported "sent"); re-applied when the row appears
+CREATE TABLE IF NOT EXISTS pending_message_statuses (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  webhook_event_id UUID REFERENCES webhook_events(id) ON DELETE SET NULL,
+  whatsapp_message_id VARCHAR(255) NOT NULL,
+  status VARCHAR(50) NOT NULL, -- sent, delivered, read, failed
+  status_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+  raw_status JSONB NOT NULL, -- statuses[] entry as received (errors, pricing, conversation)
+  whatsapp_phone_number_id VARCHAR(255), -- Business phone number of the status webhook
+  contact_id UUID, -- Contact of the status recipient
+  resolution VARCHAR(20) DEFAULT 'pending' CHECK (resolution IN ('pending', 'applied', 'expired')),
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (whatsapp_message_id, status)
+);
+
+-- Numbers that opted out of an organization's messages (digits only)
+CREATE TABLE IF NOT EXISTS opt_outs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  msisdn VARCHAR(20) NOT NULL,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('keyword', 'status_error', 'manual')),
+  keyword VARCHAR(100), -- Keyword the customer replied with
+  error_code VARCHAR(20), -- Status error code that opted the number out (e.g. 131050)
+  whatsapp_message_id VARCHAR(255), -- Incoming message or failed message that caused it
+  opted_out_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (organization_id, msisdn)
+);
+
+-- Every opt-out and opt-in with its source
+CREATE TABLE IF NOT EXISTS consent_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  msisdn VARCHAR(20) NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('opt_out', 'opt_in')),
+  source VARCHAR(20) NOT NULL CHECK (source IN ('keyword', 'status_error', 'manual')),
+  keyword VARCHAR(100),
+  error_code VARCHAR(20),
+  whatsapp_message_id VARCHAR(255),
+  webhook_event_id UUID REFERENCES webhook_events(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer service window per (organization, business number, customer):
+-- free-form messages may be sent until 24 hours after the last inbound message
+CREATE TABLE IF NOT EXISTS service_windows (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  whatsapp_phone_number_id VARCHAR(255) NOT NULL,
+  customer_msisdn VARCHAR(20) NOT NULL,
+  last_inbound_message_id VARCHAR(255),
+  last_inbound_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  opened_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Start of the current window (first inbound message after the last one expired)
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'expired')), -- Set to expired by the sweep
+  expired_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (organization_id, whatsapp_phone_number_id, customer_msisdn)
+);
+
+-- Per-organization keys of the read API (core/api); only the SHA-256 of a
+-- key is stored, key_prefix identifies it in listings
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  last_used_at TIMESTAMP WITH TIME ZONE, -- Updated at most once a minute
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -139,6 +452,11 @@ CREATE UNIQUE INDEX IF NOT EXISTS idx_organizations_phone_number_id
 CREATE UNIQUE INDEX IF NOT EXISTS idx_organizations_webhook_verify_token
   ON organizations(whatsapp_webhook_verify_token) WHERE whatsapp_webhook_verify_token IS NOT NULL;
 
+-- Organization phone numbers indexes
+CREATE INDEX IF NOT EXISTS idx_organization_phone_numbers_organization_id ON organization_phone_numbers(organization_id);
+CREATE INDEX IF NOT EXISTS idx_organization_phone_numbers_business_account_id
+  ON organization_phone_numbers(whatsapp_business_account_id) WHERE whatsapp_business_account_id IS NOT NULL;
+
 -- Messages table indexes
 CREATE INDEX IF NOT EXISTS idx_messages_organization_id ON messages(organization_id);
 CREATE INDEX IF NOT EXISTS idx_messages_campaign_id ON messages(campaign_id);
@@ -151,6 +469,7 @@ CREATE INDEX IF NOT EXISTS idx_messages_is_incoming ON messages(is_incoming);
 CREATE INDEX IF NOT EXISTS idx_messages_template_name ON messages(template_name);
 CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at);
 CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(organization_id, from_number, to_number);
+CREATE INDEX IF NOT EXISTS idx_messages_phone_number_id ON messages(organization_id, whatsapp_phone_number_id);
 
 -- Webhook events table indexes
 CREATE INDEX IF NOT EXISTS idx_webhook_events_organization_id ON webhook_events(organization_id);
@@ -161,6 +480,10 @@ CREATE INDEX IF NOT EXISTS idx_webhook_events_processed ON webhook_events(proces
 CREATE INDEX IF NOT EXISTS idx_webhook_events_timestamp ON webhook_events(timestamp);
 CREATE INDEX IF NOT EXISTS idx_webhook_events_from_phone ON webhook_events(from_phone_number);
 CREATE INDEX IF NOT EXISTS idx_webhook_events_event_type ON webhook_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_failed ON webhook_events(timestamp) WHERE error_message IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_webhook_events_replay_of ON webhook_events(replay_of) WHERE replay_of IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_webhook_events_correlation_id ON webhook_events(correlation_id) WHERE correlation_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_webhook_events_phone_number_id ON webhook_events(organization_id, whatsapp_phone_number_id);
 
 -- Incoming messages table indexes
 CREATE INDEX IF NOT EXISTS idx_incoming_messages_organization_id ON incoming_messages(organization_id);
@@ -170,10 +493,122 @@ CREATE INDEX IF NOT EXISTS idx_incoming_messages_to_phone ON incoming_messages(t
 CREATE INDEX IF NOT EXISTS idx_incoming_messages_processed ON incoming_messages(processed);
 CREATE INDEX IF NOT EXISTS idx_incoming_messages_context_campaign ON incoming_messages(context_campaign_id);
 CREATE INDEX IF NOT EXISTS idx_incoming_messages_timestamp ON incoming_messages(timestamp);
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_reaction_message_id ON incoming_messages(reaction_message_id);
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_correlation_id ON incoming_messages(correlation_id) WHERE correlation_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_phone_number_id ON incoming_messages(organization_id, whatsapp_phone_number_id);
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_referral_source ON incoming_messages(organization_id, (referral_data->>'source_id'));
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_media_pending ON incoming_messages(timestamp)
+  WHERE media_status IN ('pending', 'downloading');
+
+-- Outbound webhook indexes
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_organization_id ON webhook_subscriptions(organization_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription_id ON webhook_deliveries(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_organization_id ON webhook_deliveries(organization_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at ON webhook_deliveries(created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at)
+  WHERE status IN ('pending', 'retrying');
+
+-- Billing indexes
+CREATE INDEX IF NOT EXISTS idx_message_pricing_organization_id ON message_pricing(organization_id);
+CREATE INDEX IF NOT EXISTS idx_message_pricing_campaign_id ON message_pricing(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_message_pricing_conversation_id ON message_pricing(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_conversations_organization_id ON whatsapp_conversations(organization_id);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_conversations_campaign_id ON whatsapp_conversations(campaign_id);
+
+-- Template and account event indexes
+CREATE INDEX IF NOT EXISTS idx_whatsapp_template_statuses_name ON whatsapp_template_statuses(organization_id, template_name);
+CREATE INDEX IF NOT EXISTS idx_template_status_history_template ON template_status_history(organization_id, whatsapp_template_id);
+CREATE INDEX IF NOT EXISTS idx_template_status_history_timestamp ON template_status_history(event_timestamp);
+CREATE INDEX IF NOT EXISTS idx_phone_number_quality_history_organization_id ON phone_number_quality_history(organization_id, event_timestamp);
+CREATE INDEX IF NOT EXISTS idx_account_events_organization_id ON account_events(organization_id, event_timestamp);
+CREATE INDEX IF NOT EXISTS idx_webhook_signature_audit_organization_id ON webhook_signature_audit(organization_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_organizations_previous_app_secret_expires_at ON organizations(whatsapp_previous_app_secret_expires_at)
+  WHERE whatsapp_previous_app_secret_expires_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_pending_message_statuses_due ON pending_message_statuses(next_attempt_at)
+  WHERE resolution = 'pending';
+CREATE INDEX IF NOT EXISTS idx_consent_history_msisdn ON consent_history(organization_id, msisdn, created_at);
+CREATE INDEX IF NOT EXISTS idx_service_windows_open ON service_windows(expires_at) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_service_windows_organization_id ON service_windows(organization_id, expires_at);
+CREATE INDEX IF NOT EXISTS idx_contacts_last_seen ON contacts(organization_id, last_seen_at);
+CREATE INDEX IF NOT EXISTS idx_contacts_wa_id ON contacts(wa_id);
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_contact_id ON incoming_messages(contact_id);
+CREATE INDEX IF NOT EXISTS idx_messages_contact_id ON messages(contact_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_organization_id ON api_keys(organization_id);
+-- Read API pages sort by the timestamp truncated to milliseconds (the
+-- precision of a cursor, see core/utils/cursors.js)
+CREATE INDEX IF NOT EXISTS idx_incoming_messages_org_timeline ON incoming_messages(organization_id, (date_trunc('milliseconds', timestamp AT TIME ZONE 'UTC')) DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_org_created ON webhook_events(organization_id, (date_trunc('milliseconds', created_at AT TIME ZONE 'UTC')) DESC, id DESC);
 
 -- Create triggers for updated_at columns
 CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_organization_phone_numbers_updated_at BEFORE UPDATE ON organization_phone_numbers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_messages_updated_at BEFORE UPDATE ON messages
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_webhook_subscriptions_updated_at BEFORE UPDATE ON webhook_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_service_windows_updated_at BEFORE UPDATE ON service_windows
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_contacts_updated_at BEFORE UPDATE ON contacts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_api_keys_updated_at BEFORE UPDATE ON api_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Make parked statuses due as soon as the message row they refer to is written
+-- in messages or campaign_audience
+CREATE OR REPLACE FUNCTION wake_pending_message_statuses()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.whatsapp_message_id IS NOT NULL THEN
+        UPDATE pending_message_statuses
+        SET next_attempt_at = CURRENT_TIMESTAMP
+        WHERE whatsapp_message_id = NEW.whatsapp_message_id
+        AND resolution = 'pending';
+
+        IF FOUND THEN
+            PERFORM pg_notify('pending_message_statuses', NEW.whatsapp_message_id);
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER wake_pending_statuses_on_messages AFTER INSERT OR UPDATE OF whatsapp_message_id ON messages
+    FOR EACH ROW EXECUTE FUNCTION wake_pending_message_statuses();
+
+-- campaign_audience is created by the main system; attach the trigger when it exists
+DO $$
+BEGIN
+    IF to_regclass('campaign_audience') IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'wake_pending_statuses_on_campaign_audience') THEN
+        CREATE TRIGGER wake_pending_statuses_on_campaign_audience
+            AFTER INSERT OR UPDATE OF whatsapp_message_id ON campaign_audience
+            FOR EACH ROW EXECUTE FUNCTION wake_pending_message_statuses();
+    END IF;
+END $$;
+
+-- Pending campaign_audience rows of opted-out numbers are flagged and not sent
+DO $$
+BEGIN
+    IF to_regclass('campaign_audience') IS NOT NULL THEN
+        ALTER TABLE campaign_audience ADD COLUMN IF NOT EXISTS opted_out_at TIMESTAMP WITH TIME ZONE;
+    END IF;
+END $$;
+
+-- campaign_audience rows are looked up by number in any format (contacts,
+-- opt-outs): index the digits-only form the lookups match on
+DO $$
+BEGIN
+    IF to_regclass('campaign_audience') IS NOT NULL THEN
+        CREATE INDEX IF NOT EXISTS idx_campaign_audience_msisdn_digits
+            ON campaign_audience(organization_id, regexp_replace(msisdn, '\D', '', 'g'));
+    END IF;
+END $$;
@@ -62,6 +62,27 @@ function Test-EnvironmentVariables {
     return $true
 }
 
+# Function to stage a Lambda function with the shared core package
+# (file:../core is installed as a copy so the zip is self-contained)
+function New-StagedFunction {
+    param([string]$Name)
+    
+    if (Test-Path "build/$Name") { Remove-Item "build/$Name" -Recurse -Force }
+    if (Test-Path "build/core") { Remove-Item "build/core" -Recurse -Force }
+    New-Item -ItemType Directory -Path "build" -Force | Out-Null
+    Copy-Item $Name "build/$Name" -Recurse
+    if (Test-Path "build/$Name/node_modules") { Remove-Item "build/$Name/node_modules" -Recurse -Force }
+    # Tests are not shipped (core's are left out by its "files")
+    Get-ChildItem "build/$Name" -Recurse -Filter "*.test.js" | Remove-Item -Force
+    Copy-Item "core" "build/core" -Recurse
+    if (Test-Path "build/core/node_modules") { Remove-Item "build/core/node_modules" -Recurse -Force }
+    
+    Set-Location "build/$Name"
+    npm install --omit=dev --install-links
+    if ($LASTEXITCODE -ne 0) { Set-Location "../.."; throw "npm install failed for $Name" }
+    Set-Location "../.."
+}
+
 # Function to package Lambda functions
 function New-LambdaPackages {
     Write-Status "Packaging Lambda functions..."
@@ -69,25 +90,19 @@ function New-LambdaPackages {
     # Clean previous builds
     if (Test-Path "webhook-receiver-lambda.zip") { Remove-Item "webhook-receiver-lambda.zip" }
     if (Test-Path "db-processor-lambda.zip") { Remove-Item "db-processor-lambda.zip" }
+    if (Test-Path "build") { Remove-Item "build" -Recurse -Force }
     
     # Package webhook receiver
     Write-Status "Packaging webhook receiver..."
-    Set-Location "webhook-receiver"
-    npm install --production
-    if ($LASTEXITCODE -ne 0) { throw "npm install failed for webhook-receiver" }
-    
-    Compress-Archive -Path * -DestinationPath "../webhook-receiver-lambda.zip" -Force
-    Set-Location ".."
+    New-StagedFunction -Name "webhook-receiver"
+    Compress-Archive -Path "build/webhook-receiver/*" -DestinationPath "webhook-receiver-lambda.zip" -Force
     
     # Package DB processor
     Write-Status "Packaging DB processor..."
-    Set-Location "db-processor"
-    npm install --production
-    if ($LASTEXITCODE -ne 0) { throw "npm install failed for db-processor" }
-    
-    Compress-Archive -Path * -DestinationPath "../db-processor-lambda.zip" -Force
-    Set-Location ".."
+    New-StagedFunction -Name "db-processor"
+    Compress-Archive -Path "build/db-processor/*" -DestinationPath "db-processor-lambda.zip" -Force
     
+    Remove-Item "build" -Recurse -Force
     Write-Status "Lambda functions packaged successfully"
 }
 
@@ -56,6 +56,23 @@ check_environment_variables() {
     print_status "All required environment variables are set"
 }
 
+# Function to stage a Lambda function with the shared core package
+# (file:../core is installed as a copy so the zip is self-contained)
+stage_function() {
+    local name=$1
+    
+    rm -rf "build/$name" build/core
+    mkdir -p build
+    cp -r "$name" "build/$name"
+    rm -rf "build/$name/node_modules"
+    # Tests are not shipped (core's are left out by its "files")
+    find "build/$name" -name "*.test.js" -delete
+    cp -r core build/core
+    rm -rf build/core/node_modules
+    
+    (cd "build/$name" && npm install --omit=dev --install-links)
+}
+
 # Function to package Lambda functions
 package_functions() {
     print_status "Packaging Lambda functions..."
@@ -63,21 +80,19 @@ package_functions() {
     # Clean previous builds
     rm -f webhook-receiver-lambda.zip
     rm -f db-processor-lambda.zip
+    rm -rf build
     
     # Package webhook receiver
     print_status "Packaging webhook receiver..."
-    cd webhook-receiver
-    npm install --production
-    zip -r ../webhook-receiver-lambda.zip . -x "*.git*" -x "node_modules/.cache/*"
-    cd ..
+    stage_function webhook-receiver
+    (cd build/webhook-receiver && zip -r ../../webhook-receiver-lambda.zip . -x "*.git*" -x "node_modules/.cache/*")
     
     # Package DB processor
     print_status "Packaging DB processor..."
-    cd db-processor
-    npm install --production
-    zip -r ../db-processor-lambda.zip . -x "*.git*" -x "node_modules/.cache/*"
-    cd ..
+    stage_function db-processor
+    (cd build/db-processor && zip -r ../../db-processor-lambda.zip . -x "*.git*" -x "node_modules/.cache/*")
     
+    rm -rf build
     print_status "Lambda functions packaged successfully"
 }
 
@@ -62,19 +62,25 @@ package_function() {
     
     # Clean previous builds
     rm -f whatsapp-webhook-lambda.zip
+    rm -rf build
+    
+    # Stage the handler with the shared core package
+    # (file:./core is installed as a copy so the zip is self-contained)
+    mkdir -p build/monolith
+    cp index.js package.json build/monolith/
+    cp -r core build/monolith/core
+    rm -rf build/monolith/core/node_modules
     
     # Install dependencies
-    npm install --production
+    (cd build/monolith && npm install --omit=dev --install-links)
     
     # Create deployment package
-    zip -r whatsapp-webhook-lambda.zip . \
+    (cd build/monolith && zip -r ../../whatsapp-webhook-lambda.zip . \
         -x "*.git*" \
         -x "node_modules/.cache/*" \
-        -x "tests/*" \
-        -x "*.md" \
-        -x "deployment/*" \
-        -x "*.sh"
+        -x "core/*")
     
+    rm -rf build
     print_status "Lambda function packaged successfully"
 }
 
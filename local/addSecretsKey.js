@@ -0,0 +1,26 @@
+/**
+ * Add a master key to the local secrets key file and make it active
+ *
+ * Creates SECRETS_KEY_FILE (default ./secrets-key.json) when it does not
+ * exist. Older keys are kept so the values they wrap stay readable; run
+ * npm run secrets:encrypt-organizations -- --rotate to move those values to
+ * the new key.
+ *
+ * Run with: npm run secrets:add-key
+ */
+
+const {
+  logger,
+  secrets: { LocalKeyProvider },
+} = require("whatsapp-webhook-core");
+
+async function main() {
+  const provider = new LocalKeyProvider();
+  const keyId = await provider.addKey();
+  console.log(`Added key ${keyId} to ${provider.keyFile} (now active)`);
+}
+
+main().catch((error) => {
+  logger.error("Adding secrets key failed", error);
+  process.exitCode = 1;
+});
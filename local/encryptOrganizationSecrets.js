@@ -0,0 +1,46 @@
+/**
+ * Encrypt the organization secrets already stored in the database
+ *
+ * Encrypts the plaintext whatsapp_access_token / whatsapp_app_secret values
+ * with the configured SECRETS_KEY_PROVIDER. After a new master key was made
+ * active, --rotate also re-encrypts the values wrapped by older keys.
+ *
+ * Options:
+ *   --rotate    re-encrypt values not under the active key
+ *   --dry-run   report what would change without writing
+ *
+ * Run with: npm run secrets:encrypt-organizations [-- --rotate --dry-run]
+ */
+
+const {
+  pool,
+  logger,
+  secrets: { encryptOrganizationSecrets },
+} = require("whatsapp-webhook-core");
+
+const FLAG_OPTIONS = ["--rotate", "--dry-run"];
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const unknown = argv.find((arg) => !FLAG_OPTIONS.includes(arg));
+  if (unknown) {
+    throw new Error(`Unknown option: ${unknown}`);
+  }
+
+  const summary = await encryptOrganizationSecrets({
+    rotate: argv.includes("--rotate"),
+    dryRun: argv.includes("--dry-run"),
+  });
+  console.log(JSON.stringify(summary, null, 2));
+
+  if (summary.failed > 0 || summary.conflicts > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    logger.error("Organization secrets encryption failed", error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
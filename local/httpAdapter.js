@@ -0,0 +1,90 @@
+const { URL } = require("url");
+
+/**
+ * Adapters between Node http requests and API Gateway Lambda events
+ */
+
+/**
+ * Read the raw request body, keeping it byte-for-byte for signature checks
+ */
+function readRawBody(req, maxPayloadSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on("data", (chunk) => {
+      if (tooLarge) return;
+
+      size += chunk.length;
+      if (size > maxPayloadSize) {
+        // Keep draining without buffering so the 413 reaches the client
+        tooLarge = true;
+        const error = new Error("Payload too large");
+        error.statusCode = 413;
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Build an API Gateway (REST, payload v1) event from an http request
+ */
+function toApiGatewayEvent(req, rawBody) {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+  const queryStringParameters = {};
+  for (const [key, value] of url.searchParams) {
+    queryStringParameters[key] = value;
+  }
+
+  const sourceIp = req.socket.remoteAddress;
+
+  return {
+    httpMethod: req.method,
+    path: url.pathname,
+    headers: { ...req.headers },
+    queryStringParameters: url.searchParams.toString()
+      ? queryStringParameters
+      : null,
+    body: rawBody || null,
+    isBase64Encoded: false,
+    requestContext: {
+      identity: { sourceIp },
+      http: { method: req.method, path: url.pathname, sourceIp },
+      requestId: `local-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+    },
+  };
+}
+
+/**
+ * Write a Lambda proxy result to the http response
+ */
+function sendLambdaResponse(res, result) {
+  const statusCode = (result && result.statusCode) || 200;
+  const headers = { ...((result && result.headers) || {}) };
+  let body = result && result.body !== undefined ? result.body : "";
+
+  if (typeof body !== "string") {
+    body = JSON.stringify(body);
+  }
+  if (!headers["Content-Type"] && !headers["content-type"]) {
+    headers["Content-Type"] = body.startsWith("{")
+      ? "application/json"
+      : "text/plain";
+  }
+
+  res.writeHead(statusCode, headers);
+  res.end(body);
+}
+
+module.exports = {
+  readRawBody,
+  toApiGatewayEvent,
+  sendLambdaResponse,
+};
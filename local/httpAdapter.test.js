@@ -0,0 +1,115 @@
+const { EventEmitter } = require("events");
+const {
+  readRawBody,
+  toApiGatewayEvent,
+  sendLambdaResponse,
+} = require("./httpAdapter");
+
+function fakeRequest(overrides = {}) {
+  const req = new EventEmitter();
+  req.method = "POST";
+  req.url = "/webhook";
+  req.headers = { host: "localhost:3000" };
+  req.socket = { remoteAddress: "127.0.0.1" };
+  return Object.assign(req, overrides);
+}
+
+function fakeResponse() {
+  return {
+    writeHead: jest.fn(),
+    end: jest.fn(),
+  };
+}
+
+describe("readRawBody", () => {
+  test("keeps the body byte-for-byte", async () => {
+    const req = fakeRequest();
+    const body = readRawBody(req, 1024);
+
+    req.emit("data", Buffer.from('{"a": '));
+    req.emit("data", Buffer.from("\"é\"}"));
+    req.emit("end");
+
+    await expect(body).resolves.toBe('{"a": "é"}');
+  });
+
+  test("rejects bodies over the limit with a 413", async () => {
+    const req = fakeRequest();
+    const body = readRawBody(req, 4);
+
+    req.emit("data", Buffer.from("12345"));
+    req.emit("data", Buffer.from("6789"));
+    req.emit("end");
+
+    await expect(body).rejects.toMatchObject({
+      message: "Payload too large",
+      statusCode: 413,
+    });
+  });
+});
+
+describe("toApiGatewayEvent", () => {
+  test("maps the request to a REST API event", () => {
+    const req = fakeRequest({
+      method: "GET",
+      url: "/webhook?hub.mode=subscribe&hub.challenge=42",
+      headers: { host: "localhost:3000", "x-correlation-id": "abc" },
+    });
+
+    const event = toApiGatewayEvent(req, "");
+
+    expect(event).toMatchObject({
+      httpMethod: "GET",
+      path: "/webhook",
+      headers: { "x-correlation-id": "abc" },
+      queryStringParameters: {
+        "hub.mode": "subscribe",
+        "hub.challenge": "42",
+      },
+      body: null,
+      isBase64Encoded: false,
+      requestContext: { identity: { sourceIp: "127.0.0.1" } },
+    });
+    expect(event.requestContext.requestId).toMatch(/^local-/);
+  });
+
+  test("leaves queryStringParameters null without a query string", () => {
+    const event = toApiGatewayEvent(fakeRequest(), "{}");
+
+    expect(event.queryStringParameters).toBeNull();
+    expect(event.body).toBe("{}");
+  });
+});
+
+describe("sendLambdaResponse", () => {
+  test("writes the status, headers and body of the result", () => {
+    const res = fakeResponse();
+
+    sendLambdaResponse(res, {
+      statusCode: 201,
+      headers: { "X-Test": "1" },
+      body: '{"ok":true}',
+    });
+
+    expect(res.writeHead).toHaveBeenCalledWith(201, {
+      "X-Test": "1",
+      "Content-Type": "application/json",
+    });
+    expect(res.end).toHaveBeenCalledWith('{"ok":true}');
+  });
+
+  test("serializes object bodies and defaults plain text", () => {
+    const res = fakeResponse();
+    sendLambdaResponse(res, { body: { ok: true } });
+    expect(res.writeHead).toHaveBeenCalledWith(200, {
+      "Content-Type": "application/json",
+    });
+    expect(res.end).toHaveBeenCalledWith('{"ok":true}');
+
+    const text = fakeResponse();
+    sendLambdaResponse(text, { statusCode: 200, body: "challenge" });
+    expect(text.writeHead).toHaveBeenCalledWith(200, {
+      "Content-Type": "text/plain",
+    });
+  });
+});
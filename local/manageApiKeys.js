@@ -0,0 +1,58 @@
+/**
+ * Read API keys of an organization
+ *
+ * Commands:
+ *   create <org id> <name> [expires at]
+ *                              create a key; it is printed once and only its
+ *                              hash is stored
+ *   list <org id>              print the keys (prefix, last use, revocation)
+ *   revoke <org id> <key id>   revoke a key
+ *
+ * Run with: npm run api-keys -- <command> <org id> [args]
+ */
+
+const {
+  pool,
+  logger,
+  models: { ApiKey },
+  api: { createApiKey },
+} = require("whatsapp-webhook-core");
+
+const USAGE =
+  "Usage: npm run api-keys -- <create|list|revoke> <org id> [name|key id] [expires at]";
+
+async function main() {
+  const [command, organizationId, arg, expiresAt] = process.argv.slice(2);
+
+  let output;
+  if (command === "create" && organizationId && arg) {
+    const { apiKey, key } = await createApiKey(
+      organizationId,
+      arg,
+      expiresAt ? new Date(expiresAt) : null
+    );
+    output = { ...apiKey, key };
+  } else if (command === "list" && organizationId) {
+    output = await ApiKey.findByOrganization(organizationId);
+  } else if (command === "revoke" && organizationId && arg) {
+    output = await ApiKey.revoke(organizationId, arg);
+    if (!output) {
+      console.error("No active key with that id for this organization");
+      process.exitCode = 1;
+      return;
+    }
+  } else {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(JSON.stringify(output, null, 2));
+}
+
+main()
+  .catch((error) => {
+    logger.error("API key command failed", error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
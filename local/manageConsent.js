@@ -0,0 +1,67 @@
+/**
+ * Opt-out list of an organization
+ *
+ * Commands:
+ *   list <org id>                  print the opted-out numbers
+ *   history <org id> <msisdn>      print the consent history of a number
+ *   opt-out <org id> <msisdn>      add a number to the opt-out list
+ *   opt-in <org id> <msisdn>       remove a number from the opt-out list
+ *
+ * Manual changes are recorded in consent_history with source "manual".
+ *
+ * Run with: npm run consent -- <command> <org id> [msisdn]
+ */
+
+const {
+  pool,
+  logger,
+  models: { Consent },
+  consent: { CONSENT_ACTIONS, normalizeMsisdn, setConsent },
+} = require("whatsapp-webhook-core");
+
+const USAGE =
+  "Usage: npm run consent -- <list|history|opt-out|opt-in> <org id> [msisdn]";
+
+async function main() {
+  const [command, organizationId, msisdnArg] = process.argv.slice(2);
+  const msisdn = normalizeMsisdn(msisdnArg);
+
+  if (!organizationId || (command !== "list" && !msisdn)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let output;
+  switch (command) {
+    case "list":
+      output = await Consent.findOptOuts(organizationId, 1000);
+      break;
+    case "history":
+      output = await Consent.getHistory(organizationId, msisdn);
+      break;
+    case "opt-out":
+      output = await setConsent(
+        organizationId,
+        msisdn,
+        CONSENT_ACTIONS.OPT_OUT
+      );
+      break;
+    case "opt-in":
+      output = await setConsent(organizationId, msisdn, CONSENT_ACTIONS.OPT_IN);
+      break;
+    default:
+      console.error(USAGE);
+      process.exitCode = 1;
+      return;
+  }
+
+  console.log(JSON.stringify(output, null, 2));
+}
+
+main()
+  .catch((error) => {
+    logger.error("Consent command failed", error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,46 @@
+/**
+ * Standalone inbound media fetcher
+ *
+ * Polls incoming_messages for pending media and stores it with the adapter
+ * selected by MEDIA_STORAGE. On AWS the same job runs in the db-processor
+ * Lambda on a schedule.
+ *
+ * Run with: npm run start:media-worker
+ */
+
+const {
+  logger,
+  media: { createMediaFetcher },
+} = require("whatsapp-webhook-core");
+
+const pollInterval = parseInt(process.env.MEDIA_FETCH_POLL_INTERVAL) || 5000;
+const fetcher = createMediaFetcher();
+let timer = null;
+let stopped = false;
+
+async function poll() {
+  try {
+    const summary = await fetcher.processPending();
+    if (summary.claimed > 0) {
+      logger.info("Media fetch batch", summary);
+    }
+    // Keep going while there is a backlog
+    if (!stopped) {
+      timer = setTimeout(poll, summary.claimed > 0 ? 0 : pollInterval);
+    }
+  } catch (error) {
+    logger.error("Media worker error", error);
+    if (!stopped) timer = setTimeout(poll, pollInterval);
+  }
+}
+
+poll();
+
+const shutdown = () => {
+  logger.info("Shutting down media worker");
+  stopped = true;
+  clearTimeout(timer);
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,112 @@
+/**
+ * Mock of the WhatsApp Cloud API media endpoints for testing the media fetcher
+ *
+ *   GET /{version}/{mediaId}  -> { url, mime_type, sha256, file_size, id }
+ *   GET /media/{mediaId}      -> the binary
+ *
+ * Both require "Authorization: Bearer <token>" (MOCK_GRAPH_ACCESS_TOKEN when
+ * set). Media is registered with addMedia() or served from MOCK_GRAPH_MEDIA_DIR
+ * (file name = media id).
+ *
+ * Run with: npm run start:mock-graph
+ * and point the fetcher at it with WHATSAPP_GRAPH_API_URL=http://localhost:3001
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+/**
+ * Create the mock server; options.media maps media ids to
+ * { data: Buffer, mimeType }
+ */
+function createMockGraphApi(options = {}) {
+  const media = new Map(Object.entries(options.media || {}));
+  const accessToken =
+    options.accessToken || process.env.MOCK_GRAPH_ACCESS_TOKEN || null;
+  const mediaDir = options.mediaDir || process.env.MOCK_GRAPH_MEDIA_DIR || null;
+
+  const findMedia = (mediaId) => {
+    if (media.has(mediaId)) return media.get(mediaId);
+    if (!mediaDir) return null;
+
+    const filePath = path.join(mediaDir, path.basename(mediaId));
+    if (!fs.existsSync(filePath)) return null;
+
+    return {
+      data: fs.readFileSync(filePath),
+      mimeType: "application/octet-stream",
+    };
+  };
+
+  const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    const authorization = req.headers.authorization || "";
+    if (
+      !authorization.startsWith("Bearer ") ||
+      (accessToken && authorization !== `Bearer ${accessToken}`)
+    ) {
+      return sendJson(res, 401, {
+        error: { message: "Invalid OAuth access token", code: 190 },
+      });
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const [first, mediaId] = url.pathname.split("/").filter(Boolean);
+    const item = mediaId ? findMedia(decodeURIComponent(mediaId)) : null;
+
+    if (!item) {
+      return sendJson(res, 404, {
+        error: { message: "Unsupported get request", code: 100 },
+      });
+    }
+
+    // Binary download
+    if (first === "media") {
+      res.writeHead(200, {
+        "Content-Type": item.mimeType,
+        "Content-Length": item.data.length,
+      });
+      return res.end(item.data);
+    }
+
+    // Media info lookup
+    const host = req.headers.host;
+    sendJson(res, 200, {
+      messaging_product: "whatsapp",
+      id: mediaId,
+      url: `http://${host}/media/${mediaId}`,
+      mime_type: item.mimeType,
+      sha256: crypto.createHash("sha256").update(item.data).digest("hex"),
+      file_size: item.data.length,
+    });
+  });
+
+  server.addMedia = (mediaId, data, mimeType = "application/octet-stream") => {
+    media.set(mediaId, { data: Buffer.from(data), mimeType: mimeType });
+  };
+
+  return server;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_GRAPH_PORT) || 3001;
+  const server = createMockGraphApi();
+
+  server.listen(port, () => {
+    console.log(`Mock Graph API listening on http://localhost:${port}`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+module.exports = {
+  createMockGraphApi,
+};
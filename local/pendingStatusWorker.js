@@ -0,0 +1,72 @@
+/**
+ * Standalone worker re-applying parked message statuses
+ *
+ * LISTENs for the notification sent when a messages / campaign_audience row
+ * with parked statuses is written and applies them right away; otherwise
+ * polls every PENDING_STATUS_POLL_INTERVAL for retries. On AWS the same job
+ * runs in the db-processor Lambda on a schedule.
+ *
+ * Run with: npm run start:status-worker
+ */
+
+const {
+  pool,
+  logger,
+  webhook: { reapplyPendingStatuses },
+} = require("whatsapp-webhook-core");
+
+const pollInterval =
+  parseInt(process.env.PENDING_STATUS_POLL_INTERVAL) || 15000;
+let timer = null;
+let running = false;
+let stopped = false;
+let listener = null;
+
+async function poll() {
+  clearTimeout(timer);
+  if (running || stopped) return;
+  running = true;
+
+  let claimed = 0;
+  try {
+    ({ claimed } = await reapplyPendingStatuses());
+  } catch (error) {
+    logger.error("Pending status worker error", error);
+  } finally {
+    running = false;
+  }
+
+  // Keep going while there is a backlog
+  if (!stopped) {
+    timer = setTimeout(poll, claimed > 0 ? 0 : pollInterval);
+  }
+}
+
+async function listen() {
+  try {
+    listener = await pool.connect();
+    listener.on("notification", (notification) => {
+      logger.debug("Message row written for parked statuses", {
+        whatsappMessageId: notification.payload,
+      });
+      poll();
+    });
+    await listener.query("LISTEN pending_message_statuses");
+  } catch (error) {
+    logger.warn("Could not LISTEN for pending statuses, polling only", {
+      reason: error.message,
+    });
+  }
+}
+
+listen().then(poll);
+
+const shutdown = () => {
+  logger.info("Shutting down pending status worker");
+  stopped = true;
+  clearTimeout(timer);
+  if (listener) listener.release();
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
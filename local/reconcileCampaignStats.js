@@ -0,0 +1,30 @@
+/**
+ * One-off reconciliation of the campaigns counters
+ *
+ * Recounts campaign_audience for campaigns updated in the last
+ * CAMPAIGN_STATS_RECONCILE_DAYS (default 7), or every campaign with --all,
+ * and prints the campaigns whose totals had drifted. On AWS the same job
+ * runs in the db-processor Lambda on a schedule.
+ *
+ * Run with: npm run reconcile:campaign-stats [-- --all]
+ */
+
+const {
+  pool,
+  logger,
+  campaignStats: { reconcileCampaignStats },
+} = require("whatsapp-webhook-core");
+
+async function main() {
+  const summary = await reconcileCampaignStats({
+    all: process.argv.includes("--all"),
+  });
+  console.log(JSON.stringify(summary, null, 2));
+}
+
+main()
+  .catch((error) => {
+    logger.error("Campaign statistics reconciliation failed", error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
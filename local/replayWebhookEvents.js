@@ -0,0 +1,91 @@
+/**
+ * Replay stored webhook events through the processing pipeline
+ *
+ * Options:
+ *   --org <id>            organization id
+ *   --from <date>         event timestamp lower bound (ISO 8601)
+ *   --to <date>           event timestamp upper bound (ISO 8601)
+ *   --type <type,...>     event types, e.g. message_status,message_received
+ *   --id <id,...>         specific webhook event ids
+ *   --failed              only events with an error_message
+ *   --unprocessed         only events never marked processed
+ *   --include-replayed    also select replays and events already replayed
+ *   --limit <n>           maximum number of events (default 100)
+ *   --dry-run             report what would change without writing
+ *
+ * Run with: npm run replay:webhook-events -- --org <id> --failed --dry-run
+ */
+
+const {
+  pool,
+  logger,
+  webhook: { replayWebhookEvents },
+} = require("whatsapp-webhook-core");
+
+const VALUE_OPTIONS = ["--org", "--from", "--to", "--type", "--id", "--limit"];
+const FLAG_OPTIONS = [
+  "--failed",
+  "--unprocessed",
+  "--include-replayed",
+  "--dry-run",
+];
+
+/**
+ * Parse the command line into replay filters and options
+ */
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_OPTIONS.includes(arg)) {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      args[arg] = argv[++i];
+    } else if (FLAG_OPTIONS.includes(arg)) {
+      args[arg] = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  const list = (value) => (value ? value.split(",").filter(Boolean) : null);
+  const date = (value, name) => {
+    if (!value) return null;
+    const parsed = new Date(value);
+    if (isNaN(parsed)) throw new Error(`${name} is not a valid date: ${value}`);
+    return parsed;
+  };
+
+  return {
+    filters: {
+      organizationId: args["--org"] || null,
+      from: date(args["--from"], "--from"),
+      to: date(args["--to"], "--to"),
+      eventTypes: list(args["--type"]),
+      ids: list(args["--id"]),
+      state: args["--failed"]
+        ? "failed"
+        : args["--unprocessed"]
+        ? "unprocessed"
+        : "any",
+      includeReplayed: !!args["--include-replayed"],
+      limit: parseInt(args["--limit"]) || 100,
+    },
+    options: { dryRun: !!args["--dry-run"] },
+  };
+}
+
+async function main() {
+  const { filters, options } = parseArgs(process.argv.slice(2));
+  const summary = await replayWebhookEvents(filters, options);
+  // The results carry message content and phone numbers
+  console.log(JSON.stringify(logger.redact(summary), null, 2));
+  if (summary.failed > 0) process.exitCode = 1;
+}
+
+main()
+  .catch((error) => {
+    logger.error("Webhook event replay failed", error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,125 @@
+/**
+ * Rotate an organization's app secret
+ *
+ * Reads the new secret from stdin (so it stays out of the shell history) and
+ * keeps the current one valid for the grace window. On AWS the db-processor
+ * Lambda retires expired previous secrets on a schedule.
+ *
+ * Options:
+ *   --org <id>            organization id
+ *   --grace-hours <n>     how long the current secret stays valid
+ *                         (default APP_SECRET_GRACE_HOURS or 24)
+ *   --usage               print which secrets signed the requests of the
+ *                         last --grace-hours instead of rotating
+ *   --retire-expired      retire the expired previous secrets of every
+ *                         organization instead of rotating
+ *
+ * Run with:
+ *   printf %s "$NEW_APP_SECRET" | npm run secrets:rotate-app-secret -- --org <id>
+ */
+
+const {
+  pool,
+  logger,
+  models: { SignatureAudit },
+  secrets: { rotateAppSecret, retireExpiredAppSecrets },
+} = require("whatsapp-webhook-core");
+
+const VALUE_OPTIONS = ["--org", "--grace-hours"];
+const FLAG_OPTIONS = ["--usage", "--retire-expired"];
+
+/**
+ * Parse the command line options
+ */
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_OPTIONS.includes(arg)) {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      args[arg] = argv[++i];
+    } else if (FLAG_OPTIONS.includes(arg)) {
+      args[arg] = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  const graceHours =
+    args["--grace-hours"] !== undefined
+      ? parseInt(args["--grace-hours"])
+      : undefined;
+  if (Number.isNaN(graceHours) || graceHours < 0) {
+    throw new Error("--grace-hours is not a valid number of hours");
+  }
+
+  return {
+    organizationId: args["--org"] || null,
+    graceHours: graceHours,
+    usage: !!args["--usage"],
+    retireExpired: !!args["--retire-expired"],
+  };
+}
+
+/**
+ * Read the new secret from stdin
+ */
+async function readSecret() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8").trim();
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.retireExpired) {
+    console.log(JSON.stringify(await retireExpiredAppSecrets(), null, 2));
+    return;
+  }
+
+  if (!options.organizationId) {
+    throw new Error("--org is required");
+  }
+
+  if (options.usage) {
+    const hours = options.graceHours ?? 24;
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const usage = await SignatureAudit.countBySecret(
+      options.organizationId,
+      since
+    );
+    console.log(JSON.stringify({ since, usage }, null, 2));
+    return;
+  }
+
+  const organization = await rotateAppSecret(
+    options.organizationId,
+    await readSecret(),
+    { graceHours: options.graceHours }
+  );
+  if (!organization) {
+    throw new Error(`Organization not found: ${options.organizationId}`);
+  }
+
+  console.log(
+    JSON.stringify(
+      {
+        organizationId: organization.id,
+        graceWindowEndsAt: organization.whatsappPreviousAppSecretExpiresAt,
+      },
+      null,
+      2
+    )
+  );
+}
+
+main()
+  .catch((error) => {
+    logger.error("App secret rotation failed", error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
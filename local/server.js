@@ -0,0 +1,111 @@
+/**
+ * Standalone HTTP server for running the webhook Lambdas on a developer machine
+ *
+ * Serves GET/POST /webhook and the read API (GET /api/...) by turning real
+ * HTTP requests into API Gateway events for the same handlers that run on
+ * AWS.
+ *
+ * Modes (LOCAL_SERVER_MODE):
+ *   pipeline - webhook-receiver -> queue -> db-processor in this process (default)
+ *   receiver - webhook-receiver only; run local/worker.js for the processor
+ *   monolith - single handler in index.js
+ *
+ * The receiver/processor modes use QUEUE_TRANSPORT, defaulting to the
+ * in-memory queue here (spool or postgres to split them across processes).
+ *
+ * Run with: npm run start:local
+ */
+
+const http = require("http");
+const { config } = require("../config/config");
+const { logger, api } = require("whatsapp-webhook-core");
+const {
+  readRawBody,
+  toApiGatewayEvent,
+  sendLambdaResponse,
+} = require("./httpAdapter");
+const { createQueue, QueueWorker } = require("../webhook-receiver/queue");
+
+/**
+ * Load the handler serving /webhook for the configured mode
+ */
+function createWebhookHandler(mode) {
+  if (mode === "monolith") {
+    return require("../index").handler;
+  }
+
+  if (mode !== "pipeline" && mode !== "receiver") {
+    throw new Error(`Unknown LOCAL_SERVER_MODE: ${mode}`);
+  }
+
+  const receiver = require("../webhook-receiver");
+  const queue = createQueue({
+    transport: process.env.QUEUE_TRANSPORT || "memory",
+  });
+  receiver.setQueue(queue);
+
+  if (mode === "pipeline") {
+    const processor = require("../db-processor");
+    new QueueWorker(queue, processor.handler).start();
+  }
+
+  return receiver.handler;
+}
+
+/**
+ * Create the HTTP server
+ */
+function createServer(options = {}) {
+  const mode = options.mode || config.localServer.mode;
+  const maxPayloadSize = options.maxPayloadSize || config.webhook.maxPayloadSize;
+  const webhookHandler = createWebhookHandler(mode);
+
+  return http.createServer(async (req, res) => {
+    try {
+      const rawBody = await readRawBody(req, maxPayloadSize);
+      const event = toApiGatewayEvent(req, rawBody);
+
+      if (event.path !== "/webhook" && !api.isApiRequest(event)) {
+        return sendLambdaResponse(res, {
+          statusCode: 404,
+          body: JSON.stringify({ error: "Not found" }),
+        });
+      }
+
+      const result = await webhookHandler(event, {
+        awsRequestId: event.requestContext.requestId,
+      });
+
+      logger.info(`${req.method} ${event.path} -> ${result.statusCode}`);
+      sendLambdaResponse(res, result);
+    } catch (error) {
+      logger.error("Local server error", error);
+      sendLambdaResponse(res, {
+        statusCode: error.statusCode || 500,
+        body: JSON.stringify({ error: error.message }),
+      });
+    }
+  });
+}
+
+if (require.main === module) {
+  const { port, mode } = config.localServer;
+  const server = createServer({ mode });
+
+  server.listen(port, () => {
+    logger.info(
+      `Local webhook server (${mode}) listening on http://localhost:${port}/webhook`
+    );
+  });
+
+  const shutdown = () => {
+    logger.info("Shutting down local webhook server");
+    server.close(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+module.exports = {
+  createServer,
+};
@@ -0,0 +1,125 @@
+jest.mock("../webhook-receiver", () => ({
+  setQueue: jest.fn(),
+  handler: jest.fn(),
+}));
+
+const http = require("http");
+const receiver = require("../webhook-receiver");
+const { MemoryQueue } = require("../webhook-receiver/queue");
+const { createServer } = require("./server");
+
+function request(server, { method = "GET", path, body }) {
+  const { port } = server.address();
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: "127.0.0.1", port, method, path },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString("utf8"),
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+describe("local server", () => {
+  let server;
+
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    server = createServer({ mode: "receiver", maxPayloadSize: 64 });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    receiver.handler.mockReset();
+  });
+
+  test("receiver mode wires the webhook receiver to an in-memory queue", () => {
+    expect(receiver.setQueue).toHaveBeenCalledWith(expect.any(MemoryQueue));
+  });
+
+  test("hands /webhook requests to the receiver as events", async () => {
+    receiver.handler.mockResolvedValue({
+      statusCode: 200,
+      body: JSON.stringify({ status: "queued" }),
+    });
+
+    const response = await request(server, {
+      method: "POST",
+      path: "/webhook?x=1",
+      body: '{"object":"whatsapp_business_account"}',
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({ status: "queued" });
+
+    const [event, context] = receiver.handler.mock.calls[0];
+    expect(event).toMatchObject({
+      httpMethod: "POST",
+      path: "/webhook",
+      queryStringParameters: { x: "1" },
+      body: '{"object":"whatsapp_business_account"}',
+    });
+    expect(context.awsRequestId).toBe(event.requestContext.requestId);
+  });
+
+  test("routes /api requests to the same handler", async () => {
+    receiver.handler.mockResolvedValue({ statusCode: 401, body: "{}" });
+
+    const response = await request(server, { path: "/api/messages" });
+
+    expect(response.statusCode).toBe(401);
+    expect(receiver.handler.mock.calls[0][0].path).toBe("/api/messages");
+  });
+
+  test("answers unknown paths with 404", async () => {
+    const response = await request(server, { path: "/other" });
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body)).toEqual({ error: "Not found" });
+    expect(receiver.handler).not.toHaveBeenCalled();
+  });
+
+  test("rejects payloads over the size limit with 413", async () => {
+    const response = await request(server, {
+      method: "POST",
+      path: "/webhook",
+      body: "x".repeat(100),
+    });
+
+    expect(response.statusCode).toBe(413);
+    expect(receiver.handler).not.toHaveBeenCalled();
+  });
+
+  test("turns handler errors into a 500", async () => {
+    receiver.handler.mockRejectedValue(new Error("boom"));
+
+    const response = await request(server, { path: "/webhook" });
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body)).toEqual({ error: "boom" });
+  });
+
+  test("refuses an unknown mode", () => {
+    expect(() => createServer({ mode: "cluster" })).toThrow(
+      "Unknown LOCAL_SERVER_MODE: cluster"
+    );
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Customer service windows
+ *
+ * Commands:
+ *   status <org id> <phone number id> <msisdn>
+ *                              whether free-form messages may be sent to the
+ *                              customer, and until when
+ *   open <org id> [phone number id]
+ *                              the open windows, those closing first first
+ *   expire                     mark the windows that ran out as expired (on
+ *                              AWS the db-processor does this on a schedule)
+ *
+ * Run with: npm run service-window -- <command> [args]
+ */
+
+const {
+  pool,
+  logger,
+  models: { ServiceWindow },
+  serviceWindows: { getServiceWindow, expireServiceWindows },
+} = require("whatsapp-webhook-core");
+
+const USAGE =
+  "Usage: npm run service-window -- <status|open|expire> [org id] [phone number id] [msisdn]";
+
+async function main() {
+  const [command, organizationId, phoneNumberId, msisdn] =
+    process.argv.slice(2);
+
+  let output;
+  if (command === "status" && organizationId && phoneNumberId && msisdn) {
+    output = await getServiceWindow(organizationId, phoneNumberId, msisdn);
+  } else if (command === "open" && organizationId) {
+    output = await ServiceWindow.findOpen(organizationId, phoneNumberId, 1000);
+  } else if (command === "expire") {
+    output = await expireServiceWindows();
+  } else {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(JSON.stringify(output, null, 2));
+}
+
+main()
+  .catch((error) => {
+    logger.error("Service window command failed", error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,40 @@
+/**
+ * Processing trace of a correlation id
+ *
+ * Prints the webhook events, incoming messages, parked statuses and current
+ * message rows stored for one correlation id (returned in the webhook
+ * endpoint's response and logged with every entry), after redaction.
+ *
+ * Run with: npm run trace:correlation -- <correlation id>
+ */
+
+const {
+  pool,
+  logger,
+  webhook: { getProcessingTrace },
+} = require("whatsapp-webhook-core");
+
+async function main() {
+  const correlationId = process.argv[2];
+  if (!correlationId) {
+    console.error("Usage: npm run trace:correlation -- <correlation id>");
+    process.exitCode = 1;
+    return;
+  }
+
+  const trace = await getProcessingTrace(correlationId);
+  if (!trace) {
+    console.error(`Nothing was stored for correlation id ${correlationId}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(JSON.stringify(logger.redact(trace), null, 2));
+}
+
+main()
+  .catch((error) => {
+    logger.error("Correlation trace failed", error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
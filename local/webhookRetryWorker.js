@@ -0,0 +1,43 @@
+/**
+ * Standalone worker retrying outbound webhook deliveries
+ *
+ * Polls webhook_deliveries every OUTBOUND_WEBHOOK_RETRY_POLL_INTERVAL for
+ * pending and retrying deliveries that are due and sends them again. On AWS
+ * the same job runs in the db-processor Lambda on a schedule.
+ *
+ * Run with: npm run start:webhook-retry-worker
+ */
+
+const {
+  logger,
+  outboundWebhooks: { retryWebhookDeliveries },
+} = require("whatsapp-webhook-core");
+
+const pollInterval =
+  parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_POLL_INTERVAL) || 15000;
+let timer = null;
+let stopped = false;
+
+async function poll() {
+  try {
+    const summary = await retryWebhookDeliveries();
+    // Keep going while there is a backlog
+    if (!stopped) {
+      timer = setTimeout(poll, summary.claimed > 0 ? 0 : pollInterval);
+    }
+  } catch (error) {
+    logger.error("Webhook retry worker error", error);
+    if (!stopped) timer = setTimeout(poll, pollInterval);
+  }
+}
+
+poll();
+
+const shutdown = () => {
+  logger.info("Shutting down webhook retry worker");
+  stopped = true;
+  clearTimeout(timer);
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
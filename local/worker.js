@@ -0,0 +1,33 @@
+/**
+ * Standalone db-processor worker for the polling queue transports
+ *
+ * Pairs with `LOCAL_SERVER_MODE=receiver npm run start:local` (or any other
+ * receiver) to run the receiver/processor split without AWS. QUEUE_TRANSPORT
+ * must be a transport both processes can reach: spool or postgres.
+ *
+ * Run with: QUEUE_TRANSPORT=postgres npm run start:worker
+ */
+
+const { logger } = require("whatsapp-webhook-core");
+const { createQueue, QueueWorker } = require("../webhook-receiver/queue");
+const processor = require("../db-processor");
+
+const transport = process.env.QUEUE_TRANSPORT || "spool";
+
+if (transport === "sqs" || transport === "memory") {
+  logger.error(
+    `QUEUE_TRANSPORT=${transport} cannot be consumed by a separate worker process`
+  );
+  process.exit(1);
+}
+
+const worker = new QueueWorker(createQueue({ transport }), processor.handler);
+worker.start();
+
+const shutdown = () => {
+  logger.info("Shutting down queue worker");
+  worker.stop();
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,87 @@
+jest.mock("../core/db/connection", () => {
+  const query = jest.fn();
+  return { query, connect: async () => ({ query, release() {} }) };
+});
+
+const pool = require("../core/db/connection");
+const Organization = require("../core/models/Organization");
+const { MemoryQueue } = require("./queue");
+const { handler, setQueue } = require("./index");
+
+const organization = new Organization({ id: "org-1", name: "Org" });
+
+const body = JSON.stringify({
+  object: "whatsapp_business_account",
+  entry: [
+    {
+      id: "waba-1",
+      changes: [
+        {
+          field: "messages",
+          value: {
+            metadata: { phone_number_id: "PN-1" },
+            messages: [{ id: "wamid.IN", from: "15551234567", type: "text" }],
+          },
+        },
+      ],
+    },
+  ],
+});
+
+/**
+ * A webhook POST as API Gateway hands it to the receiver
+ */
+const webhookRequest = (headers = {}) => ({
+  httpMethod: "POST",
+  path: "/webhook",
+  headers: headers,
+  body: body,
+  requestContext: { requestId: "apigw-1" },
+});
+
+let queue;
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  pool.query.mockReset();
+  pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+  jest
+    .spyOn(Organization, "resolveFromWebhook")
+    .mockResolvedValue(organization);
+  queue = new MemoryQueue();
+  setQueue(queue);
+});
+
+describe("correlation ids", () => {
+  test("the caller's request id travels with the queued payload", async () => {
+    const response = await handler(webhookRequest({ "X-Request-Id": "req-1" }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).correlationId).toBe("req-1");
+    const [message] = queue.messages;
+    expect(message.attributes.correlationId).toBe("req-1");
+    expect(JSON.parse(message.body).correlationId).toBe("req-1");
+  });
+
+  test("API Gateway's request id is used without a header", async () => {
+    await handler(webhookRequest());
+
+    expect(queue.messages[0].attributes.correlationId).toBe("apigw-1");
+  });
+
+  test("every entry logged for the request carries the id", async () => {
+    await handler(webhookRequest({ "x-correlation-id": "corr-1" }));
+
+    const entries = console.log.mock.calls.map(([line]) => JSON.parse(line));
+    expect(entries.length).toBeGreaterThan(0);
+    for (const entry of entries) {
+      expect(entry.correlationId).toBe("corr-1");
+    }
+  });
+});
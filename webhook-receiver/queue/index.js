@@ -0,0 +1,49 @@
+const SQSQueue = require("./sqsQueue");
+const MemoryQueue = require("./memoryQueue");
+const SpoolQueue = require("./spoolQueue");
+const PostgresQueue = require("./postgresQueue");
+const { QueueWorker, toSQSRecord } = require("./worker");
+
+/**
+ * Queue transports between the webhook receiver and the db processor
+ *
+ * Selected with QUEUE_TRANSPORT:
+ *   sqs      - AWS SQS (default, SQS_QUEUE_URL)
+ *   memory   - in-process, for tests and single-process local runs
+ *   spool    - files in QUEUE_SPOOL_DIR
+ *   postgres - rows in QUEUE_TABLE (default webhook_queue)
+ *
+ * Every transport exposes send(body, attributes) -> { messageId }.
+ * The polling transports also expose receive/ack/release/deadLetter and are
+ * consumed by QueueWorker.
+ */
+const TRANSPORTS = {
+  sqs: SQSQueue,
+  memory: MemoryQueue,
+  spool: SpoolQueue,
+  postgres: PostgresQueue,
+};
+
+/**
+ * Create a queue for the given (or configured) transport
+ */
+function createQueue(options = {}) {
+  const transport = options.transport || process.env.QUEUE_TRANSPORT || "sqs";
+  const Transport = TRANSPORTS[transport];
+
+  if (!Transport) {
+    throw new Error(`Unknown queue transport: ${transport}`);
+  }
+
+  return new Transport(options);
+}
+
+module.exports = {
+  createQueue,
+  QueueWorker,
+  toSQSRecord,
+  SQSQueue,
+  MemoryQueue,
+  SpoolQueue,
+  PostgresQueue,
+};
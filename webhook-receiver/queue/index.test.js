@@ -0,0 +1,195 @@
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  createQueue,
+  SQSQueue,
+  MemoryQueue,
+  SpoolQueue,
+  PostgresQueue,
+} = require("./index");
+
+describe("createQueue", () => {
+  test("creates the requested transport", () => {
+    expect(createQueue({ transport: "memory" })).toBeInstanceOf(MemoryQueue);
+    expect(createQueue({ transport: "sqs" })).toBeInstanceOf(SQSQueue);
+    expect(() => createQueue({ transport: "kafka" })).toThrow(
+      "Unknown queue transport: kafka"
+    );
+  });
+});
+
+describe("MemoryQueue", () => {
+  test("received messages stay in flight until acked", async () => {
+    const queue = new MemoryQueue();
+    const { messageId } = await queue.send({ a: 1 }, { correlationId: "c" });
+
+    const [message] = await queue.receive();
+    expect(message).toMatchObject({
+      messageId,
+      body: '{"a":1}',
+      attributes: { correlationId: "c" },
+      receiveCount: 1,
+    });
+    expect(await queue.receive()).toHaveLength(0);
+
+    await queue.ack(messageId);
+    expect(queue.inFlight.size).toBe(0);
+  });
+
+  test("released messages come back after their delay", async () => {
+    const queue = new MemoryQueue();
+    const { messageId } = await queue.send("body");
+    await queue.receive();
+
+    await queue.release(messageId, 60000);
+    expect(await queue.receive()).toHaveLength(0);
+
+    queue.messages[0].visibleAt = 0;
+    const [again] = await queue.receive();
+    expect(again.receiveCount).toBe(2);
+
+    await queue.deadLetter(messageId, "Failed after 2 attempts");
+    expect(queue.deadLetters[0].reason).toBe("Failed after 2 attempts");
+  });
+
+  test("notifies listeners of sent messages", async () => {
+    const queue = new MemoryQueue();
+    const listener = jest.fn();
+    queue.onMessage(listener);
+
+    await queue.send("body");
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("SpoolQueue", () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "spool-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test("received messages are claimed and removed on ack", async () => {
+    const queue = new SpoolQueue({ directory });
+    const { messageId } = await queue.send({ a: 1 });
+    await queue.send({ b: 2 });
+
+    const received = await queue.receive(1);
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ messageId, receiveCount: 1 });
+    expect(await fs.readdir(queue.dir("processing"))).toHaveLength(1);
+
+    await queue.ack(messageId);
+    expect(await fs.readdir(queue.dir("processing"))).toHaveLength(0);
+    expect(await fs.readdir(queue.dir("pending"))).toHaveLength(1);
+  });
+
+  test("released messages come back after their delay", async () => {
+    const queue = new SpoolQueue({ directory });
+    const { messageId } = await queue.send("body");
+    await queue.receive();
+
+    await queue.release(messageId);
+    const [again] = await queue.receive();
+    expect(again).toMatchObject({ messageId, receiveCount: 2 });
+
+    await queue.release(messageId, 60000);
+    expect(await queue.receive()).toHaveLength(0);
+    expect(await fs.readdir(queue.dir("pending"))).toHaveLength(1);
+  });
+
+  test("dead-lettered messages move to the dead directory", async () => {
+    const queue = new SpoolQueue({ directory });
+    const { messageId } = await queue.send("body");
+    await queue.receive();
+
+    await queue.deadLetter(messageId, "Failed after 3 attempts");
+    const [fileName] = await fs.readdir(queue.dir("dead"));
+    const message = JSON.parse(
+      await fs.readFile(path.join(queue.dir("dead"), fileName), "utf8")
+    );
+    expect(message).toMatchObject({
+      messageId,
+      reason: "Failed after 3 attempts",
+    });
+    expect(await fs.readdir(queue.dir("processing"))).toHaveLength(0);
+  });
+
+  test("messages of a worker that died become visible again", async () => {
+    const queue = new SpoolQueue({ directory, visibilityTimeout: 1 });
+    await queue.send("body");
+    await queue.receive();
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    const [again] = await queue.receive();
+    expect(again.receiveCount).toBe(2);
+  });
+});
+
+describe("PostgresQueue", () => {
+  test("claims rows with SKIP LOCKED", async () => {
+    const pool = {
+      query: jest.fn(async () => ({
+        rows: [
+          {
+            id: "q-1",
+            body: "body",
+            attributes: null,
+            receive_count: 1,
+            created_at: new Date(),
+          },
+        ],
+      })),
+    };
+    const queue = new PostgresQueue({ pool, visibilityTimeout: 1000 });
+
+    const [message] = await queue.receive(5);
+    const [query, params] = pool.query.mock.calls[0];
+    expect(query).toContain("FOR UPDATE SKIP LOCKED");
+    expect(params).toEqual([5, "1000"]);
+    expect(message).toMatchObject({
+      messageId: "q-1",
+      attributes: {},
+      receiveCount: 1,
+    });
+  });
+
+  test("refuses table names that are not identifiers", () => {
+    expect(() => new PostgresQueue({ table: "queue; DROP TABLE x" })).toThrow(
+      "Invalid queue table name"
+    );
+  });
+});
+
+describe("SQSQueue", () => {
+  test("sends the body with string message attributes", async () => {
+    const client = {
+      sendMessage: jest.fn(() => ({
+        promise: async () => ({ MessageId: "sqs-1" }),
+      })),
+    };
+    const queue = new SQSQueue({ queueUrl: "https://sqs/queue", client });
+
+    expect(await queue.send({ a: 1 }, { receivedAt: 1700000000 })).toEqual({
+      messageId: "sqs-1",
+    });
+    expect(client.sendMessage).toHaveBeenCalledWith({
+      QueueUrl: "https://sqs/queue",
+      MessageBody: '{"a":1}',
+      MessageAttributes: {
+        receivedAt: { DataType: "String", StringValue: "1700000000" },
+      },
+    });
+  });
+
+  test("needs a queue URL", async () => {
+    const queue = new SQSQueue({ queueUrl: null, client: {} });
+    delete process.env.SQS_QUEUE_URL;
+    await expect(queue.send("body")).rejects.toThrow("SQS_QUEUE_URL");
+  });
+});
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+
+/**
+ * In-memory transport for tests and single-process local runs
+ * Received messages stay in flight until acked or released, like SQS
+ * messages during their visibility timeout.
+ */
+class MemoryQueue {
+  constructor(options = {}) {
+    this.name = "memory";
+    this.messages = [];
+    this.inFlight = new Map();
+    this.deadLetters = [];
+    this.listeners = [];
+  }
+
+  async send(body, attributes = {}) {
+    const message = {
+      messageId: crypto.randomUUID(),
+      body: typeof body === "string" ? body : JSON.stringify(body),
+      attributes: { ...attributes },
+      receiveCount: 0,
+      sentAt: new Date(),
+      visibleAt: 0,
+    };
+
+    this.messages.push(message);
+    this.listeners.forEach((listener) => listener());
+
+    return { messageId: message.messageId };
+  }
+
+  async receive(maxMessages = 10) {
+    const now = Date.now();
+    const received = [];
+
+    for (const message of this.messages) {
+      if (received.length >= maxMessages) break;
+      if (message.visibleAt <= now) received.push(message);
+    }
+
+    this.messages = this.messages.filter((m) => !received.includes(m));
+    for (const message of received) {
+      message.receiveCount++;
+      this.inFlight.set(message.messageId, message);
+    }
+
+    return received.map((message) => ({ ...message }));
+  }
+
+  async ack(messageId) {
+    this.inFlight.delete(messageId);
+  }
+
+  async release(messageId, delayMs = 0) {
+    const message = this.inFlight.get(messageId);
+    if (!message) return;
+
+    this.inFlight.delete(messageId);
+    message.visibleAt = Date.now() + delayMs;
+    this.messages.push(message);
+  }
+
+  async deadLetter(messageId, reason = null) {
+    const message = this.inFlight.get(messageId);
+    if (!message) return;
+
+    this.inFlight.delete(messageId);
+    this.deadLetters.push({ ...message, reason });
+  }
+
+  /**
+   * Register a callback invoked whenever a message is sent,
+   * so workers do not have to wait for their next poll
+   */
+  onMessage(listener) {
+    this.listeners.push(listener);
+  }
+}
+
+module.exports = MemoryQueue;
@@ -0,0 +1,109 @@
+/**
+ * Postgres-table transport (see db/migration_add_webhook_queue.sql)
+ * Workers claim rows with SELECT ... FOR UPDATE SKIP LOCKED, so any number
+ * of them can poll the same table without handing out a message twice.
+ */
+class PostgresQueue {
+  constructor(options = {}) {
+    this.name = "postgres";
+    this.pool = options.pool || null;
+    this.table = options.table || process.env.QUEUE_TABLE || "webhook_queue";
+    this.visibilityTimeout =
+      options.visibilityTimeout ||
+      parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT) ||
+      300000;
+
+    if (!/^[a-z_][a-z0-9_]*$/i.test(this.table)) {
+      throw new Error(`Invalid queue table name: ${this.table}`);
+    }
+  }
+
+  /**
+   * Get the pool (a dedicated one is created when none was given)
+   */
+  getPool() {
+    if (!this.pool) {
+      const { Pool } = require("pg");
+      this.pool = new Pool({
+        host: process.env.DB_HOST,
+        database: process.env.DB_NAME || "whatsapp_db",
+        user: process.env.DB_USER || "postgres",
+        password: process.env.DB_PASSWORD,
+        port: process.env.DB_PORT || 5432,
+        max: 3,
+      });
+    }
+    return this.pool;
+  }
+
+  async send(body, attributes = {}) {
+    const query = `
+      INSERT INTO ${this.table} (body, attributes)
+      VALUES ($1, $2)
+      RETURNING id
+    `;
+    const result = await this.getPool().query(query, [
+      typeof body === "string" ? body : JSON.stringify(body),
+      JSON.stringify(attributes),
+    ]);
+
+    return { messageId: result.rows[0].id };
+  }
+
+  async receive(maxMessages = 10) {
+    // Claimed rows become invisible for the visibility timeout, so a crashed
+    // worker's messages are picked up again afterwards
+    const query = `
+      UPDATE ${this.table}
+      SET
+        receive_count = receive_count + 1,
+        visible_at = NOW() + ($2 || ' milliseconds')::interval
+      WHERE id IN (
+        SELECT id FROM ${this.table}
+        WHERE status = 'pending' AND visible_at <= NOW()
+        ORDER BY created_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+    const result = await this.getPool().query(query, [
+      maxMessages,
+      String(this.visibilityTimeout),
+    ]);
+
+    return result.rows.map((row) => ({
+      messageId: row.id,
+      body: row.body,
+      attributes: row.attributes || {},
+      receiveCount: row.receive_count,
+      sentAt: row.created_at,
+    }));
+  }
+
+  async ack(messageId) {
+    await this.getPool().query(`DELETE FROM ${this.table} WHERE id = $1`, [
+      messageId,
+    ]);
+  }
+
+  async release(messageId, delayMs = 0) {
+    const query = `
+      UPDATE ${this.table}
+      SET visible_at = NOW() + ($2 || ' milliseconds')::interval
+      WHERE id = $1
+    `;
+    await this.getPool().query(query, [messageId, String(delayMs)]);
+  }
+
+  async deadLetter(messageId, reason = null) {
+    const query = `
+      UPDATE ${this.table}
+      SET status = 'dead', error_message = $2
+      WHERE id = $1
+    `;
+    await this.getPool().query(query, [messageId, reason]);
+  }
+}
+
+module.exports = PostgresQueue;
@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * File-backed transport using a spool directory
+ *
+ *   <dir>/pending     messages waiting to be received
+ *   <dir>/processing  messages claimed by a worker (claimed by atomic rename)
+ *   <dir>/dead        messages that exceeded maxReceiveCount
+ *
+ * Several workers can share the directory as long as it is on one filesystem.
+ */
+class SpoolQueue {
+  constructor(options = {}) {
+    this.name = "spool";
+    this.directory = path.resolve(
+      options.directory || process.env.QUEUE_SPOOL_DIR || "./spool"
+    );
+    this.visibilityTimeout =
+      options.visibilityTimeout ||
+      parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT) ||
+      300000;
+    this.initialized = null;
+  }
+
+  dir(state) {
+    return path.join(this.directory, state);
+  }
+
+  async init() {
+    if (!this.initialized) {
+      this.initialized = Promise.all(
+        ["pending", "processing", "dead"].map((state) =>
+          fs.mkdir(this.dir(state), { recursive: true })
+        )
+      );
+    }
+    return this.initialized;
+  }
+
+  /**
+   * Write a message file atomically (temp file + rename)
+   */
+  async writeMessage(state, fileName, message) {
+    const target = path.join(this.dir(state), fileName);
+    const temp = path.join(this.directory, `.${fileName}.${process.pid}.tmp`);
+    await fs.writeFile(temp, JSON.stringify(message));
+    await fs.rename(temp, target);
+  }
+
+  async send(body, attributes = {}) {
+    await this.init();
+
+    const message = {
+      messageId: crypto.randomUUID(),
+      body: typeof body === "string" ? body : JSON.stringify(body),
+      attributes: { ...attributes },
+      receiveCount: 0,
+      sentAt: new Date().toISOString(),
+      visibleAt: 0,
+    };
+
+    // Time-prefixed names keep the spool roughly FIFO
+    const fileName = `${Date.now()}-${message.messageId}.json`;
+    await this.writeMessage("pending", fileName, message);
+
+    return { messageId: message.messageId };
+  }
+
+  async receive(maxMessages = 10) {
+    await this.init();
+    await this.restoreExpired();
+
+    const now = Date.now();
+    const fileNames = (await fs.readdir(this.dir("pending"))).sort();
+    const received = [];
+
+    for (const fileName of fileNames) {
+      if (received.length >= maxMessages) break;
+
+      const pendingPath = path.join(this.dir("pending"), fileName);
+      const processingPath = path.join(this.dir("processing"), fileName);
+
+      let message;
+      try {
+        message = JSON.parse(await fs.readFile(pendingPath, "utf8"));
+        if (message.visibleAt > now) continue;
+
+        // Claim the message; fails if another worker got there first
+        await fs.rename(pendingPath, processingPath);
+      } catch (error) {
+        if (error.code === "ENOENT") continue;
+        throw error;
+      }
+
+      message.receiveCount++;
+      await fs.writeFile(processingPath, JSON.stringify(message));
+      received.push({ ...message, fileName });
+    }
+
+    return received;
+  }
+
+  /**
+   * Return messages whose worker died before acking them
+   */
+  async restoreExpired() {
+    const now = Date.now();
+    const fileNames = await fs.readdir(this.dir("processing"));
+
+    for (const fileName of fileNames) {
+      const processingPath = path.join(this.dir("processing"), fileName);
+      try {
+        const stats = await fs.stat(processingPath);
+        if (now - stats.mtimeMs > this.visibilityTimeout) {
+          await fs.rename(
+            processingPath,
+            path.join(this.dir("pending"), fileName)
+          );
+        }
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+  }
+
+  async findProcessingFile(messageId) {
+    const fileNames = await fs.readdir(this.dir("processing"));
+    return fileNames.find((fileName) => fileName.includes(messageId)) || null;
+  }
+
+  async ack(messageId) {
+    const fileName = await this.findProcessingFile(messageId);
+    if (!fileName) return;
+    await fs.unlink(path.join(this.dir("processing"), fileName));
+  }
+
+  async release(messageId, delayMs = 0) {
+    const fileName = await this.findProcessingFile(messageId);
+    if (!fileName) return;
+
+    const processingPath = path.join(this.dir("processing"), fileName);
+    const message = JSON.parse(await fs.readFile(processingPath, "utf8"));
+    message.visibleAt = Date.now() + delayMs;
+
+    await this.writeMessage("pending", fileName, message);
+    await fs.unlink(processingPath);
+  }
+
+  async deadLetter(messageId, reason = null) {
+    const fileName = await this.findProcessingFile(messageId);
+    if (!fileName) return;
+
+    const processingPath = path.join(this.dir("processing"), fileName);
+    const message = JSON.parse(await fs.readFile(processingPath, "utf8"));
+    message.reason = reason;
+
+    await this.writeMessage("dead", fileName, message);
+    await fs.unlink(processingPath);
+  }
+}
+
+module.exports = SpoolQueue;
@@ -0,0 +1,59 @@
+/**
+ * AWS SQS transport
+ * Messages are consumed by the db-processor Lambda event source mapping,
+ * so this adapter only sends.
+ */
+class SQSQueue {
+  constructor(options = {}) {
+    this.queueUrl = options.queueUrl || process.env.SQS_QUEUE_URL;
+    this.region = options.region || process.env.AWS_REGION || "us-east-1";
+    this.client = options.client || null;
+    this.name = "sqs";
+  }
+
+  /**
+   * Get the SQS client (aws-sdk is only loaded when no client was given)
+   */
+  getClient() {
+    if (!this.client) {
+      const AWS = require("aws-sdk");
+      this.client = new AWS.SQS({ region: this.region });
+    }
+    return this.client;
+  }
+
+  /**
+   * Send a message; attributes is a map of string values
+   */
+  async send(body, attributes = {}) {
+    if (!this.queueUrl) {
+      throw new Error("SQS_QUEUE_URL environment variable not set");
+    }
+
+    const messageAttributes = {};
+    for (const [name, value] of Object.entries(attributes)) {
+      messageAttributes[name] = {
+        DataType: "String",
+        StringValue: String(value),
+      };
+    }
+
+    const result = await this.getClient()
+      .sendMessage({
+        QueueUrl: this.queueUrl,
+        MessageBody: typeof body === "string" ? body : JSON.stringify(body),
+        MessageAttributes: messageAttributes,
+      })
+      .promise();
+
+    return { messageId: result.MessageId };
+  }
+
+  async receive() {
+    throw new Error(
+      "SQS messages are delivered by the Lambda event source mapping"
+    );
+  }
+}
+
+module.exports = SQSQueue;
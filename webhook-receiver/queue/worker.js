@@ -0,0 +1,143 @@
+/**
+ * Polling consumer for the non-SQS transports
+ *
+ * Receives messages, hands them to a Lambda-style SQS handler (db-processor)
+ * as an SQS event, acks the records it processed and releases the ones listed
+ * in batchItemFailures for redelivery, dead-lettering them after
+ * maxReceiveCount attempts just like the SQS redrive policy.
+ */
+
+const { logger } = require("whatsapp-webhook-core");
+
+class QueueWorker {
+  constructor(queue, handler, options = {}) {
+    this.queue = queue;
+    this.handler = handler;
+    this.batchSize =
+      options.batchSize || parseInt(process.env.QUEUE_BATCH_SIZE) || 10;
+    this.pollInterval =
+      options.pollInterval || parseInt(process.env.QUEUE_POLL_INTERVAL) || 1000;
+    this.maxReceiveCount =
+      options.maxReceiveCount ||
+      parseInt(process.env.QUEUE_MAX_RECEIVE_COUNT) ||
+      3;
+    this.retryDelay =
+      options.retryDelay || parseInt(process.env.QUEUE_RETRY_DELAY) || 5000;
+
+    this.running = false;
+    this.polling = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    if (typeof this.queue.onMessage === "function") {
+      this.queue.onMessage(() => setImmediate(() => this.poll()));
+    }
+
+    logger.info("Queue worker started", { transport: this.queue.name });
+    this.poll();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+    clearTimeout(this.timer);
+
+    try {
+      // Keep going while full batches come back
+      let processed;
+      do {
+        processed = await this.runOnce();
+      } while (this.running && processed >= this.batchSize);
+    } catch (error) {
+      logger.error("Queue worker poll error", error);
+    } finally {
+      this.polling = false;
+      if (this.running) {
+        this.timer = setTimeout(() => this.poll(), this.pollInterval);
+      }
+    }
+  }
+
+  /**
+   * Receive and process one batch; returns the number of messages received
+   */
+  async runOnce() {
+    const messages = await this.queue.receive(this.batchSize);
+    if (messages.length === 0) return 0;
+
+    let failedIds;
+    try {
+      const response = await this.handler(
+        { Records: messages.map((message) => toSQSRecord(message, this.queue)) },
+        {}
+      );
+      failedIds = new Set(
+        ((response && response.batchItemFailures) || []).map(
+          (failure) => failure.itemIdentifier
+        )
+      );
+    } catch (error) {
+      // A thrown handler error fails the whole batch, as with SQS
+      logger.error("Queue worker handler error", error);
+      failedIds = new Set(messages.map((message) => message.messageId));
+    }
+
+    for (const message of messages) {
+      if (!failedIds.has(message.messageId)) {
+        await this.queue.ack(message.messageId);
+      } else if (message.receiveCount >= this.maxReceiveCount) {
+        logger.error("Queue message dead-lettered", null, {
+          queueMessageId: message.messageId,
+          receiveCount: message.receiveCount,
+        });
+        await this.queue.deadLetter(
+          message.messageId,
+          `Failed after ${message.receiveCount} attempts`
+        );
+      } else {
+        await this.queue.release(
+          message.messageId,
+          this.retryDelay * message.receiveCount
+        );
+      }
+    }
+
+    return messages.length;
+  }
+}
+
+/**
+ * Shape a queue message like a record of an SQS Lambda event
+ */
+function toSQSRecord(message, queue) {
+  const messageAttributes = {};
+  for (const [name, value] of Object.entries(message.attributes || {})) {
+    messageAttributes[name] = { stringValue: String(value), dataType: "String" };
+  }
+
+  return {
+    messageId: message.messageId,
+    receiptHandle: message.messageId,
+    body: message.body,
+    attributes: {
+      ApproximateReceiveCount: String(message.receiveCount),
+      SentTimestamp: String(new Date(message.sentAt).getTime()),
+    },
+    messageAttributes: messageAttributes,
+    eventSource: `queue:${queue.name}`,
+  };
+}
+
+module.exports = {
+  QueueWorker,
+  toSQSRecord,
+};
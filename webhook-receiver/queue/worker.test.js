@@ -0,0 +1,94 @@
+const MemoryQueue = require("./memoryQueue");
+const { QueueWorker, toSQSRecord } = require("./worker");
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+/**
+ * A memory queue holding the given bodies
+ */
+async function queueWith(...bodies) {
+  const queue = new MemoryQueue();
+  const ids = [];
+  for (const body of bodies) {
+    ids.push((await queue.send(body, { correlationId: body })).messageId);
+  }
+  return { queue, ids };
+}
+
+describe("QueueWorker", () => {
+  test("acks processed records and releases batch item failures", async () => {
+    const { queue, ids } = await queueWith("ok", "fails");
+    const handler = jest.fn(async () => ({
+      batchItemFailures: [{ itemIdentifier: ids[1] }],
+    }));
+    const worker = new QueueWorker(queue, handler, { retryDelay: 1000 });
+
+    expect(await worker.runOnce()).toBe(2);
+    expect(handler.mock.calls[0][0].Records.map((r) => r.body)).toEqual([
+      "ok",
+      "fails",
+    ]);
+    expect(queue.inFlight.size).toBe(0);
+    expect(queue.messages.map((m) => m.messageId)).toEqual([ids[1]]);
+    expect(queue.messages[0].visibleAt).toBeGreaterThan(Date.now());
+  });
+
+  test("a thrown handler error fails the whole batch", async () => {
+    const { queue } = await queueWith("a", "b");
+    const worker = new QueueWorker(queue, async () => {
+      throw new Error("boom");
+    });
+
+    await worker.runOnce();
+    expect(queue.messages).toHaveLength(2);
+  });
+
+  test("dead-letters records after maxReceiveCount attempts", async () => {
+    const { queue, ids } = await queueWith("poison");
+    const worker = new QueueWorker(
+      queue,
+      async () => ({ batchItemFailures: [{ itemIdentifier: ids[0] }] }),
+      { maxReceiveCount: 2, retryDelay: 1 }
+    );
+
+    await worker.runOnce();
+    queue.messages[0].visibleAt = 0;
+    await worker.runOnce();
+
+    expect(queue.messages).toHaveLength(0);
+    expect(queue.deadLetters[0].reason).toBe("Failed after 2 attempts");
+  });
+});
+
+describe("toSQSRecord", () => {
+  test("shapes a message like an SQS Lambda record", () => {
+    const sentAt = new Date("2024-01-01T00:00:00Z");
+    const record = toSQSRecord(
+      {
+        messageId: "m-1",
+        body: "body",
+        attributes: { correlationId: "c-1" },
+        receiveCount: 2,
+        sentAt,
+      },
+      { name: "memory" }
+    );
+
+    expect(record).toEqual({
+      messageId: "m-1",
+      receiptHandle: "m-1",
+      body: "body",
+      attributes: {
+        ApproximateReceiveCount: "2",
+        SentTimestamp: String(sentAt.getTime()),
+      },
+      messageAttributes: {
+        correlationId: { stringValue: "c-1", dataType: "String" },
+      },
+      eventSource: "queue:memory",
+    });
+  });
+});